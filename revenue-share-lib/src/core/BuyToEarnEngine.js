@@ -0,0 +1,412 @@
+/**
+ * @fileoverview Linear-time simulation engine for the Buy-to-Earn dual pool model
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { allocateLargestRemainder } from '../utils/MoneyUtils';
+import { harmonicNumber } from '../utils/MathUtils';
+
+/**
+ * Default number of sales a payback estimate may simulate
+ * @type {number}
+ */
+export const DEFAULT_MAX_SIMULATED_SALES = 1000000;
+
+/**
+ * Simulates the Buy-to-Earn model sale by sale without revisiting previous tokens.
+ *
+ * Every token in the distribution receives the same amount from the shared pool and
+ * every token that has not reached payback receives the same amount from the
+ * non-payback pool. The engine therefore only keeps two cumulative per-token
+ * accumulators (one per pool, indexed by sale number): a token's earnings are the
+ * growth of those accumulators since it joined the distribution, with the
+ * non-payback accumulator frozen at its payback sale.
+ *
+ * Tokens that joined earlier have never earned less than tokens that joined later,
+ * so tokens reach payback strictly in token order. The engine keeps a pointer to the
+ * first token that has not paid back yet and advances it, which makes each sale
+ * amortized O(1) and a full run O(n) in time and memory.
+ *
+ * Results match the original per-token simulation up to floating point summation
+ * order: token earnings agree within a relative tolerance of 1e-9 and a payback sale
+ * can only differ when a token's earnings land within that tolerance of the goal.
+ */
+class BuyToEarnEngine {
+  /**
+   * Create an engine for one Buy-to-Earn configuration
+   * @param {Object} params - Model parameters
+   * @param {number} params.unitPrice - Price per token
+   * @param {number} params.initialInvestment - Initial investment paid by the prepayers
+   * @param {number} params.creatorShare - Creator share percentage
+   * @param {number} params.platformShare - Platform share percentage
+   * @param {number} params.promotionShare - Promotion share percentage
+   * @param {number} params.paybackRatio - Payback ratio multiplier
+   * @param {number} params.nonPaybackPoolSharePercent - Percentage of buyers share reserved for tokens below payback
+   * @param {number} [params.numPrepayers] - Number of prepayer tokens (defaults to initialInvestment / unitPrice rounded up)
+   * @param {boolean} [params.minorUnits=false] - Whether amounts are integer minor units
+   */
+  constructor({
+    unitPrice,
+    initialInvestment,
+    creatorShare,
+    platformShare,
+    promotionShare,
+    paybackRatio,
+    nonPaybackPoolSharePercent,
+    numPrepayers,
+    minorUnits = false
+  }) {
+    this.unitPrice = unitPrice;
+    this.initialInvestment = initialInvestment;
+    this.minorUnits = minorUnits;
+    this.numPrepayers = numPrepayers !== undefined
+      ? numPrepayers
+      : Math.ceil(initialInvestment / unitPrice);
+    this.paybackGoal = unitPrice * paybackRatio;
+
+    const buyersShare = 100 - creatorShare - platformShare - promotionShare;
+    const paybackPoolSharePercent = 100 - nonPaybackPoolSharePercent;
+
+    // Shares of a single post-prepayment sale
+    if (minorUnits) {
+      let buyersAmount;
+      [this.creatorAmount, this.platformAmount, this.promotionAmount, buyersAmount] = allocateLargestRemainder(
+        unitPrice, [creatorShare, platformShare, promotionShare, buyersShare]);
+      [this.nonPaybackPoolAmount, this.sharedPoolAmount] = allocateLargestRemainder(
+        buyersAmount, [nonPaybackPoolSharePercent, paybackPoolSharePercent]);
+    } else {
+      const buyersAmount = unitPrice * (buyersShare / 100);
+      this.creatorAmount = unitPrice * (creatorShare / 100);
+      this.platformAmount = unitPrice * (platformShare / 100);
+      this.promotionAmount = unitPrice * (promotionShare / 100);
+      this.nonPaybackPoolAmount = buyersAmount * (nonPaybackPoolSharePercent / 100);
+      this.sharedPoolAmount = buyersAmount * (paybackPoolSharePercent / 100);
+    }
+  }
+
+  /**
+   * Run the simulation for a number of sales
+   *
+   * In minor-unit mode the non-payback pool of a sale in which every token has
+   * already paid back is folded into the shared pool, so every unit is distributed.
+   *
+   * @param {number} totalSales - Number of sales (tokens) to simulate, prepayers included
+   * @param {Object} [hooks] - Optional callbacks
+   * @param {Function} [hooks.onPayback] - Called as (tokenNumber, saleNumber, state) when a token reaches payback
+   * @param {Function} [hooks.onSale] - Called as (saleNumber, state) after every post-prepayment sale; returning `false` stops the simulation
+   * @return {Object} - Simulation state (see _createState)
+   */
+  simulate(totalSales, hooks) {
+    const state = this.advance(this._createState(totalSales), totalSales, hooks);
+
+    if (this.minorUnits) {
+      this._allocateMinorUnitEarnings(state);
+    }
+
+    return state;
+  }
+
+  /**
+   * Continue a simulation up to a larger number of sales
+   *
+   * The sales already simulated are not revisited, so following a growing sale history
+   * sale by sale costs amortized O(1) per sale. Minor-unit earnings are not allocated
+   * (`minorUnitEarnings` is null afterwards); paybacks do not depend on them.
+   *
+   * @param {Object} state - State returned by simulate() or advance(), updated in place
+   * @param {number} totalSales - Number of sales (tokens) simulated afterwards, prepayers included
+   * @param {Object} [hooks] - Optional callbacks, as for simulate()
+   * @return {Object} - The updated state
+   */
+  advance(state, totalSales, { onPayback, onSale } = {}) {
+    this._ensureCapacity(state, totalSales);
+    state.totalSales = totalSales;
+    state.currentSale = Math.max(state.currentSale, Math.min(this.numPrepayers, totalSales));
+    state.minorUnitEarnings = null;
+
+    const { numPrepayers, paybackGoal, minorUnits } = this;
+    const { sharedCumulative, nonPaybackCumulative, paybackSales } = state;
+
+    for (let currentSale = Math.max(state.currentSale, numPrepayers, 0) + 1; currentSale <= totalSales; currentSale++) {
+      state.currentSale = currentSale;
+      state.totalRevenue += this.unitPrice;
+      state.creatorRevenue += this.creatorAmount;
+      state.platformRevenue += this.platformAmount;
+      state.promotionRevenue += this.promotionAmount;
+
+      // Carry the accumulators forward to this sale
+      sharedCumulative[currentSale] = sharedCumulative[currentSale - 1];
+      nonPaybackCumulative[currentSale] = nonPaybackCumulative[currentSale - 1];
+
+      const numTokensInDistribution = currentSale - 1; // All tokens sold so far
+
+      if (numTokensInDistribution > 0) {
+        const notPaidBackCount = numTokensInDistribution - state.paidBackCount;
+
+        // Without unpaid tokens the non-payback pool is kept whole in minor-unit mode
+        const sharedPoolForSale = (minorUnits && notPaidBackCount === 0)
+          ? this.sharedPoolAmount + this.nonPaybackPoolAmount
+          : this.sharedPoolAmount;
+
+        if (minorUnits) {
+          state.buyersRevenue += this.sharedPoolAmount + this.nonPaybackPoolAmount;
+        }
+
+        sharedCumulative[currentSale] += sharedPoolForSale / numTokensInDistribution;
+
+        if (notPaidBackCount > 0) {
+          nonPaybackCumulative[currentSale] += this.nonPaybackPoolAmount / notPaidBackCount;
+        }
+
+        // Tokens pay back in token order: advance past every token that reached the goal
+        while (state.nextUnpaidToken <= numTokensInDistribution &&
+               this._unpaidEarnings(state, state.nextUnpaidToken, currentSale) >= paybackGoal) {
+          const tokenNumber = state.nextUnpaidToken;
+          paybackSales[tokenNumber] = currentSale;
+          state.paidBackCount++;
+          state.nextUnpaidToken++;
+
+          if (onPayback) {
+            onPayback(tokenNumber, currentSale, state);
+          }
+        }
+      }
+
+      if (onSale && onSale(currentSale, state) === false) {
+        break;
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Get the accrued earnings of a token
+   * @param {Object} state - State returned by simulate()
+   * @param {number} tokenNumber - 1-based token number
+   * @param {number} [atSale] - Sale number to evaluate at (defaults to the end of the simulation)
+   * @return {number} - Earnings of the token
+   */
+  getTokenEarnings(state, tokenNumber, atSale = state.currentSale) {
+    if (tokenNumber < 1 || tokenNumber > state.totalSales) {
+      return 0;
+    }
+
+    if (state.minorUnitEarnings && atSale === state.currentSale) {
+      return state.minorUnitEarnings[tokenNumber];
+    }
+
+    const entrySale = this._entrySale(tokenNumber);
+    if (atSale <= entrySale) {
+      return 0;
+    }
+
+    const paybackSale = state.paybackSales[tokenNumber];
+    const nonPaybackUntil = (paybackSale > 0 && paybackSale < atSale) ? paybackSale : atSale;
+
+    return (state.sharedCumulative[atSale] - state.sharedCumulative[entrySale]) +
+      (state.nonPaybackCumulative[nonPaybackUntil] - state.nonPaybackCumulative[entrySale]);
+  }
+
+  /**
+   * Estimate when a token reaches payback, assuming sales continue at the unit price
+   *
+   * Without a non-payback pool a token's earnings only depend on harmonic sums of
+   * the sale numbers, so the payback sale is found in closed form for any horizon.
+   * Otherwise the model is simulated until the token pays back.
+   *
+   * The bounds hold however the other tokens pay back. While unpaid, a token gets
+   * at least the non-payback pool divided by every token in the distribution, which
+   * gives the latest possible payback (`upperBound`). Because tokens pay back in
+   * order, at most `tokenNumber - 1` tokens have left the non-payback pool, which
+   * gives the earliest possible payback (`lowerBound`). When the token does not
+   * pay back within `maxSimulatedSales`, `paybackSale` is null and only the bounds
+   * are reported; a bound is null when the goal can never be reached.
+   *
+   * @param {number} tokenNumber - 1-based token number
+   * @param {Object} [options] - Estimation options
+   * @param {Array<number>} [options.projectAt=[]] - Sale numbers to project the token's earnings at
+   * @param {number} [options.maxSimulatedSales=DEFAULT_MAX_SIMULATED_SALES] - Maximum number of sales to simulate
+   * @return {Object} - Payback sale, earnings at payback, bounds, method and projections
+   */
+  estimatePayback(tokenNumber, { projectAt = [], maxSimulatedSales = DEFAULT_MAX_SIMULATED_SALES } = {}) {
+    if (!Number.isInteger(tokenNumber) || tokenNumber < 1) {
+      throw new Error('Token number must be a positive integer');
+    }
+
+    const { paybackGoal, sharedPoolAmount, nonPaybackPoolAmount } = this;
+    const entrySale = this._entrySale(tokenNumber);
+    const poolAmount = sharedPoolAmount + nonPaybackPoolAmount;
+
+    const lowerBound = this._firstSaleReaching(entrySale, sale =>
+      sharedPoolAmount * (harmonicNumber(sale - 1) - harmonicNumber(entrySale - 1)) +
+      nonPaybackPoolAmount * (harmonicNumber(sale - tokenNumber) - harmonicNumber(entrySale - tokenNumber)));
+    const upperBound = this._firstSaleReaching(entrySale, sale =>
+      poolAmount * (harmonicNumber(sale - 1) - harmonicNumber(entrySale - 1)));
+
+    let paybackSale;
+    let earningsAt;
+    let method;
+
+    if (nonPaybackPoolAmount === 0) {
+      method = 'closed-form';
+      paybackSale = upperBound;
+      earningsAt = sale => (sale <= entrySale ? 0
+        : sharedPoolAmount * (harmonicNumber(sale - 1) - harmonicNumber(entrySale - 1)));
+    } else {
+      const lastProjection = Math.max(0, ...projectAt);
+      if (lastProjection > maxSimulatedSales) {
+        throw new Error(`Projection at sale ${lastProjection} exceeds the simulation limit of ${maxSimulatedSales} sales`);
+      }
+
+      method = 'simulation';
+      const state = this.simulate(Math.max(Math.min(upperBound, maxSimulatedSales), lastProjection), {
+        onSale: (sale, currentState) =>
+          currentState.paybackSales[tokenNumber] === 0 || sale < lastProjection
+      });
+      paybackSale = state.paybackSales[tokenNumber] || Infinity;
+      earningsAt = sale => this.getTokenEarnings(state, tokenNumber, sale);
+    }
+
+    const reached = Number.isFinite(paybackSale);
+    const accumulatedEarnings = reached ? earningsAt(paybackSale) : null;
+
+    return {
+      tokenNumber,
+      paybackSale: reached ? paybackSale : null,
+      accumulatedEarnings,
+      roi: reached ? ((accumulatedEarnings / this.unitPrice) * 100 - 100).toFixed(2) : null,
+      paybackGoal,
+      numPrepayers: this.numPrepayers,
+      method,
+      lowerBound: Number.isFinite(lowerBound) ? lowerBound : null,
+      upperBound: Number.isFinite(upperBound) ? upperBound : null,
+      projections: projectAt.map(sale => ({
+        sale,
+        earnings: earningsAt(sale),
+        paidBack: reached && paybackSale <= sale
+      }))
+    };
+  }
+
+  /**
+   * Find the first sale at which monotonically growing earnings reach the payback goal
+   * @param {number} entrySale - Last sale before the token starts earning
+   * @param {Function} earningsAt - Earnings of the token after a given sale
+   * @return {number} - Sale number, or Infinity if the goal is never reached
+   * @private
+   */
+  _firstSaleReaching(entrySale, earningsAt) {
+    let low = entrySale;
+    let high = entrySale + 1;
+
+    // Exponential search for a sale that reaches the goal, then bisect
+    while (earningsAt(high) < this.paybackGoal) {
+      low = high;
+      high = entrySale + (high - entrySale) * 2;
+      if (high > Number.MAX_SAFE_INTEGER) {
+        return Infinity;
+      }
+    }
+
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (earningsAt(middle) >= this.paybackGoal) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+
+    return high;
+  }
+
+  /**
+   * Create the initial simulation state
+   * @param {number} totalSales - Number of sales to simulate
+   * @return {Object} - Fresh state
+   * @private
+   */
+  _createState(totalSales) {
+    const size = Math.max(totalSales, this.numPrepayers, 0) + 1;
+
+    return {
+      totalSales,
+      numPrepayers: this.numPrepayers,
+      paybackGoal: this.paybackGoal,
+      currentSale: Math.max(Math.min(this.numPrepayers, totalSales), 0),
+      creatorRevenue: this.initialInvestment, // Creator gets full prepayment
+      platformRevenue: 0,
+      promotionRevenue: 0,
+      totalRevenue: this.initialInvestment, // Start with initial investment
+      buyersRevenue: 0, // Total distributed to tokens (used in minor-unit mode)
+      paidBackCount: 0,
+      nextUnpaidToken: 1,
+      // Cumulative per-token amount of each pool after every sale
+      sharedCumulative: new Float64Array(size),
+      nonPaybackCumulative: new Float64Array(size),
+      // Sale at which each token reached payback (0 = not yet)
+      paybackSales: new Float64Array(size),
+      minorUnitEarnings: null
+    };
+  }
+
+  /**
+   * Grow the per-sale arrays of a state so they hold a number of sales
+   * @param {Object} state - Simulation state
+   * @param {number} totalSales - Number of sales the state must hold
+   * @private
+   */
+  _ensureCapacity(state, totalSales) {
+    const size = state.sharedCumulative.length;
+    if (totalSales < size) return;
+
+    const newSize = Math.max(totalSales + 1, size * 2);
+    ['sharedCumulative', 'nonPaybackCumulative', 'paybackSales'].forEach(field => {
+      const grown = new Float64Array(newSize);
+      grown.set(state[field]);
+      state[field] = grown;
+    });
+  }
+
+  /**
+   * Get the last sale before a token joins the distribution
+   * @param {number} tokenNumber - 1-based token number
+   * @return {number} - Sale number after which the token starts earning
+   * @private
+   */
+  _entrySale(tokenNumber) {
+    return Math.max(tokenNumber, this.numPrepayers, 0);
+  }
+
+  /**
+   * Earnings of a token that has not reached payback yet
+   * @param {Object} state - Simulation state
+   * @param {number} tokenNumber - 1-based token number
+   * @param {number} atSale - Current sale number
+   * @return {number} - Earnings of the token
+   * @private
+   */
+  _unpaidEarnings(state, tokenNumber, atSale) {
+    const entrySale = this._entrySale(tokenNumber);
+    return (state.sharedCumulative[atSale] - state.sharedCumulative[entrySale]) +
+      (state.nonPaybackCumulative[atSale] - state.nonPaybackCumulative[entrySale]);
+  }
+
+  /**
+   * Turn accrued token earnings into integer minor units that sum to the buyers revenue
+   * @param {Object} state - Simulation state
+   * @private
+   */
+  _allocateMinorUnitEarnings(state) {
+    const weights = [];
+    for (let token = 1; token <= state.totalSales; token++) {
+      weights.push(this.getTokenEarnings(state, token));
+    }
+
+    state.minorUnitEarnings = [0, ...allocateLargestRemainder(state.buyersRevenue, weights)];
+  }
+}
+
+export default BuyToEarnEngine;
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Catalog of products with consolidated payouts per payee
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import RevenueSharing from './RevenueSharing';
+import { roundToCents } from '../utils/MathUtils';
+import { getPayeeAmounts } from '../utils/PayeeUtils';
+import { SPLIT_PATH_SEPARATOR } from '../utils/SplitUtils';
+
+/**
+ * Check whether a product calculates in integer minor units
+ * @param {RevenueSharing} product - Product instance
+ * @return {boolean} - Whether the `useMinorUnits` option is enabled
+ * @private
+ */
+function usesMinorUnits(product) {
+  return product.options.useMinorUnits === true;
+}
+
+/**
+ * Resolve the payee id of a role, named party or split payee of a product
+ *
+ * A split payee (`author.writer`) is mapped by its own path or else through its
+ * nearest mapped parent (`alice.writer` when `author` is mapped to `alice`).
+ *
+ * @param {string} role - Role, party name or split path
+ * @param {Object} roles - Payee id per role of the product
+ * @param {string} productId - Product identifier
+ * @return {string} - Payee id, or `<productId>:<role>` when nothing is mapped
+ * @private
+ */
+function resolvePayeeId(role, roles, productId) {
+  const path = role.split(SPLIT_PATH_SEPARATOR);
+
+  for (let length = path.length; length > 0; length--) {
+    const parent = path.slice(0, length).join(SPLIT_PATH_SEPARATOR);
+    if (roles[parent] !== undefined) {
+      return [roles[parent], ...path.slice(length)].join(SPLIT_PATH_SEPARATOR);
+    }
+  }
+
+  return `${productId}:${role}`;
+}
+
+/**
+ * Manages many products, each with its own RevenueSharing instance, routes sales
+ * by product id and merges the payouts of all products into one statement per payee.
+ *
+ * Stakeholder roles (author, platform, promotion, creator), named parties and their
+ * split payees are mapped to payee ids per product with the `payees` option of
+ * addProduct; an unmapped role is reported as `<productId>:<role>`, so it is never
+ * merged with another product. Buyers are identified by their buyer id in every
+ * product and consolidated separately, so a buyer id never adds to a payee id.
+ */
+class Catalog {
+  /**
+   * Create an empty catalog
+   */
+  constructor() {
+    this.products = new Map();
+  }
+
+  /**
+   * Add a product to the catalog
+   * @param {string} productId - Unique product identifier
+   * @param {Object} config - RevenueSharing configuration of the product
+   * @param {Object} [config.payees] - Payee id per role, named party or split path of the scheme,
+   *   e.g. `{ author: 'alice', platform: 'store', 'author.illustrator': 'ivan' }`
+   * @return {RevenueSharing} - The product's RevenueSharing instance
+   */
+  addProduct(productId, { payees = {}, ...config }) {
+    if (typeof productId !== 'string' || !productId) {
+      throw new Error('Product id must be a non-empty string');
+    }
+
+    if (this.products.has(productId)) {
+      throw new Error(`Product '${productId}' already exists`);
+    }
+
+    const product = new RevenueSharing({ productName: productId, ...config });
+
+    const existing = this.products.values().next().value;
+    if (existing && usesMinorUnits(existing.product) !== usesMinorUnits(product)) {
+      throw new Error('All products in a catalog must use the same money mode (useMinorUnits)');
+    }
+
+    this.products.set(productId, { product, payees: { ...payees } });
+    return product;
+  }
+
+  /**
+   * Get the RevenueSharing instance of a product
+   * @param {string} productId - Product identifier
+   * @return {RevenueSharing} - The product's RevenueSharing instance
+   */
+  getProduct(productId) {
+    return this._getEntry(productId).product;
+  }
+
+  /**
+   * Remove a product and its sales from the catalog
+   * @param {string} productId - Product identifier
+   * @return {boolean} - Whether the product existed
+   */
+  removeProduct(productId) {
+    return this.products.delete(productId);
+  }
+
+  /**
+   * List the ids of all products
+   * @return {Array<string>} - Product ids in insertion order
+   */
+  listProducts() {
+    return [...this.products.keys()];
+  }
+
+  /**
+   * Add a sale to the product it belongs to
+   * @param {Object} saleData - Sale data as for RevenueSharing.addSale, plus its product
+   * @param {string} saleData.productId - Product the sale belongs to
+   * @return {Object} - `{ productId, index }` of the added sale
+   */
+  addSale({ productId, ...saleData }) {
+    const index = this._getEntry(productId).product.addSale(saleData);
+    return { productId, index };
+  }
+
+  /**
+   * Add multiple sales, each routed by its productId
+   *
+   * Every productId is checked before any sale is added.
+   *
+   * @param {Array<Object>} salesArray - Array of sale data objects
+   * @return {number} - Number of sales added
+   */
+  addSales(salesArray) {
+    if (!Array.isArray(salesArray)) {
+      throw new Error('Expected an array of sales');
+    }
+
+    // Group by product so that every product receives its sales in one batch
+    const batches = new Map();
+    salesArray.forEach(({ productId, ...saleData }) => {
+      this._getEntry(productId);
+      if (!batches.has(productId)) {
+        batches.set(productId, []);
+      }
+      batches.get(productId).push(saleData);
+    });
+
+    let added = 0;
+    batches.forEach((sales, productId) => {
+      added += this.getProduct(productId).addSales(sales);
+    });
+
+    return added;
+  }
+
+  /**
+   * Calculate the payouts of every product and consolidate them per payee
+   *
+   * Buy-to-Earn products are calculated with their token ledger, so every token
+   * holder is credited with the earnings of all of their tokens.
+   *
+   * @param {Object} [options] - Options passed to each product's calculatePayouts
+   * @param {boolean} [options.roundResults=true] - Whether to round results to cents
+   * @return {Object} - `products` (payouts keyed by product id), `payees` keyed by payee id and
+   *   `buyers` keyed by buyer id, each as `{ total, products: { [productId]: amount } }` (non-zero amounts only)
+   */
+  calculatePayouts(options = { roundResults: true }) {
+    const products = {};
+    const payees = {};
+    const buyerTotals = {};
+    let minorUnits = false;
+
+    const credit = (statements, id, productId, amount) => {
+      if (amount === 0) return;
+
+      if (!statements[id]) {
+        statements[id] = { total: 0, products: {} };
+      }
+
+      statements[id].total += amount;
+      statements[id].products[productId] = (statements[id].products[productId] || 0) + amount;
+    };
+
+    this.products.forEach(({ product, payees: roles }, productId) => {
+      const payouts = product.useBuyToEarnModel
+        ? product.calculatePayouts({ ...options, includeTokenLedger: true })
+        : product.calculatePayouts(options);
+      products[productId] = payouts;
+      minorUnits = usesMinorUnits(product);
+
+      const { buyers, ...roleAmounts } = getPayeeAmounts(payouts, product.useBuyToEarnModel);
+
+      Object.entries(roleAmounts).forEach(([role, amount]) => {
+        credit(payees, resolvePayeeId(role, roles, productId), productId, amount);
+      });
+
+      Object.entries(buyers).forEach(([buyer, amount]) => {
+        credit(buyerTotals, buyer, productId, amount);
+      });
+    });
+
+    // Sums of rounded amounts can pick up floating point noise
+    if (options.roundResults && !minorUnits) {
+      [...Object.values(payees), ...Object.values(buyerTotals)].forEach(statement => {
+        statement.total = roundToCents(statement.total);
+      });
+    }
+
+    return { products, payees, buyers: buyerTotals };
+  }
+
+  /**
+   * Get the catalog entry of a product
+   * @param {string} productId - Product identifier
+   * @return {Object} - Product instance and role mapping
+   * @private
+   */
+  _getEntry(productId) {
+    const entry = this.products.get(productId);
+
+    if (!entry) {
+      throw new Error(`Product not found: ${productId}`);
+    }
+
+    return entry;
+  }
+}
+
+export default Catalog;
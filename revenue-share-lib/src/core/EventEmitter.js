@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Minimal event emitter used for lifecycle notifications
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+/**
+ * Synchronous event emitter without platform dependencies (works in Node.js and browsers).
+ * Listeners run in the order they were added; an error thrown by a listener
+ * propagates to the code that emitted the event.
+ */
+class EventEmitter {
+  /**
+   * Create an emitter without listeners
+   */
+  constructor() {
+    this._listeners = {};
+  }
+
+  /**
+   * Add a listener for an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @return {EventEmitter} - This emitter, for chaining
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Event listener must be a function');
+    }
+
+    if (!this._listeners[event]) {
+      this._listeners[event] = [];
+    }
+
+    this._listeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @return {EventEmitter} - This emitter, for chaining
+   */
+  once(event, listener) {
+    const wrapper = payload => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    wrapper.listener = listener;
+
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener, or every listener of the event when none is given
+   * @param {string} event - Event name
+   * @param {Function} [listener] - Listener passed to on() or once()
+   * @return {EventEmitter} - This emitter, for chaining
+   */
+  off(event, listener) {
+    const listeners = this._listeners[event];
+
+    if (!listeners) {
+      return this;
+    }
+
+    if (listener === undefined) {
+      delete this._listeners[event];
+      return this;
+    }
+
+    const index = listeners.findIndex(item => item === listener || item.listener === listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+
+    return this;
+  }
+
+  /**
+   * Call every listener of an event
+   * @param {string} event - Event name
+   * @param {*} payload - Value passed to the listeners
+   * @return {boolean} - Whether the event had listeners
+   */
+  emit(event, payload) {
+    const listeners = this._listeners[event];
+
+    if (!listeners || listeners.length === 0) {
+      return false;
+    }
+
+    // Copy so that listeners removed during the call do not shift the others
+    [...listeners].forEach(listener => listener(payload));
+    return true;
+  }
+
+  /**
+   * Count the listeners of an event
+   * @param {string} event - Event name
+   * @return {number} - Number of listeners
+   */
+  listenerCount(event) {
+    return this._listeners[event] ? this._listeners[event].length : 0;
+  }
+}
+
+export default EventEmitter;
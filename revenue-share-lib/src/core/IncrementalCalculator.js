@@ -0,0 +1,494 @@
+/**
+ * @fileoverview Incrementally maintained payouts for streams of sales
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import PayoutCalculator from './PayoutCalculator';
+import { ALLOCATION_BASES, DEFAULT_SALE_ORDERING, createSaleComparator, getSaleRevenue, getSaleWeight } from '../utils/SaleUtils';
+import { isGroupRule } from '../utils/GroupUtils';
+import { isPartyRule } from '../utils/PayeeUtils';
+import { applySplits } from '../utils/SplitUtils';
+import { planShares } from '../utils/ShareUtils';
+import { isLimitedRule } from '../utils/LimitUtils';
+import { isScheduledRule } from '../utils/ScheduleUtils';
+
+/**
+ * Scheme keys paid directly to a stakeholder
+ * @type {Array<string>}
+ */
+const ROLE_KEYS = ['author', 'platform', 'promotion'];
+
+/**
+ * Keeps the payouts of a standard scheme up to date while sales are added and removed,
+ * without reprocessing every sale.
+ *
+ * Every rule share is a fixed fraction of the total revenue, and a buyer's part of a
+ * group share is the buyer's weight in the group divided by the group's total weight.
+ * The calculator therefore only maintains the total revenue and, per buyer group
+ * (all buyers, first N, last N), the weight of every buyer in it. Sales are kept in
+ * the order of the sale ordering policy; a sale appended in order costs O(groups), a sale inserted or removed
+ * out of order additionally costs an O(log n) search and moving the later entries of the
+ * sale list. When a sale enters a `first N` or `last N` group the sale that drops out
+ * is found by position, so group membership shifts in constant time.
+ *
+ * Payouts are materialized on request in O(buyers x groups). Results agree with
+ * PayoutCalculator.calculate up to floating point summation order; verify() compares
+ * them with a full recalculation. Minor units, typed rules and plugins need the
+ * whole sale list and are not supported.
+ */
+class IncrementalCalculator {
+  /**
+   * Create a calculator for a scheme
+   * @param {Object} config - Calculator configuration
+   * @param {Object} config.scheme - Standard revenue sharing scheme
+   * @param {number} config.unitPrice - Default price per unit
+   * @param {string} [config.allocationBasis='sale'] - How buyer shares are weighted: 'sale', 'unit' or 'amount'
+   * @param {Array<Object>} [config.sales=[]] - Sales to start with
+   * @param {Array<string>} [config.ordering=DEFAULT_SALE_ORDERING] - Sale ordering policy, as in PayoutCalculator
+   * @param {string} [config.percentageOverflow='reject'] - Handling of percentages above 100%, as in PayoutCalculator
+   * @param {boolean} [config.allowRemainderOverride=true] - Whether a rule with a percentage may also take
+   *   part in the remainder
+   */
+  constructor({
+    scheme,
+    unitPrice,
+    allocationBasis = 'sale',
+    sales = [],
+    ordering = DEFAULT_SALE_ORDERING,
+    percentageOverflow = 'reject',
+    allowRemainderOverride = true
+  }) {
+    if (!ALLOCATION_BASES.includes(allocationBasis)) {
+      throw new Error(`Unknown allocation basis '${allocationBasis}', expected one of: ${ALLOCATION_BASES.join(', ')}`);
+    }
+
+    this.scheme = scheme;
+    this.unitPrice = unitPrice;
+    this.allocationBasis = allocationBasis;
+    this.ordering = ordering;
+    this.percentageOverflow = percentageOverflow;
+    this.allowRemainderOverride = allowRemainderOverride;
+    this.compareSales = createSaleComparator(ordering);
+    this.groups = {};
+    this.parties = Object.keys(scheme).filter(key => isPartyRule(scheme[key]));
+    this.allocations = this._planAllocations(scheme);
+    this._rebuild(sales);
+  }
+
+  /**
+   * Add a sale
+   * @param {Object} sale - Sale record
+   */
+  addSale(sale) {
+    const index = this._findInsertIndex(sale);
+    this.sales.splice(index, 0, sale);
+    this.totalRevenue += getSaleRevenue(sale, this.unitPrice);
+    this.buyerSales.set(sale.buyer, (this.buyerSales.get(sale.buyer) || 0) + 1);
+
+    const size = this.sales.length;
+
+    Object.values(this.groups).forEach(group => {
+      const { kind, count } = group;
+
+      if (kind === 'all') {
+        this._addToGroup(group, sale);
+      } else if (kind === 'first' && index < count) {
+        this._addToGroup(group, sale);
+        // The sale pushed out of the first N is now right after the group
+        if (size > count) this._removeFromGroup(group, this.sales[count]);
+      } else if (kind === 'last' && index >= size - count) {
+        this._addToGroup(group, sale);
+        // The oldest sale of the previous window drops out
+        if (size > count) this._removeFromGroup(group, this.sales[size - count - 1]);
+      }
+    });
+  }
+
+  /**
+   * Remove a previously added sale, e.g. after a refund
+   * @param {Object} sale - The same sale record that was added
+   */
+  removeSale(sale) {
+    const index = this._findSaleIndex(sale);
+    const size = this.sales.length;
+
+    this.sales.splice(index, 1);
+    this.totalRevenue -= getSaleRevenue(sale, this.unitPrice);
+
+    const buyerSales = this.buyerSales.get(sale.buyer) - 1;
+    if (buyerSales > 0) {
+      this.buyerSales.set(sale.buyer, buyerSales);
+    } else {
+      this.buyerSales.delete(sale.buyer);
+    }
+
+    Object.values(this.groups).forEach(group => {
+      const { kind, count } = group;
+
+      if (kind === 'all') {
+        this._removeFromGroup(group, sale);
+      } else if (kind === 'first' && index < count) {
+        this._removeFromGroup(group, sale);
+        // The first sale after the group moves up into it
+        if (size > count) this._addToGroup(group, this.sales[count - 1]);
+      } else if (kind === 'last' && index >= size - count) {
+        this._removeFromGroup(group, sale);
+        // The sale just before the window moves into it
+        if (size > count) this._addToGroup(group, this.sales[size - count - 1]);
+      }
+    });
+  }
+
+  /**
+   * Get the current payouts
+   * @return {Object} - Payouts in the format of PayoutCalculator.calculate
+   */
+  getPayouts() {
+    const payouts = { author: 0, platform: 0, buyers: {} };
+
+    this.buyerSales.forEach((_, buyer) => {
+      payouts.buyers[buyer] = 0;
+    });
+
+    if (this.parties.length > 0) {
+      payouts.parties = {};
+      this.parties.forEach(party => {
+        payouts.parties[party] = 0;
+      });
+    }
+
+    this.allocations.forEach(({ role, party, group, fraction }) => {
+      const amount = this.totalRevenue * fraction;
+
+      if (role) {
+        payouts[role] = (payouts[role] || 0) + amount;
+      } else if (party) {
+        payouts.parties[party] += amount;
+      } else if (group.totalWeight > 0) {
+        group.weights.forEach((weight, buyer) => {
+          // Only buyers with active sales are paid
+          if (!this.buyerSales.has(buyer)) return;
+          payouts.buyers[buyer] += (amount * weight) / group.totalWeight;
+        });
+      } else if (group.counts.size > 0) {
+        // Members that all weigh 0 cannot share the amount, so it goes to the author
+        payouts.author += amount;
+      }
+    });
+
+    return applySplits(this.scheme, payouts);
+  }
+
+  /**
+   * Get the current payout of a single buyer in O(rules)
+   * @param {string} buyer - Buyer identifier
+   * @return {number} - Payout of the buyer (0 for unknown buyers)
+   */
+  getBuyerPayout(buyer) {
+    return this.allocations.reduce((total, { group, fraction }) => {
+      if (!group || group.totalWeight <= 0 || !group.weights.has(buyer)) {
+        return total;
+      }
+
+      return total + (this.totalRevenue * fraction * group.weights.get(buyer)) / group.totalWeight;
+    }, 0);
+  }
+
+  /**
+   * Compare the incrementally maintained payouts with a full recalculation
+   * @param {Object} [options] - Verification options
+   * @param {number} [options.tolerance=1e-6] - Largest accepted absolute difference
+   * @return {Object} - `{ isValid, maxDifference, differences }`, where every difference is
+   *   `{ payee, buyer, incremental, full }` (`payee: 'buyers'` with the buyer id for buyers)
+   */
+  verify(options) {
+    const full = new PayoutCalculator({ ordering: this.ordering }).calculate({
+      sales: this.sales,
+      scheme: this.scheme,
+      unitPrice: this.unitPrice,
+      totalRevenue: this.sales.reduce((total, sale) => total + getSaleRevenue(sale, this.unitPrice), 0),
+      allocationBasis: this.allocationBasis,
+      percentageOverflow: this.percentageOverflow,
+      allowRemainderOverride: this.allowRemainderOverride
+    });
+
+    return this.compare(full, options);
+  }
+
+  /**
+   * Compare the incrementally maintained payouts with payouts calculated elsewhere, e.g. by
+   * the owner of the sales from its own sale history
+   * @param {Object} full - Payouts in the format of PayoutCalculator.calculate
+   * @param {Object} [options] - Verification options
+   * @param {number} [options.tolerance=1e-6] - Largest accepted absolute difference
+   * @return {Object} - `{ isValid, maxDifference, differences }` (see verify)
+   */
+  compare(full, { tolerance = 1e-6 } = {}) {
+    const incremental = this.getPayouts();
+    const differences = [];
+    let maxDifference = 0;
+
+    // A non-finite amount or a payee known to one side only is always a mismatch
+    const compare = (payee, buyer, incrementalAmount, fullAmount) => {
+      const difference = incrementalAmount === undefined || fullAmount === undefined
+        ? Infinity
+        : Math.abs(incrementalAmount - fullAmount);
+      const mismatch = !(difference <= tolerance);
+      maxDifference = mismatch && isNaN(difference) ? Infinity : Math.max(maxDifference, difference);
+
+      if (mismatch) {
+        differences.push({ payee, ...(buyer !== undefined ? { buyer } : {}), incremental: incrementalAmount, full: fullAmount });
+      }
+    };
+
+    ROLE_KEYS
+      .filter(role => role in incremental || role in full)
+      .forEach(role => compare(role, undefined, incremental[role], full[role]));
+    this.parties.forEach(party => compare(party, undefined, incremental.parties[party], (full.parties || {})[party]));
+
+    new Set([...Object.keys(incremental.buyers), ...Object.keys(full.buyers)]).forEach(buyer => {
+      compare('buyers', buyer, incremental.buyers[buyer], full.buyers[buyer]);
+    });
+
+    return { isValid: differences.length === 0, maxDifference, differences };
+  }
+
+  /**
+   * Resolve every rule of the scheme to a fraction of the total revenue and its target
+   *
+   * Mirrors the dispatch of PayoutCalculator: percentage rules first (as resolved by
+   * ShareUtils.planShares), then the remainder split among the remainder rules by weight
+   * (or given to the author when the scheme has no remainder rule).
+   *
+   * @param {Object} scheme - Revenue sharing scheme
+   * @return {Array<Object>} - `{ role|party|group, fraction }` allocations
+   * @private
+   */
+  _planAllocations(scheme) {
+    const entries = Object.entries(scheme);
+    const allocations = [];
+
+    entries.forEach(([key, rule]) => {
+      if (rule.type !== undefined && !isPartyRule(rule)) {
+        throw new Error(`Incremental calculation does not support typed rule '${key}'`);
+      }
+
+      const weighted = rule.weighting !== undefined && rule.weighting !== 'equal';
+      if ('from' in rule || 'to' in rule || weighted || 'allocationBasis' in rule) {
+        throw new Error(`Incremental calculation does not support ranges, weighting or allocation bases in rule '${key}'`);
+      }
+
+      const perBuyer = rule.groupCounting !== undefined && rule.groupCounting !== 'sale';
+      if (perBuyer || 'maxUnitsPerBuyer' in rule) {
+        throw new Error(`Incremental calculation does not support per-buyer counting or unit caps in rule '${key}'`);
+      }
+
+      if (isLimitedRule(rule)) {
+        throw new Error(`Incremental calculation does not support minimum or maximum amounts in rule '${key}'`);
+      }
+
+      if (isScheduledRule(rule)) {
+        throw new Error(`Incremental calculation does not support volume schedules in rule '${key}'`);
+      }
+    });
+
+    const plan = planShares(scheme, {
+      percentageOverflow: this.percentageOverflow,
+      allowRemainderOverride: this.allowRemainderOverride
+    });
+
+    if (plan.errors.length > 0) {
+      throw new Error(plan.errors[0]);
+    }
+
+    Object.entries(plan.percentages).forEach(([key, percentage]) => {
+      this._addAllocation(allocations, key, scheme[key], percentage / 100, false);
+    });
+
+    const remainderFraction = plan.remainder / 100;
+    if (remainderFraction > 0) {
+      const totalWeight = plan.remainderRules.reduce((total, [_, weight]) => total + weight, 0);
+
+      if (plan.remainderRules.length === 0 && 'author' in scheme) {
+        allocations.push({ role: 'author', fraction: remainderFraction });
+      }
+
+      plan.remainderRules.forEach(([key, weight]) => {
+        this._addAllocation(allocations, key, scheme[key], (remainderFraction * weight) / totalWeight, true);
+      });
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Add the allocation of one rule share, if the rule pays anyone
+   * @param {Array<Object>} allocations - Allocations to extend
+   * @param {string} key - Scheme key of the rule
+   * @param {Object} rule - Scheme rule
+   * @param {number} fraction - Fraction of the total revenue
+   * @param {boolean} isRemainder - Whether the share comes from the remainder
+   * @private
+   */
+  _addAllocation(allocations, key, rule, fraction, isRemainder) {
+    if (isPartyRule(rule)) {
+      allocations.push({ party: key, fraction });
+      return;
+    }
+
+    if (ROLE_KEYS.includes(key)) {
+      allocations.push({ role: key, fraction });
+      return;
+    }
+
+    const isAllBuyers = key === 'allBuyers' || key.startsWith('buyers');
+
+    // Percentage rules check `count` before the key, remainder rules the other way round
+    if (isAllBuyers && (isRemainder || !isGroupRule(rule))) {
+      allocations.push({ group: this._getGroup('all'), fraction });
+    } else if (rule.count) {
+      allocations.push({ group: this._getGroup(rule.fromEnd ? 'last' : 'first', rule.count), fraction });
+    }
+  }
+
+  /**
+   * Get the buyer group with the given definition, shared by rules that target it
+   * @param {string} kind - 'all', 'first' or 'last'
+   * @param {number} [count] - Group size for 'first' and 'last'
+   * @return {Object} - Group state
+   * @private
+   */
+  _getGroup(kind, count) {
+    const id = kind === 'all' ? kind : `${kind}:${count}`;
+
+    if (!this.groups[id]) {
+      this.groups[id] = { kind, count, weights: new Map(), counts: new Map(), totalWeight: 0 };
+    }
+
+    return this.groups[id];
+  }
+
+  /**
+   * Recompute the whole state from a list of sales
+   * @param {Array<Object>} sales - Sale records
+   * @private
+   */
+  _rebuild(sales) {
+    this.sales = [...sales].sort(this.compareSales);
+    this.totalRevenue = 0;
+    this.buyerSales = new Map();
+
+    this.sales.forEach(sale => {
+      this.totalRevenue += getSaleRevenue(sale, this.unitPrice);
+      this.buyerSales.set(sale.buyer, (this.buyerSales.get(sale.buyer) || 0) + 1);
+    });
+
+    Object.values(this.groups).forEach(group => {
+      group.weights = new Map();
+      group.counts = new Map();
+      group.totalWeight = 0;
+
+      const members = group.kind === 'all'
+        ? this.sales
+        : group.kind === 'first' ? this.sales.slice(0, group.count) : this.sales.slice(-group.count);
+
+      members.forEach(sale => this._addToGroup(group, sale));
+    });
+  }
+
+  /**
+   * Add the weight of a sale to a group
+   * @param {Object} group - Group state
+   * @param {Object} sale - Sale record
+   * @private
+   */
+  _addToGroup(group, sale) {
+    const weight = getSaleWeight(sale, this.allocationBasis, this.unitPrice);
+    group.weights.set(sale.buyer, (group.weights.get(sale.buyer) || 0) + weight);
+    group.counts.set(sale.buyer, (group.counts.get(sale.buyer) || 0) + 1);
+    group.totalWeight += weight;
+  }
+
+  /**
+   * Remove the weight of a sale from a group
+   *
+   * A buyer leaves the group with their last sale in it: with the `amount` basis,
+   * subtracting float weights may not return exactly to 0.
+   *
+   * @param {Object} group - Group state
+   * @param {Object} sale - Sale record
+   * @private
+   */
+  _removeFromGroup(group, sale) {
+    const weight = getSaleWeight(sale, this.allocationBasis, this.unitPrice);
+    const count = group.counts.get(sale.buyer) - 1;
+
+    if (count === 0) {
+      group.weights.delete(sale.buyer);
+      group.counts.delete(sale.buyer);
+    } else {
+      group.weights.set(sale.buyer, group.weights.get(sale.buyer) - weight);
+      group.counts.set(sale.buyer, count);
+    }
+
+    group.totalWeight = group.counts.size === 0 ? 0 : group.totalWeight - weight;
+  }
+
+  /**
+   * Find where a new sale goes: after every sale that does not sort after it
+   * @param {Object} sale - Sale record
+   * @return {number} - Insertion index
+   * @private
+   */
+  _findInsertIndex(sale) {
+    const { sales } = this;
+    const last = sales[sales.length - 1];
+
+    // Sales usually arrive in order
+    if (!last || this.compareSales(last, sale) <= 0) {
+      return sales.length;
+    }
+
+    let low = 0;
+    let high = sales.length;
+
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this.compareSales(sales[middle], sale) <= 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Find the index of a sale record
+   * @param {Object} sale - Sale record
+   * @return {number} - Index in the sorted sale list
+   * @private
+   */
+  _findSaleIndex(sale) {
+    // Sales that compare equal sit right before the insertion point
+    let index = this._findInsertIndex(sale) - 1;
+
+    while (index >= 0 && this.sales[index] !== sale && this.compareSales(this.sales[index], sale) === 0) {
+      index--;
+    }
+
+    if (index < 0 || this.sales[index] !== sale) {
+      index = this.sales.indexOf(sale);
+    }
+
+    if (index === -1) {
+      throw new Error('Sale is not part of the incremental calculation');
+    }
+
+    return index;
+  }
+}
+
+export default IncrementalCalculator;
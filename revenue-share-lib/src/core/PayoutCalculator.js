@@ -5,19 +5,173 @@
  */
 
 import { deepClone } from '../utils/MathUtils';
+import { allocateLargestRemainder, isMinorUnitAmount } from '../utils/MoneyUtils';
+import {
+  ALLOCATION_BASES,
+  DEFAULT_SALE_ORDERING,
+  createSaleComparator,
+  getSaleQuantity,
+  getSaleRevenue,
+  getSaleWeight
+} from '../utils/SaleUtils';
+import { GROUP_COUNTINGS, getGroupRange, getPositionWeight, isGroupRule, validateGroupOptions } from '../utils/GroupUtils';
+import { PARTY_RULE_TYPE, isPartyRule, validatePartyRule } from '../utils/PayeeUtils';
+import { applySplits, validateSplitRule } from '../utils/SplitUtils';
+import { allocateShares, planShares } from '../utils/ShareUtils';
+import { LIMIT_KEYS, applyLimits, isLimitedRule, validateBuyerLimit, validateLimitRule } from '../utils/LimitUtils';
+import {
+  allocateScheduleShares,
+  isScheduledRule,
+  resolveSchedules,
+  validateScheduleRule,
+  weighScheduleSales
+} from '../utils/ScheduleUtils';
+import BuyToEarnEngine from './BuyToEarnEngine';
+
+/**
+ * Hooks a plugin can provide for the stages of a standard calculation, in pipeline order
+ * @type {Array<string>}
+ */
+export const PIPELINE_STAGES = ['preSort', 'preAllocate', 'postAllocate'];
+
+/**
+ * Scheme keys whose share is paid to a stakeholder instead of buyers
+ * @type {Array<string>}
+ */
+const STAKEHOLDER_KEYS = ['author', 'platform', 'promotion'];
 
 /**
  * Class responsible for calculating payouts based on revenue sharing schemes
+ *
+ * A standard calculation runs as a pipeline that plugins registered with use() can
+ * extend. Stage hooks receive the mutable `calculation` object
+ * `{ sales, scheme, unitPrice, totalRevenue, context, payouts }`:
+ * 1. `preSort` - before sales are ordered (e.g. filter or enrich sales)
+ * 2. `preAllocate` - after `payouts` is initialised, before the revenue is split
+ *    (e.g. deduct a fee from `totalRevenue` and record it in `payouts`)
+ * 3. per-rule allocation - rules with a `type` are handed to the plugin that registered it in `ruleTypes`
+ * 4. `postAllocate` - after every rule was applied (e.g. withholding adjustments)
+ * 5. `rounding` - middleware around the default rounding, see applyRounding()
  */
 class PayoutCalculator {
+  /**
+   * Create a calculator
+   * @param {Object} [config] - Calculator configuration
+   * @param {Array<Object>} [config.plugins=[]] - Plugins to register, in order
+   * @param {Array<string>} [config.ordering=DEFAULT_SALE_ORDERING] - Sale ordering policy used for
+   *   buyer groups and token numbers (see SaleUtils.createSaleComparator)
+   */
+  constructor({ plugins = [], ordering = DEFAULT_SALE_ORDERING } = {}) {
+    this.plugins = [];
+    this.ruleTypes = {};
+    this.ordering = ordering;
+    this.compareSales = createSaleComparator(ordering);
+    
+    plugins.forEach(plugin => this.use(plugin));
+  }
+  
+  /**
+   * Register a calculation plugin
+   * @param {Object} plugin - Plugin definition
+   * @param {string} plugin.name - Unique plugin name
+   * @param {Function} [plugin.preSort] - Called as (calculation) before sales are sorted
+   * @param {Function} [plugin.preAllocate] - Called as (calculation) before the revenue is split
+   * @param {Function} [plugin.postAllocate] - Called as (calculation) after all rules were applied
+   * @param {Function} [plugin.rounding] - Called as (payouts, next) and returns the rounded payouts;
+   *   `next(payouts)` continues with the remaining plugins and the default rounding
+   * @param {Object<string, Function>} [plugin.ruleTypes] - Handlers for scheme rules with a matching `type`,
+   *   called as (share, { key, rule, sales, payouts, context, distribute }) where
+   *   `distribute(sales, amount)` splits an amount among the buyers of the given sales
+   * @return {PayoutCalculator} - This calculator, for chaining
+   */
+  use(plugin) {
+    if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new Error('Plugin must be an object with a name');
+    }
+    
+    if (this.plugins.some(registered => registered.name === plugin.name)) {
+      throw new Error(`Plugin '${plugin.name}' is already registered`);
+    }
+    
+    [...PIPELINE_STAGES, 'rounding'].forEach(stage => {
+      if (plugin[stage] !== undefined && typeof plugin[stage] !== 'function') {
+        throw new Error(`Stage '${stage}' of plugin '${plugin.name}' must be a function`);
+      }
+    });
+    
+    Object.entries(plugin.ruleTypes || {}).forEach(([type, handler]) => {
+      if (typeof handler !== 'function') {
+        throw new Error(`Handler for rule type '${type}' of plugin '${plugin.name}' must be a function`);
+      }
+      if (this.ruleTypes[type] || type === PARTY_RULE_TYPE) {
+        throw new Error(`Rule type '${type}' is already registered`);
+      }
+    });
+    
+    Object.assign(this.ruleTypes, plugin.ruleTypes || {});
+    this.plugins.push(plugin);
+    return this;
+  }
+  
+  /**
+   * Apply rounding to calculated payouts through the `rounding` middleware of the plugins
+   * @param {Object} payouts - Raw payouts
+   * @param {Function} defaultRounding - Rounding used when no plugin takes over
+   * @return {Object} - Rounded payouts
+   */
+  applyRounding(payouts, defaultRounding) {
+    const middleware = this.plugins.filter(plugin => plugin.rounding);
+    
+    const run = (index, current) => (index < middleware.length
+      ? middleware[index].rounding(current, next => run(index + 1, next))
+      : defaultRounding(current));
+    
+    return run(0, payouts);
+  }
+  
   /**
    * Calculate payouts based on the provided scheme and sales data
+   *
+   * Rules with `type: 'party'` pay the named party of their key; their amounts are
+   * returned in `payouts.parties`, which is only present when the scheme declares parties.
+   * A `split` on a rule paying a single payee divides that payee's payout among sub-payees,
+   * level by level; the result is added as `payouts.splits` (see SplitUtils.applySplits).
+   * Rules with `minAmount`/`maxAmount` and the `maxAmountPerBuyer` option limit the payouts once
+   * every rule was applied; the report is added as `payouts.limits` (see LimitUtils.applyLimits).
+   * A rule with a `schedule` earns the percentage of the bracket each unit (or amount) of
+   * cumulative volume falls into, applied to the sales in order; the volume, revenue and
+   * amount of every bracket are added as `payouts.schedules` (see ScheduleUtils).
+   *
+   * When `data.minorUnits` is set, every monetary input (`totalRevenue`, `unitPrice`)
+   * must be an integer number of minor units (e.g. cents) and every payout is returned
+   * as an integer number of minor units. Each split uses the largest remainder method,
+   * so author, platform, promotion and all buyers always sum exactly to the collected
+   * revenue whenever the scheme allocates all of it.
+   *
    * @param {Object} data - Calculation data
    * @param {Array} data.sales - Array of sales data
    * @param {Object} data.scheme - Revenue sharing scheme
    * @param {number} data.unitPrice - Price per unit
-   * @param {number} data.totalRevenue - Total revenue (typically sales.length * unitPrice)
+   * @param {number} data.totalRevenue - Total collected revenue (sum of the revenue of all sales)
+   * @param {boolean} [data.minorUnits=false] - Carry all amounts as integer minor units
+   * @param {string} [data.allocationBasis='sale'] - How buyer shares are weighted: 'sale', 'unit' or 'amount'
    * @param {Object} [data.buyToEarnParams] - Optional Buy-to-Earn specific parameters
+   * @param {Function} [data.onRuleAllocated] - Called after every scheme rule is applied with
+   *   `{ key, target, fromRemainder, pool, payees, buyers }`, where `pool` is the amount of the
+   *   rule, `payees` the part of it each stakeholder received and `buyers` the part each buyer
+   *   received. `key` is null for a remainder that no rule claims and goes to the author.
+   * @param {boolean} [data.trace=false] - Add an allocation `trace` to the payouts (see _buildTrace
+   *   and TraceUtils.formatAllocationTrace)
+   * @param {string} [data.groupCounting='sale'] - Whether buyer group positions count sales ('sale') or
+   *   distinct buyers ('buyer'); rules may override it with their own `groupCounting`
+   * @param {string} [data.percentageOverflow='reject'] - Handling of percentages above 100%: 'reject',
+   *   'scale' or 'truncate' (see ShareUtils.PERCENTAGE_OVERFLOW_POLICIES)
+   * @param {boolean} [data.allowRemainderOverride=true] - Whether a rule with a percentage may also take
+   *   part in the remainder
+   * @param {boolean} [data.breakdown=false] - Add a per-sale and per-buyer `breakdown` of the buyers'
+   *   earnings to the payouts (see _buildBreakdown)
+   * @param {number} [data.maxAmountPerBuyer] - Largest amount a single buyer receives from the calculation;
+   *   the excess is redistributed like the excess of a rule's `maxAmount`
    * @return {Object} - Calculated payouts
    */
   calculate(data) {
@@ -26,11 +180,97 @@ class PayoutCalculator {
       return this.calculateBuyToEarnPayouts(data);
     }
     
-    const { sales, scheme, unitPrice, totalRevenue } = data;
+    const {
+      sales,
+      scheme,
+      unitPrice,
+      totalRevenue,
+      minorUnits = false,
+      allocationBasis = 'sale',
+      onRuleAllocated,
+      trace = false,
+      groupCounting = 'sale',
+      breakdown = false,
+      percentageOverflow = 'reject',
+      allowRemainderOverride = true,
+      maxAmountPerBuyer
+    } = data;
+    
+    if (minorUnits && !isMinorUnitAmount(totalRevenue)) {
+      throw new Error('Total revenue must be an integer number of minor units');
+    }
+    
+    if (!ALLOCATION_BASES.includes(allocationBasis)) {
+      throw new Error(`Unknown allocation basis '${allocationBasis}', expected one of: ${ALLOCATION_BASES.join(', ')}`);
+    }
+    
+    if (!GROUP_COUNTINGS.includes(groupCounting)) {
+      throw new Error(`Unknown group counting '${groupCounting}', expected one of: ${GROUP_COUNTINGS.join(', ')}`);
+    }
+    
+    Object.entries(scheme).forEach(([key, rule]) => {
+      if (rule && rule.type !== undefined && !isPartyRule(rule) && !this.ruleTypes[rule.type]) {
+        throw new Error(`Unknown rule type '${rule.type}' for '${key}'`);
+      }
+      
+      const ruleErrors = !rule ? [] : isPartyRule(rule) ? validatePartyRule(key, rule) : validateGroupOptions(key, rule);
+      if (rule && rule.split !== undefined) {
+        ruleErrors.push(...validateSplitRule(key, rule));
+      }
+      if (isLimitedRule(rule)) {
+        ruleErrors.push(...validateLimitRule(key, rule));
+      }
+      if (isScheduledRule(rule)) {
+        ruleErrors.push(...validateScheduleRule(key, rule));
+      }
+      if (ruleErrors.length > 0) {
+        throw new Error(ruleErrors[0]);
+      }
+    });
+    
+    const buyerLimitErrors = validateBuyerLimit(maxAmountPerBuyer);
+    if (buyerLimitErrors.length > 0) {
+      throw new Error(buyerLimitErrors[0]);
+    }
+    
+    // Minimum and maximum amounts are applied once every rule was allocated
+    const hasLimits = (maxAmountPerBuyer !== undefined && maxAmountPerBuyer !== null) ||
+      Object.values(scheme).some(isLimitedRule);
+    
+    if (minorUnits && hasLimits && ![maxAmountPerBuyer, ...Object.values(scheme)
+      .flatMap(rule => LIMIT_KEYS.map(limit => rule && rule[limit]))]
+      .every(amount => amount === undefined || amount === null || isMinorUnitAmount(amount))) {
+      throw new Error('Minimum and maximum amounts must be integer numbers of minor units');
+    }
+    
+    // Rule allocations recorded for the trace
+    const ruleTrace = trace ? [] : null;
+    const reportRule = (trace || onRuleAllocated)
+      ? allocation => {
+        if (ruleTrace) ruleTrace.push(allocation);
+        if (onRuleAllocated) onRuleAllocated(allocation);
+      }
+      : undefined;
+    
+    // Settings shared by every allocation step
+    const context = {
+      minorUnits,
+      allocationBasis,
+      unitPrice,
+      groupCounting,
+      percentageOverflow,
+      allowRemainderOverride,
+      onRuleAllocated: reportRule,
+      saleEarnings: breakdown ? new Map() : undefined
+    };
+    
+    // State passed through the pipeline stages
+    const calculation = { sales, scheme, unitPrice, totalRevenue, context, payouts: null };
+    this._runStage('preSort', calculation);
     
     // Create a copy of data to avoid side effects
-    const sortedSales = [...sales].sort((a, b) => 
-      (a.timestamp && b.timestamp) ? a.timestamp - b.timestamp : 0);
+    const sortedSales = this._sortSales(calculation.sales);
+    calculation.sales = sortedSales;
     
     // Initialize payouts object
     const payouts = {
@@ -44,47 +284,328 @@ class PayoutCalculator {
       payouts.buyers[sale.buyer] = 0;
     });
     
-    // Track allocated percentage
-    let totalAllocatedPercentage = 0;
+    // Named parties of the scheme
+    const parties = Object.keys(calculation.scheme).filter(key => isPartyRule(calculation.scheme[key]));
+    if (parties.length > 0) {
+      payouts.parties = {};
+      parties.forEach(party => {
+        payouts.parties[party] = 0;
+      });
+    }
     
-    // Process fixed percentage allocations first
-    this._processFixedPercentages(scheme, sortedSales, payouts, totalRevenue);
+    calculation.payouts = payouts;
+    this._runStage('preAllocate', calculation);
+    
+    if (minorUnits && !isMinorUnitAmount(calculation.totalRevenue)) {
+      throw new Error('Total revenue must be an integer number of minor units');
+    }
+    
+    // Split the revenue into per-rule shares and the unallocated remainder
+    const allocation = this._calculateRuleShares(calculation.scheme, calculation.totalRevenue, context, sortedSales);
     
-    // Calculate the total allocated percentage
-    totalAllocatedPercentage = this._calculateAllocatedPercentage(scheme);
+    if (Object.keys(allocation.schedules).length > 0) {
+      payouts.schedules = allocateScheduleShares(allocation.schedules, allocation.shares, minorUnits);
+    }
+    
+    // Process fixed percentage allocations first
+    this._processFixedPercentages(calculation.scheme, sortedSales, payouts, allocation.shares, context);
     
     // Process remainder allocation
-    this._processRemainder(scheme, sortedSales, payouts, totalRevenue, totalAllocatedPercentage);
+    const beforeRemainder = hasLimits ? this._copyPayouts(payouts) : null;
+    this._processRemainder(calculation.scheme, sortedSales, payouts, allocation, context);
+    
+    if (hasLimits) {
+      payouts.limits = this._applyLimits(calculation.scheme, sortedSales, payouts, {
+        maxAmountPerBuyer,
+        remainderReceipts: this._diffPayouts(beforeRemainder, payouts)
+      }, context);
+    }
+    
+    this._runStage('postAllocate', calculation);
+    
+    // Divide the payouts of payees with a sub-scheme
+    applySplits(calculation.scheme, calculation.payouts, minorUnits);
+    
+    if (trace) {
+      calculation.payouts.trace = this._buildTrace(sortedSales, calculation, ruleTrace, totalRevenue);
+    }
+    
+    if (breakdown) {
+      calculation.payouts.breakdown = this._buildBreakdown(sortedSales, context.saleEarnings);
+    }
+    
+    return calculation.payouts;
+  }
+  
+  /**
+   * Build the allocation trace of a calculation
+   *
+   * `rules` lists every allocation step in the order it was applied. `sales` splits the
+   * revenue of every sale across the payees, following the steps: a fixed percentage and
+   * the fees take the same fraction of every sale, so they are split by revenue; a scheduled
+   * rule is split by what every sale earned it in each bracket (see ScheduleUtils.weighScheduleSales);
+   * the remainder, together with any change made by limits or plugins, is split by what every
+   * sale has left after those. Buyers are reported as one `buyers` total per sale to keep the
+   * trace linear in size; the rule entries tell which buyer received what. In minor-unit mode
+   * every part is split across sales with the largest remainder method, so the sales add up to it exactly.
+   *
+   * @param {Array} sortedSales - Sorted sales data
+   * @param {Object} calculation - Calculation state after the postAllocate stage
+   * @param {Array<Object>} rules - Rule allocations in the order they were applied
+   * @param {number} revenue - Total revenue before the preAllocate stage
+   * @return {Object} - `{ revenue, allocatedRevenue, rules, sales }`
+   * @private
+   */
+  _buildTrace(sortedSales, calculation, rules, revenue) {
+    const { payouts, context, scheme } = calculation;
+    const revenues = sortedSales.map(sale => getSaleRevenue(sale, context.unitPrice));
+    const sum = values => values.reduce((total, value) => total + value, 0);
+    
+    const split = (amount, weights) => {
+      const totalWeight = sum(weights);
+      if (!(totalWeight > 0)) return weights.map(() => 0);
+      
+      return context.minorUnits
+        ? allocateLargestRemainder(amount, weights)
+        : weights.map(weight => (amount * weight) / totalWeight);
+    };
+    
+    // Payee totals: stakeholder roles, named parties, fees and the buyers' total
+    const totals = {};
+    Object.entries(payouts).forEach(([payee, amount]) => {
+      if (typeof amount === 'number') totals[payee] = amount;
+    });
+    Object.assign(totals, payouts.parties);
+    if (payouts.fees) {
+      totals.fees = payouts.fees.total;
+    }
+    totals.buyers = sum(Object.values(payouts.buyers));
+    
+    // Parts of every sale already taken by fees, fixed percentages and scheduled rules
+    const columns = Object.fromEntries(Object.keys(totals).map(payee => [payee, revenues.map(() => 0)]));
+    const assigned = Object.fromEntries(Object.keys(totals).map(payee => [payee, 0]));
+    const taken = revenues.map(() => 0);
+    
+    const assign = (payee, amount, weights) => {
+      if (!(payee in columns) || amount === 0) return;
+      
+      split(amount, weights).forEach((part, index) => {
+        columns[payee][index] += part;
+        taken[index] += part;
+      });
+      assigned[payee] += amount;
+    };
+    
+    if (payouts.fees) {
+      assign('fees', payouts.fees.total, revenues);
+    }
+    
+    rules.forEach(({ key, fromRemainder, payees, buyers }) => {
+      if (fromRemainder) return;
+      
+      const weights = isScheduledRule(scheme[key])
+        ? weighScheduleSales(scheme[key], sortedSales, context.unitPrice)
+        : revenues;
+      
+      Object.entries(payees).forEach(([payee, amount]) => assign(payee, amount, weights));
+      assign('buyers', sum(Object.values(buyers)), weights);
+    });
+    
+    // The rest of every payee comes from what the sales have left
+    const left = revenues.map((saleRevenue, index) => Math.max(0, saleRevenue - taken[index]));
+    Object.keys(columns).forEach(payee => {
+      split(totals[payee] - assigned[payee], left).forEach((part, index) => {
+        columns[payee][index] += part;
+      });
+    });
+    
+    return {
+      revenue,
+      allocatedRevenue: calculation.totalRevenue,
+      rules,
+      sales: sortedSales.map((sale, index) => {
+        const salePayees = {};
+        Object.keys(columns).forEach(payee => {
+          salePayees[payee] = columns[payee][index];
+        });
+        
+        return {
+          position: index + 1,
+          buyer: sale.buyer,
+          ...(sale.saleId !== undefined ? { saleId: sale.saleId } : {}),
+          revenue: revenues[index],
+          payees: salePayees
+        };
+      })
+    };
+  }
+  
+  /**
+   * Build the per-sale and per-buyer breakdown of the buyers' earnings
+   *
+   * A buyer group share is credited to the sale holding the position; with per-buyer
+   * counting that is the buyer's first counted sale, so their other sales show nothing
+   * earned for that rule. Amounts are not rounded.
+   *
+   * @param {Array} sortedSales - Sorted sales data
+   * @param {Map<Object, number>} saleEarnings - Amount earned by every sale
+   * @return {Object} - `{ sales: [{ position, buyer, saleId, quantity, earned }],
+   *   buyers: { [buyer]: { sales, units, earned } } }`
+   * @private
+   */
+  _buildBreakdown(sortedSales, saleEarnings) {
+    const buyers = {};
     
-    return payouts;
+    const sales = sortedSales.map((sale, index) => {
+      const quantity = getSaleQuantity(sale);
+      const earned = saleEarnings.get(sale) || 0;
+      const buyer = buyers[sale.buyer] || (buyers[sale.buyer] = { sales: 0, units: 0, earned: 0 });
+      
+      buyer.sales += 1;
+      buyer.units += quantity;
+      buyer.earned += earned;
+      
+      return {
+        position: index + 1,
+        buyer: sale.buyer,
+        ...(sale.saleId !== undefined ? { saleId: sale.saleId } : {}),
+        quantity,
+        earned
+      };
+    });
+    
+    return { sales, buyers };
+  }
+  
+  /**
+   * Apply the minimum and maximum amounts to the payouts (see LimitUtils.applyLimits)
+   *
+   * When a breakdown is requested, the earnings of every sale of a buyer whose payout
+   * was limited are scaled by the same ratio, so the breakdown still adds up.
+   *
+   * @param {Object} scheme - Revenue sharing scheme
+   * @param {Array} sortedSales - Sorted sales data
+   * @param {Object} payouts - Payouts after every rule was applied
+   * @param {Object} options - `{ maxAmountPerBuyer, remainderReceipts }`
+   * @param {Object} context - Calculation settings (minorUnits, saleEarnings)
+   * @return {Object} - Limits report
+   * @private
+   */
+  _applyLimits(scheme, sortedSales, payouts, { maxAmountPerBuyer, remainderReceipts }, context) {
+    const report = applyLimits(scheme, payouts, {
+      maxAmountPerBuyer,
+      remainderReceipts,
+      minorUnits: context.minorUnits
+    });
+    
+    if (context.saleEarnings) {
+      Object.entries(report.adjustments.buyers).forEach(([buyer, adjustment]) => {
+        const amount = payouts.buyers[buyer];
+        const buyerSales = sortedSales.filter(sale => sale.buyer === buyer);
+        const earnings = buyerSales.map(sale => context.saleEarnings.get(sale) || 0);
+        const before = amount - adjustment;
+        
+        // A buyer without earnings before the limits receives the adjustment on their first sale
+        const scaled = before <= 0
+          ? earnings.map((earned, index) => earned + (index === 0 ? adjustment : 0))
+          : context.minorUnits
+            ? allocateLargestRemainder(amount, earnings)
+            : earnings.map(earned => (earned * amount) / before);
+        
+        buyerSales.forEach((sale, index) => {
+          context.saleEarnings.set(sale, scaled[index]);
+        });
+      });
+    }
+    
+    return report;
+  }
+  
+  /**
+   * Copy the amounts of the payouts
+   * @param {Object} payouts - Payouts object
+   * @return {Object} - Copy with its own `buyers` and `parties`
+   * @private
+   */
+  _copyPayouts(payouts) {
+    return { ...payouts, buyers: { ...payouts.buyers }, parties: { ...payouts.parties } };
+  }
+  
+  /**
+   * Run the hooks of every plugin for a pipeline stage
+   * @param {string} stage - Stage name, one of PIPELINE_STAGES
+   * @param {Object} calculation - Calculation state
+   * @private
+   */
+  _runStage(stage, calculation) {
+    this.plugins.forEach(plugin => {
+      if (plugin[stage]) {
+        plugin[stage](calculation);
+      }
+    });
+  }
+  
+  /**
+   * Allocate a rule's share with the handler registered for its type
+   * @param {string} key - Scheme key of the rule
+   * @param {Object} rule - Scheme rule with a `type`
+   * @param {Array} sortedSales - Sorted sales data
+   * @param {Object} payouts - Payouts object to populate
+   * @param {number} share - Amount allocated to the rule
+   * @param {Object} context - Calculation settings (minorUnits, allocationBasis, unitPrice)
+   * @private
+   */
+  _processTypedRule(key, rule, sortedSales, payouts, share, context) {
+    this.ruleTypes[rule.type](share, {
+      key,
+      rule,
+      sales: sortedSales,
+      payouts,
+      context,
+      distribute: (sales, amount) => {
+        if (sales.length > 0) {
+          this._distributeAmongSales(sales, payouts, amount, context);
+        }
+      }
+    });
   }
   
   /**
    * Calculate payouts using Buy-to-Earn model with dual pool system
+   *
+   * The simulation runs in linear time on {@link BuyToEarnEngine}.
+   *
+   * With `data.minorUnits` set, `unitPrice` and `initialInvestment` must be integer
+   * minor units. Each sale is then split into integer creator, platform, promotion
+   * and buyers amounts, and the buyers' total is allocated across tokens with the
+   * largest remainder method, so all parties sum exactly to the collected revenue.
+   * The non-payback pool of a sale in which every token has already paid back is
+   * folded into the shared pool in this mode instead of being left undistributed.
+   *
    * @param {Object} data - Calculation data including Buy-to-Earn parameters
+   * @param {boolean} [data.minorUnits=false] - Carry all amounts as integer minor units
+   * @param {boolean} [data.includeTokenLedger=false] - Add per-token earnings (`tokens`) and per-buyer totals (`holders`)
+   * @param {Function} [data.onPayback] - Called for every token that reaches payback with
+   *   `{ tokenNumber, saleNumber, buyer, saleId, timestamp, earnings }`, where `timestamp`
+   *   is the time of the sale that paid the token back
    * @return {Object} - Calculated payouts with accrued revenue
    */
   calculateBuyToEarnPayouts(data) {
-    const { sales, unitPrice, buyToEarnParams } = data;
-    const { 
-      initialInvestment, 
-      creatorShare, 
-      platformShare, 
-      promotionShare, 
-      paybackRatio, 
-      nonPaybackPoolSharePercent,
-      specificTokenNumber = 1 
-    } = buyToEarnParams;
+    const { sales, unitPrice, buyToEarnParams, minorUnits = false, includeTokenLedger = false, onPayback } = data;
+    const { initialInvestment, paybackRatio, specificTokenNumber = 1 } = buyToEarnParams;
+    
+    if (minorUnits && (!isMinorUnitAmount(unitPrice) || !isMinorUnitAmount(initialInvestment))) {
+      throw new Error('Unit price and initial investment must be integer numbers of minor units');
+    }
     
     const totalSales = sales.length;
-    const numPrepayers = Math.ceil(initialInvestment / unitPrice);
+    const numPrepayers = this._resolveNumPrepayers(buyToEarnParams, unitPrice);
     const paybackGoal = unitPrice * paybackRatio;
-    const buyersShare = 100 - creatorShare - platformShare - promotionShare;
-    const paybackPoolSharePercent = 100 - nonPaybackPoolSharePercent;
 
     // If not enough sales to cover prepayers, return simplified results
     if (totalSales < numPrepayers) {
       return {
+        ...(includeTokenLedger ? this._buildTokenLedger(sales, null, null) : {}),
         creator: initialInvestment,
         platform: 0,
         promotion: 0,
@@ -100,99 +621,45 @@ class PayoutCalculator {
       };
     }
 
-    // Sort sales by timestamp
-    const sortedSales = [...sales].sort((a, b) => 
-      (a.timestamp && b.timestamp) ? a.timestamp - b.timestamp : 0);
-    
-    // Initialize counters and accumulators
-    let creatorRevenue = initialInvestment; // Creator gets full prepayment
-    let platformRevenue = 0;
-    let promotionRevenue = 0;
-    let totalRevenue = initialInvestment; // Start with initial investment
-    
-    // For tracking token payback status
-    let tokenEarnings = new Array(totalSales + 1).fill(0);
-    let paidBackCount = 0;
-    
-    // For tracking payback point of the specific token
+    // Track the payback point of the specific token
     let paybackPoint = null;
     let totalRevenueAtPayback = 0;
     let creatorRevenueAtPayback = 0;
     let platformRevenueAtPayback = 0;
     
-    // Simulate post-prepayment phase sale by sale
-    for (let currentSale = numPrepayers + 1; currentSale <= totalSales; currentSale++) {
-      // Update total revenue
-      totalRevenue += unitPrice;
-      
-      // Calculate shares for this sale
-      const creatorAmount = unitPrice * (creatorShare / 100);
-      const platformAmount = unitPrice * (platformShare / 100);
-      const promotionAmount = unitPrice * (promotionShare / 100);
-      const buyersAmount = unitPrice * (buyersShare / 100);
-      
-      // Update main revenue totals
-      creatorRevenue += creatorAmount;
-      platformRevenue += platformAmount;
-      promotionRevenue += promotionAmount;
-      
-      // Distribute buyers' share using dual pool system
-      const numTokensInDistribution = currentSale - 1; // All tokens sold so far
-      
-      if (numTokensInDistribution > 0) {
-        // Count tokens that haven't reached payback
-        let notPaidBackCount = 0;
-        for (let i = 1; i <= numTokensInDistribution; i++) {
-          if (tokenEarnings[i] < paybackGoal) {
-            notPaidBackCount++;
-          }
+    // Sales in token order, only needed to describe paybacks to the caller
+    let sortedSales = null;
+    
+    const engine = new BuyToEarnEngine({ ...buyToEarnParams, unitPrice, numPrepayers, minorUnits });
+    const state = engine.simulate(totalSales, {
+      onPayback: (tokenNumber, saleNumber, current) => {
+        if (tokenNumber === specificTokenNumber) {
+          paybackPoint = saleNumber;
+          totalRevenueAtPayback = current.totalRevenue;
+          creatorRevenueAtPayback = current.creatorRevenue;
+          platformRevenueAtPayback = current.platformRevenue;
         }
         
-        // Calculate the two pools
-        const nonPaybackPoolAmount = buyersAmount * (nonPaybackPoolSharePercent / 100);
-        const sharedPoolAmount = buyersAmount * (paybackPoolSharePercent / 100);
-        
-        // Calculate per-token shares
-        const nonPaybackSharePerToken = notPaidBackCount > 0 ? nonPaybackPoolAmount / notPaidBackCount : 0;
-        const sharedSharePerToken = sharedPoolAmount / numTokensInDistribution;
-        
-        // Distribute shares and track payback status
-        paidBackCount = 0;
-        for (let i = 1; i <= numTokensInDistribution; i++) {
-          const wasPaidBackBefore = tokenEarnings[i] >= paybackGoal;
-          
-          // Every token gets a share from the shared pool
-          let earning = sharedSharePerToken;
-          
-          // Tokens that haven't reached payback get an additional share
-          if (!wasPaidBackBefore) {
-            earning += nonPaybackSharePerToken;
-          }
-          
-          // Update token earnings
-          tokenEarnings[i] += earning;
-          
-          // Check if token reached payback threshold
-          if (tokenEarnings[i] >= paybackGoal) {
-            paidBackCount++;
-            
-            // Record payback point for the specific token we're tracking
-            if (i === specificTokenNumber && paybackPoint === null) {
-              paybackPoint = currentSale;
-              totalRevenueAtPayback = totalRevenue;
-              creatorRevenueAtPayback = creatorRevenue;
-              platformRevenueAtPayback = platformRevenue;
-            }
-          }
+        if (onPayback) {
+          sortedSales = sortedSales || this._sortSales(sales);
+          onPayback(this._describePayback(sortedSales, engine, current, tokenNumber, saleNumber));
         }
       }
-    }
+    });
+    
+    const {
+      creatorRevenue,
+      platformRevenue,
+      promotionRevenue,
+      paidBackCount
+    } = state;
     
     // Get earnings for the specified token
-    const buyerRevenue = specificTokenNumber <= totalSales ? tokenEarnings[specificTokenNumber] : 0;
+    const buyerRevenue = engine.getTokenEarnings(state, specificTokenNumber);
     
     // Return comprehensive results
     return {
+      ...(includeTokenLedger ? this._buildTokenLedger(sales, engine, state) : {}),
       creator: creatorRevenue,
       platform: platformRevenue,
       promotion: promotionRevenue,
@@ -208,128 +675,650 @@ class PayoutCalculator {
     };
   }
   
+  /**
+   * Start following the paybacks of a growing Buy-to-Earn sale history
+   *
+   * Simulates the given sales like calculateBuyToEarnPayouts and returns a tracker that
+   * advanceBuyToEarnPaybacks continues with later sales, so paybacks can be reported as
+   * sales arrive without simulating the earlier sales again.
+   *
+   * @param {Object} data - Calculation data as for calculateBuyToEarnPayouts (`sales`,
+   *   `unitPrice`, `buyToEarnParams`, `minorUnits`, `onPayback`)
+   * @return {Object} - Tracker `{ engine, state, sales }` with the sales in token order
+   */
+  trackBuyToEarnPaybacks({ sales, unitPrice, buyToEarnParams, minorUnits = false, onPayback }) {
+    const numPrepayers = this._resolveNumPrepayers(buyToEarnParams, unitPrice);
+    const engine = new BuyToEarnEngine({ ...buyToEarnParams, unitPrice, numPrepayers, minorUnits });
+    const tracker = { engine, state: engine.simulate(0), sales: [] };
+    
+    this.advanceBuyToEarnPaybacks(tracker, this._sortSales(sales), onPayback);
+    return tracker;
+  }
+  
+  /**
+   * Continue a payback tracker with sales added since it was last advanced
+   *
+   * The new sales must come after every tracked sale in the ordering policy; otherwise
+   * they would renumber the tokens, the tracker is left unchanged and the caller has to
+   * start a new one with trackBuyToEarnPaybacks.
+   *
+   * @param {Object} tracker - Tracker returned by trackBuyToEarnPaybacks, updated in place
+   * @param {Array<Object>} sales - New sales, in the order they were added
+   * @param {Function} [onPayback] - Called for every token that reaches payback, as in calculateBuyToEarnPayouts
+   * @return {boolean} - Whether the tracker could be advanced
+   */
+  advanceBuyToEarnPaybacks(tracker, sales, onPayback) {
+    const { engine, state } = tracker;
+    const lastSale = tracker.sales[tracker.sales.length - 1];
+    const inOrder = sales.every((sale, index) => {
+      const previous = index > 0 ? sales[index - 1] : lastSale;
+      return previous === undefined || this.compareSales(previous, sale) <= 0;
+    });
+    
+    if (!inOrder) {
+      return false;
+    }
+    
+    sales.forEach(sale => tracker.sales.push(sale));
+    engine.advance(state, tracker.sales.length, {
+      onPayback: (tokenNumber, saleNumber, current) => {
+        if (onPayback) {
+          onPayback(this._describePayback(tracker.sales, engine, current, tokenNumber, saleNumber));
+        }
+      }
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Describe a token that reached payback for the `onPayback` callbacks
+   * @param {Array} sortedSales - Sales in token order
+   * @param {BuyToEarnEngine} engine - Engine running the simulation
+   * @param {Object} state - Current simulation state
+   * @param {number} tokenNumber - 1-based number of the token
+   * @param {number} saleNumber - Sale that paid the token back
+   * @return {Object} - `{ tokenNumber, saleNumber, buyer, saleId, timestamp, earnings }`
+   * @private
+   */
+  _describePayback(sortedSales, engine, state, tokenNumber, saleNumber) {
+    const tokenSale = sortedSales[tokenNumber - 1];
+    
+    return {
+      tokenNumber,
+      saleNumber,
+      buyer: tokenSale.buyer,
+      ...(tokenSale.saleId !== undefined ? { saleId: tokenSale.saleId } : {}),
+      timestamp: sortedSales[saleNumber - 1].timestamp,
+      earnings: engine.getTokenEarnings(state, tokenNumber, saleNumber)
+    };
+  }
+  
+  /**
+   * Build the per-token earnings ledger and its aggregation by buyer
+   *
+   * Token numbers follow the sale order, so token #1 belongs to the buyer of the
+   * first sale. Without a simulation (fewer sales than prepayers) every token has
+   * earned nothing yet.
+   *
+   * @param {Array} sales - Sales data
+   * @param {BuyToEarnEngine|null} engine - Engine that ran the simulation
+   * @param {Object|null} state - Simulation state
+   * @return {Object} - `tokens` array and `holders` keyed by buyer
+   * @private
+   */
+  _buildTokenLedger(sales, engine, state) {
+    const sortedSales = this._sortSales(sales);
+    const holders = {};
+    
+    const tokens = sortedSales.map((sale, index) => {
+      const tokenNumber = index + 1;
+      const paybackSale = state ? state.paybackSales[tokenNumber] : 0;
+      const paybackSaleRecord = paybackSale > 0 ? sortedSales[paybackSale - 1] : null;
+      
+      const token = {
+        tokenNumber,
+        buyer: sale.buyer,
+        ...(sale.saleId !== undefined ? { saleId: sale.saleId } : {}),
+        earnings: engine ? engine.getTokenEarnings(state, tokenNumber) : 0,
+        paidBack: paybackSale > 0,
+        paybackSale: paybackSale > 0 ? paybackSale : null,
+        paybackTimestamp: (paybackSaleRecord && paybackSaleRecord.timestamp !== undefined)
+          ? paybackSaleRecord.timestamp
+          : null
+      };
+      
+      if (!holders[sale.buyer]) {
+        holders[sale.buyer] = { tokens: [], earnings: 0, paidBackTokens: 0 };
+      }
+      
+      const holder = holders[sale.buyer];
+      holder.tokens.push(tokenNumber);
+      holder.earnings += token.earnings;
+      if (token.paidBack) holder.paidBackTokens++;
+      
+      return token;
+    });
+    
+    return { tokens, holders };
+  }
+  
   /**
    * Estimate payback point for a specific token
+   *
+   * The estimate is derived from the dual pool mechanics by BuyToEarnEngine:
+   * in closed form when there is no non-payback pool, by simulation otherwise.
+   * Earnings only depend on the buyers share, so the creator, platform and
+   * promotion split does not need to be known.
+   *
    * @param {Object} params - Parameters for estimation
    * @param {number} params.tokenNumber - The token number to estimate for
    * @param {number} params.tokenPrice - Price per token
    * @param {number} params.paybackRatio - The target payback multiplier
-   * @param {number} params.nonPaybackPoolPercent - Priority percentage for tokens that haven't reached payback
+   * @param {number} params.nonPaybackPoolPercent - Priority percentage for tokens that haven't reached payback (0-1)
    * @param {number} params.buyersShare - Share percentage allocated to buyers (0-1)
-   * @return {Object} - Estimation results including paybackSale and ROI
+   * @param {number} [params.initialInvestment=0] - Initial investment covered by the prepayers
+   * @param {number} [params.numPrepayers] - Number of prepayer tokens (defaults to initialInvestment / tokenPrice rounded up)
+   * @param {Array<number>} [params.projectAt=[]] - Sale numbers to project the token's earnings at
+   * @param {number} [params.maxSimulatedSales] - Maximum number of sales to simulate
+   * @return {Object} - Estimation results including paybackSale, ROI, bounds and projections
    */
-  estimateTokenPayback({ tokenNumber, tokenPrice, paybackRatio, nonPaybackPoolPercent, buyersShare }) {
-    const goal = tokenPrice * paybackRatio;
+  estimateTokenPayback({
+    tokenNumber,
+    tokenPrice,
+    paybackRatio,
+    nonPaybackPoolPercent,
+    buyersShare,
+    initialInvestment = 0,
+    numPrepayers,
+    projectAt,
+    maxSimulatedSales
+  }) {
+    if (!(tokenPrice > 0)) {
+      throw new Error('Token price must be a positive number');
+    }
     
-    // Factors affecting payback speed
-    const baseMultiplier = 1000; 
-    const priorityFactor = nonPaybackPoolPercent;
+    const engine = new BuyToEarnEngine({
+      unitPrice: tokenPrice,
+      initialInvestment,
+      creatorShare: 100 - buyersShare * 100,
+      platformShare: 0,
+      promotionShare: 0,
+      paybackRatio,
+      nonPaybackPoolSharePercent: nonPaybackPoolPercent * 100,
+      numPrepayers
+    });
     
-    // Token position factor based on token number
-    let tokenPositionFactor;
+    return engine.estimatePayback(tokenNumber, { projectAt, maxSimulatedSales });
+  }
+  
+  /**
+   * Calculate the payback curve of a Buy-to-Earn configuration
+   *
+   * Sales are projected at the unit price. The series starts at the end of the
+   * prepayment phase and then has one milestone every `sampleEvery` sales plus
+   * one for the last sale; revenue figures are cumulative.
+   *
+   * @param {Object} data - Projection data
+   * @param {number} data.totalSales - Number of sales to project, prepayers included
+   * @param {number} data.unitPrice - Price per token
+   * @param {Object} data.buyToEarnParams - Buy-to-Earn parameters, as for calculateBuyToEarnPayouts
+   * @param {number} [data.sampleEvery=1] - Sales between two milestones
+   * @param {Array<number>} [data.tokenPositions=[]] - Token numbers whose earnings are reported at every milestone
+   * @return {Object} - Payback goal, prepayers count and the milestones
+   */
+  calculatePaybackCurve({ totalSales, unitPrice, buyToEarnParams, sampleEvery = 1, tokenPositions = [] }) {
+    if (!Number.isInteger(totalSales) || totalSales < 0) {
+      throw new Error('Total sales must be a non-negative integer');
+    }
     
-    if (tokenNumber <= 100) {
-      // Early tokens (1-100)
-      tokenPositionFactor = 0.8 + (tokenNumber / 500);
-    } else if (tokenNumber <= 500) {
-      // Mid-range tokens (101-500)
-      tokenPositionFactor = 1.0 + Math.log10(tokenNumber / 100) * 0.5;
-    } else {
-      // Late tokens (501+)
-      const lateTokenBase = 1.2 + Math.log10(tokenNumber / 500) * 0.3;
-      
-      if (nonPaybackPoolPercent >= 0.9) {
-        // With very high non-payback priority, late tokens reach payback faster
-        tokenPositionFactor = lateTokenBase * 0.8;
-      } else if (nonPaybackPoolPercent >= 0.7) {
-        // With medium priority
-        tokenPositionFactor = lateTokenBase * 0.9;
-      } else {
-        // With low priority, late tokens take longer
-        tokenPositionFactor = lateTokenBase * 1.1;
-      }
+    if (!Number.isInteger(sampleEvery) || sampleEvery < 1) {
+      throw new Error('Sample interval must be a positive integer');
     }
     
-    // Calculate estimated sales needed for payback
-    let paybackSale = Math.round(
-      baseMultiplier * 
-      paybackRatio * 
-      (1 / buyersShare) * // Lower buyer share means more sales needed
-      (1 / priorityFactor) * // Higher priority means fewer sales needed
-      tokenPositionFactor // Position factor affects speed
-    );
+    const numPrepayers = this._resolveNumPrepayers(buyToEarnParams, unitPrice);
+    const engine = new BuyToEarnEngine({ ...buyToEarnParams, unitPrice, numPrepayers });
+    const milestones = [];
+    
+    const addMilestone = (sale, state) => {
+      milestones.push({
+        sale,
+        paidBackCount: state.paidBackCount,
+        totalRevenue: state.totalRevenue,
+        creatorRevenue: state.creatorRevenue,
+        platformRevenue: state.platformRevenue,
+        promotionRevenue: state.promotionRevenue,
+        tokenEarnings: tokenPositions.reduce((earnings, tokenNumber) => {
+          earnings[tokenNumber] = engine.getTokenEarnings(state, tokenNumber, sale);
+          return earnings;
+        }, {})
+      });
+    };
     
-    // Adjust for distribution strategy
-    if (nonPaybackPoolPercent >= 0.7) {
-      // With high priority, mid-range tokens take longer than late tokens
-      if (tokenNumber > 100 && tokenNumber <= 500) {
-        paybackSale *= 1.1;
+    if (totalSales >= numPrepayers) {
+      // State right after the prepayers covered the initial investment
+      if (numPrepayers > 0) {
+        addMilestone(numPrepayers, engine.simulate(numPrepayers));
       }
+      
+      engine.simulate(totalSales, {
+        onSale: (sale, state) => {
+          if (sale % sampleEvery === 0 || sale === totalSales) {
+            addMilestone(sale, state);
+          }
+        }
+      });
     }
     
-    // Adjust for edge cases
-    if (nonPaybackPoolPercent <= 0.4 && tokenNumber > 500) {
-      // With very low priority, late tokens take much longer
-      paybackSale *= 1.15;
-    }
+    return {
+      paybackGoal: engine.paybackGoal,
+      prepayersCount: numPrepayers,
+      milestones
+    };
+  }
+  
+  /**
+   * Get the number of prepayer tokens of a Buy-to-Earn configuration
+   * @param {Object} buyToEarnParams - Buy-to-Earn parameters
+   * @param {number} unitPrice - Price per token
+   * @return {number} - Explicit `numPrepayers`, or the initial investment divided by the unit price rounded up
+   * @private
+   */
+  _resolveNumPrepayers(buyToEarnParams, unitPrice) {
+    return buyToEarnParams.numPrepayers !== undefined
+      ? buyToEarnParams.numPrepayers
+      : Math.ceil(buyToEarnParams.initialInvestment / unitPrice);
+  }
+  
+  /**
+   * Sort sales by the ordering policy without modifying the input
+   * @param {Array} sales - Sales data
+   * @return {Array} - Sorted copy of the sales
+   * @private
+   */
+  _sortSales(sales) {
+    return [...sales].sort(this.compareSales);
+  }
+  
+  /**
+   * List the sales and buyers that fall into every buyer group of a scheme
+   *
+   * Covers group rules (`count`, `from`/`to`, optionally `fromEnd`), `allBuyers` and `buyers*` keys.
+   * Positions are 1-based in the order given by the ordering policy. With per-buyer counting
+   * every buyer holds one position, listed with the sale that earned it.
+   *
+   * @param {Object} scheme - Revenue sharing scheme
+   * @param {Array} sales - Sales data
+   * @param {Object} [options] - Group options
+   * @param {string} [options.groupCounting='sale'] - Whether positions count sales ('sale') or distinct buyers ('buyer')
+   * @return {Object} - `{ [ruleKey]: { buyers, sales } }` where `buyers` are the distinct buyers
+   *   in order and `sales` are `{ position, buyer, saleId }` entries, plus the qualifying `units`
+   *   for rules with `maxUnitsPerBuyer`
+   */
+  getGroupMembers(scheme, sales, { groupCounting = 'sale' } = {}) {
+    const sortedSales = this._sortSales(sales);
+    const groups = {};
+    
+    Object.entries(scheme).forEach(([key, rule]) => {
+      // A rule without a percentage or schedule is only paid from the remainder
+      const target = this._resolveRuleTarget(key, rule, !('percentage' in rule || isScheduledRule(rule)));
+      if (target !== 'group' && target !== 'allBuyers') return;
+      
+      const members = this._selectGroup(target, rule, sortedSales, { groupCounting });
+      const capped = rule.maxUnitsPerBuyer !== undefined;
+      
+      groups[key] = {
+        buyers: [...new Set(members.map(member => member.buyer))],
+        sales: members.map(({ position, buyer, sale, units }) => ({
+          position,
+          buyer,
+          ...(sale.saleId !== undefined ? { saleId: sale.saleId } : {}),
+          ...(capped ? { units } : {})
+        }))
+      };
+    });
     
-    // Ensure minimum realistic payback sale number
-    paybackSale = Math.max(paybackSale, tokenNumber + 100);
+    return groups;
+  }
+  
+  /**
+   * Explain how a buyer's payout comes about, rule by rule
+   *
+   * For every scheme rule the explanation tells whether the buyer qualified (one of
+   * their sales falls into the rule's buyer group, or they received part of a typed
+   * rule), the positions of those sales, the range of positions the group covers,
+   * the part of the rule the buyer received (`share`) and the rule's total (`pool`).
+   * Stakeholder and party rules never qualify a buyer.
+   *
+   * @param {Object} data - Calculation data, as for calculate
+   * @param {string} buyer - Buyer identifier
+   * @return {Object} - `{ buyer, positions, total, rules: { [ruleKey]: explanation } }`, where
+   *   `positions` are the 1-based positions of all the buyer's sales in sale order
+   */
+  explainPayout(data, buyer) {
+    const allocations = {};
+    const payouts = this.calculate({
+      ...data,
+      onRuleAllocated: ({ key, pool, buyers }) => {
+        // Remainder that no rule claims
+        if (key === null) return;
+        
+        // A rule with both a percentage and the remainder flag is applied twice
+        const allocation = allocations[key] || (allocations[key] = { pool: 0, buyers: {} });
+        allocation.pool += pool;
+        Object.entries(buyers).forEach(([id, amount]) => {
+          allocation.buyers[id] = (allocation.buyers[id] || 0) + amount;
+        });
+      }
+    });
+    const groups = this.getGroupMembers(data.scheme, data.sales, { groupCounting: data.groupCounting });
+    const positions = [];
     
-    // Calculate estimated ROI at payback
-    const accumulatedEarnings = goal; // Assuming token reaches exact goal
-    const roi = ((accumulatedEarnings / tokenPrice) * 100 - 100).toFixed(2);
+    this._sortSales(data.sales).forEach((sale, index) => {
+      if (sale.buyer === buyer) positions.push(index + 1);
+    });
+    
+    const rules = {};
+    
+    Object.entries(data.scheme).forEach(([key, rule]) => {
+      const fromRemainder = !('percentage' in rule || isScheduledRule(rule));
+      const target = this._resolveRuleTarget(key, rule, fromRemainder);
+      const allocation = allocations[key];
+      const share = (allocation && allocation.buyers[buyer]) || 0;
+      const group = groups[key];
+      const groupSales = group ? group.sales : [];
+      const groupPositions = groupSales
+        .filter(sale => sale.buyer === buyer)
+        .map(sale => sale.position);
+      
+      rules[key] = {
+        target,
+        fromRemainder,
+        qualified: target === 'typed' ? share !== 0 : groupPositions.length > 0,
+        positions: groupPositions,
+        range: groupSales.length > 0
+          ? { from: groupSales[0].position, to: groupSales[groupSales.length - 1].position }
+          : null,
+        share,
+        pool: allocation ? allocation.pool : 0
+      };
+    });
     
     return {
-      paybackSale,
-      accumulatedEarnings,
-      roi
+      buyer,
+      positions,
+      total: payouts.buyers[buyer] || 0,
+      rules
     };
   }
   
   /**
-   * Process fixed percentage allocations
-   * @param {Object} scheme - Revenue sharing scheme
+   * Resolve who receives the share of a rule
+   *
+   * Percentage shares check for a buyer group (`count`, `from` or `to`) before the
+   * `allBuyers`/`buyers*` keys; remainder shares check the keys first.
+   *
+   * @param {string} key - Scheme key of the rule
+   * @param {Object} rule - Scheme rule
+   * @param {boolean} fromRemainder - Whether the share comes from the remainder
+   * @return {string|null} - 'party', 'typed', 'author', 'platform', 'promotion', 'group', 'allBuyers',
+   *   or null if the rule pays nobody
+   * @private
+   */
+  _resolveRuleTarget(key, rule, fromRemainder) {
+    if (isPartyRule(rule)) return 'party';
+    if (rule.type !== undefined) return 'typed';
+    if (STAKEHOLDER_KEYS.includes(key)) return key;
+    
+    const isAllBuyers = key === 'allBuyers' || key.startsWith('buyers');
+    
+    if (isAllBuyers && (fromRemainder || !isGroupRule(rule))) return 'allBuyers';
+    if (isGroupRule(rule)) return 'group';
+    return null;
+  }
+  
+  /**
+   * Select the members of a buyer group
+   *
+   * Positions are counted over sales, or over distinct buyers with per-buyer counting
+   * (`groupCounting: 'buyer'`), where a buyer takes the position of their first sale
+   * (their latest sale with `fromEnd`). With `maxUnitsPerBuyer`, units of a buyer beyond
+   * the cap do not qualify: a sale without qualifying units takes no position, so the
+   * next buyers move up.
+   *
+   * @param {string} target - 'group' or 'allBuyers'
+   * @param {Object} rule - Scheme rule
    * @param {Array} sortedSales - Sorted sales data
-   * @param {Object} payouts - Payouts object to populate
-   * @param {number} totalRevenue - Total revenue
+   * @param {Object} [context] - Calculation settings (groupCounting)
+   * @return {Array<Object>} - Members in sale order, as `{ position, rank, buyer, sale, sales, units }`:
+   *   `position` is 1-based from the first counted position, `rank` is 0-based from the start of the
+   *   range in counting direction, `sale` is the sale holding the position and `units` the units that qualify
    * @private
    */
-  _processFixedPercentages(scheme, sortedSales, payouts, totalRevenue) {
-    for (const [key, rule] of Object.entries(scheme)) {
-      // Skip rules without percentage
-      if (!('percentage' in rule)) continue;
+  _selectGroup(target, rule, sortedSales, context = {}) {
+    const entries = this._getCountedPositions(rule, sortedSales, context);
+    const { from, to } = target === 'allBuyers' ? { from: 1, to: Infinity } : getGroupRange(rule);
+    const last = Math.min(to, entries.length);
+    const members = [];
+    
+    for (let index = from - 1; index < last; index++) {
+      members.push({
+        ...entries[index],
+        position: rule.fromEnd ? entries.length - index : index + 1,
+        rank: index - (from - 1)
+      });
+    }
+    
+    return rule.fromEnd ? members.reverse() : members;
+  }
+  
+  /**
+   * List the positions a group rule counts, in counting direction (from the latest sale with `fromEnd`)
+   * @param {Object} rule - Scheme rule
+   * @param {Array} sortedSales - Sorted sales data
+   * @param {Object} context - Calculation settings (groupCounting)
+   * @return {Array<Object>} - `{ buyer, sale, sales, units }` per position
+   * @private
+   */
+  _getCountedPositions(rule, sortedSales, context) {
+    const perBuyer = (rule.groupCounting || context.groupCounting || 'sale') === 'buyer';
+    const cap = rule.maxUnitsPerBuyer !== undefined ? rule.maxUnitsPerBuyer : Infinity;
+    const ordered = rule.fromEnd ? [...sortedSales].reverse() : sortedSales;
+    const entries = [];
+    
+    if (perBuyer) {
+      const byBuyer = new Map();
+      
+      ordered.forEach(sale => {
+        let entry = byBuyer.get(sale.buyer);
+        if (!entry) {
+          entry = { buyer: sale.buyer, sale, sales: [], units: 0 };
+          byBuyer.set(sale.buyer, entry);
+          entries.push(entry);
+        }
+        entry.sales.push(sale);
+        entry.units = Math.min(cap, entry.units + getSaleQuantity(sale));
+      });
       
-      const share = (totalRevenue * rule.percentage) / 100;
+      return entries;
+    }
+    
+    // Units each buyer has already qualified with
+    const qualified = cap === Infinity ? null : new Map();
+    
+    ordered.forEach(sale => {
+      let units = getSaleQuantity(sale);
       
-      if (key === 'author') {
-        payouts.author += share;
-      } else if (key === 'platform') {
-        payouts.platform += share;
-      } else if (key === 'promotion') {
-        // Add support for promotion share
+      if (qualified) {
+        const used = qualified.get(sale.buyer) || 0;
+        if (used >= cap) return;
+        units = Math.min(units, cap - used);
+        qualified.set(sale.buyer, used + units);
+      }
+      
+      entries.push({ buyer: sale.buyer, sale, sales: [sale], units });
+    });
+    
+    return entries;
+  }
+  
+  /**
+   * Get the position weights of the members of a group
+   * @param {Object} rule - Scheme rule
+   * @param {Array<Object>} members - Members returned by _selectGroup
+   * @return {Array<number>|null} - Weight per member, or null when all positions weigh the same
+   * @private
+   */
+  _getPositionWeights(rule, members) {
+    if (!rule.weighting || rule.weighting === 'equal') {
+      return null;
+    }
+    
+    const { from, to } = isGroupRule(rule) ? getGroupRange(rule) : { from: 1, to: Infinity };
+    const size = to === Infinity ? members.length : to - from + 1;
+    
+    return members.map(member => getPositionWeight(rule, member.rank, size));
+  }
+  
+  /**
+   * Get the calculation settings of a rule, applying its own allocation basis
+   * @param {Object} rule - Scheme rule
+   * @param {Object} context - Calculation settings
+   * @return {Object} - Settings for the rule
+   * @private
+   */
+  _getRuleContext(rule, context) {
+    return rule.allocationBasis ? { ...context, allocationBasis: rule.allocationBasis } : context;
+  }
+  
+  /**
+   * Allocate a rule's share to the payee resolved by _resolveRuleTarget
+   * @param {string|null} target - Rule target
+   * @param {string} key - Scheme key of the rule
+   * @param {Object} rule - Scheme rule
+   * @param {Array} sortedSales - Sorted sales data
+   * @param {Object} payouts - Payouts object to populate
+   * @param {number} share - Amount allocated to the rule
+   * @param {Object} context - Calculation settings (minorUnits, allocationBasis, unitPrice, onRuleAllocated)
+   * @param {boolean} fromRemainder - Whether the share comes from the remainder
+   * @private
+   */
+  _allocateRuleShare(target, key, rule, sortedSales, payouts, share, context, fromRemainder) {
+    // Amounts before the rule, to report what the rule added
+    const before = context.onRuleAllocated ? this._copyPayouts(payouts) : null;
+    
+    switch (target) {
+      case 'party':
+        payouts.parties[key] += share;
+        break;
+      case 'typed':
+        this._processTypedRule(key, rule, sortedSales, payouts, share, context);
+        break;
+      case 'author':
+      case 'platform':
+        payouts[target] += share;
+        break;
+      case 'promotion':
         if (!payouts.promotion) payouts.promotion = 0;
         payouts.promotion += share;
-      } else if (rule.count) {
-        // Handle buyer group rules
-        this._processGroupAllocation(rule, sortedSales, payouts, share);
-      } else if (key === 'allBuyers' || key.startsWith('buyers')) {
-        // Handle allocation to all buyers
-        this._processAllBuyersAllocation(sortedSales, payouts, share);
-      }
+        break;
+      case 'group':
+        this._processGroupAllocation(rule, sortedSales, payouts, share, context);
+        break;
+      case 'allBuyers':
+        this._processAllBuyersAllocation(sortedSales, payouts, share, context, rule);
+        break;
+      default:
+        // Rule that pays nobody
+        break;
+    }
+    
+    if (before) {
+      context.onRuleAllocated({ key, target, fromRemainder, pool: share, ...this._diffPayouts(before, payouts) });
     }
   }
   
   /**
-   * Calculate total allocated percentage
+   * Compute what every payee received between two states of the payouts
+   * @param {Object} before - Earlier copy of the payouts
+   * @param {Object} after - Current payouts
+   * @return {Object} - `{ payees, buyers }` with the non-zero differences of the stakeholder
+   *   roles and named parties, and of the buyers
+   * @private
+   */
+  _diffPayouts(before, after) {
+    const payees = {};
+    const buyers = {};
+    
+    Object.entries(after).forEach(([payee, amount]) => {
+      if (typeof amount !== 'number') return;
+      const received = amount - (before[payee] || 0);
+      if (received !== 0) payees[payee] = received;
+    });
+    
+    Object.entries(after.parties || {}).forEach(([party, amount]) => {
+      const received = amount - (before.parties[party] || 0);
+      if (received !== 0) payees[party] = received;
+    });
+    
+    Object.entries(after.buyers).forEach(([buyer, amount]) => {
+      const received = amount - (before.buyers[buyer] || 0);
+      if (received !== 0) buyers[buyer] = received;
+    });
+    
+    return { payees, buyers };
+  }
+  
+  /**
+   * Split total revenue into the share of each percentage rule and the remainder
+   *
+   * Scheduled rules are first resolved to the percentage they earn over the sales (see
+   * ScheduleUtils.resolveSchedules). Percentages and remainder weights are then resolved
+   * by ShareUtils.planShares, the same implementation SchemeValidator checks schemes with.
+   * In minor-unit mode the shares are integers that sum to `totalRevenue` (see ShareUtils.allocateShares).
+   *
+   * @param {Object} scheme - Revenue sharing scheme
+   * @param {number} totalRevenue - Total revenue
+   * @param {Object} context - Calculation settings (minorUnits, unitPrice, percentageOverflow, allowRemainderOverride)
+   * @param {Array} [sortedSales=[]] - Sorted sales data, for the volume of scheduled rules
+   * @return {Object} - `{ shares, remainder, remainderRules, remainderShares, schedules }`: shares keyed by
+   *   rule, the remainder amount, the `[key, weight]` and share of every remainder rule, and the
+   *   measured brackets of every scheduled rule
+   * @private
+   */
+  _calculateRuleShares(scheme, totalRevenue, context, sortedSales = []) {
+    const { minorUnits, unitPrice, percentageOverflow, allowRemainderOverride } = context;
+    const { scheme: resolvedScheme, schedules } = resolveSchedules(scheme, sortedSales, unitPrice);
+    const plan = planShares(resolvedScheme, { percentageOverflow, allowRemainderOverride });
+    
+    if (plan.errors.length > 0) {
+      throw new Error(plan.errors[0]);
+    }
+    
+    return {
+      ...allocateShares(plan, totalRevenue, minorUnits),
+      remainderRules: plan.remainderRules,
+      schedules
+    };
+  }
+  
+  /**
+   * Process fixed percentage allocations
    * @param {Object} scheme - Revenue sharing scheme
-   * @return {number} - Sum of all percentage allocations
+   * @param {Array} sortedSales - Sorted sales data
+   * @param {Object} payouts - Payouts object to populate
+   * @param {Object} shares - Share of each percentage or scheduled rule, keyed by rule
+   * @param {Object} [context] - Calculation settings (minorUnits, allocationBasis, unitPrice)
    * @private
    */
-  _calculateAllocatedPercentage(scheme) {
-    return Object.values(scheme)
-      .filter(rule => 'percentage' in rule)
-      .reduce((total, rule) => total + rule.percentage, 0);
+  _processFixedPercentages(scheme, sortedSales, payouts, shares, context = {}) {
+    for (const [key, rule] of Object.entries(scheme)) {
+      // Skip rules without percentage or schedule
+      if (!(key in shares)) continue;
+      
+      const target = this._resolveRuleTarget(key, rule, false);
+      this._allocateRuleShare(target, key, rule, sortedSales, payouts, shares[key], context, false);
+    }
   }
   
   /**
@@ -337,45 +1326,37 @@ class PayoutCalculator {
    * @param {Object} scheme - Revenue sharing scheme
    * @param {Array} sortedSales - Sorted sales data
    * @param {Object} payouts - Payouts object to populate
-   * @param {number} totalRevenue - Total revenue
-   * @param {number} totalAllocatedPercentage - Sum of all percentage allocations
+   * @param {Object} allocation - Remainder amount, remainder rules and their shares (see _calculateRuleShares)
+   * @param {Object} [context] - Calculation settings (minorUnits, allocationBasis, unitPrice)
    * @private
    */
-  _processRemainder(scheme, sortedSales, payouts, totalRevenue, totalAllocatedPercentage) {
-    // Calculate remainder
-    const remainder = totalRevenue * (1 - totalAllocatedPercentage / 100);
-    
+  _processRemainder(scheme, sortedSales, payouts, { remainder, remainderRules, remainderShares }, context = {}) {
     // Skip if no remainder
     if (remainder <= 0) return;
     
-    // Find rules with remainder flag
-    const remainderRules = Object.entries(scheme).filter(([_, rule]) => rule.remainder);
-    
     // If no explicit remainder rules, add remainder to author
     if (remainderRules.length === 0 && 'author' in scheme) {
       payouts.author += remainder;
+      
+      if (context.onRuleAllocated) {
+        context.onRuleAllocated({
+          key: null,
+          target: 'author',
+          fromRemainder: true,
+          pool: remainder,
+          payees: { author: remainder },
+          buyers: {}
+        });
+      }
       return;
     }
     
-    // Разделить остаток между всеми правилами с remainder: true
-    const sharePerRule = remainder / remainderRules.length;
-    
-    // Process each remainder rule with its share of the remainder
-    for (const [key, rule] of remainderRules) {
-      if (key === 'author') {
-        payouts.author += sharePerRule;
-      } else if (key === 'platform') {
-        payouts.platform += sharePerRule;
-      } else if (key === 'promotion') {
-        if (!payouts.promotion) payouts.promotion = 0;
-        payouts.promotion += sharePerRule;
-      } else if (key === 'allBuyers' || key.startsWith('buyers')) {
-        this._processAllBuyersAllocation(sortedSales, payouts, sharePerRule);
-      } else if (rule.count) {
-        // Handle buyer group rules
-        this._processGroupAllocation(rule, sortedSales, payouts, sharePerRule);
-      }
-    }
+    // The remainder is shared among the remainder rules in proportion to their weights
+    remainderRules.forEach(([key], index) => {
+      const rule = scheme[key];
+      const target = this._resolveRuleTarget(key, rule, true);
+      this._allocateRuleShare(target, key, rule, sortedSales, payouts, remainderShares[index], context, true);
+    });
   }
   
   /**
@@ -384,32 +1365,22 @@ class PayoutCalculator {
    * @param {Array} sortedSales - Sorted sales data
    * @param {Object} payouts - Payouts object to populate
    * @param {number} share - Total share to allocate
+   * @param {Object} [context] - Calculation settings (minorUnits, allocationBasis, unitPrice)
    * @private
    */
-  _processGroupAllocation(rule, sortedSales, payouts, share) {
-    let group;
-    
-    // Extract the relevant group based on rule
-    if (rule.fromEnd) {
-      // Get last N buyers
-      group = sortedSales.slice(-rule.count);
-    } else {
-      // Get first N buyers
-      group = sortedSales.slice(0, rule.count);
-    }
-    
-    const groupSize = Math.min(group.length, rule.count);
+  _processGroupAllocation(rule, sortedSales, payouts, share, context = {}) {
+    const members = this._selectGroup('group', rule, sortedSales, context);
     
     // Skip if group is empty
-    if (groupSize <= 0) return;
-    
-    // Calculate individual share
-    const individualShare = share / groupSize;
+    if (members.length <= 0) return;
     
-    // Distribute share to each buyer in the group
-    group.forEach(sale => {
-      payouts.buyers[sale.buyer] += individualShare;
-    });
+    this._distributeAmongMembers(
+      members,
+      payouts,
+      share,
+      this._getRuleContext(rule, context),
+      this._getPositionWeights(rule, members)
+    );
   }
   
   /**
@@ -417,21 +1388,108 @@ class PayoutCalculator {
    * @param {Array} sortedSales - Sorted sales data
    * @param {Object} payouts - Payouts object to populate
    * @param {number} share - Total share to allocate
+   * @param {Object} [context] - Calculation settings (minorUnits, allocationBasis, unitPrice)
+   * @param {Object} [rule={}] - Scheme rule, for its weighting and allocation basis
    * @private
    */
-  _processAllBuyersAllocation(sortedSales, payouts, share) {
+  _processAllBuyersAllocation(sortedSales, payouts, share, context = {}, rule = {}) {
     // Skip if no sales
     if (sortedSales.length <= 0) return;
     
-    // Calculate individual share
-    const individualShare = share / sortedSales.length;
+    const members = this._selectGroup('allBuyers', rule, sortedSales, context);
     
-    // Distribute share to each buyer
-    sortedSales.forEach(sale => {
-      payouts.buyers[sale.buyer] += individualShare;
+    this._distributeAmongMembers(
+      members,
+      payouts,
+      share,
+      this._getRuleContext(rule, context),
+      this._getPositionWeights(rule, members)
+    );
+  }
+  
+  /**
+   * Distribute a share among the buyers of the given sales, weighted by the allocation basis
+   * @param {Array} sales - Non-empty list of sales sharing the amount
+   * @param {Object} payouts - Payouts object to populate
+   * @param {number} share - Total share to distribute
+   * @param {Object} context - Calculation settings (minorUnits, allocationBasis, unitPrice)
+   * @private
+   */
+  _distributeAmongSales(sales, payouts, share, context) {
+    const members = sales.map(sale => ({ buyer: sale.buyer, sale, sales: [sale], units: getSaleQuantity(sale) }));
+    this._distributeAmongMembers(members, payouts, share, context);
+  }
+  
+  /**
+   * Distribute a share among group members, weighted by the allocation basis and position
+   *
+   * A member weighs 1 with the `sale` basis, its qualifying units with the `unit` basis and
+   * the revenue of its qualifying units with the `amount` basis. The part of every member
+   * is credited to the sale holding its position when a breakdown is requested. When all
+   * members weigh 0 the share goes to the author instead of being lost.
+   *
+   * @param {Array<Object>} members - Non-empty list of members sharing the amount (see _selectGroup)
+   * @param {Object} payouts - Payouts object to populate
+   * @param {number} share - Total share to distribute
+   * @param {Object} context - Calculation settings (minorUnits, allocationBasis, unitPrice, saleEarnings)
+   * @param {Array<number>|null} [positionWeights=null] - Weight of every member's position, multiplied
+   *   with its allocation basis weight
+   * @private
+   */
+  _distributeAmongMembers(members, payouts, share, context, positionWeights = null) {
+    const { minorUnits = false, allocationBasis = 'sale', unitPrice, saleEarnings } = context;
+    const weights = members.map((member, index) => this._getMemberWeight(member, allocationBasis, unitPrice) *
+      (positionWeights ? positionWeights[index] : 1));
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+    let parts;
+    
+    // Nothing to weight the share by (e.g. only free sales with the amount basis):
+    // the share goes to the author, like a remainder no rule claims
+    if (!(totalWeight > 0)) {
+      payouts.author += share;
+      return;
+    }
+    
+    if (minorUnits) {
+      // Earlier sales receive the leftover units first
+      parts = allocateLargestRemainder(share, weights);
+    } else {
+      // Distribute share to each buyer proportionally to its weight
+      parts = weights.map(weight => (share * weight) / totalWeight);
+    }
+    
+    members.forEach((member, index) => {
+      payouts.buyers[member.buyer] += parts[index];
+      
+      if (saleEarnings) {
+        saleEarnings.set(member.sale, (saleEarnings.get(member.sale) || 0) + parts[index]);
+      }
     });
   }
   
+  /**
+   * Get the allocation basis weight of a group member
+   * @param {Object} member - Group member
+   * @param {string} basis - Allocation basis, one of ALLOCATION_BASES
+   * @param {number} unitPrice - Default price per unit
+   * @return {number} - Weight of the member
+   * @private
+   */
+  _getMemberWeight(member, basis, unitPrice) {
+    if (basis === 'sale') {
+      return 1;
+    }
+    
+    if (basis === 'unit') {
+      return member.units;
+    }
+    
+    // Revenue of the qualifying units only
+    const revenue = member.sales.reduce((total, sale) => total + getSaleWeight(sale, 'amount', unitPrice), 0);
+    const units = member.sales.reduce((total, sale) => total + getSaleQuantity(sale), 0);
+    return member.units === units ? revenue : (revenue * member.units) / units;
+  }
+  
   /**
    * Generate a custom calculation function for complex scenarios
    * @param {Function} calculationFn - Custom calculation function
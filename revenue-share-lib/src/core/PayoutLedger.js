@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Ledger of executed payouts used to track settled and unsettled balances
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { deepClone } from '../utils/MathUtils';
+import { combinePayeeAmounts } from '../utils/PayeeUtils';
+
+/**
+ * Records every payout actually made to a payee.
+ *
+ * A payee is either a stakeholder role (`author`, `platform`, `promotion`, `creator`)
+ * or a buyer, recorded as `payee: 'buyers'` with the buyer id in `buyer`, the same
+ * path under which the buyer appears in calculatePayouts results. Amounts are in the
+ * unit of the payouts (minor units when `useMinorUnits` is enabled); a negative
+ * amount records money recovered from the payee.
+ */
+class PayoutLedger {
+  /**
+   * Create a ledger, optionally restoring entries of an earlier export
+   * @param {Array<Object>} [entries=[]] - Entries returned by getEntries
+   */
+  constructor(entries = []) {
+    if (!Array.isArray(entries)) {
+      throw new Error('Ledger entries must be an array');
+    }
+
+    this.entries = [];
+    entries.forEach(entry => this.record(entry));
+  }
+
+  /**
+   * Record an executed payout
+   * @param {Object} payout - Payout details
+   * @param {string} payout.payee - Role of the payee, or 'buyers' for a buyer
+   * @param {string} [payout.buyer] - Buyer id (required when payee is 'buyers')
+   * @param {number} payout.amount - Amount paid
+   * @param {Object} [payout.period] - Period the payout settles, `{ from, to }`
+   * @param {string} [payout.reference] - Caller reference, e.g. a bank transfer id
+   * @param {number} [payout.timestamp=Date.now()] - When the payout was made
+   * @return {Object} - Copy of the recorded entry, with its entryNumber
+   */
+  record({ payee, buyer, amount, period = null, reference = null, timestamp = Date.now() }) {
+    if (typeof payee !== 'string' || !payee) {
+      throw new Error('Payout payee must be a non-empty string');
+    }
+
+    if (payee === 'buyers' && (typeof buyer !== 'string' || !buyer)) {
+      throw new Error('Buyer payouts must name the buyer');
+    }
+
+    if (typeof amount !== 'number' || !isFinite(amount)) {
+      throw new Error('Payout amount must be a finite number');
+    }
+
+    const entry = {
+      entryNumber: this.entries.length + 1,
+      payee,
+      ...(payee === 'buyers' ? { buyer } : {}),
+      amount,
+      period: period ? { from: period.from, to: period.to } : null,
+      reference,
+      timestamp
+    };
+
+    this.entries.push(entry);
+    return deepClone(entry);
+  }
+
+  /**
+   * Get recorded entries, optionally filtered
+   * @param {Object} [filter] - Entry fields to match, e.g. `{ payee: 'buyers', buyer: 'bob' }`
+   * @return {Array<Object>} - Copies of the matching entries, oldest first
+   */
+  getEntries(filter = {}) {
+    const matches = this.entries.filter(entry =>
+      Object.entries(filter).every(([field, value]) => entry[field] === value)
+    );
+
+    return deepClone(matches);
+  }
+
+  /**
+   * Sum the payouts recorded for every payee
+   * @return {Object} - `{ [role]: amount, buyers: { [buyer]: amount } }`
+   */
+  getPaidAmounts() {
+    const paid = { buyers: {} };
+
+    this.entries.forEach(({ payee, buyer, amount }) => {
+      if (payee === 'buyers') {
+        paid.buyers[buyer] = (paid.buyers[buyer] || 0) + amount;
+      } else {
+        paid[payee] = (paid[payee] || 0) + amount;
+      }
+    });
+
+    return paid;
+  }
+
+  /**
+   * Compare earnings with recorded payouts
+   * @param {Object} earned - Lifetime earnings per payee (see PayeeUtils.getPayeeAmounts)
+   * @param {Function} [normalize] - Applied to the paid and owed amounts, e.g. rounding to cents
+   * @return {Object} - `{ [role]: balance, buyers: { [buyer]: balance } }` with
+   *   `{ earned, paid, owed }` balances; owed is negative when a payee was overpaid
+   */
+  getBalances(earned, normalize = amount => amount) {
+    return combinePayeeAmounts([earned, this.getPaidAmounts()], ([earnedAmount = 0, paidAmount = 0]) => ({
+      earned: earnedAmount,
+      paid: normalize(paidAmount),
+      owed: normalize(earnedAmount - paidAmount)
+    }));
+  }
+}
+
+export default PayoutLedger;
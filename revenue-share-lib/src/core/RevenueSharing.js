@@ -6,12 +6,49 @@
 
 import SchemeValidator from './SchemeValidator';
 import PayoutCalculator from './PayoutCalculator';
+import EventEmitter from './EventEmitter';
+import PayoutLedger from './PayoutLedger';
+import IncrementalCalculator from './IncrementalCalculator';
+import { createFeePlugin, validateFeeModels } from '../plugins/FeePlugin';
 import { deepClone, roundToCents } from '../utils/MathUtils';
+import { toMinorUnits } from '../utils/MoneyUtils';
+import { DEFAULT_SALE_ORDERING, getSaleQuantity, getSaleRevenue, isSaleActiveAt } from '../utils/SaleUtils';
+import { getPeriodBounds, toTimestamp } from '../utils/PeriodUtils';
+import { combinePayeeAmounts, getPayeeAmounts } from '../utils/PayeeUtils';
+import { mapSplitAmounts } from '../utils/SplitUtils';
+import { LIMIT_KEYS, applyPeriodMinimums, mapLimitAmounts } from '../utils/LimitUtils';
+import { mapScheduleAmounts } from '../utils/ScheduleUtils';
+
+/**
+ * Payout fields that represent money owed to a payee, per calculation model
+ * @type {Object}
+ */
+const PAYEE_FIELDS = {
+  standard: ['author', 'platform', 'promotion', 'parties', 'buyers'],
+  buyToEarn: ['creator', 'platform', 'promotion', 'buyer']
+};
+
+/**
+ * Ways of handling a sale whose saleId is already known
+ * - `reject`: throw an error
+ * - `ignore`: keep the existing sale and skip the new one
+ * @type {Array<string>}
+ */
+const DUPLICATE_SALE_POLICIES = ['reject', 'ignore'];
 
 /**
  * Main class representing the RevenueSharing functionality
+ *
+ * Lifecycle events (subscribe with `on(event, listener)`):
+ * - `sale:added` - `{ index, sale }` after addSale and for every sale of addSales
+ * - `sale:duplicate` - `{ index, saleId }` when a sale with a known saleId is ignored
+ * - `sale:reversed` - `{ index, sale, type }` after refundSale or chargebackSale
+ * - `token:paidBack` - `{ tokenNumber, saleNumber, buyer, saleId, timestamp, earnings, paybackGoal }`
+ *   when a Buy-to-Earn token reaches payback; the token of every sale is announced once
+ * - `payouts:calculated` - `{ payouts, options }` after calculatePayouts
+ * - `import` - `{ productName, salesCount, useBuyToEarnModel }` after importData
  */
-class RevenueSharing {
+class RevenueSharing extends EventEmitter {
   /**
    * Create a RevenueSharing instance
    * @param {Object} config - Configuration object
@@ -25,9 +62,30 @@ class RevenueSharing {
    * @param {number} [config.promotionShare=10] - Promotion share percentage (for Buy-to-Earn model)
    * @param {number} [config.paybackRatio=2] - Payback ratio multiplier (for Buy-to-Earn model)
    * @param {number} [config.nonPaybackPoolSharePercent=60] - Percentage of buyers share that goes to non-paid-back tokens
+   * @param {Array<Object>} [config.fees=[]] - Fee models deducted before the scheme is applied (standard model only, see FeePlugin)
+   * @param {Array<Object>} [config.plugins=[]] - Calculation plugins (see PayoutCalculator.use)
    * @param {Object} [config.options] - Additional options
    * @param {boolean} [config.options.validateScheme=true] - Whether to validate the scheme on initialization
    * @param {boolean} [config.options.trackSaleTimestamp=true] - Whether to track sale timestamps
+   * @param {boolean} [config.options.useMinorUnits=false] - Calculate and return all amounts as integer minor units
+   * @param {number} [config.options.currencyDecimals=2] - Minor-unit decimal places of the currency
+   * @param {string} [config.options.allocationBasis='sale'] - How buyer shares are weighted: 'sale', 'unit' or 'amount'
+   * @param {number} [config.options.minimumPayout=0] - Default smallest balance paid by runPayouts
+   * @param {string} [config.options.duplicateSales='reject'] - What to do with a sale whose saleId is
+   *   already known: 'reject' (throw) or 'ignore' (keep the first sale)
+   * @param {boolean} [config.options.incremental=false] - Keep payouts up to date as sales arrive instead of
+   *   recalculating every sale (standard model without minor units, fees or plugins, see IncrementalCalculator)
+   * @param {Array<string>} [config.options.saleOrdering=['timestamp', 'sequence', 'saleId']] - Sale fields that
+   *   decide the order of sales in buyer groups and token numbers, most significant first
+   * @param {string} [config.options.groupCounting='sale'] - Whether buyer group positions count sales ('sale')
+   *   or distinct buyers ('buyer'); scheme rules may override it with their own `groupCounting`
+   * @param {string} [config.options.percentageOverflow='reject'] - What to do when scheme percentages add up
+   *   to more than 100%: 'reject' (invalid scheme), 'scale' (scale them down) or 'truncate' (cut the rules
+   *   beyond 100% in scheme order)
+   * @param {boolean} [config.options.allowRemainderOverride=true] - Whether a rule with a percentage may also
+   *   take part in the remainder
+   * @param {number} [config.options.maxAmountPerBuyer] - Largest amount a single buyer earns over all sales;
+   *   the excess is redistributed like the excess of a rule's `maxAmount`
    */
   constructor({ 
     productName, 
@@ -40,8 +98,12 @@ class RevenueSharing {
     promotionShare = 10,
     paybackRatio = 2,
     nonPaybackPoolSharePercent = 60,
+    fees = [],
+    plugins = [],
     options = {} 
   }) {
+    super();
+    
     // Default options
     this.options = {
       validateScheme: true,
@@ -65,6 +127,10 @@ class RevenueSharing {
       this.paybackRatio = paybackRatio;
       this.nonPaybackPoolSharePercent = nonPaybackPoolSharePercent;
       this.paybackPoolSharePercent = 100 - nonPaybackPoolSharePercent;
+      
+      if (fees.length > 0) {
+        throw new Error('Fees are only supported for the standard revenue sharing model');
+      }
     } else {
       if (!scheme) {
         throw new Error('Scheme is required for standard revenue sharing model');
@@ -72,19 +138,41 @@ class RevenueSharing {
       this.scheme = deepClone(scheme);
     }
     
+    const { duplicateSales = 'reject' } = this.options;
+    if (!DUPLICATE_SALE_POLICIES.includes(duplicateSales)) {
+      throw new Error(`Unknown duplicateSales policy '${duplicateSales}', expected one of: ${DUPLICATE_SALE_POLICIES.join(', ')}`);
+    }
+    
     this.sales = [];
+    // Index of every sale by saleId
+    this._saleIds = new Map();
+    this._saleIdCounter = 0;
+    // Insertion number of the last added sale
+    this._saleSequence = 0;
+    this.payoutRuns = [];
+    this.ledger = new PayoutLedger();
+    
+    // saleIds of the tokens already known to be paid back (Buy-to-Earn model); token
+    // numbers cannot be used, since a reversed sale renumbers the tokens after it
+    this._paidBackSales = new Set();
+    // Buy-to-Earn simulation that announces paybacks as sales are added (see _notifyPaybacks)
+    this._paybackTracker = null;
     
     // Initialize validator and calculator
     this.validator = new SchemeValidator();
-    this.calculator = new PayoutCalculator();
+    this.plugins = plugins;
+    this.fees = deepClone(fees);
+    this.calculator = this._createCalculator();
     
     // Validate scheme if enabled and not using Buy-to-Earn model
     if (!this.useBuyToEarnModel && this.options.validateScheme) {
-      const validationResult = this.validator.validate(this.scheme);
+      const validationResult = this.validator.validate(this.scheme, this._getShareOptions());
       if (!validationResult.isValid) {
         throw new Error(`Invalid scheme: ${validationResult.errors.join(', ')}`);
       }
     }
+    
+    this._incremental = this._createIncrementalCalculator();
   }
   
   /**
@@ -93,22 +181,97 @@ class RevenueSharing {
    * @param {string} saleData.buyer - Identifier of the buyer
    * @param {number} [saleData.timestamp] - Optional timestamp of the sale
    * @param {Object} [saleData.metadata] - Optional metadata about the sale
+   * @param {string} [saleData.saleId] - Unique identifier of the sale, e.g. the order id
+   *   (generated if omitted); see the `duplicateSales` option for sales with a known id
+   * @param {number} [saleData.quantity=1] - Number of units bought
+   * @param {number} [saleData.amount] - Gross amount charged (defaults to unitPrice * quantity)
+   * @param {number} [saleData.discount=0] - Absolute discount subtracted from the gross amount
+   * @return {number} - Index of the added sale (of the existing sale for an ignored duplicate)
+   */
+  addSale(saleData) {
+    const index = this._addSale(saleData);
+    this._notifyPaybacks();
+    return index;
+  }
+  
+  /**
+   * Validate and store a sale, then emit `sale:added`
+   * @param {Object} saleData - Data about the sale (see addSale)
    * @return {number} - Index of the added sale
+   * @private
    */
-  addSale({ buyer, timestamp = Date.now(), metadata = {} }) {
-    if (!buyer) {
-      throw new Error('Buyer identifier is required for each sale');
+  _addSale(saleData) {
+    this._validateSale(saleData);
+    
+    const { buyer, timestamp = Date.now(), metadata = {}, saleId, quantity, amount, discount } = saleData;
+    
+    if (saleId !== undefined && this._saleIds.has(saleId)) {
+      const existingIndex = this._saleIds.get(saleId);
+      
+      if (this.options.duplicateSales !== 'ignore') {
+        throw new Error(`Duplicate sale: ${saleId}`);
+      }
+      
+      this.emit('sale:duplicate', { index: existingIndex, saleId });
+      return existingIndex;
     }
     
     const sale = {
       buyer,
       metadata,
+      saleId: saleId !== undefined ? saleId : this._generateSaleId(),
+      sequence: this._saleSequence + 1,
+      ...(quantity !== undefined ? { quantity } : {}),
+      ...(amount !== undefined ? { amount } : {}),
+      ...(discount !== undefined ? { discount } : {}),
       // Only add timestamp if tracking is enabled
       ...(this.options.trackSaleTimestamp ? { timestamp } : {})
     };
     
     this.sales.push(sale);
-    return this.sales.length - 1;
+    this._saleIds.set(sale.saleId, this.sales.length - 1);
+    this._saleSequence = sale.sequence;
+    
+    if (this._incremental) {
+      this._incremental.addSale(sale);
+    }
+    
+    const index = this.sales.length - 1;
+    this.emit('sale:added', { index, sale: deepClone(sale) });
+    return index;
+  }
+  
+  /**
+   * Check the data of a sale before it is stored
+   * @param {Object} saleData - Data about the sale (see addSale)
+   * @private
+   */
+  _validateSale(saleData) {
+    const { buyer, saleId, quantity, amount, discount } = saleData || {};
+    
+    if (!buyer) {
+      throw new Error('Buyer identifier is required for each sale');
+    }
+    
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity <= 0)) {
+      throw new Error('Sale quantity must be a positive integer');
+    }
+    
+    if (amount !== undefined && (typeof amount !== 'number' || isNaN(amount) || amount < 0)) {
+      throw new Error('Sale amount must be a non-negative number');
+    }
+    
+    if (discount !== undefined && (typeof discount !== 'number' || isNaN(discount) || discount < 0)) {
+      throw new Error('Sale discount must be a non-negative number');
+    }
+    
+    if (saleId !== undefined && (typeof saleId !== 'string' || !saleId)) {
+      throw new Error('Sale id must be a non-empty string');
+    }
+    
+    if (getSaleRevenue(saleData, this.unitPrice) < 0) {
+      throw new Error('Sale discount cannot exceed the sale amount');
+    }
   }
   
   /**
@@ -123,13 +286,257 @@ class RevenueSharing {
     
     const initialCount = this.sales.length;
     
+    // Reject a batch with an invalid sale or a duplicate before any of its sales is added
+    const batchIds = new Set();
+    salesArray.forEach(sale => {
+      this._validateSale(sale);
+      
+      const { saleId } = sale;
+      if (this.options.duplicateSales !== 'ignore' && saleId !== undefined &&
+        (this._saleIds.has(saleId) || batchIds.has(saleId))) {
+        throw new Error(`Duplicate sale: ${saleId}`);
+      }
+      batchIds.add(saleId);
+    });
+    
     salesArray.forEach(sale => {
-      this.addSale(sale);
+      this._addSale(sale);
     });
     
+    this._notifyPaybacks();
     return this.sales.length - initialCount;
   }
   
+  /**
+   * Refund a sale. The sale record is kept but marked as reversed and no longer
+   * takes part in payout calculations.
+   * @param {number|string} saleRef - Index of the sale or its saleId
+   * @param {Object} [details] - Refund details
+   * @param {string} [details.reason] - Reason for the refund
+   * @param {number} [details.timestamp] - Time of the refund (defaults to now)
+   * @return {Object} - Copy of the reversed sale record
+   */
+  refundSale(saleRef, details = {}) {
+    return this._reverseSale(saleRef, 'refund', details);
+  }
+  
+  /**
+   * Record a chargeback for a sale. The sale record is kept but marked as reversed
+   * and no longer takes part in payout calculations.
+   * @param {number|string} saleRef - Index of the sale or its saleId
+   * @param {Object} [details] - Chargeback details
+   * @param {string} [details.reason] - Reason for the chargeback
+   * @param {number} [details.timestamp] - Time of the chargeback (defaults to now)
+   * @return {Object} - Copy of the reversed sale record
+   */
+  chargebackSale(saleRef, details = {}) {
+    return this._reverseSale(saleRef, 'chargeback', details);
+  }
+  
+  /**
+   * Get the sales that have not been refunded or charged back
+   * @return {Array<Object>} - Active sales in insertion order
+   */
+  getActiveSales() {
+    return this.sales.filter(sale => !sale.reversal);
+  }
+  
+  /**
+   * Compare a previous payout calculation with the current one and report the
+   * amounts that have to be clawed back from each payee, e.g. after refunds
+   * @param {Object} previousPayouts - Result of an earlier calculatePayouts call
+   * @param {Object} [options] - Options passed to calculatePayouts for the current figures
+   * @return {Object} - Clawback amount per payee (only payees that were overpaid) and the total
+   */
+  calculateClawbacks(previousPayouts, options) {
+    const currentPayouts = this.calculatePayouts(options);
+    const fields = PAYEE_FIELDS[this.useBuyToEarnModel ? 'buyToEarn' : 'standard'];
+    const normalize = value => this._normalizeAmount(value);
+    const clawbacks = { total: 0 };
+    
+    fields.forEach(field => {
+      const previous = previousPayouts[field];
+      const current = currentPayouts[field];
+      
+      if (typeof previous === 'number') {
+        const amount = normalize(previous - (current || 0));
+        if (amount > 0) {
+          clawbacks[field] = amount;
+          clawbacks.total += amount;
+        }
+      } else if (previous && typeof previous === 'object') {
+        // Per-buyer payouts
+        Object.entries(previous).forEach(([payee, value]) => {
+          const amount = normalize(value - ((current && current[payee]) || 0));
+          if (amount > 0) {
+            clawbacks[field] = clawbacks[field] || {};
+            clawbacks[field][payee] = amount;
+            clawbacks.total += amount;
+          }
+        });
+      }
+    });
+    
+    clawbacks.total = normalize(clawbacks.total);
+    return clawbacks;
+  }
+  
+  /**
+   * Mark a sale as reversed
+   * @param {number|string} saleRef - Index of the sale or its saleId
+   * @param {string} type - Reversal type ('refund' or 'chargeback')
+   * @param {Object} details - Reversal details
+   * @return {Object} - Copy of the reversed sale record
+   * @private
+   */
+  _reverseSale(saleRef, type, { reason = null, timestamp = Date.now() }) {
+    const index = this._findSaleIndex(saleRef);
+    const sale = this.sales[index];
+    
+    if (sale.reversal) {
+      throw new Error(`Sale ${saleRef} has already been reversed (${sale.reversal.type})`);
+    }
+    
+    sale.reversal = { type, reason, timestamp };
+    this._paybackTracker = null;
+    
+    if (this._incremental) {
+      this._incremental.removeSale(sale);
+    }
+    
+    const reversedSale = deepClone(sale);
+    this.emit('sale:reversed', { index, sale: deepClone(sale), type });
+    return reversedSale;
+  }
+  
+  /**
+   * Get a sale by its saleId
+   * @param {string} saleId - Identifier of the sale
+   * @return {Object|null} - Copy of the sale record, or null if there is no such sale
+   */
+  getSale(saleId) {
+    const index = this._saleIds.get(saleId);
+    return index === undefined ? null : deepClone(this.sales[index]);
+  }
+  
+  /**
+   * Generate a saleId that no sale uses yet
+   * @return {string} - New sale identifier
+   * @private
+   */
+  _generateSaleId() {
+    let saleId;
+    
+    do {
+      this._saleIdCounter++;
+      saleId = `sale_${Date.now().toString(36)}_${this._saleIdCounter.toString(36)}`;
+    } while (this._saleIds.has(saleId));
+    
+    return saleId;
+  }
+  
+  /**
+   * Rebuild the saleId index and the sequence counter, giving sales without a saleId
+   * or sequence number (e.g. from older exports) a new one
+   * @private
+   */
+  _indexSales() {
+    this._saleIds = new Map();
+    this._saleSequence = 0;
+    
+    this.sales.forEach((sale, index) => {
+      if (sale.saleId !== undefined) {
+        this._saleIds.set(sale.saleId, index);
+      }
+      if (typeof sale.sequence === 'number') {
+        this._saleSequence = Math.max(this._saleSequence, sale.sequence);
+      }
+    });
+    
+    this.sales.forEach((sale, index) => {
+      if (sale.saleId === undefined) {
+        sale.saleId = this._generateSaleId();
+        this._saleIds.set(sale.saleId, index);
+      }
+      if (typeof sale.sequence !== 'number') {
+        this._saleSequence++;
+        sale.sequence = this._saleSequence;
+      }
+    });
+  }
+  
+  /**
+   * List the buyers that currently fall into each buyer group of the scheme
+   *
+   * Groups are formed from the active sales in the order of the `saleOrdering` option,
+   * counting sales or distinct buyers according to the `groupCounting` option.
+   *
+   * @param {string} [ruleKey] - Scheme key of a single group rule
+   * @return {Object} - `{ [ruleKey]: { buyers, sales } }` (see PayoutCalculator.getGroupMembers),
+   *   or the members of the given rule only
+   */
+  getGroupMembers(ruleKey) {
+    if (this.useBuyToEarnModel) {
+      throw new Error('Buyer groups are only available for the standard revenue sharing model');
+    }
+    
+    const groups = this.calculator.getGroupMembers(this.scheme, this.getActiveSales(), {
+      groupCounting: this.options.groupCounting || 'sale'
+    });
+    
+    if (ruleKey === undefined) {
+      return groups;
+    }
+    
+    if (!groups[ruleKey]) {
+      throw new Error(`Rule '${ruleKey}' does not target a group of buyers`);
+    }
+    
+    return groups[ruleKey];
+  }
+  
+  /**
+   * Explain a buyer's payout rule by rule: whether they qualified for each rule, the
+   * positions of their sales, the part of the rule they received and the rule's total
+   *
+   * Amounts are rounded to cents (minor units with the `useMinorUnits` option).
+   *
+   * @param {string} buyer - Buyer identifier
+   * @return {Object} - `{ buyer, positions, total, rules }` (see PayoutCalculator.explainPayout)
+   */
+  explainPayout(buyer) {
+    if (this.useBuyToEarnModel) {
+      throw new Error('Payout explanations are only available for the standard revenue sharing model');
+    }
+    
+    const explanation = this.calculator.explainPayout(this._getStandardCalculationData(), buyer);
+    const normalize = amount => this._normalizeAmount(amount);
+    
+    explanation.total = normalize(explanation.total);
+    Object.values(explanation.rules).forEach(rule => {
+      rule.share = normalize(rule.share);
+      rule.pool = normalize(rule.pool);
+    });
+    
+    return explanation;
+  }
+  
+  /**
+   * Find the index of a sale by index or saleId
+   * @param {number|string} saleRef - Index of the sale or its saleId
+   * @return {number} - Index of the sale in this.sales
+   * @private
+   */
+  _findSaleIndex(saleRef) {
+    const index = typeof saleRef === 'number' ? saleRef : this._saleIds.get(saleRef);
+    
+    if (!Number.isInteger(index) || index < 0 || index >= this.sales.length) {
+      throw new Error(`Sale not found: ${saleRef}`);
+    }
+    
+    return index;
+  }
+  
   /**
    * Calculate number of prepayers needed to cover initial investment
    * @return {number} - Number of prepayers
@@ -148,38 +555,72 @@ class RevenueSharing {
   
   /**
    * Calculate payouts according to the scheme or Buy-to-Earn model
+   *
+   * With the `useMinorUnits` option enabled all amounts are returned as integer minor
+   * units (e.g. cents) that sum exactly to the collected revenue, and `roundResults`
+   * has no effect.
+   *
    * @param {Object} [options] - Calculation options
    * @param {boolean} [options.roundResults=true] - Whether to round results to cents
    * @param {number} [options.specificTokenNumber] - For Buy-to-Earn model, calculate accrued revenue for a specific token
+   * @param {boolean} [options.includeTokenLedger=false] - For Buy-to-Earn model, add the earnings of every token (`tokens`) and their totals per buyer (`holders`)
+   * @param {boolean} [options.includeBalances=false] - Add `balances` with the `{ earned, paid, owed }` of every payee
+   *   according to the payout ledger (implies includeTokenLedger for the Buy-to-Earn model); once payout runs
+   *   were executed, `earned` adds up the run periods so that per-period minimums count (see runPayouts)
+   * @param {boolean} [options.includeTrace=false] - For the standard model, add the unrounded allocation
+   *   `trace` of every rule and sale (see PayoutCalculator.calculate and formatAllocationTrace)
+   * @param {boolean} [options.includeBreakdown=false] - For the standard model, add the unrounded `breakdown`
+   *   of the buyers' earnings per sale and per buyer (see PayoutCalculator.calculate)
    * @return {Object} - Calculated payouts for all parties
    */
   calculatePayouts(options = { roundResults: true, specificTokenNumber: null }) {
-    if (this.useBuyToEarnModel) {
-      return this._calculateBuyToEarnPayouts(options);
-    } else {
-      return this._calculateStandardPayouts(options);
+    const calculationOptions = options.includeBalances && this.useBuyToEarnModel
+      ? { ...options, includeTokenLedger: true }
+      : options;
+    
+    const payouts = this.useBuyToEarnModel
+      ? this._calculateBuyToEarnPayouts(calculationOptions)
+      : this._calculateStandardPayouts(calculationOptions);
+    
+    if (options.includeBalances) {
+      const earned = this.payoutRuns.length > 0 && !this.useBuyToEarnModel
+        ? this._calculateEarningsByPeriod()
+        : getPayeeAmounts(payouts, this.useBuyToEarnModel);
+      
+      payouts.balances = this.ledger.getBalances(
+        earned,
+        options.roundResults ? amount => this._normalizeAmount(amount) : undefined
+      );
     }
+    
+    this.emit('payouts:calculated', { payouts, options });
+    return payouts;
   }
   
   /**
    * Calculate payouts using standard scheme
    * @param {Object} options - Calculation options
+   * @param {Array<Object>} [activeSales] - Sales to calculate with (defaults to the active sales)
+   * @param {Object} [scheme] - Calculation scheme (defaults to the scheme in calculation units)
    * @return {Object} - Calculated payouts
    * @private
    */
-  _calculateStandardPayouts(options) {
-    const calculationData = {
-      sales: this.sales,
-      scheme: this.scheme,
-      unitPrice: this.unitPrice,
-      totalRevenue: this.sales.length * this.unitPrice
-    };
+  _calculateStandardPayouts(options, activeSales, scheme) {
+    let rawPayouts;
     
-    const rawPayouts = this.calculator.calculate(calculationData);
+    if (this._incremental && activeSales === undefined && !options.includeTrace && !options.includeBreakdown) {
+      rawPayouts = this._incremental.getPayouts();
+    } else {
+      rawPayouts = this.calculator.calculate({
+        ...this._getStandardCalculationData(activeSales, scheme),
+        trace: options.includeTrace === true,
+        breakdown: options.includeBreakdown === true
+      });
+    }
     
     // Apply rounding if needed
-    if (options.roundResults) {
-      return this._roundResults(rawPayouts);
+    if (options.roundResults && !this._usesMinorUnits()) {
+      return this.calculator.applyRounding(rawPayouts, payouts => this._roundResults(payouts));
     }
     
     return rawPayouts;
@@ -188,146 +629,22 @@ class RevenueSharing {
   /**
    * Calculate payouts using Buy-to-Earn model
    * @param {Object} options - Calculation options
+   * @param {boolean} [announcePaybacks=true] - Whether to emit `token:paidBack` for new paybacks
+   * @param {Array<Object>} [sales] - Sales to calculate with (defaults to the active sales)
    * @return {Object} - Calculated payouts with accrued revenue
    * @private
    */
-  _calculateBuyToEarnPayouts(options) {
-    const totalSales = this.sales.length;
-    const tokenPrice = this.unitPrice;
-    const yourTokenNumber = options.specificTokenNumber || 1;
+  _calculateBuyToEarnPayouts(options, announcePaybacks = true, sales = this.getActiveSales()) {
+    const announce = announcePaybacks && this.listenerCount('token:paidBack') > 0;
     
-    // Calculate derived values
-    const initialInvestment = parseFloat(this.initialInvestment);
-    const numPrepayers = this.calculateNumPrepayers();
-    const paybackGoal = tokenPrice * this.paybackRatio;
-
-    if (totalSales < numPrepayers) {
-        return {
-            creator: initialInvestment,
-            platform: 0,
-            promotion: 0,
-            buyer: 0,
-            prepayersCount: numPrepayers,
-            paidBackCount: 0,
-            paybackPoint: null,
-            totalRevenueAtPayback: 0,
-            creatorRevenueAtPayback: 0,
-            platformRevenueAtPayback: 0,
-            paybackGoal: paybackGoal,
-            actualInitialInvestment: initialInvestment
-        };
-    }
-
-    // Shares for post-prepayment phase
-    const creatorSharePercent = parseFloat(this.creatorShare);
-    const platformSharePercent = parseFloat(this.platformShare);
-    const promotionSharePercent = parseFloat(this.promotionShare);
-    const buyersSharePercent = 100 - creatorSharePercent - platformSharePercent - promotionSharePercent;
-    
-    // Initialize all balances
-    let creatorRevenue = initialInvestment; // Creator gets full prepayment
-    let platformRevenue = 0;
-    let promotionRevenue = 0;
-    let totalRevenue = initialInvestment; // Start with initial investment
-    
-    // For tracking payback status
-    let tokenEarnings = new Array(totalSales + 1).fill(0);
-    let paidBackCount = 0;
-    
-    // Для отслеживания момента окупаемости
-    let paybackPoint = null;
-    let totalRevenueAtPayback = 0;
-    let creatorRevenueAtPayback = 0;
-    let platformRevenueAtPayback = 0;
-    
-    // Simulate sales post-prepayment
-    for (let currentSale = numPrepayers + 1; currentSale <= totalSales; currentSale++) {
-        // Increment total revenue with each sale
-        totalRevenue += tokenPrice;
-        
-        // Calculate shares for this sale
-        const creatorShare = tokenPrice * (creatorSharePercent / 100);
-        const platformShare = tokenPrice * (platformSharePercent / 100);
-        const promotionShare = tokenPrice * (promotionSharePercent / 100);
-        const buyersShare = tokenPrice * (buyersSharePercent / 100);
-        
-        // Update revenue totals
-        creatorRevenue += creatorShare;
-        platformRevenue += platformShare;
-        promotionRevenue += promotionShare;
-        
-        // Count tokens that haven't reached payback yet
-        // and distribute buyers' share
-        const numTokensInDistribution = currentSale - 1;
-        if (numTokensInDistribution > 0) {
-            // 1. Count tokens in each pool
-            let notPaidBackCount = 0;
-            for (let i = 1; i <= numTokensInDistribution; i++) {
-                if (tokenEarnings[i] < paybackGoal) {
-                    notPaidBackCount++;
-                }
-            }
-            
-            // 2. Calculate the two pools
-            const nonPaybackPoolShare = buyersShare * (this.nonPaybackPoolSharePercent / 100);
-            const sharedPoolShare = buyersShare * (this.paybackPoolSharePercent / 100);
-            
-            // 3. Calculate per-token shares
-            const nonPaybackSharePerToken = notPaidBackCount > 0 ? nonPaybackPoolShare / notPaidBackCount : 0;
-            const sharedSharePerToken = sharedPoolShare / numTokensInDistribution;
-            
-            // 4. Distribute earnings and count paid back tokens
-            paidBackCount = 0;
-            for (let i = 1; i <= numTokensInDistribution; i++) {
-                const wasPaidBackBefore = tokenEarnings[i] >= paybackGoal;
-                
-                // Every token gets a share from the shared pool
-                let earning = sharedSharePerToken;
-                
-                // Tokens that haven't reached payback also get a share from the non-payback pool
-                if (!wasPaidBackBefore) {
-                    earning += nonPaybackSharePerToken;
-                }
-                
-                // Update token earnings
-                tokenEarnings[i] += earning;
-                
-                // Check if this token has reached payback
-                if (tokenEarnings[i] >= paybackGoal) {
-                    paidBackCount++;
-                    
-                    // If this is the tracked token and the payback point has not been recorded yet
-                    if (i === yourTokenNumber && paybackPoint === null) {
-                        paybackPoint = currentSale;
-                        totalRevenueAtPayback = totalRevenue;
-                        creatorRevenueAtPayback = creatorRevenue;
-                        platformRevenueAtPayback = platformRevenue;
-                    }
-                }
-            }
-        }
-    }
-    
-    // Get the final earnings for the token we're interested in
-    const buyerRevenue = yourTokenNumber <= totalSales ? tokenEarnings[yourTokenNumber] : 0;
-    
-    const result = {
-        creator: creatorRevenue,
-        platform: platformRevenue,
-        promotion: promotionRevenue,
-        buyer: buyerRevenue,
-        prepayersCount: numPrepayers,
-        paidBackCount: paidBackCount,
-        paybackPoint: paybackPoint,
-        totalRevenueAtPayback: totalRevenueAtPayback,
-        creatorRevenueAtPayback: creatorRevenueAtPayback,
-        platformRevenueAtPayback: platformRevenueAtPayback,
-        paybackGoal: paybackGoal,
-        actualInitialInvestment: initialInvestment
-    };
+    const result = this.calculator.calculateBuyToEarnPayouts({
+      ...this._getBuyToEarnCalculationData(sales, options.specificTokenNumber || 1),
+      includeTokenLedger: options.includeTokenLedger === true,
+      onPayback: event => this._recordPayback(event, announce)
+    });
     
     // Apply rounding if needed
-    if (options.roundResults) {
+    if (options.roundResults && !this._usesMinorUnits()) {
       result.creator = roundToCents(result.creator);
       result.platform = roundToCents(result.platform);
       result.promotion = roundToCents(result.promotion);
@@ -335,93 +652,598 @@ class RevenueSharing {
       result.totalRevenueAtPayback = roundToCents(result.totalRevenueAtPayback);
       result.creatorRevenueAtPayback = roundToCents(result.creatorRevenueAtPayback);
       result.platformRevenueAtPayback = roundToCents(result.platformRevenueAtPayback);
+      
+      if (result.tokens) {
+        result.tokens.forEach(token => {
+          token.earnings = roundToCents(token.earnings);
+        });
+        Object.values(result.holders).forEach(holder => {
+          holder.earnings = roundToCents(holder.earnings);
+        });
+      }
     }
     
     return result;
   }
   
+  /**
+   * Create the payout calculator with the fee plugin (if fees are configured) and the user plugins
+   * @return {PayoutCalculator} - Calculator instance
+   * @private
+   */
+  _createCalculator() {
+    const feePlugins = this.fees.length > 0
+      ? [createFeePlugin(this.fees, {
+        toAmount: amount => this._toCalculationAmount(amount),
+        roundAmount: roundToCents
+      })]
+      : [];
+    
+    return new PayoutCalculator({
+      plugins: [...feePlugins, ...this.plugins],
+      ordering: this.options.saleOrdering || DEFAULT_SALE_ORDERING
+    });
+  }
+  
+  /**
+   * Create the incremental calculator when the `incremental` option is enabled
+   * @return {IncrementalCalculator|null} - Calculator holding the active sales, or null
+   * @private
+   */
+  _createIncrementalCalculator() {
+    if (!this.options.incremental) {
+      return null;
+    }
+    
+    if (this.useBuyToEarnModel) {
+      throw new Error('Incremental mode is only available for the standard revenue sharing model');
+    }
+    
+    if (this._usesMinorUnits()) {
+      throw new Error('Incremental mode does not support the useMinorUnits option');
+    }
+    
+    if (this.fees.length > 0 || this.plugins.length > 0) {
+      throw new Error('Incremental mode does not support fees or plugins');
+    }
+    
+    if ((this.options.groupCounting || 'sale') !== 'sale') {
+      throw new Error('Incremental mode does not support per-buyer group counting');
+    }
+    
+    if (this.options.maxAmountPerBuyer !== undefined) {
+      throw new Error('Incremental mode does not support the maxAmountPerBuyer option');
+    }
+    
+    return new IncrementalCalculator({
+      scheme: this.scheme,
+      unitPrice: this.unitPrice,
+      allocationBasis: this.options.allocationBasis || 'sale',
+      sales: this.getActiveSales(),
+      ordering: this.options.saleOrdering || DEFAULT_SALE_ORDERING,
+      ...this._getShareOptions()
+    });
+  }
+  
+  /**
+   * Get the options deciding how scheme percentages and remainders are resolved
+   * (see ShareUtils.planShares), shared by validation and every calculator
+   * @return {Object} - `{ percentageOverflow, allowRemainderOverride }`
+   * @private
+   */
+  _getShareOptions() {
+    return {
+      percentageOverflow: this.options.percentageOverflow || 'reject',
+      allowRemainderOverride: this.options.allowRemainderOverride !== false
+    };
+  }
+  
+  /**
+   * Compare the incrementally maintained payouts with a full recalculation
+   *
+   * The full calculation runs over the active sales of this instance with its own scheme
+   * and options, so a drift between the sale history and the incremental state is reported.
+   *
+   * @param {Object} [options] - Verification options
+   * @param {number} [options.tolerance=1e-6] - Largest accepted absolute difference
+   * @return {Object} - `{ isValid, maxDifference, differences }` (see IncrementalCalculator.verify)
+   */
+  verify(options) {
+    if (!this._incremental) {
+      throw new Error('Incremental mode is not enabled');
+    }
+    
+    const full = this.calculator.calculate(this._getStandardCalculationData(this.getActiveSales()));
+    return this._incremental.compare(full, options);
+  }
+  
+  /**
+   * Build the input of PayoutCalculator.calculateBuyToEarnPayouts
+   * @param {Array<Object>} sales - Sales to calculate with
+   * @param {number} [specificTokenNumber=1] - Token whose accrued revenue is reported
+   * @return {Object} - `{ sales, unitPrice, minorUnits, buyToEarnParams }`
+   * @private
+   */
+  _getBuyToEarnCalculationData(sales, specificTokenNumber = 1) {
+    return {
+      sales,
+      unitPrice: this._toCalculationAmount(this.unitPrice),
+      minorUnits: this._usesMinorUnits(),
+      buyToEarnParams: {
+        initialInvestment: this._toCalculationAmount(parseFloat(this.initialInvestment)),
+        creatorShare: parseFloat(this.creatorShare),
+        platformShare: parseFloat(this.platformShare),
+        promotionShare: parseFloat(this.promotionShare),
+        paybackRatio: this.paybackRatio,
+        nonPaybackPoolSharePercent: this.nonPaybackPoolSharePercent,
+        numPrepayers: this.calculateNumPrepayers(),
+        specificTokenNumber
+      }
+    };
+  }
+  
+  /**
+   * Remember a token that reached payback and announce it the first time
+   * @param {Object} event - Payback reported by the calculator (see calculateBuyToEarnPayouts)
+   * @param {boolean} announce - Whether to emit `token:paidBack`
+   * @private
+   */
+  _recordPayback(event, announce) {
+    if (this._paidBackSales.has(event.saleId)) return;
+    
+    this._paidBackSales.add(event.saleId);
+    if (announce) {
+      const paybackGoal = this._toCalculationAmount(this.unitPrice) * this.paybackRatio;
+      this.emit('token:paidBack', { ...event, paybackGoal });
+    }
+  }
+  
+  /**
+   * Announce tokens that reached payback since the last announcement.
+   * Runs only when someone listens to `token:paidBack`. The simulation is kept between
+   * calls and advanced over the sales added since; a reversal, an import or a sale that
+   * sorts before the tracked ones renumbers the tokens and restarts it from the first sale.
+   * @private
+   */
+  _notifyPaybacks() {
+    if (!this.useBuyToEarnModel || this.listenerCount('token:paidBack') === 0) {
+      return;
+    }
+    
+    const onPayback = event => this._recordPayback(event, true);
+    const tracker = this._paybackTracker;
+    const newSales = tracker ? this.sales.slice(tracker.salesCount).filter(sale => !sale.reversal) : [];
+    
+    if (!tracker || !this.calculator.advanceBuyToEarnPaybacks(tracker, newSales, onPayback)) {
+      this._paybackTracker = this.calculator.trackBuyToEarnPaybacks({
+        ...this._getBuyToEarnCalculationData(this.getActiveSales()),
+        onPayback
+      });
+    }
+    
+    this._paybackTracker.salesCount = this.sales.length;
+  }
+  
+  /**
+   * Build the input of PayoutCalculator.calculate for the standard model
+   * @param {Array<Object>} [activeSales] - Sales to calculate with (defaults to the active sales)
+   * @param {Object} [scheme=this._getCalculationScheme()] - Calculation scheme
+   * @return {Object} - Calculation data
+   * @private
+   */
+  _getStandardCalculationData(activeSales, scheme = this._getCalculationScheme()) {
+    const sales = this._getCalculationSales(activeSales);
+    const unitPrice = this._toCalculationAmount(this.unitPrice);
+    
+    return {
+      sales,
+      scheme,
+      unitPrice,
+      totalRevenue: sales.reduce((total, sale) => total + getSaleRevenue(sale, unitPrice), 0),
+      minorUnits: this._usesMinorUnits(),
+      allocationBasis: this.options.allocationBasis || 'sale',
+      groupCounting: this.options.groupCounting || 'sale',
+      ...this._getShareOptions(),
+      ...(this.options.maxAmountPerBuyer !== undefined
+        ? { maxAmountPerBuyer: this._toCalculationAmount(this.options.maxAmountPerBuyer) }
+        : {})
+    };
+  }
+  
+  /**
+   * Get the scheme with its amounts in the unit used by the calculator
+   * @return {Object} - The scheme, with converted `minAmount`/`maxAmount` and bracket bounds of
+   *   amount-based schedules when `useMinorUnits` is enabled
+   * @private
+   */
+  _getCalculationScheme() {
+    if (!this._usesMinorUnits()) {
+      return this.scheme;
+    }
+    
+    const toAmount = value => (typeof value === 'number' ? this._toCalculationAmount(value) : value);
+    
+    return Object.fromEntries(Object.entries(this.scheme).map(([key, rule]) => {
+      const limits = LIMIT_KEYS.filter(limit => rule && typeof rule[limit] === 'number');
+      const converted = limits.length === 0 ? rule : {
+        ...rule,
+        ...Object.fromEntries(limits.map(limit => [limit, this._toCalculationAmount(rule[limit])]))
+      };
+      
+      if (converted && converted.volumeBasis === 'amount' && Array.isArray(converted.schedule)) {
+        return [key, {
+          ...converted,
+          schedule: converted.schedule.map(bracket => ({ ...bracket, from: toAmount(bracket.from), to: toAmount(bracket.to) }))
+        }];
+      }
+      
+      return [key, converted];
+    }));
+  }
+  
+  /**
+   * Get the active sales with their monetary fields in the unit used by the calculator
+   * @param {Array<Object>} [sales] - Sales to convert (defaults to the active sales)
+   * @return {Array<Object>} - Sales, converted to minor units if `useMinorUnits` is enabled
+   * @private
+   */
+  _getCalculationSales(sales = this.getActiveSales()) {
+    if (!this._usesMinorUnits()) {
+      return sales;
+    }
+    
+    return sales.map(sale => ({
+      ...sale,
+      ...(sale.amount !== undefined ? { amount: this._toCalculationAmount(sale.amount) } : {}),
+      ...(sale.discount !== undefined ? { discount: this._toCalculationAmount(sale.discount) } : {})
+    }));
+  }
+  
+  /**
+   * Convert a configured amount to the unit used by the calculator
+   * @param {number} amount - Amount in major units
+   * @return {number} - Integer minor units if `useMinorUnits` is enabled, the amount otherwise
+   * @private
+   */
+  _toCalculationAmount(amount) {
+    const { currencyDecimals = 2 } = this.options;
+    return this._usesMinorUnits() ? toMinorUnits(amount, currencyDecimals) : amount;
+  }
+  
+  /**
+   * Check whether calculations are carried out in integer minor units
+   * @return {boolean} - Whether the `useMinorUnits` option is enabled
+   * @private
+   */
+  _usesMinorUnits() {
+    return this.options.useMinorUnits === true;
+  }
+  
   /**
    * Estimate payback point for a specific token
+   *
+   * Sales already made are not taken into account: the estimate models sales at the
+   * current unit price. See PayoutCalculator.estimateTokenPayback for details.
+   *
    * @param {number} tokenNumber - The token number to estimate for
+   * @param {Object} [options] - Estimation options
+   * @param {Array<number>} [options.projectAt] - Sale numbers to project the token's earnings at
+   * @param {number} [options.maxSimulatedSales] - Maximum number of sales to simulate
    * @return {Object} - Payback estimation data
    */
-  estimateTokenPayback(tokenNumber) {
+  estimateTokenPayback(tokenNumber, options = {}) {
     if (!this.useBuyToEarnModel) {
       throw new Error('Token payback estimation is only available for Buy-to-Earn model');
     }
     
-    const tokenPrice = this.unitPrice;
-    const goal = tokenPrice * this.paybackRatio;
-    const nonPaybackPoolPercent = this.nonPaybackPoolSharePercent / 100;
-    const buyersShare = this.buyersShare / 100;
+    return this.calculator.estimateTokenPayback({
+      tokenNumber,
+      tokenPrice: this.unitPrice,
+      paybackRatio: this.paybackRatio,
+      nonPaybackPoolPercent: this.nonPaybackPoolSharePercent / 100,
+      buyersShare: this.buyersShare / 100,
+      initialInvestment: parseFloat(this.initialInvestment),
+      numPrepayers: this.calculateNumPrepayers(),
+      projectAt: options.projectAt,
+      maxSimulatedSales: options.maxSimulatedSales
+    });
+  }
+  
+  /**
+   * Get the payback curve of the Buy-to-Earn configuration
+   *
+   * Sales are projected at the current unit price, so the curve can also be built for
+   * future sales volumes. Amounts are in major currency units.
+   *
+   * @param {Object} [options] - Curve options
+   * @param {number} [options.totalSales] - Number of sales to project (defaults to the active sales count)
+   * @param {number} [options.sampleEvery=1] - Sales between two milestones
+   * @param {Array<number>} [options.tokenPositions=[]] - Token numbers whose earnings are reported at every milestone
+   * @param {boolean} [options.roundResults=true] - Whether to round amounts to cents
+   * @return {Object} - Payback goal, prepayers count and the milestones
+   */
+  getPaybackCurve({ totalSales = this.getActiveSales().length, sampleEvery, tokenPositions, roundResults = true } = {}) {
+    if (!this.useBuyToEarnModel) {
+      throw new Error('Payback curve is only available for Buy-to-Earn model');
+    }
+    
+    const curve = this.calculator.calculatePaybackCurve({
+      totalSales,
+      unitPrice: this.unitPrice,
+      sampleEvery,
+      tokenPositions,
+      buyToEarnParams: {
+        initialInvestment: parseFloat(this.initialInvestment),
+        creatorShare: parseFloat(this.creatorShare),
+        platformShare: parseFloat(this.platformShare),
+        promotionShare: parseFloat(this.promotionShare),
+        paybackRatio: this.paybackRatio,
+        nonPaybackPoolSharePercent: this.nonPaybackPoolSharePercent,
+        numPrepayers: this.calculateNumPrepayers()
+      }
+    });
+    
+    if (roundResults) {
+      curve.milestones.forEach(milestone => {
+        ['totalRevenue', 'creatorRevenue', 'platformRevenue', 'promotionRevenue'].forEach(field => {
+          milestone[field] = roundToCents(milestone[field]);
+        });
+        Object.keys(milestone.tokenEarnings).forEach(tokenNumber => {
+          milestone.tokenEarnings[tokenNumber] = roundToCents(milestone.tokenEarnings[tokenNumber]);
+        });
+      });
+    }
+    
+    return curve;
+  }
+  
+  /**
+   * Calculate what each payee earned within a date window
+   *
+   * Earnings in a window are the lifetime payouts at its end minus the lifetime payouts
+   * at its start, so sales that change the share of earlier buyers (e.g. `allBuyers`) and
+   * refunds are attributed to the window in which they happened. A refund can therefore
+   * make the earnings of a window negative. The `minAmount` of a rule is guaranteed in
+   * every window (see LimitUtils.applyPeriodMinimums).
+   *
+   * @param {Object} window - Date window, either `from`/`to` or `period`/`date`
+   * @param {Date|number} [window.from] - Start of the window, inclusive (defaults to the first sale)
+   * @param {Date|number} [window.to] - End of the window, exclusive
+   * @param {string} [window.period] - Calendar period instead of from/to: 'day', 'week' or 'month'
+   * @param {Date|number} [window.date=Date.now()] - Any moment within the period
+   * @return {Object} - `{ from, to, total, [role]: amount, buyers: { [buyer]: amount } }`
+   */
+  calculatePeriodEarnings(window) {
+    const { from, to } = this._resolvePayoutWindow(window);
+    const earnings = this._calculateEarningsBetween(from, to);
+    const { buyers, ...roles } = earnings;
+    const total = [...Object.values(roles), ...Object.values(buyers)].reduce((sum, amount) => sum + amount, 0);
     
-    // Факторы влияния на окупаемость
-    const baseMultiplier = 1000; // Базовое количество продаж для калибровки
+    return { from, to, total: this._normalizeAmount(total), ...earnings };
+  }
+  
+  /**
+   * Execute a payout run for a date window and record it
+   *
+   * Every payee is due what they earned in the window plus the balance carried forward
+   * from the previous run. Balances below `minimumPayout` (and negative balances left by
+   * refunds) are not paid but carried forward to the next run. Runs must be contiguous:
+   * each run starts where the previous one ended. The amounts paid are recorded in the
+   * payout ledger.
+   *
+   * @param {Object} window - Date window, either `from`/`to` or `period`/`date` (see calculatePeriodEarnings)
+   * @param {number} [window.minimumPayout=options.minimumPayout] - Smallest balance that is paid out
+   * @param {string} [window.reference] - Caller reference stored with the run, e.g. a batch id
+   * @return {Object} - The recorded run: `{ runNumber, from, to, reference, minimumPayout, payees, totals }`,
+   *   where every payee has `{ earned, carriedIn, due, paid, carriedOut }`
+   */
+  runPayouts({ minimumPayout = this.options.minimumPayout || 0, reference = null, ...window } = {}) {
+    if (typeof minimumPayout !== 'number' || !(minimumPayout >= 0)) {
+      throw new Error('Minimum payout must be a non-negative number');
+    }
     
-    // Влияние приоритета неокупившихся (обратная зависимость)
-    // Чем выше nonPaybackPoolPercent, тем быстрее окупаемость
-    const priorityFactor = nonPaybackPoolPercent;
+    const previousRun = this.payoutRuns[this.payoutRuns.length - 1];
+    const { from, to } = this._resolvePayoutWindow({
+      ...(previousRun && window.from === undefined && !window.period ? { from: previousRun.to } : {}),
+      ...window
+    });
     
-    // Влияние позиции токена (сложная логарифмическая зависимость)
-    let tokenPositionFactor;
+    if (previousRun && from !== previousRun.to) {
+      throw new Error(`Payout run must start where the previous run ended (${previousRun.to})`);
+    }
     
-    if (tokenNumber <= 100) {
-      // Ранние токены
-      tokenPositionFactor = 0.8 + (tokenNumber / 500);
-    } else if (tokenNumber <= 500) {
-      // Средние токены - нелинейный рост сложности окупаемости
-      tokenPositionFactor = 1.0 + Math.log10(tokenNumber / 100) * 0.5;
-    } else {
-      // Поздние токены
-      const lateTokenBase = 1.2 + Math.log10(tokenNumber / 500) * 0.3;
+    const normalize = value => this._normalizeAmount(value);
+    const threshold = this._toCalculationAmount(minimumPayout);
+    const earnings = this._calculateEarningsBetween(from, to);
+    const carried = previousRun ? previousRun.payees : { buyers: {} };
+    const totals = { earned: 0, paid: 0, carriedOut: 0 };
+    
+    const payees = combinePayeeAmounts([earnings, carried], ([earned = 0, previous]) => {
+      const carriedIn = previous ? previous.carriedOut : 0;
       
-      if (nonPaybackPoolPercent >= 0.9) {
-        // При очень высоком приоритете неокупившихся поздним токенам легче
-        tokenPositionFactor = lateTokenBase * 0.8;
-      } else if (nonPaybackPoolPercent >= 0.7) {
-        // При среднем приоритете
-        tokenPositionFactor = lateTokenBase * 0.9;
-      } else {
-        // При низком приоритете поздним токенам труднее
-        tokenPositionFactor = lateTokenBase * 1.1;
+      if (earned === 0 && carriedIn === 0) {
+        return undefined;
       }
-    }
+      
+      const due = normalize(carriedIn + earned);
+      const paid = due > 0 && due >= threshold ? due : 0;
+      const entry = { earned, carriedIn, due, paid, carriedOut: normalize(due - paid) };
+      
+      totals.earned += entry.earned;
+      totals.paid += entry.paid;
+      totals.carriedOut += entry.carriedOut;
+      return entry;
+    });
     
-    // Расчет количества продаж до окупаемости с учетом всех факторов
-    let paybackSale = Math.round(
-      baseMultiplier * 
-      this.paybackRatio * 
-      (1 / buyersShare) * // Чем меньше доля покупателей, тем больше продаж нужно
-      (1 / priorityFactor) * // Чем выше приоритет неокупившихся, тем меньше продаж нужно
-      tokenPositionFactor // Влияние позиции токена с учетом стратегий распределения
-    );
+    const run = {
+      runNumber: this.payoutRuns.length + 1,
+      from,
+      to,
+      reference,
+      minimumPayout: threshold,
+      payees,
+      totals: {
+        earned: normalize(totals.earned),
+        paid: normalize(totals.paid),
+        carriedOut: normalize(totals.carriedOut)
+      }
+    };
     
-    // Корректировка для обеспечения правильного порядка окупаемости
-    if (nonPaybackPoolPercent >= 0.7) {
-      // При высоком приоритете средние токены окупаются дольше, чем поздние
-      if (tokenNumber > 100 && tokenNumber <= 500) {
-        paybackSale *= 1.1;
+    this.payoutRuns.push(run);
+    this._recordRunPayouts(run);
+    return deepClone(run);
+  }
+  
+  /**
+   * Record an executed payout in the payout ledger
+   * @param {Object} payout - Payout details (see PayoutLedger.record)
+   * @param {string} payout.payee - Role of the payee, or 'buyers' for a buyer
+   * @param {string} [payout.buyer] - Buyer id (required when payee is 'buyers')
+   * @param {number} payout.amount - Amount paid, in the unit of the payouts
+   * @param {Object} [payout.period] - Period the payout settles, `{ from, to }`
+   * @param {string} [payout.reference] - Caller reference, e.g. a bank transfer id
+   * @return {Object} - The recorded ledger entry
+   */
+  recordPayout(payout) {
+    return this.ledger.record(payout);
+  }
+  
+  /**
+   * Record the amounts paid by a payout run in the payout ledger
+   * @param {Object} run - Recorded payout run
+   * @private
+   */
+  _recordRunPayouts({ from, to, reference, payees }) {
+    const { buyers, ...roles } = payees;
+    const record = (payee, buyer, { paid }) => {
+      if (paid > 0) {
+        this.ledger.record({ payee, buyer, amount: paid, period: { from, to }, reference });
       }
+    };
+    
+    Object.entries(roles).forEach(([role, entry]) => record(role, undefined, entry));
+    Object.entries(buyers).forEach(([buyer, entry]) => record('buyers', buyer, entry));
+  }
+  
+  /**
+   * Get the payout runs executed so far
+   * @return {Array<Object>} - Copies of the recorded runs, oldest first
+   */
+  getPayoutRuns() {
+    return deepClone(this.payoutRuns);
+  }
+  
+  /**
+   * Resolve and check the date window of a period calculation
+   * @param {Object} window - `from`/`to` or `period`/`date`
+   * @return {Object} - `{ from, to }` timestamps; `from` is null for an open start
+   * @private
+   */
+  _resolvePayoutWindow({ from = null, to, period, date = Date.now() } = {}) {
+    if (!this.options.trackSaleTimestamp) {
+      throw new Error('Payout periods require sale timestamps (trackSaleTimestamp option)');
     }
     
-    // Для учета края графика зависимости
-    if (nonPaybackPoolPercent <= 0.4 && tokenNumber > 500) {
-      // При очень низком приоритете неокупившихся поздним токенам еще труднее
-      paybackSale *= 1.15;
+    if (period !== undefined) {
+      return getPeriodBounds(period, date);
     }
     
-    // Минимальное значение для paybackSale
-    paybackSale = Math.max(paybackSale, tokenNumber + 100);
+    if (to === undefined) {
+      throw new Error('Payout window requires an end date (to) or a period');
+    }
     
-    // Оценка накопленных доходов и ROI
-    let accumulatedEarnings = goal; // Предполагаем, что к моменту окупаемости токен получит свою цель
-    let roi = ((accumulatedEarnings / tokenPrice) * 100 - 100).toFixed(2);
+    const window = { from: from === null ? null : toTimestamp(from), to: toTimestamp(to) };
     
-    return {
-      paybackSale,
-      accumulatedEarnings,
-      roi
-    };
+    if (window.from !== null && window.from >= window.to) {
+      throw new Error('Payout window must end after it starts');
+    }
+    
+    return window;
+  }
+  
+  /**
+   * Calculate the change of every payee's lifetime payouts between two moments
+   *
+   * Minimum guarantees hold per window: the lifetime payouts are calculated without them
+   * and every payee below its `minAmount` in the window is raised to it from the others.
+   *
+   * @param {number|null} from - Start timestamp, or null for the beginning
+   * @param {number} to - End timestamp
+   * @return {Object} - Earnings per payee (see getPayeeAmounts); buyers without earnings are left out
+   * @private
+   */
+  _calculateEarningsBetween(from, to) {
+    const end = this._calculatePayeeAmountsAt(to);
+    const start = from === null ? { buyers: {} } : this._calculatePayeeAmountsAt(from);
+    let earnings = combinePayeeAmounts([end, start], ([atEnd = 0, atStart = 0]) => atEnd - atStart);
+    
+    if (!this.useBuyToEarnModel) {
+      applyPeriodMinimums(this._getCalculationScheme(), earnings, this._usesMinorUnits());
+    }
+    earnings = combinePayeeAmounts([earnings], ([amount]) => this._normalizeAmount(amount));
+    
+    Object.keys(earnings.buyers).forEach(buyer => {
+      if (earnings.buyers[buyer] === 0) {
+        delete earnings.buyers[buyer];
+      }
+    });
+    
+    return earnings;
+  }
+  
+  /**
+   * Calculate every payee's lifetime earnings as the sum of its payout periods
+   *
+   * The windows of the recorded payout runs, the time before the first run and the time
+   * since the last run each guarantee the `minAmount` of a rule like a payout run does, so
+   * the earnings are what the runs paid out plus what is still due.
+   *
+   * @return {Object} - Earnings per payee (see getPayeeAmounts)
+   * @private
+   */
+  _calculateEarningsByPeriod() {
+    const { from } = this.payoutRuns[0];
+    const bounds = [null, ...(from === null ? [] : [from]), ...this.payoutRuns.map(run => run.to), Infinity];
+    const periods = bounds.slice(1).map((to, index) => this._calculateEarningsBetween(bounds[index], to));
+    
+    return combinePayeeAmounts(periods, amounts =>
+      this._normalizeAmount(amounts.reduce((sum, amount = 0) => sum + amount, 0))
+    );
+  }
+  
+  /**
+   * Calculate the lifetime payouts of every payee as they stood at a given moment
+   * @param {number} time - Timestamp; sales made or reversed from this moment on are ignored
+   * @return {Object} - Amounts per payee (see getPayeeAmounts)
+   * @private
+   */
+  _calculatePayeeAmountsAt(time) {
+    const sales = this.sales.filter(sale => isSaleActiveAt(sale, time));
+    const options = { roundResults: true, includeTokenLedger: true };
+    
+    if (this.useBuyToEarnModel) {
+      return getPayeeAmounts(this._calculateBuyToEarnPayouts(options, false, sales), true);
+    }
+    
+    // Minimums are guaranteed per window instead (see _calculateEarningsBetween)
+    const scheme = Object.fromEntries(Object.entries(this._getCalculationScheme()).map(([key, rule]) => {
+      if (!rule || rule.minAmount === undefined) return [key, rule];
+      
+      const { minAmount, ...withoutMinimum } = rule;
+      return [key, withoutMinimum];
+    }));
+    
+    return getPayeeAmounts(this._calculateStandardPayouts(options, sales, scheme));
+  }
+  
+  /**
+   * Remove floating point noise from an amount computed from rounded figures
+   * @param {number} amount - Amount in calculation units
+   * @return {number} - Amount rounded to cents, or unchanged in minor-unit mode
+   * @private
+   */
+  _normalizeAmount(amount) {
+    return this._usesMinorUnits() ? amount : roundToCents(amount);
   }
   
   /**
@@ -429,15 +1251,20 @@ class RevenueSharing {
    * @return {Object} - Sales statistics
    */
   getSalesStats() {
-    const totalSales = this.sales.length;
-    const totalRevenue = totalSales * this.unitPrice;
+    const activeSales = this.getActiveSales();
+    const totalSales = activeSales.length;
+    const totalUnits = activeSales.reduce((total, sale) => total + getSaleQuantity(sale), 0);
+    const totalRevenue = this.useBuyToEarnModel
+      ? totalSales * this.unitPrice
+      : activeSales.reduce((total, sale) => total + getSaleRevenue(sale, this.unitPrice), 0);
     
-    const uniqueBuyers = new Set(this.sales.map(sale => sale.buyer)).size;
+    const uniqueBuyers = new Set(activeSales.map(sale => sale.buyer)).size;
+    const reversedSales = this.sales.filter(sale => sale.reversal);
     
     // Create timeframe stats if timestamps are tracked
     let timeframeStats = {};
     if (this.options.trackSaleTimestamp && totalSales > 0) {
-      const timestamps = this.sales.map(sale => sale.timestamp);
+      const timestamps = activeSales.map(sale => sale.timestamp);
       timeframeStats = {
         firstSaleDate: new Date(Math.min(...timestamps)),
         lastSaleDate: new Date(Math.max(...timestamps)),
@@ -449,8 +1276,11 @@ class RevenueSharing {
       productName: this.productName,
       unitPrice: this.unitPrice,
       totalSales,
+      totalUnits,
       totalRevenue,
       uniqueBuyers,
+      refundedSales: reversedSales.filter(sale => sale.reversal.type === 'refund').length,
+      chargedBackSales: reversedSales.filter(sale => sale.reversal.type === 'chargeback').length,
       ...timeframeStats
     };
     
@@ -498,6 +1328,18 @@ class RevenueSharing {
       data.nonPaybackPoolSharePercent = this.nonPaybackPoolSharePercent;
     } else {
       data.scheme = deepClone(this.scheme);
+      
+      if (this.fees.length > 0) {
+        data.fees = deepClone(this.fees);
+      }
+    }
+    
+    if (this.payoutRuns.length > 0) {
+      data.payoutRuns = deepClone(this.payoutRuns);
+    }
+    
+    if (this.ledger.entries.length > 0) {
+      data.payoutLedger = this.ledger.getEntries();
     }
     
     return data;
@@ -516,7 +1358,7 @@ class RevenueSharing {
         throw new Error('Invalid import data format');
       }
       
-      if (!data.useBuyToEarnModel && (!data.scheme || this.validator.validate(data.scheme).isValid === false)) {
+      if (!data.useBuyToEarnModel && (!data.scheme || this.validator.validate(data.scheme, this._getShareOptions()).isValid === false)) {
         throw new Error('Invalid imported scheme');
       }
       
@@ -530,11 +1372,31 @@ class RevenueSharing {
       )) {
         throw new Error('Invalid Buy-to-Earn parameters in imported data');
       }
+      
+      if (data.fees !== undefined && validateFeeModels(data.fees).length > 0) {
+        throw new Error('Invalid fees in imported data');
+      }
+      
+      const saleIds = data.sales.map(sale => sale.saleId).filter(saleId => saleId !== undefined);
+      if (new Set(saleIds).size !== saleIds.length) {
+        throw new Error('Duplicate sale ids in imported data');
+      }
+      
+      if (data.payoutRuns !== undefined && !Array.isArray(data.payoutRuns)) {
+        throw new Error('Invalid payout runs in imported data');
+      }
+      
+      if (data.payoutLedger !== undefined && !Array.isArray(data.payoutLedger)) {
+        throw new Error('Invalid payout ledger in imported data');
+      }
     }
     
     this.productName = data.productName;
     this.unitPrice = data.unitPrice;
     this.sales = deepClone(data.sales);
+    this._indexSales();
+    this.payoutRuns = deepClone(data.payoutRuns || []);
+    this.ledger = new PayoutLedger(data.payoutLedger || []);
     this.options = { ...this.options, ...data.options };
     this.useBuyToEarnModel = data.useBuyToEarnModel;
     
@@ -551,6 +1413,23 @@ class RevenueSharing {
       this.scheme = deepClone(data.scheme);
     }
     
+    this.fees = this.useBuyToEarnModel ? [] : deepClone(data.fees || []);
+    this.calculator = this._createCalculator();
+    this._incremental = this._createIncrementalCalculator();
+    
+    // Paybacks contained in the imported history are not announced again
+    this._paidBackSales = new Set();
+    this._paybackTracker = null;
+    if (this.useBuyToEarnModel) {
+      this._calculateBuyToEarnPayouts({}, false);
+    }
+    
+    this.emit('import', {
+      productName: this.productName,
+      salesCount: this.sales.length,
+      useBuyToEarnModel: this.useBuyToEarnModel
+    });
+    
     return true;
   }
   
@@ -562,7 +1441,7 @@ class RevenueSharing {
     if (this.useBuyToEarnModel) {
       return { isValid: true, errors: [] };
     }
-    return this.validator.validate(this.scheme);
+    return this.validator.validate(this.scheme, this._getShareOptions());
   }
   
   /**
@@ -583,6 +1462,28 @@ class RevenueSharing {
       result.platform = roundToCents(result.platform);
     }
     
+    // Round named parties
+    if (result.parties) {
+      Object.keys(result.parties).forEach(party => {
+        result.parties[party] = roundToCents(result.parties[party]);
+      });
+    }
+    
+    // Round every level of the splits
+    if (result.splits) {
+      result.splits = mapSplitAmounts(result.splits, roundToCents);
+    }
+    
+    // Round the amounts of the limits report
+    if (result.limits) {
+      result.limits = mapLimitAmounts(result.limits, roundToCents);
+    }
+    
+    // Round the revenue and amount of every schedule bracket
+    if (result.schedules) {
+      result.schedules = mapScheduleAmounts(result.schedules, roundToCents);
+    }
+    
     // Round buyer values
     if (result.buyers) {
       Object.keys(result.buyers).forEach(buyer => {
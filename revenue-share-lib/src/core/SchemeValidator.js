@@ -6,6 +6,12 @@
 
 import { isNumeric, sum } from '../utils/MathUtils';
 import { SCHEME_KEYS } from '../utils/ValidationUtils';
+import { groupRangesOverlap, isGroupRule, validateGroupOptions } from '../utils/GroupUtils';
+import { isPartyRule, validatePartyRule } from '../utils/PayeeUtils';
+import { validateSplitRule } from '../utils/SplitUtils';
+import { isRemainderRule, planShares } from '../utils/ShareUtils';
+import { isLimitedRule, validateLimitRule } from '../utils/LimitUtils';
+import { isScheduledRule, validateScheduleRule } from '../utils/ScheduleUtils';
 
 /**
  * Class responsible for validating revenue sharing schemes
@@ -16,13 +22,15 @@ class SchemeValidator {
    * @param {Object} scheme - The scheme to validate
    * @param {Object} [options] - Validation options
    * @param {boolean} [options.strictPercentageTotal=false] - Whether percentages must add up to exactly 100%
-   * @param {boolean} [options.allowRemainderOverride=true] - Whether to allow remainder to override percentage allocations
+   * @param {boolean} [options.allowRemainderOverride=true] - Whether a rule with a percentage may also take part in the remainder
+   * @param {string} [options.percentageOverflow='reject'] - Handling of percentages above 100%: 'reject', 'scale' or 'truncate'
    * @return {Object} - Validation result with isValid flag and errors array
    */
   validate(scheme, options = {}) {
     const defaultOptions = {
       strictPercentageTotal: false,
-      allowRemainderOverride: true
+      allowRemainderOverride: true,
+      percentageOverflow: 'reject'
     };
     
     const validationOptions = { ...defaultOptions, ...options };
@@ -52,13 +60,13 @@ class SchemeValidator {
       this._validatePercentageTotal(scheme, errors);
     }
     
-    // Check for multiple remainder flags
-    this._validateRemainderFlags(scheme, errors, validationOptions.allowRemainderOverride);
+    // Check remainder flags and percentage overflow the way the calculators resolve them
+    this._validateRemainderFlags(scheme, errors, validationOptions);
     
     return {
       isValid: errors.length === 0,
       errors,
-      warnings: this._generateWarnings(scheme)
+      warnings: this._generateWarnings(scheme, validationOptions.percentageOverflow)
     };
   }
   
@@ -95,23 +103,62 @@ class SchemeValidator {
         errors.push(`FromEnd for '${key}' must be a boolean`);
       }
       
-      // Check remainder value if present
-      if ('remainder' in rule && typeof rule.remainder !== 'boolean') {
-        errors.push(`Remainder for '${key}' must be a boolean`);
-      }
+      // Check range, weighting and allocation basis of buyer groups
+      errors.push(...validateGroupOptions(key, rule));
       
-      // Rules with count must have either percentage or remainder
-      if ('count' in rule && !('percentage' in rule) && !('remainder' in rule)) {
+      // Rules with count must have either percentage or remainder (or a schedule)
+      const hasShare = 'percentage' in rule || 'remainder' in rule || isScheduledRule(rule);
+      if ('count' in rule && !hasShare) {
         errors.push(`Rule for '${key}' with count must specify either percentage or remainder`);
+      } else if (isGroupRule(rule) && !hasShare) {
+        errors.push(`Rule for '${key}' with a range must specify either percentage or remainder`);
+      }
+      
+      // Named parties and keys whose share would otherwise be dropped
+      if (isPartyRule(rule)) {
+        errors.push(...validatePartyRule(key, rule));
+        
+        if (!hasShare) {
+          errors.push(`Party '${key}' must specify either percentage or remainder`);
+        }
+      } else if (this._paysNobody(key, rule)) {
+        errors.push(`Rule for '${key}' pays nobody: use a built-in key (${SCHEME_KEYS.join(', ')}, buyers*), a buyer group (count, from or to) or type 'party'`);
+      }
+      
+      // Sub-schemes, checked level by level
+      if ('split' in rule) {
+        errors.push(...validateSplitRule(key, rule));
       }
       
-      // Rules cannot have both percentage and remainder
-      if ('percentage' in rule && 'remainder' in rule) {
-        errors.push(`Rule for '${key}' cannot have both percentage and remainder`);
+      // Minimum guarantees and caps of single payees
+      if (isLimitedRule(rule)) {
+        errors.push(...validateLimitRule(key, rule));
+      }
+      
+      // Volume brackets must be contiguous
+      if (isScheduledRule(rule)) {
+        errors.push(...validateScheduleRule(key, rule));
       }
     });
   }
   
+  /**
+   * Check whether a rule claims revenue without a payee: it has a percentage, a schedule or the
+   * remainder flag, but its key has no built-in meaning and it neither defines a buyer
+   * group nor has a type. Rules without a share (e.g. custom metadata) are left alone.
+   * @param {string} key - Scheme key of the rule
+   * @param {Object} rule - Scheme rule
+   * @return {boolean} - Whether the share of the rule would be dropped
+   * @private
+   */
+  _paysNobody(key, rule) {
+    return ('percentage' in rule || 'remainder' in rule || isScheduledRule(rule)) &&
+      rule.type === undefined &&
+      !SCHEME_KEYS.includes(key) &&
+      !key.startsWith('buyers') &&
+      !isGroupRule(rule);
+  }
+  
   /**
    * Validate that percentages add up to 100%
    * @param {Object} scheme - The scheme to validate
@@ -129,33 +176,36 @@ class SchemeValidator {
   }
   
   /**
-   * Validate remainder flags
+   * Validate remainder flags and the percentage total with the share plan the calculators use
    * @param {Object} scheme - The scheme to validate
    * @param {Array} errors - Array to collect validation errors
-   * @param {boolean} allowOverride - Whether to allow remainder to override percentage allocations
+   * @param {Object} options - Validation options (`allowRemainderOverride`, `percentageOverflow`)
    * @private
    */
-  _validateRemainderFlags(scheme, errors, allowOverride) {
-    const remainderRules = Object.entries(scheme)
-      .filter(([key, rule]) => rule.remainder === true);
+  _validateRemainderFlags(scheme, errors, { allowRemainderOverride, percentageOverflow }) {
+    const { errors: planErrors } = planShares(scheme, { allowRemainderOverride, percentageOverflow });
     
-    // Check if multiple rules have remainder flag
-    if (remainderRules.length > 1) {
-      errors.push(`Only one rule can have remainder flag, found ${remainderRules.length}: ${remainderRules.map(([key]) => key).join(', ')}`);
-    }
+    // A total already reported by strict mode is not reported again as an overflow
+    const totalReported = errors.some(error => error.startsWith('Total percentage allocation'));
+    
+    planErrors
+      .filter(error => !errors.includes(error))
+      .filter(error => !(totalReported && error.startsWith('Total percentage allocation')))
+      .forEach(error => errors.push(error));
   }
   
   /**
    * Generate warnings that don't invalidate the scheme but might be issues
    * @param {Object} scheme - The scheme to validate
+   * @param {string} [percentageOverflow='reject'] - Handling of percentages above 100%
    * @return {Array} - Array of warning messages
    * @private
    */
-  _generateWarnings(scheme) {
+  _generateWarnings(scheme, percentageOverflow = 'reject') {
     const warnings = [];
     
     // Check if there's a remainder rule
-    const hasRemainderRule = Object.values(scheme).some(rule => rule.remainder === true);
+    const hasRemainderRule = Object.values(scheme).some(rule => isRemainderRule(rule));
     
     // Check percentage total
     const percentageTotal = Object.values(scheme)
@@ -167,14 +217,36 @@ class SchemeValidator {
       warnings.push(`Total percentage allocation (${percentageTotal}%) doesn't equal 100% and no remainder rule is defined`);
     }
     
-    // Warn about count rules that might apply to more sales than exist
-    const countRules = Object.entries(scheme)
-      .filter(([key, rule]) => 'count' in rule);
+    // Percentages above 100% are not an error unless rejected, but the rules get less than they state
+    if (percentageTotal > 100 + 0.01 && percentageOverflow === 'scale') {
+      warnings.push(`Total percentage allocation (${percentageTotal}%) exceeds 100%, percentages are scaled down proportionally`);
+    } else if (percentageTotal > 100 + 0.01 && percentageOverflow === 'truncate') {
+      warnings.push(`Total percentage allocation (${percentageTotal}%) exceeds 100%, rules beyond 100% are truncated`);
+    }
+    
+    // Scheduled percentages depend on volume: warn when their highest brackets overflow
+    const scheduledRules = Object.values(scheme)
+      .filter(rule => isScheduledRule(rule) && Array.isArray(rule.schedule) && rule.schedule.length > 0);
+    const highestTotal = scheduledRules.reduce((total, rule) =>
+      total + Math.max(...rule.schedule.map(bracket => (bracket && isNumeric(bracket.percentage) ? bracket.percentage : 0))),
+    percentageTotal);
     
-    if (countRules.length > 1) {
-      warnings.push(`Multiple count rules (${countRules.length}) might overlap or apply to more buyers than exist`);
+    if (scheduledRules.length > 0 && highestTotal > 100 + 0.01) {
+      warnings.push(`Total percentage allocation can reach ${highestTotal}% with the highest scheduled brackets, which exceeds 100%`);
     }
     
+    // Warn about buyer groups whose ranges overlap: a sale in both earns both shares
+    const groupRules = Object.entries(scheme)
+      .filter(([key, rule]) => rule && typeof rule === 'object' && isGroupRule(rule));
+    
+    groupRules.forEach(([key, rule], index) => {
+      groupRules.slice(index + 1).forEach(([otherKey, otherRule]) => {
+        if (groupRangesOverlap(rule, otherRule)) {
+          warnings.push(`Buyer groups '${key}' and '${otherKey}' overlap, so their common buyers receive both shares`);
+        }
+      });
+    });
+    
     return warnings;
   }
   
@@ -207,7 +279,7 @@ class SchemeValidator {
     }
     
     // If no remainder rule and percentages don't add up to 100%, add remainder to author
-    if (percentageTotal < 100 && !Object.values(fixedScheme).some(rule => rule.remainder)) {
+    if (percentageTotal < 100 && !Object.values(fixedScheme).some(rule => isRemainderRule(rule))) {
       if (fixedScheme.author) {
         fixedScheme.author.remainder = true;
       } else {
@@ -11,7 +11,10 @@ export { RevenueSharing };
 // Export core components
 import SchemeValidator from './core/SchemeValidator';
 import PayoutCalculator from './core/PayoutCalculator';
-export { SchemeValidator, PayoutCalculator };
+import Catalog from './core/Catalog';
+import PayoutLedger from './core/PayoutLedger';
+import IncrementalCalculator from './core/IncrementalCalculator';
+export { SchemeValidator, PayoutCalculator, Catalog, PayoutLedger, IncrementalCalculator };
 
 // Export predefined schemes
 import * as Schemes from './schemes';
@@ -21,13 +24,21 @@ export { Schemes };
 import * as Utils from './utils';
 export { Utils };
 
+// Export built-in calculation plugins
+import * as Plugins from './plugins';
+export { Plugins };
+
 // Create default export
 export default {
   RevenueSharing,
   SchemeValidator,
   PayoutCalculator,
+  Catalog,
+  PayoutLedger,
+  IncrementalCalculator,
   Schemes,
   Utils,
+  Plugins,
   
   /**
    * Create a new RevenueSharing instance
@@ -134,6 +145,10 @@ export default {
    * @param {number} params.paybackRatio - Payback ratio
    * @param {number} params.nonPaybackPoolPercent - Non-payback pool percentage (0-1)
    * @param {number} params.buyersShare - Buyers' total share (0-1)
+   * @param {number} [params.initialInvestment=0] - Initial investment covered by the prepayers
+   * @param {number} [params.numPrepayers] - Number of prepayer tokens
+   * @param {Array<number>} [params.projectAt] - Sale numbers to project the token's earnings at
+   * @param {number} [params.maxSimulatedSales] - Maximum number of sales to simulate
    * @return {Object} - Estimation result
    */
   estimateTokenPayback(params) {
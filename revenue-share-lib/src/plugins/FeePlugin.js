@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Payment processor fee and VAT deduction before scheme allocation
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { isObject } from '../utils/ValidationUtils';
+import { getSaleRevenue } from '../utils/SaleUtils';
+
+/**
+ * Check that a value is a non-negative finite number
+ * @param {*} value - Value to check
+ * @return {boolean} - Whether the value is a valid amount or rate
+ * @private
+ */
+function isNonNegative(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate a list of fee models
+ *
+ * A fee model has a unique `name` and uses exactly one way of computing the fee:
+ * - `percentage` and/or `fixed`: percentage of the sale revenue plus a fixed amount per sale
+ * - `tiers`: `[{ upTo, percentage, fixed }, ...]` ordered by `upTo`; the first tier whose
+ *   `upTo` is not below the sale revenue applies; the last tier may omit `upTo` and
+ *   also applies to sales above every limit
+ * - `inclusiveRate`: tax included in the price (VAT), `revenue * rate / (100 + rate)`
+ * Any model can also set `metadataKey`: a number in `sale.metadata[metadataKey]` is used
+ * as the fee of that sale instead of the computed one.
+ *
+ * @param {Array<Object>} feeModels - Fee models
+ * @return {Array<string>} - Validation errors (empty if valid)
+ */
+export function validateFeeModels(feeModels) {
+  if (!Array.isArray(feeModels)) {
+    return ['Fees must be an array of fee models'];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  feeModels.forEach((model, index) => {
+    if (!isObject(model) || typeof model.name !== 'string' || !model.name) {
+      errors.push(`Fee model at index ${index} must be an object with a name`);
+      return;
+    }
+
+    const { name } = model;
+
+    if (name === 'total') {
+      errors.push("Fee name 'total' is reserved");
+    }
+
+    if (names.has(name)) {
+      errors.push(`Fee '${name}' is defined more than once`);
+    }
+    names.add(name);
+
+    const hasFlat = 'percentage' in model || 'fixed' in model;
+    const methods = [hasFlat, 'tiers' in model, 'inclusiveRate' in model].filter(Boolean).length;
+
+    if (methods !== 1) {
+      errors.push(`Fee '${name}' must define exactly one of percentage/fixed, tiers or inclusiveRate`);
+    }
+
+    if ('percentage' in model && (!isNonNegative(model.percentage) || model.percentage > 100)) {
+      errors.push(`Percentage of fee '${name}' must be a number between 0 and 100`);
+    }
+
+    if ('fixed' in model && !isNonNegative(model.fixed)) {
+      errors.push(`Fixed amount of fee '${name}' must be a non-negative number`);
+    }
+
+    if ('inclusiveRate' in model && !isNonNegative(model.inclusiveRate)) {
+      errors.push(`Inclusive rate of fee '${name}' must be a non-negative number`);
+    }
+
+    if ('metadataKey' in model && typeof model.metadataKey !== 'string') {
+      errors.push(`Metadata key of fee '${name}' must be a string`);
+    }
+
+    if ('tiers' in model) {
+      errors.push(...validateTiers(name, model.tiers));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the tiers of a tiered fee model
+ * @param {string} name - Fee name
+ * @param {Array<Object>} tiers - Fee tiers
+ * @return {Array<string>} - Validation errors
+ * @private
+ */
+function validateTiers(name, tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return [`Tiers of fee '${name}' must be a non-empty array`];
+  }
+
+  const errors = [];
+  let previousLimit = -Infinity;
+
+  tiers.forEach((tier, index) => {
+    if (!isObject(tier)) {
+      errors.push(`Tier ${index} of fee '${name}' must be an object`);
+      return;
+    }
+
+    const isLast = index === tiers.length - 1;
+
+    if (tier.upTo === undefined) {
+      if (!isLast) {
+        errors.push(`Only the last tier of fee '${name}' can omit upTo`);
+      }
+    } else if (!isNonNegative(tier.upTo) || tier.upTo <= previousLimit) {
+      errors.push(`Tier limits of fee '${name}' must be increasing non-negative numbers`);
+    } else {
+      previousLimit = tier.upTo;
+    }
+
+    if (tier.percentage !== undefined && (!isNonNegative(tier.percentage) || tier.percentage > 100)) {
+      errors.push(`Percentage of tier ${index} of fee '${name}' must be a number between 0 and 100`);
+    }
+
+    if (tier.fixed !== undefined && !isNonNegative(tier.fixed)) {
+      errors.push(`Fixed amount of tier ${index} of fee '${name}' must be a non-negative number`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Calculate the fee a model charges on one sale, before capping
+ * @param {Object} model - Fee model
+ * @param {Object} sale - Sale record
+ * @param {number} revenue - Gross revenue of the sale
+ * @param {Function} toAmount - Converts a configured amount to calculation units
+ * @return {number} - Fee of the sale
+ * @private
+ */
+function calculateModelFee(model, sale, revenue, toAmount) {
+  const override = model.metadataKey && sale.metadata ? sale.metadata[model.metadataKey] : undefined;
+
+  if (typeof override === 'number') {
+    return toAmount(override);
+  }
+
+  if ('inclusiveRate' in model) {
+    return (revenue * model.inclusiveRate) / (100 + model.inclusiveRate);
+  }
+
+  const rate = model.tiers
+    ? model.tiers.find(tier => tier.upTo === undefined || revenue <= toAmount(tier.upTo)) ||
+      model.tiers[model.tiers.length - 1]
+    : model;
+
+  return (revenue * (rate.percentage || 0)) / 100 + toAmount(rate.fixed || 0);
+}
+
+/**
+ * Calculate the fees of one sale
+ *
+ * Every model is applied to the gross revenue of the sale. Fees are capped so that
+ * they never exceed what is left of the sale revenue, models earlier in the list
+ * being charged first. With `minorUnits` each fee is rounded to a whole minor unit.
+ *
+ * @param {Array<Object>} feeModels - Validated fee models
+ * @param {Object} sale - Sale record
+ * @param {number} unitPrice - Default price per unit
+ * @param {Object} [options] - Calculation options
+ * @param {Function} [options.toAmount] - Converts configured amounts to calculation units
+ * @param {boolean} [options.minorUnits=false] - Whether amounts are integer minor units
+ * @return {Object} - Fee per model name
+ */
+export function calculateSaleFees(feeModels, sale, unitPrice, { toAmount = amount => amount, minorUnits = false } = {}) {
+  const revenue = Math.max(0, getSaleRevenue(sale, unitPrice));
+  let remaining = revenue;
+  const fees = {};
+
+  feeModels.forEach(model => {
+    let fee = calculateModelFee(model, sale, revenue, toAmount);
+    if (minorUnits) {
+      fee = Math.round(fee);
+    }
+
+    fee = Math.min(Math.max(fee, 0), remaining);
+    remaining -= fee;
+    fees[model.name] = fee;
+  });
+
+  return fees;
+}
+
+/**
+ * Create a calculation plugin that deducts fees from the revenue before the scheme
+ * is applied and reports them as `payouts.fees` (`{ [name]: amount, total }`)
+ * @param {Array<Object>} feeModels - Fee models (see validateFeeModels)
+ * @param {Object} [options] - Plugin options
+ * @param {Function} [options.toAmount] - Converts configured amounts (fixed fees, tier limits,
+ *   metadata overrides) to calculation units, e.g. to minor units
+ * @param {Function} [options.roundAmount] - Rounds a fee when results are rounded
+ * @return {Object} - Plugin for PayoutCalculator.use
+ */
+export function createFeePlugin(feeModels, { toAmount = amount => amount, roundAmount = amount => amount } = {}) {
+  const errors = validateFeeModels(feeModels);
+  if (errors.length > 0) {
+    throw new Error(`Invalid fees: ${errors.join(', ')}`);
+  }
+
+  return {
+    name: 'fees',
+
+    preAllocate: calculation => {
+      const fees = { total: 0 };
+      feeModels.forEach(model => {
+        fees[model.name] = 0;
+      });
+
+      calculation.sales.forEach(sale => {
+        const saleFees = calculateSaleFees(feeModels, sale, calculation.unitPrice, {
+          toAmount,
+          minorUnits: calculation.context.minorUnits
+        });
+
+        Object.entries(saleFees).forEach(([name, fee]) => {
+          fees[name] += fee;
+          fees.total += fee;
+        });
+      });
+
+      calculation.payouts.fees = fees;
+      calculation.totalRevenue -= fees.total;
+    },
+
+    rounding: (payouts, next) => {
+      const rounded = next(payouts);
+
+      if (!rounded.fees) {
+        return rounded;
+      }
+
+      // The total is the sum of the rounded fees, so the report reconciles
+      const fees = { total: 0 };
+      Object.entries(rounded.fees).forEach(([name, fee]) => {
+        if (name === 'total') return;
+        fees[name] = roundAmount(fee);
+        fees.total += fees[name];
+      });
+      fees.total = roundAmount(fees.total);
+
+      return { ...rounded, fees };
+    }
+  };
+}
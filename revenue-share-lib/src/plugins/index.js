@@ -0,0 +1,7 @@
+/**
+ * @fileoverview Export all built-in calculation plugins
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+export * from './FeePlugin';
@@ -17,15 +17,16 @@ export const SLIDING_WINDOW = {
 };
 
 /**
- * Multi-tier early adopter scheme that heavily rewards the first buyers
+ * Multi-tier early adopter scheme that heavily rewards the first buyers.
+ * The tiers do not overlap: every early sale earns the share of exactly one tier.
  * @type {Object}
  */
 export const EARLY_ADOPTER_TIERS = {
   author: { percentage: 20 },
   platform: { percentage: 15 },
   first100: { count: 100, percentage: 25 },
-  first1000: { count: 1000, percentage: 20 },
-  first10000: { count: 10000, percentage: 15 },
+  from101to1000: { from: 101, to: 1000, percentage: 20 },
+  from1001to10000: { from: 1001, to: 10000, percentage: 15 },
   allBuyers: { percentage: 5 }
 };
 
@@ -52,15 +53,15 @@ export const COMMUNITY_DRIVEN = {
 };
 
 /**
- * ICO-like scheme that heavily rewards early adopters
+ * ICO-like scheme that heavily rewards early adopters, with non-overlapping tiers
  * @type {Object}
  */
 export const ICO_MODEL = {
   author: { percentage: 15 },
   platform: { percentage: 10 },
   first100: { count: 100, percentage: 30 },
-  first1000: { count: 1000, percentage: 25 },
-  first10000: { count: 10000, percentage: 15 },
+  from101to1000: { from: 101, to: 1000, percentage: 25 },
+  from1001to10000: { from: 1001, to: 10000, percentage: 15 },
   allBuyers: { percentage: 5 }
 };
 
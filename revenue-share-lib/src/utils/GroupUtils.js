@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Helpers for buyer group rules: position ranges, position weighting and counting
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { ALLOCATION_BASES } from './SaleUtils';
+
+/**
+ * Supported ways of weighting sales by their position within a buyer group
+ * - `equal`: every position weighs the same
+ * - `linear`: the first position of a range of `n` weighs `n`, the next `n - 1`, down to 1
+ * - `exponential`: every position weighs `decay` times the previous one
+ * @type {Array<string>}
+ */
+export const GROUP_WEIGHTINGS = ['equal', 'linear', 'exponential'];
+
+/**
+ * Supported ways of counting positions within a buyer group
+ * - `sale`: every sale takes a position, so a buyer with several sales holds several positions
+ * - `buyer`: every distinct buyer takes one position, with their first sale
+ * @type {Array<string>}
+ */
+export const GROUP_COUNTINGS = ['sale', 'buyer'];
+
+/**
+ * Check whether a rule targets a range of positions (`count`, `from` or `to`)
+ * @param {Object} rule - Scheme rule
+ * @return {boolean} - Whether the rule defines a buyer group by position
+ */
+export function isGroupRule(rule) {
+  return 'count' in rule || 'from' in rule || 'to' in rule;
+}
+
+/**
+ * Get the positions covered by a group rule
+ *
+ * Positions are 1-based and counted from the first sale, or from the last sale when
+ * `fromEnd` is set. `count` alone covers positions 1 to `count`; `from` and `to` give
+ * the first and last position explicitly, and `from` with `count` covers `count`
+ * positions starting at `from`. Without `to` and `count` the range is open-ended.
+ *
+ * @param {Object} rule - Group rule
+ * @return {Object} - `{ from, to }`, where `to` is Infinity for an open-ended range
+ */
+export function getGroupRange(rule) {
+  const from = rule.from !== undefined ? rule.from : 1;
+
+  if (rule.to !== undefined) {
+    return { from, to: rule.to };
+  }
+
+  return { from, to: rule.count !== undefined ? from + rule.count - 1 : Infinity };
+}
+
+/**
+ * Get the weight of a position within a group rule
+ * @param {Object} rule - Group rule
+ * @param {number} rank - 0-based rank of the sale within the range (0 for its first position)
+ * @param {number} size - Number of positions weighted (the range size, or the member count
+ *   for an open-ended range)
+ * @return {number} - Position weight
+ */
+export function getPositionWeight(rule, rank, size) {
+  switch (rule.weighting || 'equal') {
+    case 'linear':
+      return size - rank;
+
+    case 'exponential':
+      return Math.pow(rule.decay, rank);
+
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Validate the group options of a scheme rule
+ * @param {string} key - Scheme key of the rule
+ * @param {Object} rule - Scheme rule
+ * @return {Array<string>} - Error messages (empty when the options are valid)
+ */
+export function validateGroupOptions(key, rule) {
+  const errors = [];
+
+  if ('from' in rule && (!Number.isInteger(rule.from) || rule.from <= 0)) {
+    errors.push(`From for '${key}' must be a positive integer`);
+  }
+
+  if ('to' in rule) {
+    if (!Number.isInteger(rule.to) || rule.to <= 0) {
+      errors.push(`To for '${key}' must be a positive integer`);
+    } else if (Number.isInteger(rule.from) && rule.to < rule.from) {
+      errors.push(`Range of '${key}' must not end before it starts`);
+    }
+
+    if ('count' in rule) {
+      errors.push(`Rule for '${key}' cannot have both count and to`);
+    }
+  }
+
+  if ('weighting' in rule && !GROUP_WEIGHTINGS.includes(rule.weighting)) {
+    errors.push(`Weighting for '${key}' must be one of: ${GROUP_WEIGHTINGS.join(', ')}`);
+  }
+
+  if (rule.weighting === 'exponential' && !(typeof rule.decay === 'number' && rule.decay > 0 && rule.decay < 1)) {
+    errors.push(`Decay for '${key}' must be a number between 0 and 1`);
+  }
+
+  if ('allocationBasis' in rule && !ALLOCATION_BASES.includes(rule.allocationBasis)) {
+    errors.push(`Allocation basis for '${key}' must be one of: ${ALLOCATION_BASES.join(', ')}`);
+  }
+
+  if ('groupCounting' in rule && !GROUP_COUNTINGS.includes(rule.groupCounting)) {
+    errors.push(`Group counting for '${key}' must be one of: ${GROUP_COUNTINGS.join(', ')}`);
+  }
+
+  if ('maxUnitsPerBuyer' in rule && (!Number.isInteger(rule.maxUnitsPerBuyer) || rule.maxUnitsPerBuyer <= 0)) {
+    errors.push(`Max units per buyer for '${key}' must be a positive integer`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether two group rules share at least one position
+ * @param {Object} a - Group rule
+ * @param {Object} b - Group rule
+ * @return {boolean} - Whether the ranges overlap (rules counting from opposite ends overlap
+ *   while there are few sales, so they are reported as overlapping)
+ */
+export function groupRangesOverlap(a, b) {
+  if (Boolean(a.fromEnd) !== Boolean(b.fromEnd)) {
+    return true;
+  }
+
+  const first = getGroupRange(a);
+  const second = getGroupRange(b);
+  return first.from <= second.to && second.from <= first.to;
+}
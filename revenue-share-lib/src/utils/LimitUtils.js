@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Minimum guarantees and caps of payees: validation and iterative redistribution
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { allocateLargestRemainder } from './MoneyUtils';
+import { isPartyRule } from './PayeeUtils';
+import { SPLIT_PATH_SEPARATOR, buildSplitTree, flattenSplitTree, isSinglePayeeRule } from './SplitUtils';
+
+/**
+ * Rule properties limiting the payout of a single payee
+ * - `minAmount`: the payee receives at least this amount, taken from the other payees
+ * - `maxAmount`: the payee receives at most this amount, the excess is redistributed
+ * @type {Array<string>}
+ */
+export const LIMIT_KEYS = ['minAmount', 'maxAmount'];
+
+/**
+ * Tolerance below which floating point differences do not trigger a limit
+ * @type {number}
+ * @private
+ */
+const EPSILON = 1e-9;
+
+/**
+ * Check whether a value is a valid limit amount
+ * @param {*} value - Value to check
+ * @return {boolean} - Whether the value is a finite non-negative number
+ * @private
+ */
+function isLimitAmount(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+/**
+ * Check whether a rule sets a minimum or maximum amount
+ * @param {Object} rule - Scheme rule
+ * @return {boolean} - Whether the rule has `minAmount` or `maxAmount`
+ */
+export function isLimitedRule(rule) {
+  return Boolean(rule) && LIMIT_KEYS.some(limit => rule[limit] !== undefined);
+}
+
+/**
+ * Validate the `minAmount` and `maxAmount` of a scheme rule
+ * @param {string} key - Scheme key of the rule
+ * @param {Object} rule - Scheme rule with a limit
+ * @return {Array<string>} - Error messages (empty when the limits are valid)
+ */
+export function validateLimitRule(key, rule) {
+  if (!isSinglePayeeRule(key, rule)) {
+    return [`Rule for '${key}' can only limit the payout of a single payee (author, platform, promotion or a party)`];
+  }
+
+  const errors = LIMIT_KEYS
+    .filter(limit => rule[limit] !== undefined && !isLimitAmount(rule[limit]))
+    .map(limit => `${limit === 'minAmount' ? 'Minimum' : 'Maximum'} amount for '${key}' must be a non-negative number`);
+
+  if (errors.length === 0 && rule.minAmount !== undefined && rule.maxAmount !== undefined &&
+    rule.minAmount > rule.maxAmount) {
+    errors.push(`Minimum amount for '${key}' cannot exceed its maximum amount`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the `maxAmountPerBuyer` calculation option
+ * @param {*} maxAmountPerBuyer - Option value (undefined or null when not set)
+ * @return {Array<string>} - Error messages
+ */
+export function validateBuyerLimit(maxAmountPerBuyer) {
+  return maxAmountPerBuyer === undefined || maxAmountPerBuyer === null || isLimitAmount(maxAmountPerBuyer)
+    ? []
+    : ['Maximum amount per buyer must be a non-negative number'];
+}
+
+/**
+ * Split an amount by weights
+ * @param {number} amount - Amount to split
+ * @param {Array<number>} weights - Non-negative weights with a positive total
+ * @param {boolean} minorUnits - Whether amounts are integer minor units
+ * @return {Array<number>} - Parts in the order of the weights
+ * @private
+ */
+function splitByWeights(amount, weights, minorUnits) {
+  if (minorUnits) {
+    return allocateLargestRemainder(amount, weights);
+  }
+
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  return weights.map(weight => (amount * weight) / totalWeight);
+}
+
+/**
+ * List the payees of a calculation as accounts with their limits
+ * @param {Object} scheme - Revenue sharing scheme
+ * @param {Object} payouts - Standard payouts
+ * @param {number|null} maxAmountPerBuyer - Cap of every buyer
+ * @param {Object} remainderReceipts - `{ payees, buyers }` received from the remainder
+ * @return {Array<Object>} - `{ payee|buyer, amount, minAmount, maxAmount, remainder }` per payee
+ * @private
+ */
+function createAccounts(scheme, payouts, maxAmountPerBuyer, remainderReceipts) {
+  const accounts = [];
+  const hasBuyerCap = maxAmountPerBuyer !== undefined && maxAmountPerBuyer !== null;
+
+  // Stakeholder roles, including a limited role no rule has paid yet
+  const roles = Object.keys(payouts).filter(payee => typeof payouts[payee] === 'number');
+  Object.keys(scheme).forEach(key => {
+    if (!roles.includes(key) && !isPartyRule(scheme[key]) && isLimitedRule(scheme[key])) roles.push(key);
+  });
+
+  roles.forEach(payee => {
+    const rule = scheme[payee] || {};
+    accounts.push({ payee, amount: payouts[payee] || 0, minAmount: rule.minAmount, maxAmount: rule.maxAmount });
+  });
+
+  Object.entries(payouts.parties || {}).forEach(([party, amount]) => {
+    accounts.push({ party, amount, minAmount: scheme[party].minAmount, maxAmount: scheme[party].maxAmount });
+  });
+
+  Object.entries(payouts.buyers).forEach(([buyer, amount]) => {
+    accounts.push({ buyer, amount, maxAmount: hasBuyerCap ? maxAmountPerBuyer : undefined, buyerCap: hasBuyerCap });
+  });
+
+  accounts.forEach(account => {
+    account.original = account.amount;
+    account.remainder = account.buyer !== undefined
+      ? remainderReceipts.buyers[account.buyer] || 0
+      : remainderReceipts.payees[account.payee !== undefined ? account.payee : account.party] || 0;
+  });
+
+  return accounts;
+}
+
+/**
+ * Cap every payee above its maximum and redistribute the excess, until no cap is exceeded
+ *
+ * The excess goes to the payees below their cap in proportion to what they received from
+ * the remainder, as if it had never been claimed; when none of them received any remainder,
+ * in proportion to their amounts. An excess nobody can take is returned as unallocated.
+ *
+ * @param {Array<Object>} accounts - Accounts returned by createAccounts
+ * @param {boolean} minorUnits - Whether amounts are integer minor units
+ * @return {number} - Unallocated excess
+ * @private
+ */
+function applyCaps(accounts, minorUnits) {
+  let unallocated = 0;
+
+  // Every round caps at least one more payee, so there are at most as many rounds as payees
+  for (let round = 0; round <= accounts.length; round++) {
+    let excess = 0;
+
+    accounts.forEach(account => {
+      if (account.maxAmount !== undefined && account.amount - account.maxAmount > EPSILON) {
+        excess += account.amount - account.maxAmount;
+        account.amount = account.maxAmount;
+        account.capped = true;
+      }
+    });
+
+    if (excess <= EPSILON) break;
+
+    const receivers = accounts.filter(account => account.maxAmount === undefined ||
+      account.maxAmount - account.amount > EPSILON);
+    const byRemainder = receivers.some(account => account.remainder > 0);
+    const weights = receivers.map(account => Math.max(0, byRemainder ? account.remainder : account.amount));
+
+    if (weights.every(weight => weight === 0)) {
+      unallocated += excess;
+      break;
+    }
+
+    splitByWeights(excess, weights, minorUnits).forEach((part, index) => {
+      receivers[index].amount += part;
+    });
+  }
+
+  return unallocated;
+}
+
+/**
+ * Raise every payee below its minimum, taking the difference from the other payees
+ * in proportion to what they have above their own minimum
+ * @param {Array<Object>} accounts - Accounts returned by createAccounts
+ * @param {boolean} minorUnits - Whether amounts are integer minor units
+ * @return {number} - Part of the minimums that could not be covered
+ * @private
+ */
+function applyFloors(accounts, minorUnits) {
+  const floored = accounts.filter(account => account.minAmount !== undefined &&
+    account.minAmount - account.amount > EPSILON);
+
+  if (floored.length === 0) return 0;
+
+  const needs = floored.map(account => account.minAmount - account.amount);
+  const donors = accounts.filter(account => !floored.includes(account) &&
+    account.amount - (account.minAmount || 0) > EPSILON);
+  const available = donors.map(account => account.amount - (account.minAmount || 0));
+  const totalNeed = needs.reduce((total, need) => total + need, 0);
+  const taken = Math.min(totalNeed, available.reduce((total, amount) => total + amount, 0));
+
+  if (taken > 0) {
+    splitByWeights(taken, available, minorUnits).forEach((part, index) => {
+      donors[index].amount -= part;
+    });
+    splitByWeights(taken, needs, minorUnits).forEach((part, index) => {
+      floored[index].amount += part;
+    });
+  }
+
+  floored.forEach(account => {
+    account.floored = true;
+  });
+
+  return totalNeed - taken;
+}
+
+/**
+ * Apply the minimum and maximum amounts of a calculation
+ *
+ * Caps are resolved first (iteratively, see applyCaps), then minimums are raised from
+ * the other payees (see applyFloors). Limits hold for the amounts of the calculation
+ * they are applied to. The payouts are updated in place.
+ *
+ * @param {Object} scheme - Revenue sharing scheme
+ * @param {Object} payouts - Standard payouts with stakeholder roles, `parties` and `buyers`
+ * @param {Object} [options] - Limit options
+ * @param {number} [options.maxAmountPerBuyer] - Largest amount a single buyer receives
+ * @param {Object} [options.remainderReceipts] - `{ payees, buyers }` received from the remainder,
+ *   deciding who receives capped excess
+ * @param {boolean} [options.minorUnits=false] - Whether amounts are integer minor units
+ * @return {Object} - Report `{ triggered, adjustments, unallocated, shortfall }`: every limit that
+ *   changed a payout as `{ payee|party|buyer, limit, value, amount }` (`amount` is the payout before
+ *   limits), the net change of every payee as `{ payees, buyers }`, the capped excess nobody could
+ *   take and the part of the minimums that could not be covered
+ */
+export function applyLimits(scheme, payouts, {
+  maxAmountPerBuyer,
+  remainderReceipts = { payees: {}, buyers: {} },
+  minorUnits = false
+} = {}) {
+  const accounts = createAccounts(scheme, payouts, maxAmountPerBuyer, remainderReceipts);
+  const unallocated = applyCaps(accounts, minorUnits);
+  const shortfall = applyFloors(accounts, minorUnits);
+  const triggered = [];
+  const adjustments = { payees: {}, buyers: {} };
+
+  accounts.forEach(account => {
+    const { payee, party, buyer, amount, original } = account;
+    const payeeRef = buyer !== undefined ? { buyer } : party !== undefined ? { party } : { payee };
+
+    if (account.capped) {
+      triggered.push({
+        ...payeeRef,
+        limit: account.buyerCap ? 'maxAmountPerBuyer' : 'maxAmount',
+        value: account.maxAmount,
+        amount: original
+      });
+    }
+
+    if (account.floored) {
+      triggered.push({ ...payeeRef, limit: 'minAmount', value: account.minAmount, amount: original });
+    }
+
+    if (amount === original) return;
+
+    if (buyer !== undefined) {
+      payouts.buyers[buyer] = amount;
+      adjustments.buyers[buyer] = amount - original;
+    } else if (party !== undefined) {
+      payouts.parties[party] = amount;
+      adjustments.payees[party] = amount - original;
+    } else {
+      payouts[payee] = amount;
+      adjustments.payees[payee] = amount - original;
+    }
+  });
+
+  return { triggered, adjustments, unallocated, shortfall };
+}
+
+/**
+ * Guarantee the `minAmount` of every payee within a period
+ *
+ * Period earnings are taken from lifetime payouts calculated without minimums; every payee
+ * that earned less than its minimum in the period is raised to it from the other payees of
+ * the period, as in a calculation (see applyFloors). A payee with a `split` is guaranteed
+ * the total of its split payees, and the difference is split like its payout.
+ *
+ * @param {Object} scheme - Revenue sharing scheme, with amounts in the unit of the earnings
+ * @param {Object} earnings - Earnings of the period per payee (`{ [payee]: amount, buyers }`, split
+ *   payees flattened as by getPayeeAmounts), updated in place
+ * @param {boolean} [minorUnits=false] - Whether amounts are integer minor units
+ * @return {number} - Part of the minimums that could not be covered
+ */
+export function applyPeriodMinimums(scheme, earnings, minorUnits = false) {
+  const minimums = {};
+  const payouts = { ...earnings, buyers: { ...earnings.buyers } };
+
+  Object.entries(scheme).forEach(([key, rule]) => {
+    if (!rule || typeof rule.minAmount !== 'number') return;
+
+    minimums[key] = { minAmount: rule.minAmount };
+    if (rule.split === undefined) return;
+
+    const prefix = `${key}${SPLIT_PATH_SEPARATOR}`;
+    payouts[key] = 0;
+    Object.keys(payouts).forEach(payee => {
+      if (!payee.startsWith(prefix)) return;
+      payouts[key] += payouts[payee];
+      delete payouts[payee];
+    });
+  });
+
+  if (Object.keys(minimums).length === 0) return 0;
+
+  const { adjustments, shortfall } = applyLimits(minimums, payouts, { minorUnits });
+
+  Object.entries(adjustments.payees).forEach(([payee, adjustment]) => {
+    const rule = scheme[payee];
+    const parts = rule && rule.split !== undefined
+      ? flattenSplitTree(buildSplitTree(adjustment, rule.split, minorUnits), payee)
+      : { [payee]: adjustment };
+
+    Object.entries(parts).forEach(([name, part]) => {
+      earnings[name] = (earnings[name] || 0) + part;
+    });
+  });
+  Object.entries(adjustments.buyers).forEach(([buyer, adjustment]) => {
+    earnings.buyers[buyer] += adjustment;
+  });
+
+  return shortfall;
+}
+
+/**
+ * Transform every amount of a limits report, e.g. to round them
+ * @param {Object} limits - `payouts.limits` as returned by applyLimits
+ * @param {Function} transform - `(amount) => amount`
+ * @return {Object} - New report with transformed amounts
+ */
+export function mapLimitAmounts(limits, transform) {
+  const mapObject = object => Object.fromEntries(Object.entries(object).map(([name, amount]) => [name, transform(amount)]));
+
+  return {
+    triggered: limits.triggered.map(entry => ({ ...entry, value: transform(entry.value), amount: transform(entry.amount) })),
+    adjustments: { payees: mapObject(limits.adjustments.payees), buyers: mapObject(limits.adjustments.buyers) },
+    unallocated: transform(limits.unallocated),
+    shortfall: transform(limits.shortfall)
+  };
+}
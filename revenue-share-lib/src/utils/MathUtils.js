@@ -96,3 +96,34 @@ export function formatCurrency(value, currency = 'USD', locale = 'en-US') {
     currency
   }).format(value);
 }
+
+/**
+ * Euler-Mascheroni constant
+ * @type {number}
+ */
+const EULER_GAMMA = 0.5772156649015329;
+
+/**
+ * Calculate the n-th harmonic number H(n) = 1 + 1/2 + ... + 1/n
+ *
+ * Small values are summed directly; larger ones use the asymptotic expansion,
+ * which is accurate to full double precision from n = 32 on.
+ *
+ * @param {number} n - Non-negative integer
+ * @return {number} - Harmonic number (0 for n <= 0)
+ */
+export function harmonicNumber(n) {
+  if (n <= 0) return 0;
+  
+  if (n < 32) {
+    let total = 0;
+    for (let k = n; k >= 1; k--) {
+      total += 1 / k;
+    }
+    return total;
+  }
+  
+  const inverseSquare = 1 / (n * n);
+  return Math.log(n) + EULER_GAMMA + 1 / (2 * n) -
+    inverseSquare * (1 / 12 - inverseSquare * (1 / 120 - inverseSquare / 252));
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Integer minor-unit money utilities for exact payout reconciliation
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+/**
+ * Convert a major-unit amount (e.g. dollars) to integer minor units (e.g. cents)
+ * @param {number} value - Amount in major units
+ * @param {number} [decimals=2] - Number of minor-unit decimal places of the currency
+ * @return {number} - Amount in integer minor units
+ */
+export function toMinorUnits(value, decimals = 2) {
+  return Math.round(value * Math.pow(10, decimals));
+}
+
+/**
+ * Convert integer minor units back to a major-unit amount
+ * @param {number} units - Amount in integer minor units
+ * @param {number} [decimals=2] - Number of minor-unit decimal places of the currency
+ * @return {number} - Amount in major units
+ */
+export function fromMinorUnits(units, decimals = 2) {
+  return units / Math.pow(10, decimals);
+}
+
+/**
+ * Check if a value is a safe integer amount of minor units
+ * @param {*} value - Value to check
+ * @return {boolean} - Whether the value can be used as a minor-unit amount
+ */
+export function isMinorUnitAmount(value) {
+  return Number.isSafeInteger(value);
+}
+
+/**
+ * Split an integer amount proportionally to weights using the largest remainder method.
+ *
+ * Every part is an integer and the parts always sum to `total`. Each part first
+ * receives the floor of its exact quota; the units left over are handed out one
+ * at a time to the parts with the largest fractional remainders. Ties go to the
+ * part with the lower index, so the result is deterministic for a given input order.
+ * A non-zero total cannot be split over weights that sum to 0 and is rejected
+ * rather than silently dropped.
+ *
+ * @param {number} total - Integer amount to split
+ * @param {Array<number>} weights - Non-negative weights, one per part
+ * @return {Array<number>} - Integer parts in the same order as the weights
+ */
+export function allocateLargestRemainder(total, weights) {
+  if (!Number.isSafeInteger(total)) {
+    throw new Error('Amount to allocate must be an integer number of minor units');
+  }
+
+  const parts = weights.map(() => 0);
+  const totalWeight = weights.reduce((acc, weight) => acc + weight, 0);
+
+  if (total === 0) {
+    return parts;
+  }
+
+  if (weights.length === 0 || !(totalWeight > 0)) {
+    throw new Error('Cannot allocate a non-zero amount over weights that sum to 0');
+  }
+
+  const sign = total < 0 ? -1 : 1;
+  const absoluteTotal = Math.abs(total);
+  const remainders = [];
+  let allocated = 0;
+
+  weights.forEach((weight, index) => {
+    const quota = (absoluteTotal * weight) / totalWeight;
+    const whole = Math.floor(quota);
+    parts[index] = whole;
+    allocated += whole;
+    remainders.push({ index, fraction: quota - whole });
+  });
+
+  // Stable ordering: largest fraction first, lower index wins ties
+  remainders.sort((a, b) => (b.fraction - a.fraction) || (a.index - b.index));
+
+  let leftover = absoluteTotal - allocated;
+  for (let i = 0; leftover > 0; i = (i + 1) % remainders.length) {
+    parts[remainders[i].index] += 1;
+    leftover--;
+  }
+
+  return sign < 0 ? parts.map(part => (part === 0 ? 0 : -part)) : parts;
+}
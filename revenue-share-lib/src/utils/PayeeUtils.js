@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Helpers for working with the amounts owed to each payee of a calculation
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+/**
+ * Stakeholder roles paid by each calculation model (buyers are handled separately)
+ * @type {Object}
+ */
+export const PAYEE_ROLES = {
+  standard: ['author', 'platform', 'promotion'],
+  buyToEarn: ['creator', 'platform', 'promotion']
+};
+
+/**
+ * Rule type of named payees declared by a scheme (e.g. `coAuthor: { type: 'party', percentage: 30 }`)
+ * @type {string}
+ */
+export const PARTY_RULE_TYPE = 'party';
+
+/**
+ * Names a party cannot take, because payout results and payee structures already use them
+ * @type {Array<string>}
+ */
+export const RESERVED_PAYEE_NAMES = ['author', 'platform', 'promotion', 'creator', 'buyers', 'fees'];
+
+/**
+ * Check whether a scheme rule declares a named party
+ * @param {Object} rule - Scheme rule
+ * @return {boolean} - Whether the rule pays the party named by its key
+ */
+export function isPartyRule(rule) {
+  return Boolean(rule) && rule.type === PARTY_RULE_TYPE;
+}
+
+/**
+ * Validate a party rule
+ * @param {string} key - Scheme key of the rule, which names the party
+ * @param {Object} rule - Scheme rule with `type: 'party'`
+ * @return {Array<string>} - Error messages (empty when the rule is valid)
+ */
+export function validatePartyRule(key, rule) {
+  const errors = [];
+
+  if (RESERVED_PAYEE_NAMES.includes(key)) {
+    errors.push(`Party '${key}' must not use a reserved payee name: ${RESERVED_PAYEE_NAMES.join(', ')}`);
+  }
+
+  if ('count' in rule || 'from' in rule || 'to' in rule) {
+    errors.push(`Party '${key}' cannot define a buyer group`);
+  }
+
+  return errors;
+}
+
+/**
+ * Extract the amount owed to every payee from a payout calculation
+ *
+ * The result has one number per stakeholder role and per named party of the scheme
+ * (`payouts.parties`), and a `buyers` map keyed by buyer id. A payee whose share is
+ * split (`payouts.splits`) is replaced by the final payees of the split, keyed by their
+ * path (e.g. `author.writer`). Buy-to-Earn payouts must include the token ledger (`includeTokenLedger`), because
+ * only the ledger knows the earnings of every holder.
+ *
+ * @param {Object} payouts - Result of calculatePayouts
+ * @param {boolean} [useBuyToEarnModel=false] - Whether the payouts come from the Buy-to-Earn model
+ * @return {Object} - `{ [role]: amount, buyers: { [buyer]: amount } }`
+ */
+export function getPayeeAmounts(payouts, useBuyToEarnModel = false) {
+  const amounts = { buyers: {} };
+
+  PAYEE_ROLES[useBuyToEarnModel ? 'buyToEarn' : 'standard'].forEach(role => {
+    amounts[role] = typeof payouts[role] === 'number' ? payouts[role] : 0;
+  });
+
+  Object.entries(payouts.parties || {}).forEach(([party, amount]) => {
+    amounts[party] = amount;
+  });
+
+  if (payouts.splits) {
+    Object.keys(payouts.splits.tree).forEach(payee => {
+      delete amounts[payee];
+    });
+    Object.assign(amounts, payouts.splits.flat);
+  }
+
+  if (useBuyToEarnModel) {
+    if (!payouts.holders) {
+      throw new Error('Buy-to-Earn payouts must include the token ledger');
+    }
+
+    Object.entries(payouts.holders).forEach(([buyer, holder]) => {
+      amounts.buyers[buyer] = holder.earnings;
+    });
+  } else {
+    Object.assign(amounts.buyers, payouts.buyers);
+  }
+
+  return amounts;
+}
+
+/**
+ * Combine several payee structures of the same shape payee by payee
+ *
+ * `combine` receives the values of one payee in every source (undefined where the
+ * payee is missing). Payees for which it returns undefined are left out.
+ *
+ * @param {Array<Object>} sources - Structures as returned by getPayeeAmounts
+ * @param {Function} combine - `(values, payee) => value`
+ * @return {Object} - `{ [role]: value, buyers: { [buyer]: value } }`
+ */
+export function combinePayeeAmounts(sources, combine) {
+  const result = { buyers: {} };
+  const roles = new Set();
+  const buyers = new Set();
+
+  sources.forEach(source => {
+    Object.keys(source).forEach(key => {
+      if (key !== 'buyers') roles.add(key);
+    });
+    Object.keys(source.buyers || {}).forEach(buyer => buyers.add(buyer));
+  });
+
+  roles.forEach(role => {
+    const value = combine(sources.map(source => source[role]), role);
+    if (value !== undefined) result[role] = value;
+  });
+
+  buyers.forEach(buyer => {
+    const value = combine(sources.map(source => (source.buyers || {})[buyer]), buyer);
+    if (value !== undefined) result.buyers[buyer] = value;
+  });
+
+  return result;
+}
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Date window helpers for periodic payout runs
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+/**
+ * Supported calendar periods. Periods are computed in UTC and weeks start on Monday.
+ * @type {Array<string>}
+ */
+export const PAYOUT_PERIODS = ['day', 'week', 'month'];
+
+/**
+ * Convert a date to a timestamp in milliseconds
+ * @param {Date|number} value - Date object or timestamp
+ * @return {number} - Timestamp in milliseconds
+ */
+export function toTimestamp(value) {
+  const timestamp = value instanceof Date ? value.getTime() : value;
+
+  if (typeof timestamp !== 'number' || !isFinite(timestamp)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  return timestamp;
+}
+
+/**
+ * Get the calendar period containing a date
+ * @param {string} period - One of PAYOUT_PERIODS
+ * @param {Date|number} date - Any moment within the period
+ * @return {Object} - `{ from, to }` timestamps; `from` is inclusive, `to` is exclusive
+ */
+export function getPeriodBounds(period, date) {
+  const moment = new Date(toTimestamp(date));
+  const year = moment.getUTCFullYear();
+  const month = moment.getUTCMonth();
+  const day = moment.getUTCDate();
+
+  switch (period) {
+    case 'day':
+      return { from: Date.UTC(year, month, day), to: Date.UTC(year, month, day + 1) };
+
+    case 'week': {
+      // getUTCDay() is 0 on Sunday; shift so that Monday starts the week
+      const monday = day - ((moment.getUTCDay() + 6) % 7);
+      return { from: Date.UTC(year, month, monday), to: Date.UTC(year, month, monday + 7) };
+    }
+
+    case 'month':
+      return { from: Date.UTC(year, month, 1), to: Date.UTC(year, month + 1, 1) };
+
+    default:
+      throw new Error(`Unknown payout period: ${period}`);
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Helpers for reading revenue-related fields of individual sales
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+/**
+ * Supported ways of weighting buyers within an allocation
+ * - `sale`: every sale gets an equal part
+ * - `unit`: parts are proportional to the quantity of each sale
+ * - `amount`: parts are proportional to the revenue collected from each sale
+ * @type {Array<string>}
+ */
+export const ALLOCATION_BASES = ['sale', 'unit', 'amount'];
+
+/**
+ * Sale fields that can order sales
+ * - `timestamp`: time of the sale
+ * - `sequence`: insertion number assigned by RevenueSharing
+ * - `saleId`: sale identifier, compared as a string
+ * @type {Array<string>}
+ */
+export const SALE_ORDERING_KEYS = ['timestamp', 'sequence', 'saleId'];
+
+/**
+ * Default ordering policy: by timestamp, then by sequence number, then by saleId
+ * @type {Array<string>}
+ */
+export const DEFAULT_SALE_ORDERING = ['timestamp', 'sequence', 'saleId'];
+
+/**
+ * Create the comparator that puts sales in the order used by group rules and token numbers
+ *
+ * Sales are compared field by field in the order of the policy. A sale without the
+ * field comes after every sale that has it; two sales without it move on to the
+ * next field. Sales equal in every field keep their input order.
+ *
+ * @param {Array<string>} [ordering=DEFAULT_SALE_ORDERING] - Fields from SALE_ORDERING_KEYS, most significant first
+ * @return {Function} - Comparator for Array.prototype.sort
+ */
+export function createSaleComparator(ordering = DEFAULT_SALE_ORDERING) {
+  if (!Array.isArray(ordering) || ordering.length === 0) {
+    throw new Error('Sale ordering must be a non-empty array of sale fields');
+  }
+
+  ordering.forEach(key => {
+    if (!SALE_ORDERING_KEYS.includes(key)) {
+      throw new Error(`Unknown sale ordering key '${key}', expected one of: ${SALE_ORDERING_KEYS.join(', ')}`);
+    }
+  });
+
+  if (new Set(ordering).size !== ordering.length) {
+    throw new Error('Sale ordering keys must not repeat');
+  }
+
+  return (a, b) => {
+    for (const key of ordering) {
+      const left = a[key];
+      const right = b[key];
+      const leftMissing = left === undefined || left === null;
+      const rightMissing = right === undefined || right === null;
+
+      if (leftMissing || rightMissing) {
+        if (leftMissing !== rightMissing) return leftMissing ? 1 : -1;
+        continue;
+      }
+
+      if (left < right) return -1;
+      if (left > right) return 1;
+    }
+
+    return 0;
+  };
+}
+
+/**
+ * Get the number of units bought in a sale
+ * @param {Object} sale - Sale record
+ * @return {number} - Quantity of the sale (1 if not specified)
+ */
+export function getSaleQuantity(sale) {
+  return sale.quantity !== undefined ? sale.quantity : 1;
+}
+
+/**
+ * Get the revenue actually collected from a sale
+ *
+ * The gross amount is `sale.amount` when given, otherwise `unitPrice * quantity`.
+ * An optional absolute `sale.discount` is subtracted from the gross amount.
+ *
+ * @param {Object} sale - Sale record
+ * @param {number} unitPrice - Default price per unit
+ * @return {number} - Net revenue of the sale
+ */
+export function getSaleRevenue(sale, unitPrice) {
+  const gross = sale.amount !== undefined ? sale.amount : unitPrice * getSaleQuantity(sale);
+  return gross - (sale.discount || 0);
+}
+
+/**
+ * Check whether a sale counted towards payouts at a given moment: it was made
+ * before that moment and not reversed before it
+ * @param {Object} sale - Sale record with a timestamp
+ * @param {number} time - Timestamp in milliseconds
+ * @return {boolean} - Whether the sale was active at `time`
+ */
+export function isSaleActiveAt(sale, time) {
+  if (!(sale.timestamp < time)) {
+    return false;
+  }
+
+  return !sale.reversal || !(sale.reversal.timestamp < time);
+}
+
+/**
+ * Get the weight of a sale within a buyer allocation
+ * @param {Object} sale - Sale record
+ * @param {string} basis - Allocation basis, one of ALLOCATION_BASES
+ * @param {number} unitPrice - Default price per unit
+ * @return {number} - Weight of the sale
+ */
+export function getSaleWeight(sale, basis, unitPrice) {
+  if (basis === 'unit') {
+    return getSaleQuantity(sale);
+  }
+
+  if (basis === 'amount') {
+    return getSaleRevenue(sale, unitPrice);
+  }
+
+  return 1;
+}
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Tiered (volume-based) percentage schedules of scheme rules
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { allocateLargestRemainder } from './MoneyUtils';
+import { getSaleQuantity, getSaleRevenue } from './SaleUtils';
+
+/**
+ * Measures of the cumulative volume a schedule's brackets are defined in
+ * - `unit`: units sold
+ * - `amount`: revenue collected (e.g. to raise the author's share after recoup)
+ * @type {Array<string>}
+ */
+export const VOLUME_BASES = ['unit', 'amount'];
+
+/**
+ * Check whether a rule takes its percentage from a volume schedule
+ * @param {Object} rule - Scheme rule
+ * @return {boolean} - Whether the rule has a `schedule`
+ */
+export function isScheduledRule(rule) {
+  return Boolean(rule) && rule.schedule !== undefined;
+}
+
+/**
+ * Validate the `schedule` of a scheme rule
+ *
+ * Brackets are `{ from, to, percentage }` in volume order: the first starts at 0, every
+ * next one starts where the previous one ends and only the last one is open-ended (no `to`).
+ *
+ * @param {string} key - Scheme key of the rule
+ * @param {Object} rule - Scheme rule with a `schedule`
+ * @return {Array<string>} - Error messages (empty when the schedule is valid)
+ */
+export function validateScheduleRule(key, rule) {
+  const { schedule } = rule;
+  const errors = [];
+
+  if ('percentage' in rule) {
+    errors.push(`Rule for '${key}' cannot have both percentage and schedule`);
+  }
+
+  if (rule.volumeBasis !== undefined && !VOLUME_BASES.includes(rule.volumeBasis)) {
+    errors.push(`Volume basis for '${key}' must be one of: ${VOLUME_BASES.join(', ')}`);
+  }
+
+  if (!Array.isArray(schedule) || schedule.length === 0) {
+    errors.push(`Schedule of '${key}' must be a non-empty array of brackets`);
+    return errors;
+  }
+
+  schedule.forEach((bracket, index) => {
+    const number = index + 1;
+    const isLast = index === schedule.length - 1;
+
+    if (!bracket || typeof bracket !== 'object') {
+      errors.push(`Bracket ${number} of '${key}' must be an object`);
+      return;
+    }
+
+    const { from, to, percentage } = bracket;
+    const start = index === 0 ? 0 : schedule[index - 1] && schedule[index - 1].to;
+
+    if (typeof percentage !== 'number' || isNaN(percentage) || percentage < 0 || percentage > 100) {
+      errors.push(`Bracket ${number} of '${key}' must have a percentage between 0 and 100`);
+    }
+
+    // An open-ended bracket before this one is already reported
+    if (from !== start && start !== undefined) {
+      errors.push(index === 0
+        ? `Schedule of '${key}' must start at 0`
+        : `Bracket ${number} of '${key}' must start where bracket ${index} ends (${start})`);
+    }
+
+    if (to === undefined) {
+      if (!isLast) errors.push(`Only the last bracket of '${key}' can be open-ended`);
+    } else if (isLast) {
+      errors.push(`The last bracket of '${key}' must be open-ended`);
+    } else if (typeof to !== 'number' || !(to > from)) {
+      errors.push(`Bracket ${number} of '${key}' must end after it starts`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Walk the sales in order and report how much of every sale falls into every bracket
+ *
+ * Every sale advances the cumulative volume by its units (or its revenue with the
+ * `amount` basis); a sale crossing a bracket boundary is split between the brackets
+ * in proportion to its volume on each side.
+ *
+ * @param {Object} rule - Scheme rule with a valid `schedule`
+ * @param {Array<Object>} sales - Sales in calculation order
+ * @param {number} unitPrice - Default price per unit
+ * @param {Function} callback - `(saleIndex, bracketIndex, volume, revenue)` for every overlap
+ * @private
+ */
+function forEachBracketOverlap(rule, sales, unitPrice, callback) {
+  const byAmount = rule.volumeBasis === 'amount';
+  let cumulative = 0;
+
+  sales.forEach((sale, saleIndex) => {
+    const revenue = getSaleRevenue(sale, unitPrice);
+    const volume = byAmount ? revenue : getSaleQuantity(sale);
+    const start = cumulative;
+    const end = cumulative + volume;
+    cumulative = end;
+
+    if (volume <= 0) return;
+
+    rule.schedule.forEach(({ from, to }, bracketIndex) => {
+      const overlap = Math.min(end, to === undefined ? Infinity : to) - Math.max(start, from);
+      if (overlap <= 0) return;
+
+      callback(saleIndex, bracketIndex, overlap, (revenue * overlap) / volume);
+    });
+  });
+}
+
+/**
+ * Measure the volume and revenue of every bracket of a schedule over sales in order
+ * (see forEachBracketOverlap for how sales are assigned to brackets)
+ * @param {Object} rule - Scheme rule with a valid `schedule`
+ * @param {Array<Object>} sales - Sales in calculation order
+ * @param {number} unitPrice - Default price per unit
+ * @return {Array<Object>} - `{ from, to, percentage, volume, revenue }` per bracket
+ */
+export function measureSchedule(rule, sales, unitPrice) {
+  const brackets = rule.schedule.map(({ from, to, percentage }) => ({
+    from,
+    to: to === undefined ? null : to,
+    percentage,
+    volume: 0,
+    revenue: 0
+  }));
+
+  forEachBracketOverlap(rule, sales, unitPrice, (_, bracketIndex, volume, revenue) => {
+    brackets[bracketIndex].volume += volume;
+    brackets[bracketIndex].revenue += revenue;
+  });
+
+  return brackets;
+}
+
+/**
+ * Weigh every sale by what it earns a scheduled rule: the revenue of the sale in every
+ * bracket times the bracket percentage, so the rule's share can be split across its sales
+ * @param {Object} rule - Scheme rule with a valid `schedule`
+ * @param {Array<Object>} sales - Sales in calculation order
+ * @param {number} unitPrice - Default price per unit
+ * @return {Array<number>} - Weight of every sale, in the order of the sales
+ */
+export function weighScheduleSales(rule, sales, unitPrice) {
+  const weights = sales.map(() => 0);
+
+  forEachBracketOverlap(rule, sales, unitPrice, (saleIndex, bracketIndex, _, revenue) => {
+    weights[saleIndex] += revenue * rule.schedule[bracketIndex].percentage;
+  });
+
+  return weights;
+}
+
+/**
+ * Resolve every scheduled rule to the percentage it earns over the given sales
+ *
+ * The effective percentage is the average of the bracket percentages weighted by the
+ * revenue in each bracket, so a scheduled rule then takes part in the share plan (and
+ * its overflow policy) like a fixed percentage rule. Without revenue the first bracket applies.
+ *
+ * @param {Object} scheme - Revenue sharing scheme
+ * @param {Array<Object>} sales - Sales in calculation order
+ * @param {number} unitPrice - Default price per unit
+ * @return {Object} - `{ scheme, schedules }`: a scheme in which every scheduled rule has its
+ *   effective `percentage`, and the measured brackets of every scheduled rule (see measureSchedule)
+ */
+export function resolveSchedules(scheme, sales, unitPrice) {
+  const schedules = {};
+  const resolved = { ...scheme };
+
+  Object.entries(scheme).forEach(([key, rule]) => {
+    if (!isScheduledRule(rule)) return;
+
+    const brackets = measureSchedule(rule, sales, unitPrice);
+    const revenue = brackets.reduce((total, bracket) => total + bracket.revenue, 0);
+    const earned = brackets.reduce((total, bracket) => total + bracket.revenue * bracket.percentage, 0);
+
+    schedules[key] = brackets;
+    resolved[key] = { ...rule, percentage: revenue > 0 ? earned / revenue : brackets[0].percentage };
+  });
+
+  return { scheme: resolved, schedules };
+}
+
+/**
+ * Split the shares of scheduled rules across their brackets
+ * @param {Object} schedules - Measured brackets keyed by rule (see resolveSchedules)
+ * @param {Object} shares - Share of every rule, keyed by rule
+ * @param {boolean} [minorUnits=false] - Whether amounts are integer minor units
+ * @return {Object} - Brackets of every scheduled rule with the `amount` each one earned
+ */
+export function allocateScheduleShares(schedules, shares, minorUnits = false) {
+  const result = {};
+
+  Object.entries(schedules).forEach(([key, brackets]) => {
+    const weights = brackets.map(bracket => bracket.revenue * bracket.percentage);
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+    const share = shares[key] || 0;
+    const amounts = minorUnits
+      ? allocateLargestRemainder(share, weights)
+      : weights.map(weight => (totalWeight > 0 ? (share * weight) / totalWeight : 0));
+
+    result[key] = brackets.map((bracket, index) => ({ ...bracket, amount: amounts[index] }));
+  });
+
+  return result;
+}
+
+/**
+ * Transform every amount of the schedule brackets of a calculation, e.g. to round them
+ * @param {Object} schedules - `payouts.schedules` as added by PayoutCalculator
+ * @param {Function} transform - `(amount) => amount`
+ * @return {Object} - New brackets with transformed `revenue` and `amount`
+ */
+export function mapScheduleAmounts(schedules, transform) {
+  return Object.fromEntries(Object.entries(schedules).map(([key, brackets]) => [
+    key,
+    brackets.map(bracket => ({ ...bracket, revenue: transform(bracket.revenue), amount: transform(bracket.amount) }))
+  ]));
+}
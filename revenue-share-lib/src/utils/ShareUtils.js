@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Resolution of scheme rules to revenue shares: percentages, overflow and weighted remainders
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { allocateLargestRemainder } from './MoneyUtils';
+
+/**
+ * Supported ways of handling percentages that add up to more than 100%
+ * - `reject`: the scheme is invalid
+ * - `scale`: every percentage is scaled down proportionally
+ * - `truncate`: rules keep their percentage in scheme order until 100% is reached,
+ *   the rule crossing 100% is cut and later rules receive nothing
+ * @type {Array<string>}
+ */
+export const PERCENTAGE_OVERFLOW_POLICIES = ['reject', 'scale', 'truncate'];
+
+/**
+ * Check whether a rule takes part in the remainder (`remainder: true` or `remainder: { weight }`)
+ * @param {Object} rule - Scheme rule
+ * @return {boolean} - Whether the rule receives part of the remainder
+ */
+export function isRemainderRule(rule) {
+  return Boolean(rule) && (rule.remainder === true || (typeof rule.remainder === 'object' && rule.remainder !== null));
+}
+
+/**
+ * Get the weight of a rule in the remainder
+ * @param {Object} rule - Scheme rule
+ * @return {number} - 1 for `remainder: true`, the given weight for `remainder: { weight }`, 0 otherwise
+ */
+export function getRemainderWeight(rule) {
+  if (!isRemainderRule(rule)) {
+    return 0;
+  }
+
+  return rule.remainder === true ? 1 : rule.remainder.weight;
+}
+
+/**
+ * Resolve the percentage of every rule and how the remainder is shared
+ *
+ * This is the single source of truth for SchemeValidator, PayoutCalculator and
+ * IncrementalCalculator: a scheme the plan reports no errors for is calculated
+ * exactly as planned.
+ *
+ * @param {Object} scheme - Revenue sharing scheme
+ * @param {Object} [options] - Share options
+ * @param {string} [options.percentageOverflow='reject'] - Handling of percentages above 100%, one of
+ *   PERCENTAGE_OVERFLOW_POLICIES
+ * @param {boolean} [options.allowRemainderOverride=true] - Whether a rule with a percentage may also
+ *   take part in the remainder
+ * @return {Object} - `{ percentages, remainder, remainderRules, errors }`: the effective percentage of
+ *   every percentage rule keyed by rule, the percentage left for the remainder, `[key, weight]` of
+ *   every remainder rule in scheme order, and error messages
+ */
+export function planShares(scheme, { percentageOverflow = 'reject', allowRemainderOverride = true } = {}) {
+  const errors = [];
+  const percentages = {};
+  const remainderRules = [];
+  const rules = Object.entries(scheme).filter(([_, rule]) => rule && typeof rule === 'object');
+
+  if (!PERCENTAGE_OVERFLOW_POLICIES.includes(percentageOverflow)) {
+    errors.push(`Unknown percentage overflow policy '${percentageOverflow}', expected one of: ${PERCENTAGE_OVERFLOW_POLICIES.join(', ')}`);
+  }
+
+  rules.forEach(([key, rule]) => {
+    if (!('remainder' in rule) || rule.remainder === false) return;
+
+    const weight = getRemainderWeight(rule);
+    if (!(typeof weight === 'number' && weight > 0 && isFinite(weight))) {
+      errors.push(`Remainder for '${key}' must be true, false or an object with a positive weight`);
+      return;
+    }
+
+    if ('percentage' in rule && !allowRemainderOverride) {
+      errors.push(`Rule for '${key}' cannot have both percentage and remainder`);
+    }
+
+    remainderRules.push([key, weight]);
+  });
+
+  const percentageRules = rules.filter(([_, rule]) => 'percentage' in rule);
+  const total = percentageRules.reduce((sum, [_, rule]) => sum + rule.percentage, 0);
+  const overflows = total > 100 + 1e-9;
+
+  if (overflows && percentageOverflow === 'reject') {
+    errors.push(`Total percentage allocation (${total}%) exceeds 100%`);
+  }
+
+  let allocated = 0;
+  percentageRules.forEach(([key, rule]) => {
+    if (!overflows) {
+      percentages[key] = rule.percentage;
+    } else if (percentageOverflow === 'truncate') {
+      percentages[key] = Math.min(rule.percentage, Math.max(0, 100 - allocated));
+    } else {
+      percentages[key] = (rule.percentage * 100) / total;
+    }
+    allocated += percentages[key];
+  });
+
+  return {
+    percentages,
+    remainder: Math.max(0, 100 - allocated),
+    remainderRules,
+    errors
+  };
+}
+
+/**
+ * Split an amount according to a share plan
+ *
+ * In minor-unit mode the rules and the remainder are split together with the largest
+ * remainder method, and the remainder again among the remainder rules, so every share
+ * is an integer and the shares add up to the amount whenever the plan allocates all of it.
+ *
+ * @param {Object} plan - Plan returned by planShares
+ * @param {number} amount - Amount to split (total revenue)
+ * @param {boolean} [minorUnits=false] - Whether amounts are integer minor units
+ * @return {Object} - `{ shares, remainder, remainderShares }`: the share of every percentage rule,
+ *   the remainder amount and the part of it for every remainder rule (in the order of `plan.remainderRules`)
+ */
+export function allocateShares(plan, amount, minorUnits = false) {
+  const keys = Object.keys(plan.percentages);
+  const weights = plan.remainderRules.map(([_, weight]) => weight);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = {};
+  let remainder;
+  let remainderShares;
+
+  if (minorUnits) {
+    const parts = allocateLargestRemainder(amount, [...keys.map(key => plan.percentages[key]), plan.remainder]);
+    keys.forEach((key, index) => {
+      shares[key] = parts[index];
+    });
+    remainder = parts[parts.length - 1];
+    remainderShares = weights.length > 0 ? allocateLargestRemainder(remainder, weights) : [];
+  } else {
+    keys.forEach(key => {
+      shares[key] = (amount * plan.percentages[key]) / 100;
+    });
+    remainder = (amount * plan.remainder) / 100;
+    remainderShares = weights.map(weight => (remainder * weight) / totalWeight);
+  }
+
+  return { shares, remainder, remainderShares };
+}
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Nested splits: rules that delegate their payee's share to a sub-scheme
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { allocateLargestRemainder } from './MoneyUtils';
+import { PAYEE_ROLES, isPartyRule } from './PayeeUtils';
+
+/**
+ * Separator of the payee names in the paths of flattened splits (e.g. `author.writer`)
+ * @type {string}
+ */
+export const SPLIT_PATH_SEPARATOR = '.';
+
+/**
+ * Get the percentage of a split entry, given as a number or as `{ percentage, split }`
+ * @param {number|Object} entry - Split entry
+ * @return {number} - Percentage of the parent amount
+ * @private
+ */
+function getEntryPercentage(entry) {
+  return typeof entry === 'number' ? entry : entry.percentage;
+}
+
+/**
+ * Validate a split and every split nested in it
+ * @param {string} path - Path of the payee whose amount is split
+ * @param {*} split - Split definition
+ * @return {Array<string>} - Error messages
+ * @private
+ */
+function validateSplitLevel(path, split) {
+  if (!split || typeof split !== 'object' || Array.isArray(split) || Object.keys(split).length === 0) {
+    return [`Split of '${path}' must be a non-empty object of payee percentages`];
+  }
+
+  const errors = [];
+  let total = 0;
+
+  Object.entries(split).forEach(([name, entry]) => {
+    const entryPath = `${path}${SPLIT_PATH_SEPARATOR}${name}`;
+
+    if (name.includes(SPLIT_PATH_SEPARATOR)) {
+      errors.push(`Split payee '${entryPath}' must not contain '${SPLIT_PATH_SEPARATOR}' in its name`);
+    }
+
+    const isNested = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+    const percentage = isNested ? entry.percentage : entry;
+
+    if (typeof percentage !== 'number' || isNaN(percentage) || percentage < 0 || percentage > 100) {
+      errors.push(`Split payee '${entryPath}' must have a percentage between 0 and 100`);
+      return;
+    }
+
+    total += percentage;
+
+    if (isNested && entry.split !== undefined) {
+      errors.push(...validateSplitLevel(entryPath, entry.split));
+    }
+  });
+
+  if (errors.length === 0 && Math.abs(total - 100) > 0.01) {
+    errors.push(`Split of '${path}' must add up to 100%, found ${total}%`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a rule pays a single payee whose share can be split
+ * (a stakeholder role of the standard model or a named party)
+ * @param {string} key - Scheme key of the rule
+ * @param {Object} rule - Scheme rule
+ * @return {boolean} - Whether the rule's payee is a single payee
+ */
+export function isSinglePayeeRule(key, rule) {
+  return isPartyRule(rule) || (rule.type === undefined && PAYEE_ROLES.standard.includes(key));
+}
+
+/**
+ * Validate the `split` of a scheme rule, level by level
+ * @param {string} key - Scheme key of the rule
+ * @param {Object} rule - Scheme rule with a `split`
+ * @return {Array<string>} - Error messages (empty when the split is valid)
+ */
+export function validateSplitRule(key, rule) {
+  if (!isSinglePayeeRule(key, rule)) {
+    return [`Rule for '${key}' can only split a share paid to a single payee (author, platform, promotion or a party)`];
+  }
+
+  return validateSplitLevel(key, rule.split);
+}
+
+/**
+ * Split an amount according to a split definition, recursively
+ *
+ * In minor-unit mode every level is split with the largest remainder method, so the
+ * payees of a level always add up to their parent's amount exactly.
+ *
+ * @param {number} amount - Amount to split
+ * @param {Object} split - Split definition (`{ [payee]: percentage | { percentage, split } }`)
+ * @param {boolean} [minorUnits=false] - Whether amounts are integer minor units
+ * @return {Object} - Split tree `{ amount, payees: { [payee]: { amount, payees? } } }`
+ */
+export function buildSplitTree(amount, split, minorUnits = false) {
+  const entries = Object.entries(split);
+  const percentages = entries.map(([_, entry]) => getEntryPercentage(entry));
+  const parts = minorUnits
+    ? allocateLargestRemainder(amount, percentages)
+    : percentages.map(percentage => (amount * percentage) / 100);
+  const payees = {};
+
+  entries.forEach(([name, entry], index) => {
+    payees[name] = typeof entry === 'object' && entry.split !== undefined
+      ? buildSplitTree(parts[index], entry.split, minorUnits)
+      : { amount: parts[index] };
+  });
+
+  return { amount, payees };
+}
+
+/**
+ * List the final payees of a split tree with their amounts
+ * @param {Object} tree - Split tree returned by buildSplitTree
+ * @param {string} path - Path of the tree's payee
+ * @param {Object} [flat={}] - Map to extend
+ * @return {Object} - `{ [path]: amount }` for every payee without a further split
+ */
+export function flattenSplitTree(tree, path, flat = {}) {
+  if (!tree.payees) {
+    flat[path] = tree.amount;
+    return flat;
+  }
+
+  Object.entries(tree.payees).forEach(([name, node]) => {
+    flattenSplitTree(node, `${path}${SPLIT_PATH_SEPARATOR}${name}`, flat);
+  });
+
+  return flat;
+}
+
+/**
+ * Split the payouts of every rule with a `split` and add them to the payouts
+ *
+ * The whole payout of the rule's payee is split, including a remainder it receives.
+ * `payouts.splits` is only added when the scheme has splits.
+ *
+ * @param {Object} scheme - Revenue sharing scheme
+ * @param {Object} payouts - Standard payouts with stakeholder roles and `parties`
+ * @param {boolean} [minorUnits=false] - Whether amounts are integer minor units
+ * @return {Object} - The payouts, with `splits: { tree, flat }` where `tree` is keyed by scheme key
+ *   (see buildSplitTree) and `flat` maps the path of every final payee (e.g. `author.writer`) to its amount
+ */
+export function applySplits(scheme, payouts, minorUnits = false) {
+  const tree = {};
+  const flat = {};
+
+  Object.entries(scheme).forEach(([key, rule]) => {
+    if (!rule || rule.split === undefined) return;
+
+    const amount = isPartyRule(rule) ? payouts.parties[key] : payouts[key] || 0;
+    tree[key] = buildSplitTree(amount, rule.split, minorUnits);
+    flattenSplitTree(tree[key], key, flat);
+  });
+
+  if (Object.keys(tree).length > 0) {
+    payouts.splits = { tree, flat };
+  }
+
+  return payouts;
+}
+
+/**
+ * Transform every amount of the splits of a calculation, e.g. to round them
+ * @param {Object} splits - `payouts.splits` as added by applySplits
+ * @param {Function} transform - `(amount) => amount`
+ * @return {Object} - New `{ tree, flat }` with transformed amounts
+ */
+export function mapSplitAmounts(splits, transform) {
+  const mapObject = (object, map) => Object.fromEntries(Object.entries(object).map(([name, value]) => [name, map(value)]));
+  const mapNode = node => (node.payees
+    ? { amount: transform(node.amount), payees: mapObject(node.payees, mapNode) }
+    : { amount: transform(node.amount) });
+
+  return {
+    tree: mapObject(splits.tree, mapNode),
+    flat: mapObject(splits.flat, transform)
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Rendering of allocation traces for audit reports
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+/**
+ * Supported output formats of formatAllocationTrace
+ * @type {Array<string>}
+ */
+export const TRACE_FORMATS = ['json', 'csv'];
+
+/**
+ * Columns of the CSV rendering
+ * @type {Array<string>}
+ */
+export const TRACE_CSV_COLUMNS = ['record', 'rule', 'target', 'position', 'saleId', 'saleBuyer', 'payee', 'buyer', 'amount'];
+
+/**
+ * Quote a CSV field when it contains a separator, a quote or a line break
+ * @param {*} value - Field value (null and undefined become empty fields)
+ * @return {string} - CSV field
+ * @private
+ */
+function toCsvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten an allocation trace into CSV records
+ *
+ * - `pool`: total amount of a rule
+ * - `allocation`: part of a rule received by a stakeholder or, with `payee: 'buyers'`, by a buyer
+ * - `revenue`: revenue of a sale
+ * - `split`: part of a sale's revenue attributed to a payee
+ *
+ * The remainder that no rule claims is reported with an empty `rule`.
+ *
+ * @param {Object} trace - Trace returned by PayoutCalculator.calculate with the `trace` option
+ * @return {Array<Object>} - Records keyed by TRACE_CSV_COLUMNS
+ * @private
+ */
+function getTraceRecords(trace) {
+  const records = [];
+
+  trace.rules.forEach(({ key, target, pool, payees, buyers }) => {
+    records.push({ record: 'pool', rule: key, target, amount: pool });
+
+    Object.entries(payees).forEach(([payee, amount]) => {
+      records.push({ record: 'allocation', rule: key, target, payee, amount });
+    });
+
+    Object.entries(buyers).forEach(([buyer, amount]) => {
+      records.push({ record: 'allocation', rule: key, target, payee: 'buyers', buyer, amount });
+    });
+  });
+
+  trace.sales.forEach(({ position, saleId, buyer, revenue, payees }) => {
+    const sale = { position, saleId, saleBuyer: buyer };
+    records.push({ record: 'revenue', ...sale, amount: revenue });
+
+    Object.entries(payees).forEach(([payee, amount]) => {
+      records.push({ record: 'split', ...sale, payee, amount });
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Render an allocation trace for auditors
+ * @param {Object} trace - Trace returned by PayoutCalculator.calculate with the `trace` option
+ *   (`payouts.trace`)
+ * @param {string} [format='json'] - One of TRACE_FORMATS
+ * @return {string} - Indented JSON, or CSV with a header row of TRACE_CSV_COLUMNS
+ */
+export function formatAllocationTrace(trace, format = 'json') {
+  if (!trace || !Array.isArray(trace.rules) || !Array.isArray(trace.sales)) {
+    throw new Error('Allocation trace must come from a calculation with the trace option');
+  }
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(trace, null, 2);
+
+    case 'csv': {
+      const lines = getTraceRecords(trace).map(record =>
+        TRACE_CSV_COLUMNS.map(column => toCsvField(record[column])).join(',')
+      );
+      return [TRACE_CSV_COLUMNS.join(','), ...lines].join('\n');
+    }
+
+    default:
+      throw new Error(`Unknown trace format '${format}', expected one of: ${TRACE_FORMATS.join(', ')}`);
+  }
+}
@@ -4,6 +4,16 @@
  * @version 1.0.0
  */
 
+import { getRemainderWeight, isRemainderRule } from './ShareUtils';
+import { isScheduledRule, validateScheduleRule } from './ScheduleUtils';
+
+/**
+ * Scheme keys with a built-in meaning. Keys starting with `buyers` also target all buyers;
+ * any other key needs a buyer group (`count`, `from` or `to`) or a rule `type` to pay anyone.
+ * @type {Array<string>}
+ */
+export const SCHEME_KEYS = ['author', 'platform', 'promotion', 'allBuyers'];
+
 /**
  * Checks if a value is a positive number (greater than zero)
  * @param {any} value - The value to check
@@ -86,6 +96,11 @@ export const isValidSchemeRule = (rule) => {
     return false;
   }
 
+  // Check for volume schedule rule
+  if (isScheduledRule(rule)) {
+    return validateScheduleRule('rule', rule).length === 0 && !('remainder' in rule);
+  }
+
   // Check for percentage rule
   if ('percentage' in rule) {
     if (!isPercentage(rule.percentage)) {
@@ -105,9 +120,9 @@ export const isValidSchemeRule = (rule) => {
     return true;
   }
 
-  // Check for remainder rule
+  // Check for remainder rule (`true` or a positive weight)
   if ('remainder' in rule) {
-    return rule.remainder === true;
+    return isRemainderRule(rule) && isPositiveNumber(getRemainderWeight(rule));
   }
 
   // Must have either percentage or remainder
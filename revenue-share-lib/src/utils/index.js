@@ -6,3 +6,13 @@
 
 export * from './MathUtils';
 export * from './ValidationUtils';
+export * from './MoneyUtils';
+export * from './SaleUtils';
+export * from './PeriodUtils';
+export * from './PayeeUtils';
+export * from './TraceUtils';
+export * from './GroupUtils';
+export * from './SplitUtils';
+export * from './ShareUtils';
+export * from './LimitUtils';
+export * from './ScheduleUtils';
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Tests for the linear-time Buy-to-Earn simulation engine
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import BuyToEarnEngine from '../../../src/core/BuyToEarnEngine';
+
+/**
+ * Reference implementation: the original O(n²) per-token simulation
+ */
+function referenceSimulation(totalSales, params) {
+  const {
+    unitPrice,
+    initialInvestment,
+    creatorShare,
+    platformShare,
+    promotionShare,
+    paybackRatio,
+    nonPaybackPoolSharePercent
+  } = params;
+  const numPrepayers = Math.ceil(initialInvestment / unitPrice);
+  const paybackGoal = unitPrice * paybackRatio;
+  const buyersShare = 100 - creatorShare - platformShare - promotionShare;
+  const tokenEarnings = new Array(totalSales + 1).fill(0);
+  const paybackSales = new Array(totalSales + 1).fill(0);
+  let creatorRevenue = initialInvestment;
+  let paidBackCount = 0;
+
+  for (let currentSale = numPrepayers + 1; currentSale <= totalSales; currentSale++) {
+    const buyersAmount = unitPrice * (buyersShare / 100);
+    creatorRevenue += unitPrice * (creatorShare / 100);
+    const numTokens = currentSale - 1;
+
+    let notPaidBackCount = 0;
+    for (let i = 1; i <= numTokens; i++) {
+      if (tokenEarnings[i] < paybackGoal) notPaidBackCount++;
+    }
+
+    const nonPaybackShare = notPaidBackCount > 0
+      ? buyersAmount * (nonPaybackPoolSharePercent / 100) / notPaidBackCount
+      : 0;
+    const sharedShare = buyersAmount * ((100 - nonPaybackPoolSharePercent) / 100) / numTokens;
+
+    paidBackCount = 0;
+    for (let i = 1; i <= numTokens; i++) {
+      const wasPaidBack = tokenEarnings[i] >= paybackGoal;
+      tokenEarnings[i] += sharedShare + (wasPaidBack ? 0 : nonPaybackShare);
+      if (tokenEarnings[i] >= paybackGoal) {
+        paidBackCount++;
+        if (!paybackSales[i]) paybackSales[i] = currentSale;
+      }
+    }
+  }
+
+  return { tokenEarnings, paybackSales, paidBackCount, creatorRevenue };
+}
+
+const BASE_PARAMS = {
+  unitPrice: 100,
+  initialInvestment: 2000,
+  creatorShare: 10,
+  platformShare: 10,
+  promotionShare: 10,
+  paybackRatio: 1.5,
+  nonPaybackPoolSharePercent: 60
+};
+
+describe('BuyToEarnEngine', () => {
+  test.each([
+    ['standard parameters', {}],
+    ['high non-payback priority', { nonPaybackPoolSharePercent: 95 }],
+    ['shared pool only', { nonPaybackPoolSharePercent: 0 }],
+    ['non-payback pool only', { nonPaybackPoolSharePercent: 100, paybackRatio: 0.5 }],
+    ['fractional shares', { creatorShare: 33.33, platformShare: 12.5, promotionShare: 7.25, unitPrice: 9.99, initialInvestment: 150 }],
+    ['no prepayment phase', { initialInvestment: 0, paybackRatio: 0.8 }]
+  ])('matches the reference simulation with %s', (_, overrides) => {
+    const params = { ...BASE_PARAMS, ...overrides };
+    const totalSales = 1500;
+    const reference = referenceSimulation(totalSales, params);
+
+    const engine = new BuyToEarnEngine(params);
+    const state = engine.simulate(totalSales);
+
+    expect(state.paidBackCount).toBe(reference.paidBackCount);
+    expect(state.creatorRevenue).toBeCloseTo(reference.creatorRevenue, 6);
+
+    for (let token = 1; token <= totalSales; token++) {
+      const expected = reference.tokenEarnings[token];
+      const actual = engine.getTokenEarnings(state, token);
+      expect(Math.abs(actual - expected)).toBeLessThanOrEqual(Math.max(1e-9 * expected, 1e-9));
+      expect(state.paybackSales[token]).toBe(reference.paybackSales[token]);
+    }
+  });
+
+  test('tokens reach payback in token order and hooks are called', () => {
+    const engine = new BuyToEarnEngine(BASE_PARAMS);
+    const paybacks = [];
+    let salesSeen = 0;
+
+    const state = engine.simulate(800, {
+      onPayback: (tokenNumber, saleNumber) => paybacks.push([tokenNumber, saleNumber]),
+      onSale: () => { salesSeen++; }
+    });
+
+    expect(paybacks.length).toBe(state.paidBackCount);
+    expect(paybacks.length).toBeGreaterThan(0);
+    paybacks.forEach(([tokenNumber, saleNumber], index) => {
+      expect(tokenNumber).toBe(index + 1);
+      expect(saleNumber).toBe(state.paybackSales[tokenNumber]);
+    });
+    // 20 prepayers, 780 regular sales
+    expect(salesSeen).toBe(780);
+  });
+
+  test('advancing a simulation in steps matches a single run', () => {
+    const engine = new BuyToEarnEngine(BASE_PARAMS);
+    const expected = engine.simulate(900);
+    const paybacks = [];
+
+    const state = engine.simulate(5);
+    [10, 21, 22, 300, 301, 900].forEach(totalSales => {
+      engine.advance(state, totalSales, { onPayback: tokenNumber => paybacks.push(tokenNumber) });
+    });
+
+    expect(state.currentSale).toBe(900);
+    expect(state.paidBackCount).toBe(expected.paidBackCount);
+    expect(state.creatorRevenue).toBe(expected.creatorRevenue);
+    expect(paybacks).toEqual(Array.from({ length: expected.paidBackCount }, (_, i) => i + 1));
+    for (let token = 1; token <= 900; token++) {
+      expect(engine.getTokenEarnings(state, token)).toBe(engine.getTokenEarnings(expected, token));
+      expect(state.paybackSales[token]).toBe(expected.paybackSales[token]);
+    }
+  });
+
+  test('reports earnings at earlier sales and zero for tokens outside the distribution', () => {
+    const engine = new BuyToEarnEngine(BASE_PARAMS);
+    const state = engine.simulate(100);
+
+    expect(engine.getTokenEarnings(state, 1, 20)).toBe(0);
+    expect(engine.getTokenEarnings(state, 1, 50)).toBeLessThan(engine.getTokenEarnings(state, 1));
+    expect(engine.getTokenEarnings(state, 100)).toBe(0); // Last token has not shared any sale yet
+    expect(engine.getTokenEarnings(state, 0)).toBe(0);
+    expect(engine.getTokenEarnings(state, 101)).toBe(0);
+  });
+
+  test('minor-unit mode distributes every unit of the buyers share', () => {
+    const engine = new BuyToEarnEngine({ ...BASE_PARAMS, paybackRatio: 0.2, minorUnits: true });
+    const state = engine.simulate(200);
+
+    let tokensTotal = 0;
+    for (let token = 1; token <= 200; token++) {
+      const earnings = engine.getTokenEarnings(state, token);
+      expect(Number.isInteger(earnings)).toBe(true);
+      tokensTotal += earnings;
+    }
+
+    expect(tokensTotal).toBe(state.buyersRevenue);
+    expect(state.creatorRevenue + state.platformRevenue + state.promotionRevenue + tokensTotal)
+      .toBe(state.totalRevenue);
+  });
+
+  test('simulates large sale counts in linear time', () => {
+    const engine = new BuyToEarnEngine(BASE_PARAMS);
+    const state = engine.simulate(200000);
+
+    expect(state.currentSale).toBe(200000);
+    expect(state.paidBackCount).toBeGreaterThan(0);
+  });
+
+  test('onSale can stop the simulation early', () => {
+    const engine = new BuyToEarnEngine(BASE_PARAMS);
+    const state = engine.simulate(1000, { onSale: sale => sale < 100 });
+
+    expect(state.currentSale).toBe(100);
+    expect(state.totalRevenue).toBe(100 * 100);
+  });
+
+  test.each([
+    ['early token', 1, {}],
+    ['first regular token', 21, {}],
+    ['late token', 300, {}],
+    ['high non-payback priority', 150, { nonPaybackPoolSharePercent: 95 }],
+    ['shared pool only', 40, { nonPaybackPoolSharePercent: 0 }],
+    ['no prepayment phase', 5, { initialInvestment: 0, paybackRatio: 0.8 }]
+  ])('payback estimate for %s matches the simulation and lies within its bounds', (_, tokenNumber, overrides) => {
+    const params = { ...BASE_PARAMS, ...overrides };
+    const engine = new BuyToEarnEngine(params);
+    const estimate = engine.estimatePayback(tokenNumber);
+    const state = engine.simulate(estimate.upperBound);
+
+    expect(estimate.paybackSale).toBe(state.paybackSales[tokenNumber]);
+    expect(estimate.accumulatedEarnings).toBeCloseTo(engine.getTokenEarnings(state, tokenNumber, estimate.paybackSale), 9);
+    expect(estimate.accumulatedEarnings).toBeGreaterThanOrEqual(estimate.paybackGoal);
+    expect(estimate.lowerBound).toBeLessThanOrEqual(estimate.paybackSale);
+    expect(estimate.upperBound).toBeGreaterThanOrEqual(estimate.paybackSale);
+    expect(estimate.method).toBe(params.nonPaybackPoolSharePercent === 0 ? 'closed-form' : 'simulation');
+  });
+
+  test('closed-form estimate has tight bounds and projects far beyond the simulation limit', () => {
+    const engine = new BuyToEarnEngine({ ...BASE_PARAMS, nonPaybackPoolSharePercent: 0, paybackRatio: 8 });
+    const estimate = engine.estimatePayback(1000, { projectAt: [500, 1e12], maxSimulatedSales: 10 });
+
+    expect(estimate.method).toBe('closed-form');
+    expect(estimate.lowerBound).toBe(estimate.paybackSale);
+    expect(estimate.upperBound).toBe(estimate.paybackSale);
+    expect(estimate.paybackSale).toBeGreaterThan(1e6);
+    expect(estimate.projections[0]).toEqual({ sale: 500, earnings: 0, paidBack: false });
+    expect(estimate.projections[1].paidBack).toBe(true);
+    // 70 per sale shared by all tokens: 70 * (H(1e12 - 1) - H(999))
+    expect(estimate.projections[1].earnings).toBeCloseTo(70 * (Math.log((1e12 - 1) / 999) - 1 / 1998), 4);
+  });
+
+  test('projects earnings at future sales', () => {
+    const engine = new BuyToEarnEngine(BASE_PARAMS);
+    const estimate = engine.estimatePayback(50, { projectAt: [40, 60, 5000] });
+    const state = engine.simulate(5000);
+
+    expect(estimate.projections.map(projection => projection.sale)).toEqual([40, 60, 5000]);
+    expect(estimate.projections[0].earnings).toBe(0);
+    estimate.projections.forEach(projection => {
+      expect(projection.earnings).toBeCloseTo(engine.getTokenEarnings(state, 50, projection.sale), 9);
+      expect(projection.paidBack).toBe(estimate.paybackSale <= projection.sale);
+    });
+  });
+
+  test('reports only bounds when payback is beyond the simulation limit', () => {
+    const engine = new BuyToEarnEngine({ ...BASE_PARAMS, paybackRatio: 20 });
+    const estimate = engine.estimatePayback(100, { maxSimulatedSales: 1000 });
+
+    expect(estimate.paybackSale).toBeNull();
+    expect(estimate.accumulatedEarnings).toBeNull();
+    expect(estimate.roi).toBeNull();
+    expect(estimate.lowerBound).toBeGreaterThan(1000);
+    expect(estimate.upperBound).toBeGreaterThan(estimate.lowerBound);
+
+    expect(() => engine.estimatePayback(100, { projectAt: [2000], maxSimulatedSales: 1000 }))
+      .toThrow('Projection at sale 2000 exceeds the simulation limit of 1000 sales');
+  });
+
+  test('never pays back without a buyers share', () => {
+    const engine = new BuyToEarnEngine({ ...BASE_PARAMS, creatorShare: 80, platformShare: 10, promotionShare: 10 });
+    const estimate = engine.estimatePayback(1, { maxSimulatedSales: 100 });
+
+    expect(estimate.paybackSale).toBeNull();
+    expect(estimate.upperBound).toBeNull();
+    expect(estimate.lowerBound).toBeNull();
+  });
+
+  test('rejects invalid token numbers', () => {
+    const engine = new BuyToEarnEngine(BASE_PARAMS);
+
+    expect(() => engine.estimatePayback(0)).toThrow('Token number must be a positive integer');
+    expect(() => engine.estimatePayback(1.5)).toThrow('Token number must be a positive integer');
+  });
+});
+
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Tests for the Catalog class
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import Catalog from '../../../src/core/Catalog';
+import RevenueSharing from '../../../src/core/RevenueSharing';
+
+describe('Catalog', () => {
+  const createCatalog = () => {
+    const catalog = new Catalog();
+
+    catalog.addProduct('ebook', {
+      unitPrice: 10,
+      scheme: {
+        author: { percentage: 70 },
+        platform: { percentage: 30 }
+      },
+      payees: { author: 'alice', platform: 'store' }
+    });
+
+    catalog.addProduct('course', {
+      unitPrice: 50,
+      scheme: {
+        author: { percentage: 60 },
+        platform: { percentage: 20 },
+        allBuyers: { remainder: true }
+      },
+      payees: { author: 'alice', platform: 'store' }
+    });
+
+    return catalog;
+  };
+
+  test('Products are managed by id', () => {
+    const catalog = createCatalog();
+
+    expect(catalog.listProducts()).toEqual(['ebook', 'course']);
+    expect(catalog.getProduct('ebook')).toBeInstanceOf(RevenueSharing);
+    expect(catalog.getProduct('ebook').productName).toBe('ebook');
+
+    expect(catalog.removeProduct('ebook')).toBe(true);
+    expect(catalog.removeProduct('ebook')).toBe(false);
+    expect(catalog.listProducts()).toEqual(['course']);
+    expect(() => catalog.getProduct('ebook')).toThrow('Product not found: ebook');
+  });
+
+  test('Duplicate and invalid product ids are rejected', () => {
+    const catalog = createCatalog();
+
+    expect(() => catalog.addProduct('ebook', { unitPrice: 1, scheme: { author: { percentage: 100 } } }))
+      .toThrow("Product 'ebook' already exists");
+    expect(() => catalog.addProduct('', { unitPrice: 1, scheme: { author: { percentage: 100 } } }))
+      .toThrow('Product id must be a non-empty string');
+  });
+
+  test('Products must share the money mode', () => {
+    const catalog = createCatalog();
+
+    expect(() => catalog.addProduct('audio', {
+      unitPrice: 5,
+      scheme: { author: { percentage: 100 } },
+      options: { useMinorUnits: true }
+    })).toThrow('All products in a catalog must use the same money mode');
+  });
+
+  test('Sales are routed by product id', () => {
+    const catalog = createCatalog();
+
+    expect(catalog.addSale({ productId: 'ebook', buyer: 'bob' })).toEqual({ productId: 'ebook', index: 0 });
+    expect(catalog.addSales([
+      { productId: 'course', buyer: 'bob' },
+      { productId: 'ebook', buyer: 'carol' },
+      { productId: 'course', buyer: 'dave' }
+    ])).toBe(3);
+
+    expect(catalog.getProduct('ebook').sales.map(sale => sale.buyer)).toEqual(['bob', 'carol']);
+    expect(catalog.getProduct('course').sales.map(sale => sale.buyer)).toEqual(['bob', 'dave']);
+    expect(catalog.getProduct('ebook').sales[0].productId).toBeUndefined();
+  });
+
+  test('Batch with an unknown product adds nothing', () => {
+    const catalog = createCatalog();
+
+    expect(() => catalog.addSales([
+      { productId: 'ebook', buyer: 'bob' },
+      { productId: 'missing', buyer: 'carol' }
+    ])).toThrow('Product not found: missing');
+    expect(catalog.getProduct('ebook').sales).toHaveLength(0);
+    expect(() => catalog.addSale({ buyer: 'bob' })).toThrow('Product not found: undefined');
+  });
+
+  test('Payouts are consolidated per payee across products', () => {
+    const catalog = createCatalog();
+    catalog.addSales([
+      { productId: 'ebook', buyer: 'bob' },
+      { productId: 'ebook', buyer: 'carol' },
+      { productId: 'course', buyer: 'bob' },
+      { productId: 'course', buyer: 'dave' }
+    ]);
+
+    const { products, payees, buyers } = catalog.calculatePayouts();
+
+    expect(products.ebook.author).toBe(14);
+    expect(products.course.author).toBe(60);
+
+    expect(payees.alice).toEqual({ total: 74, products: { ebook: 14, course: 60 } });
+    expect(payees.store).toEqual({ total: 26, products: { ebook: 6, course: 20 } });
+    expect(buyers.bob).toEqual({ total: 10, products: { course: 10 } });
+    expect(buyers.dave).toEqual({ total: 10, products: { course: 10 } });
+    // carol bought only the ebook, whose scheme gives buyers nothing
+    expect(buyers.carol).toBeUndefined();
+    expect(payees.bob).toBeUndefined();
+  });
+
+  test('Unmapped roles stay separate per product', () => {
+    const catalog = new Catalog();
+    ['a', 'b'].forEach(productId => {
+      catalog.addProduct(productId, { unitPrice: 10, scheme: { author: { percentage: 100 } } });
+      catalog.addSale({ productId, buyer: 'bob' });
+    });
+
+    const { payees } = catalog.calculatePayouts();
+
+    expect(payees['a:author']).toEqual({ total: 10, products: { a: 10 } });
+    expect(payees['b:author']).toEqual({ total: 10, products: { b: 10 } });
+  });
+
+  test('Buy-to-Earn holders are credited with their token earnings', () => {
+    const catalog = createCatalog();
+    catalog.addProduct('game', {
+      unitPrice: 10,
+      useBuyToEarnModel: true,
+      initialInvestment: 20,
+      paybackRatio: 1,
+      payees: { creator: 'alice', platform: 'store' }
+    });
+
+    ['bob', 'bob', 'carol', 'dave', 'erin'].forEach(buyer => catalog.addSale({ productId: 'game', buyer }));
+    catalog.addSale({ productId: 'ebook', buyer: 'bob' });
+
+    const { products, payees, buyers } = catalog.calculatePayouts();
+    const game = products.game;
+
+    expect(game.holders).toBeDefined();
+    expect(payees.alice.products).toEqual({ ebook: 7, game: game.creator });
+    expect(payees.store.products.game).toBe(game.platform);
+    expect(payees['game:promotion'].total).toBe(game.promotion);
+    expect(buyers.bob.products.game).toBe(game.holders.bob.earnings);
+    expect(buyers.bob.total).toBeCloseTo(game.holders.bob.earnings, 2);
+  });
+
+  test('Totals are rounded to cents', () => {
+    const catalog = new Catalog();
+    ['a', 'b', 'c'].forEach(productId => {
+      catalog.addProduct(productId, {
+        unitPrice: 0.1,
+        scheme: { author: { percentage: 100 } },
+        payees: { author: 'alice' }
+      });
+      catalog.addSale({ productId, buyer: 'bob' });
+    });
+
+    expect(catalog.calculatePayouts().payees.alice.total).toBe(0.3);
+  });
+
+  test('Named parties are mapped to payees like roles', () => {
+    const catalog = new Catalog();
+    ['novel', 'sequel'].forEach(productId => {
+      catalog.addProduct(productId, {
+        unitPrice: 10,
+        scheme: { author: { percentage: 60 }, coAuthor: { type: 'party', percentage: 40 } },
+        payees: { author: 'alice', coAuthor: 'erin' }
+      });
+      catalog.addSale({ productId, buyer: 'bob' });
+    });
+
+    const { payees } = catalog.calculatePayouts();
+
+    expect(payees.erin).toEqual({ total: 8, products: { novel: 4, sequel: 4 } });
+    expect(payees.alice.total).toBe(12);
+  });
+
+  test('Split payees are mapped by path or through their parent', () => {
+    const catalog = new Catalog();
+    catalog.addProduct('comic', {
+      unitPrice: 10,
+      scheme: {
+        author: { percentage: 80, split: { writer: 50, illustrator: 50 } },
+        platform: { percentage: 20, split: { store: 50, payments: 50 } }
+      },
+      payees: { author: 'alice', 'author.illustrator': 'ivan' }
+    });
+    catalog.addSale({ productId: 'comic', buyer: 'bob' });
+
+    const { payees } = catalog.calculatePayouts();
+
+    expect(payees.ivan).toEqual({ total: 4, products: { comic: 4 } });
+    expect(payees['alice.writer']).toEqual({ total: 4, products: { comic: 4 } });
+    expect(payees['comic:platform.store'].total).toBe(1);
+    expect(payees['author.writer']).toBeUndefined();
+  });
+
+  test('Buyers are kept apart from payees with the same id', () => {
+    const catalog = createCatalog();
+    catalog.addSale({ productId: 'course', buyer: 'alice' });
+
+    const { payees, buyers } = catalog.calculatePayouts();
+
+    expect(payees.alice).toEqual({ total: 30, products: { course: 30 } });
+    expect(buyers.alice).toEqual({ total: 10, products: { course: 10 } });
+  });
+});
+
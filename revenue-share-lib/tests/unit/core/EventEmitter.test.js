@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Tests for the minimal event emitter
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import EventEmitter from '../../../src/core/EventEmitter';
+
+describe('EventEmitter', () => {
+  let emitter;
+
+  beforeEach(() => {
+    emitter = new EventEmitter();
+  });
+
+  test('calls listeners in order with the payload', () => {
+    const calls = [];
+    emitter.on('event', payload => calls.push(['first', payload]));
+    emitter.on('event', payload => calls.push(['second', payload]));
+
+    expect(emitter.emit('event', 42)).toBe(true);
+    expect(calls).toEqual([['first', 42], ['second', 42]]);
+    expect(emitter.emit('other', 1)).toBe(false);
+  });
+
+  test('once listeners are called a single time', () => {
+    const listener = jest.fn();
+    emitter.once('event', listener);
+
+    emitter.emit('event', 'a');
+    emitter.emit('event', 'b');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith('a');
+    expect(emitter.listenerCount('event')).toBe(0);
+  });
+
+  test('off removes one listener or all listeners of an event', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    const third = jest.fn();
+    emitter.on('event', first).on('event', second).once('event', third);
+
+    emitter.off('event', first);
+    emitter.off('event', third);
+    emitter.emit('event');
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+    expect(third).not.toHaveBeenCalled();
+
+    emitter.off('event');
+    expect(emitter.listenerCount('event')).toBe(0);
+    expect(emitter.off('missing', first)).toBe(emitter);
+  });
+
+  test('listeners removed during emit do not skip the others', () => {
+    const second = jest.fn();
+    const first = () => emitter.off('event', first);
+    emitter.on('event', first);
+    emitter.on('event', second);
+
+    emitter.emit('event');
+
+    expect(second).toHaveBeenCalledTimes(1);
+    expect(emitter.listenerCount('event')).toBe(1);
+  });
+
+  test('rejects listeners that are not functions', () => {
+    expect(() => emitter.on('event', 'nope')).toThrow('Event listener must be a function');
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Tests for the IncrementalCalculator class
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import IncrementalCalculator from '../../../src/core/IncrementalCalculator';
+import PayoutCalculator from '../../../src/core/PayoutCalculator';
+import { getSaleRevenue } from '../../../src/utils/SaleUtils';
+
+describe('IncrementalCalculator', () => {
+  const scheme = {
+    author: { percentage: 40 },
+    platform: { percentage: 10 },
+    first3: { percentage: 20, count: 3 },
+    last2: { percentage: 10, count: 2, fromEnd: true },
+    allBuyers: { remainder: true }
+  };
+
+  const fullPayouts = (sales, unitPrice = 10, allocationBasis = 'sale', rules = scheme) =>
+    new PayoutCalculator().calculate({
+      sales,
+      scheme: rules,
+      unitPrice,
+      totalRevenue: sales.reduce((total, sale) => total + getSaleRevenue(sale, unitPrice), 0),
+      allocationBasis
+    });
+
+  const expectMatches = (calculator, sales, allocationBasis, rules) => {
+    const expected = fullPayouts(sales, calculator.unitPrice, allocationBasis, rules);
+    const actual = calculator.getPayouts();
+
+    expect(actual.author).toBeCloseTo(expected.author, 9);
+    expect(actual.platform).toBeCloseTo(expected.platform, 9);
+    expect(Object.keys(actual.buyers).sort()).toEqual(Object.keys(expected.buyers).sort());
+    Object.keys(expected.buyers).forEach(buyer => {
+      expect(actual.buyers[buyer]).toBeCloseTo(expected.buyers[buyer], 9);
+    });
+  };
+
+  test('Sales appended in order match the full calculation', () => {
+    const calculator = new IncrementalCalculator({ scheme, unitPrice: 10 });
+    const sales = [];
+
+    ['a', 'b', 'c', 'd', 'a', 'e', 'f'].forEach((buyer, index) => {
+      const sale = { buyer, timestamp: (index + 1) * 100 };
+      sales.push(sale);
+      calculator.addSale(sale);
+      expectMatches(calculator, sales);
+    });
+
+    expect(calculator.verify().isValid).toBe(true);
+  });
+
+  test('Out-of-order sales shift first N and last N membership', () => {
+    const calculator = new IncrementalCalculator({ scheme, unitPrice: 10 });
+    const sales = [];
+    const add = sale => {
+      sales.push(sale);
+      calculator.addSale(sale);
+    };
+
+    [100, 200, 300, 400, 500].forEach((timestamp, index) => add({ buyer: `b${index}`, timestamp }));
+
+    // Lands inside the first three, pushing b2 out of them
+    add({ buyer: 'early', timestamp: 150 });
+    expectMatches(calculator, sales);
+    expect(calculator.groups['first:3'].weights.has('b2')).toBe(false);
+
+    // Lands inside the last two, pushing b3 out of them
+    add({ buyer: 'late', timestamp: 450 });
+    expectMatches(calculator, sales);
+    expect(calculator.groups['last:2'].weights.has('b3')).toBe(false);
+    expect(calculator.groups['last:2'].weights.has('late')).toBe(true);
+
+    // Before the last two: membership of the window does not change
+    add({ buyer: 'middle', timestamp: 250 });
+    expectMatches(calculator, sales);
+  });
+
+  test('Removed sales let the next sales move into the groups', () => {
+    const sales = [1, 2, 3, 4, 5, 6].map(index => ({ buyer: `b${index}`, timestamp: index * 100 }));
+    const calculator = new IncrementalCalculator({ scheme, unitPrice: 10, sales });
+    let remaining = [...sales];
+
+    [sales[1], sales[5], sales[3], sales[0]].forEach(sale => {
+      calculator.removeSale(sale);
+      remaining = remaining.filter(item => item !== sale);
+      expectMatches(calculator, remaining);
+    });
+
+    expect(() => calculator.removeSale(sales[0])).toThrow('Sale is not part of the incremental calculation');
+  });
+
+  test('Buyers are weighted by the allocation basis', () => {
+    const calculator = new IncrementalCalculator({ scheme, unitPrice: 10, allocationBasis: 'amount' });
+    const sales = [
+      { buyer: 'a', timestamp: 1, amount: 25 },
+      { buyer: 'b', timestamp: 2, quantity: 3 },
+      { buyer: 'c', timestamp: 3, discount: 4 },
+      { buyer: 'a', timestamp: 4 }
+    ];
+    sales.forEach(sale => calculator.addSale(sale));
+
+    expectMatches(calculator, sales, 'amount');
+    calculator.removeSale(sales[1]);
+    expectMatches(calculator, [sales[0], sales[2], sales[3]], 'amount');
+  });
+
+  test('Share of a group whose buyers all weigh 0 goes to the author', () => {
+    const rules = { author: { percentage: 50 }, first1: { count: 1, percentage: 50 } };
+    const sales = [{ buyer: 'a', timestamp: 1, amount: 0 }, { buyer: 'b', timestamp: 2, amount: 10 }];
+    const calculator = new IncrementalCalculator({ scheme: rules, unitPrice: 10, sales, allocationBasis: 'amount' });
+
+    expect(calculator.getPayouts().author).toBe(10);
+    expectMatches(calculator, sales, 'amount', rules);
+  });
+
+  test('Remainder without remainder rules goes to the author', () => {
+    const rules = { author: { percentage: 50 }, promotion: { percentage: 10 }, first2: { percentage: 10, count: 2 } };
+    const sales = [{ buyer: 'a', timestamp: 1 }, { buyer: 'b', timestamp: 2 }, { buyer: 'c', timestamp: 3 }];
+    const calculator = new IncrementalCalculator({ scheme: rules, unitPrice: 10, sales });
+
+    expectMatches(calculator, sales, 'sale', rules);
+    expect(calculator.getPayouts().author).toBeCloseTo(24, 9);
+    expect(calculator.getPayouts().promotion).toBeCloseTo(3, 9);
+  });
+
+  test('Single buyer payouts are available without materializing all buyers', () => {
+    const sales = ['a', 'b', 'a', 'c'].map((buyer, index) => ({ buyer, timestamp: index + 1 }));
+    const calculator = new IncrementalCalculator({ scheme, unitPrice: 10, sales });
+    const payouts = calculator.getPayouts();
+
+    expect(calculator.getBuyerPayout('a')).toBeCloseTo(payouts.buyers.a, 9);
+    expect(calculator.getBuyerPayout('c')).toBeCloseTo(payouts.buyers.c, 9);
+    expect(calculator.getBuyerPayout('unknown')).toBe(0);
+  });
+
+  test('Verification reports differences from the full calculation', () => {
+    const sales = ['a', 'b', 'c'].map((buyer, index) => ({ buyer, timestamp: index + 1 }));
+    const calculator = new IncrementalCalculator({ scheme, unitPrice: 10, sales });
+
+    // Simulate a corrupted running total
+    calculator.totalRevenue += 1;
+    const result = calculator.verify();
+
+    expect(result.isValid).toBe(false);
+    expect(result.maxDifference).toBeGreaterThan(0);
+    expect(result.differences[0]).toEqual({ payee: 'author', incremental: 12.4, full: 12 });
+    expect(result.differences.some(difference => difference.buyer === 'a')).toBe(true);
+    expect(calculator.verify({ tolerance: 1 }).isValid).toBe(true);
+  });
+
+  test('Rejects unsupported configurations', () => {
+    expect(() => new IncrementalCalculator({
+      scheme: { author: { percentage: 100, type: 'custom' } },
+      unitPrice: 10
+    })).toThrow("Incremental calculation does not support typed rule 'author'");
+    expect(() => new IncrementalCalculator({ scheme, unitPrice: 10, allocationBasis: 'weight' }))
+      .toThrow("Unknown allocation basis 'weight'");
+    expect(() => new IncrementalCalculator({ scheme: { author: { percentage: 100, maxAmount: 50 } }, unitPrice: 10 }))
+      .toThrow("Incremental calculation does not support minimum or maximum amounts in rule 'author'");
+    expect(() => new IncrementalCalculator({ scheme: { author: { schedule: [{ from: 0, percentage: 50 }] } }, unitPrice: 10 }))
+      .toThrow("Incremental calculation does not support volume schedules in rule 'author'");
+  });
+
+  test('Named parties are kept up to date', () => {
+    const rules = { author: { percentage: 50 }, coAuthor: { type: 'party', percentage: 30 }, allBuyers: { remainder: true } };
+    const sales = [{ buyer: 'a', timestamp: 1 }, { buyer: 'b', timestamp: 2 }];
+    const calculator = new IncrementalCalculator({ scheme: rules, unitPrice: 10, sales });
+
+    expectMatches(calculator, sales, 'sale', rules);
+    calculator.addSale({ buyer: 'c', timestamp: 3 });
+    expect(calculator.getPayouts().parties).toEqual({ coAuthor: 9 });
+    expect(calculator.verify().isValid).toBe(true);
+  });
+
+  test('Weighted remainders and overflow policies match the full calculation', () => {
+    const rules = {
+      author: { percentage: 70 },
+      platform: { percentage: 50 },
+      first2: { remainder: { weight: 2 }, count: 2 },
+      allBuyers: { remainder: true }
+    };
+    const sales = ['a', 'b', 'c'].map((buyer, index) => ({ buyer, timestamp: index + 1 }));
+    const calculator = new IncrementalCalculator({ scheme: rules, unitPrice: 10, sales, percentageOverflow: 'truncate' });
+
+    expect(calculator.getPayouts().author).toBeCloseTo(21, 9);
+    expect(calculator.getPayouts().platform).toBeCloseTo(9, 9);
+    expect(calculator.verify().isValid).toBe(true);
+
+    const weighted = { author: { percentage: 40 }, first2: { remainder: { weight: 2 }, count: 2 }, allBuyers: { remainder: true } };
+    expectMatches(new IncrementalCalculator({ scheme: weighted, unitPrice: 10, sales }), sales, 'sale', weighted);
+
+    expect(() => new IncrementalCalculator({ scheme: rules, unitPrice: 10, percentageOverflow: 'reject' }))
+      .toThrow('Total percentage allocation (120%) exceeds 100%');
+  });
+
+  test('Refunded float-amount sales leave no weight behind', () => {
+    const rules = { author: { percentage: 50 }, allBuyers: { remainder: true } };
+    const sales = [
+      { buyer: 'a', timestamp: 1, amount: 0.1 },
+      { buyer: 'a', timestamp: 2, amount: 0.2 },
+      { buyer: 'b', timestamp: 3, amount: 5 }
+    ];
+    const calculator = new IncrementalCalculator({ scheme: rules, unitPrice: 10, sales, allocationBasis: 'amount' });
+
+    calculator.removeSale(sales[0]);
+    calculator.removeSale(sales[1]);
+
+    const payouts = calculator.getPayouts();
+    expect(payouts.buyers).toEqual({ b: 2.5 });
+    expect(calculator.getBuyerPayout('a')).toBe(0);
+    expect(calculator.verify().isValid).toBe(true);
+  });
+
+  test('Verification rejects non-finite amounts and missing payees', () => {
+    const sales = ['a', 'b'].map((buyer, index) => ({ buyer, timestamp: index + 1 }));
+    const calculator = new IncrementalCalculator({ scheme, unitPrice: 10, sales });
+    const getPayouts = calculator.getPayouts.bind(calculator);
+
+    calculator.getPayouts = () => ({ ...getPayouts(), author: NaN });
+    const corrupt = calculator.verify();
+    expect(corrupt.isValid).toBe(false);
+    expect(corrupt.maxDifference).toBe(Infinity);
+    expect(corrupt.differences[0]).toEqual({ payee: 'author', incremental: NaN, full: 8 });
+
+    calculator.getPayouts = () => {
+      const payouts = getPayouts();
+      delete payouts.buyers.b;
+      return payouts;
+    };
+    expect(calculator.verify().differences).toEqual([{ payee: 'buyers', buyer: 'b', incremental: undefined, full: expect.any(Number) }]);
+  });
+});
+
@@ -320,8 +320,10 @@ describe('PayoutCalculator', () => {
     
     // Проверка результата оценки
     expect(estimation.paybackSale).toBeGreaterThan(100); // Точка окупаемости должна быть после номера токена
-    expect(estimation.accumulatedEarnings).toBe(1000); // Цель окупаемости 500 * 2 = 1000
-    expect(parseFloat(estimation.roi)).toBe(100); // ROI при окупаемости 2x = 100%
+    expect(estimation.paybackGoal).toBe(1000); // Цель окупаемости 500 * 2 = 1000
+    expect(estimation.accumulatedEarnings).toBeGreaterThanOrEqual(1000);
+    expect(estimation.accumulatedEarnings).toBeLessThan(1001); // Окупаемость наступает на продаже, пересекающей цель
+    expect(parseFloat(estimation.roi)).toBeGreaterThanOrEqual(100); // ROI при окупаемости 2x = 100%
   });
 
   test('Buy-to-Earn with different priority settings', () => {
@@ -636,7 +638,7 @@ describe('PayoutCalculator', () => {
     const estimation = calculator.estimateTokenPayback(params);
     
     expect(estimation.paybackSale).toBeGreaterThan(50);
-    expect(estimation.accumulatedEarnings).toBe(1000);
+    expect(estimation.accumulatedEarnings).toBeGreaterThanOrEqual(1000);
   });
 
   test('Buy-to-Earn estimation for mid-range token', () => {
@@ -651,7 +653,7 @@ describe('PayoutCalculator', () => {
     const estimation = calculator.estimateTokenPayback(params);
     
     expect(estimation.paybackSale).toBeGreaterThan(250);
-    expect(estimation.accumulatedEarnings).toBe(1000);
+    expect(estimation.accumulatedEarnings).toBeGreaterThanOrEqual(1000);
   });
 
   test('Buy-to-Earn estimation for late token', () => {
@@ -666,7 +668,7 @@ describe('PayoutCalculator', () => {
     const estimation = calculator.estimateTokenPayback(params);
     
     expect(estimation.paybackSale).toBeGreaterThan(700);
-    expect(estimation.accumulatedEarnings).toBe(1000);
+    expect(estimation.accumulatedEarnings).toBeGreaterThanOrEqual(1000);
   });
 
   test('Buy-to-Earn estimation with high priority', () => {
@@ -681,7 +683,7 @@ describe('PayoutCalculator', () => {
     const estimation = calculator.estimateTokenPayback(params);
     
     expect(estimation.paybackSale).toBeGreaterThan(600);
-    expect(estimation.accumulatedEarnings).toBe(1000);
+    expect(estimation.accumulatedEarnings).toBeGreaterThanOrEqual(1000);
   });
 
   test('Buy-to-Earn estimation with low priority', () => {
@@ -696,7 +698,7 @@ describe('PayoutCalculator', () => {
     const estimation = calculator.estimateTokenPayback(params);
     
     expect(estimation.paybackSale).toBeGreaterThan(600);
-    expect(estimation.accumulatedEarnings).toBe(1000);
+    expect(estimation.accumulatedEarnings).toBeGreaterThanOrEqual(1000);
   });
 
   test('Buy-to-Earn calculation with timestamps without sorting', () => {
@@ -1096,4 +1098,1215 @@ describe('PayoutCalculator', () => {
     expect(payouts.platform).toBeGreaterThan(0);
     expect(payouts.promotion).toBeGreaterThan(0);
   });
+
+  // ----- Tests for integer minor-unit mode -----
+
+  test('Minor-unit mode sums exactly to collected revenue', () => {
+    const sales = Array(7).fill().map((_, i) => ({ buyer: `buyer${i+1}`, timestamp: 1000 + i }));
+    const data = {
+      sales,
+      scheme: {
+        author: { percentage: 33.33 },
+        platform: { percentage: 33.33 },
+        first3: { count: 3, percentage: 13.34 },
+        allBuyers: { remainder: true }
+      },
+      unitPrice: 999,
+      totalRevenue: 7 * 999,
+      minorUnits: true
+    };
+
+    const payouts = calculator.calculate(data);
+    const buyerValues = Object.values(payouts.buyers);
+    const total = payouts.author + payouts.platform + buyerValues.reduce((a, b) => a + b, 0);
+
+    expect(total).toBe(6993);
+    expect(Number.isInteger(payouts.author)).toBe(true);
+    expect(buyerValues.every(Number.isInteger)).toBe(true);
+    // 6993 * 33.33% = 2330.77 -> the author gets the leftover unit over the platform
+    expect(payouts.author).toBe(2331);
+    expect(payouts.platform).toBe(2331);
+    // Leftover units of equal splits go to the earliest sales
+    expect(payouts.buyers.buyer1).toBeGreaterThanOrEqual(payouts.buyers.buyer2);
+  });
+
+  test('Minor-unit mode splits several remainder rules exactly', () => {
+    const data = {
+      sales: [
+        { buyer: 'buyer1', timestamp: 1000 },
+        { buyer: 'buyer2', timestamp: 2000 },
+        { buyer: 'buyer3', timestamp: 3000 }
+      ],
+      scheme: {
+        author: { remainder: true },
+        platform: { percentage: 10 },
+        promotion: { remainder: true },
+        allBuyers: { remainder: true }
+      },
+      unitPrice: 1,
+      totalRevenue: 3,
+      minorUnits: true
+    };
+
+    const payouts = calculator.calculate(data);
+
+    expect(payouts.platform).toBe(0);
+    expect(payouts.author).toBe(1);
+    expect(payouts.promotion).toBe(1);
+    expect(payouts.buyers).toEqual({ buyer1: 1, buyer2: 0, buyer3: 0 });
+  });
+
+  test('Minor-unit mode scales percentages above 100% down to the revenue', () => {
+    const data = {
+      sales: [{ buyer: 'buyer1', timestamp: 1000 }],
+      scheme: {
+        author: { percentage: 80 },
+        platform: { percentage: 40 }
+      },
+      unitPrice: 1000,
+      totalRevenue: 1000,
+      minorUnits: true,
+      percentageOverflow: 'scale'
+    };
+
+    const payouts = calculator.calculate(data);
+
+    expect(payouts.author + payouts.platform).toBe(1000);
+    expect(payouts.author).toBe(667);
+  });
+
+  test('Minor-unit mode rejects fractional amounts', () => {
+    expect(() => calculator.calculate({
+      sales: [{ buyer: 'buyer1' }],
+      scheme: { author: { percentage: 100 } },
+      unitPrice: 9.99,
+      totalRevenue: 9.99,
+      minorUnits: true
+    })).toThrow('Total revenue must be an integer number of minor units');
+
+    expect(() => calculator.calculateBuyToEarnPayouts({
+      sales: [{ buyer: 'buyer1' }],
+      unitPrice: 9.99,
+      minorUnits: true,
+      buyToEarnParams: {
+        initialInvestment: 1000,
+        creatorShare: 10,
+        platformShare: 10,
+        promotionShare: 10,
+        paybackRatio: 2,
+        nonPaybackPoolSharePercent: 60
+      }
+    })).toThrow('must be integer numbers of minor units');
+  });
+
+  test('Buy-to-Earn minor-unit mode sums exactly to collected revenue', () => {
+    const buildData = (specificTokenNumber) => ({
+      sales: Array(30).fill().map((_, i) => ({ buyer: `buyer${i+1}`, timestamp: 1000 + i })),
+      unitPrice: 333,
+      minorUnits: true,
+      buyToEarnParams: {
+        initialInvestment: 3000,
+        creatorShare: 12.5,
+        platformShare: 10,
+        promotionShare: 7,
+        paybackRatio: 1.2,
+        nonPaybackPoolSharePercent: 65,
+        specificTokenNumber
+      }
+    });
+
+    const first = calculator.calculateBuyToEarnPayouts(buildData(1));
+    let tokensTotal = 0;
+    for (let token = 1; token <= 30; token++) {
+      const payouts = calculator.calculateBuyToEarnPayouts(buildData(token));
+      expect(Number.isInteger(payouts.buyer)).toBe(true);
+      tokensTotal += payouts.buyer;
+    }
+
+    // 10 prepayers cover the investment, 20 regular sales follow
+    expect(first.prepayersCount).toBe(10);
+    expect(first.creator + first.platform + first.promotion + tokensTotal).toBe(3000 + 20 * 333);
+  });
+
+  // ----- Tests for per-sale amounts -----
+
+  test('Buyer allocations weighted by amount paid', () => {
+    const data = {
+      sales: [
+        { buyer: 'buyer1', timestamp: 1000, amount: 30 },
+        { buyer: 'buyer2', timestamp: 2000 },
+        { buyer: 'buyer3', timestamp: 3000, quantity: 2, discount: 10 }
+      ],
+      scheme: {
+        author: { percentage: 50 },
+        allBuyers: { percentage: 50 }
+      },
+      unitPrice: 10,
+      totalRevenue: 50,
+      allocationBasis: 'amount'
+    };
+
+    const payouts = calculator.calculate(data);
+
+    expect(payouts.author).toBe(25);
+    expect(payouts.buyers.buyer1).toBe(15);
+    expect(payouts.buyers.buyer2).toBe(5);
+    expect(payouts.buyers.buyer3).toBe(5);
+  });
+
+  test('Group allocations weighted by units', () => {
+    const data = {
+      sales: [
+        { buyer: 'buyer1', timestamp: 1000, quantity: 3 },
+        { buyer: 'buyer2', timestamp: 2000 },
+        { buyer: 'buyer3', timestamp: 3000, quantity: 5 }
+      ],
+      scheme: {
+        author: { percentage: 60 },
+        first2: { count: 2, percentage: 40 }
+      },
+      unitPrice: 10,
+      totalRevenue: 90,
+      allocationBasis: 'unit',
+      minorUnits: true
+    };
+
+    const payouts = calculator.calculate(data);
+
+    expect(payouts.author).toBe(54);
+    expect(payouts.buyers.buyer1).toBe(27);
+    expect(payouts.buyers.buyer2).toBe(9);
+    expect(payouts.buyers.buyer3).toBe(0);
+  });
+
+  test('Fully discounted sales receive nothing from weighted allocations', () => {
+    const payouts = calculator.calculate({
+      sales: [{ buyer: 'buyer1', timestamp: 1000, discount: 10 }],
+      scheme: { allBuyers: { percentage: 100 } },
+      unitPrice: 10,
+      totalRevenue: 0,
+      allocationBasis: 'amount'
+    });
+
+    expect(payouts.buyers.buyer1).toBe(0);
+  });
+
+  test('Share of a group whose buyers all weigh 0 goes to the author', () => {
+    const data = {
+      sales: [
+        { buyer: 'buyer1', timestamp: 1000, amount: 0 },
+        { buyer: 'buyer2', timestamp: 2000, amount: 10 }
+      ],
+      scheme: {
+        author: { percentage: 50 },
+        first1: { count: 1, percentage: 50 }
+      },
+      unitPrice: 10,
+      totalRevenue: 10,
+      allocationBasis: 'amount'
+    };
+
+    const payouts = calculator.calculate(data);
+    expect(payouts.author).toBe(10);
+    expect(payouts.buyers).toEqual({ buyer1: 0, buyer2: 0 });
+
+    const minorUnitPayouts = calculator.calculate({
+      ...data,
+      sales: [
+        { buyer: 'buyer1', timestamp: 1000, amount: 0 },
+        { buyer: 'buyer2', timestamp: 2000, amount: 1000 }
+      ],
+      unitPrice: 1000,
+      totalRevenue: 1000,
+      minorUnits: true
+    });
+    expect(minorUnitPayouts.author).toBe(1000);
+    expect(minorUnitPayouts.buyers).toEqual({ buyer1: 0, buyer2: 0 });
+  });
+
+  test('Unknown allocation basis is rejected', () => {
+    expect(() => calculator.calculate({
+      sales: [],
+      scheme: { author: { percentage: 100 } },
+      unitPrice: 10,
+      totalRevenue: 0,
+      allocationBasis: 'wallet'
+    })).toThrow("Unknown allocation basis 'wallet'");
+  });
+
+  // ----- Tests for the per-token ledger -----
+
+  test('Token ledger lists every token with its buyer and payback', () => {
+    const buyToEarnParams = {
+      initialInvestment: 1000,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 0,
+      paybackRatio: 1,
+      nonPaybackPoolSharePercent: 50,
+      specificTokenNumber: 1
+    };
+    const sales = Array(60).fill().map((_, i) => ({
+      buyer: i % 3 === 0 ? 'whale' : `buyer${i + 1}`,
+      timestamp: 1000 + i,
+      saleId: `sale-${i + 1}`
+    }));
+
+    const payouts = calculator.calculateBuyToEarnPayouts({
+      sales: [...sales].reverse(),
+      unitPrice: 100,
+      buyToEarnParams,
+      includeTokenLedger: true
+    });
+
+    expect(payouts.tokens).toHaveLength(60);
+
+    // Tokens follow the chronological sale order
+    expect(payouts.tokens[0]).toMatchObject({ tokenNumber: 1, buyer: 'whale', saleId: 'sale-1' });
+    expect(payouts.tokens[1]).toMatchObject({ tokenNumber: 2, buyer: 'buyer2', saleId: 'sale-2' });
+
+    // Each token matches the single-token calculation
+    [1, 2, 30, 60].forEach(tokenNumber => {
+      const single = calculator.calculateBuyToEarnPayouts({
+        sales,
+        unitPrice: 100,
+        buyToEarnParams: { ...buyToEarnParams, specificTokenNumber: tokenNumber }
+      });
+      const token = payouts.tokens[tokenNumber - 1];
+
+      expect(token.earnings).toBeCloseTo(single.buyer, 9);
+      expect(token.paybackSale).toBe(single.paybackPoint);
+    });
+
+    const paidBack = payouts.tokens.filter(token => token.paidBack);
+    expect(paidBack.length).toBeGreaterThan(0);
+    expect(paidBack).toHaveLength(payouts.paidBackCount);
+    paidBack.forEach(token => {
+      expect(token.paybackTimestamp).toBe(1000 + token.paybackSale - 1);
+    });
+    payouts.tokens.filter(token => !token.paidBack).forEach(token => {
+      expect(token.paybackSale).toBeNull();
+      expect(token.paybackTimestamp).toBeNull();
+    });
+
+    // A wallet holding several tokens sees one total
+    const whale = payouts.holders.whale;
+    const whaleTokens = payouts.tokens.filter(token => token.buyer === 'whale');
+    expect(whale.tokens).toEqual(whaleTokens.map(token => token.tokenNumber));
+    expect(whale.tokens).toHaveLength(20);
+    expect(whale.earnings).toBeCloseTo(whaleTokens.reduce((sum, token) => sum + token.earnings, 0), 9);
+    expect(whale.paidBackTokens).toBe(whaleTokens.filter(token => token.paidBack).length);
+  });
+
+  test('Token ledger before the prepayers are covered', () => {
+    const payouts = calculator.calculateBuyToEarnPayouts({
+      sales: [{ buyer: 'buyer1' }, { buyer: 'buyer1' }],
+      unitPrice: 100,
+      buyToEarnParams: {
+        initialInvestment: 1000,
+        creatorShare: 10,
+        platformShare: 10,
+        promotionShare: 10,
+        paybackRatio: 2,
+        nonPaybackPoolSharePercent: 50
+      },
+      includeTokenLedger: true
+    });
+
+    expect(payouts.tokens).toEqual([
+      { tokenNumber: 1, buyer: 'buyer1', earnings: 0, paidBack: false, paybackSale: null, paybackTimestamp: null },
+      { tokenNumber: 2, buyer: 'buyer1', earnings: 0, paidBack: false, paybackSale: null, paybackTimestamp: null }
+    ]);
+    expect(payouts.holders).toEqual({ buyer1: { tokens: [1, 2], earnings: 0, paidBackTokens: 0 } });
+  });
+
+  test('Token ledger is omitted by default', () => {
+    const payouts = calculator.calculateBuyToEarnPayouts({
+      sales: [{ buyer: 'buyer1' }],
+      unitPrice: 100,
+      buyToEarnParams: {
+        initialInvestment: 100,
+        creatorShare: 10,
+        platformShare: 10,
+        promotionShare: 10,
+        paybackRatio: 2,
+        nonPaybackPoolSharePercent: 50
+      }
+    });
+
+    expect(payouts.tokens).toBeUndefined();
+    expect(payouts.holders).toBeUndefined();
+  });
+
+  // ----- Tests for the simulation-backed payback estimate -----
+
+  test('Payback estimate depends on the initial investment and unit price', () => {
+    const params = {
+      tokenNumber: 100,
+      tokenPrice: 500,
+      paybackRatio: 2,
+      nonPaybackPoolPercent: 0.6,
+      buyersShare: 0.7
+    };
+
+    const withoutPrepayers = calculator.estimateTokenPayback(params);
+    const withPrepayers = calculator.estimateTokenPayback({ ...params, initialInvestment: 300000 });
+
+    expect(withoutPrepayers.numPrepayers).toBe(0);
+    expect(withPrepayers.numPrepayers).toBe(600);
+    expect(withPrepayers.paybackSale).toBeGreaterThan(withoutPrepayers.paybackSale);
+
+    // Scaling every amount by the same factor does not move the payback sale
+    const cheaper = calculator.estimateTokenPayback({ ...params, tokenPrice: 5, initialInvestment: 3000 });
+    expect(cheaper.paybackSale).toBe(withPrepayers.paybackSale);
+    expect(cheaper.accumulatedEarnings).toBeCloseTo(withPrepayers.accumulatedEarnings / 100, 6);
+  });
+
+  test('Payback estimate matches the Buy-to-Earn calculation', () => {
+    const buyToEarnParams = {
+      initialInvestment: 2000,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 10,
+      paybackRatio: 1.5,
+      nonPaybackPoolSharePercent: 60,
+      specificTokenNumber: 30
+    };
+
+    const estimation = calculator.estimateTokenPayback({
+      tokenNumber: 30,
+      tokenPrice: 100,
+      paybackRatio: 1.5,
+      nonPaybackPoolPercent: 0.6,
+      buyersShare: 0.7,
+      initialInvestment: 2000,
+      projectAt: [500]
+    });
+
+    const payouts = calculator.calculateBuyToEarnPayouts({
+      sales: Array(500).fill().map((_, i) => ({ buyer: `buyer${i + 1}`, timestamp: 1000 + i })),
+      unitPrice: 100,
+      buyToEarnParams
+    });
+
+    expect(estimation.method).toBe('simulation');
+    expect(estimation.paybackSale).toBe(payouts.paybackPoint);
+    expect(estimation.projections[0].earnings).toBeCloseTo(payouts.buyer, 9);
+    expect(estimation.lowerBound).toBeLessThanOrEqual(estimation.paybackSale);
+    expect(estimation.upperBound).toBeGreaterThanOrEqual(estimation.paybackSale);
+  });
+
+  test('Payback estimate requires a positive token price', () => {
+    expect(() => calculator.estimateTokenPayback({
+      tokenNumber: 1,
+      tokenPrice: 0,
+      paybackRatio: 2,
+      nonPaybackPoolPercent: 0.6,
+      buyersShare: 0.7
+    })).toThrow('Token price must be a positive number');
+  });
+
+  // ----- Tests for the payback curve -----
+
+  test('Payback curve matches the Buy-to-Earn calculation at every milestone', () => {
+    const buyToEarnParams = {
+      initialInvestment: 1000,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 5,
+      paybackRatio: 1.5,
+      nonPaybackPoolSharePercent: 60
+    };
+
+    const curve = calculator.calculatePaybackCurve({
+      totalSales: 1050,
+      unitPrice: 100,
+      buyToEarnParams,
+      sampleEvery: 250,
+      tokenPositions: [1, 20, 600]
+    });
+
+    expect(curve.prepayersCount).toBe(10);
+    expect(curve.paybackGoal).toBe(150);
+    expect(curve.milestones.map(milestone => milestone.sale)).toEqual([10, 250, 500, 750, 1000, 1050]);
+
+    // End of the prepayment phase
+    expect(curve.milestones[0]).toEqual({
+      sale: 10,
+      paidBackCount: 0,
+      totalRevenue: 1000,
+      creatorRevenue: 1000,
+      platformRevenue: 0,
+      promotionRevenue: 0,
+      tokenEarnings: { 1: 0, 20: 0, 600: 0 }
+    });
+
+    curve.milestones.slice(1).forEach(milestone => {
+      const sales = Array(milestone.sale).fill().map((_, i) => ({ buyer: `buyer${i + 1}` }));
+
+      [1, 20, 600].forEach(tokenNumber => {
+        const payouts = calculator.calculateBuyToEarnPayouts({
+          sales,
+          unitPrice: 100,
+          buyToEarnParams: { ...buyToEarnParams, specificTokenNumber: tokenNumber }
+        });
+
+        expect(milestone.tokenEarnings[tokenNumber]).toBeCloseTo(payouts.buyer, 9);
+        expect(milestone.paidBackCount).toBe(payouts.paidBackCount);
+        expect(milestone.creatorRevenue).toBeCloseTo(payouts.creator, 9);
+        expect(milestone.platformRevenue).toBeCloseTo(payouts.platform, 9);
+        expect(milestone.promotionRevenue).toBeCloseTo(payouts.promotion, 9);
+      });
+
+      expect(milestone.totalRevenue).toBe(1000 + (milestone.sale - 10) * 100);
+    });
+  });
+
+  test('Payback curve without prepayers or before they are covered', () => {
+    const buyToEarnParams = {
+      initialInvestment: 0,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 10,
+      paybackRatio: 1,
+      nonPaybackPoolSharePercent: 50
+    };
+
+    const curve = calculator.calculatePaybackCurve({ totalSales: 3, unitPrice: 10, buyToEarnParams });
+    expect(curve.milestones.map(milestone => milestone.sale)).toEqual([1, 2, 3]);
+    expect(curve.milestones[0].tokenEarnings).toEqual({});
+
+    const uncovered = calculator.calculatePaybackCurve({
+      totalSales: 5,
+      unitPrice: 10,
+      buyToEarnParams: { ...buyToEarnParams, initialInvestment: 100 }
+    });
+    expect(uncovered.milestones).toEqual([]);
+  });
+
+  test('Payback curve rejects invalid sampling', () => {
+    const data = {
+      totalSales: 10,
+      unitPrice: 10,
+      buyToEarnParams: {
+        initialInvestment: 0,
+        creatorShare: 10,
+        platformShare: 10,
+        promotionShare: 10,
+        paybackRatio: 1,
+        nonPaybackPoolSharePercent: 50
+      }
+    };
+
+    expect(() => calculator.calculatePaybackCurve({ ...data, sampleEvery: 0 }))
+      .toThrow('Sample interval must be a positive integer');
+    expect(() => calculator.calculatePaybackCurve({ ...data, totalSales: -1 }))
+      .toThrow('Total sales must be a non-negative integer');
+  });
+
+  // ----- Tests for the plugin pipeline -----
+
+  test('Plugins run their stages in pipeline order', () => {
+    const stages = [];
+    const pipeline = new PayoutCalculator({
+      plugins: [{
+        name: 'recorder',
+        preSort: calculation => stages.push(['preSort', calculation.sales.map(sale => sale.buyer)]),
+        preAllocate: calculation => stages.push(['preAllocate', calculation.sales.map(sale => sale.buyer)]),
+        postAllocate: calculation => stages.push(['postAllocate', calculation.payouts.author])
+      }]
+    });
+
+    pipeline.calculate({
+      sales: [{ buyer: 'late', timestamp: 2000 }, { buyer: 'early', timestamp: 1000 }],
+      scheme: { author: { percentage: 100 } },
+      unitPrice: 10,
+      totalRevenue: 20
+    });
+
+    expect(stages).toEqual([
+      ['preSort', ['late', 'early']],
+      ['preAllocate', ['early', 'late']],
+      ['postAllocate', 20]
+    ]);
+  });
+
+  test('Plugins deduct fees, add rule types and adjust payouts', () => {
+    const platformFee = {
+      name: 'platformFee',
+      preAllocate: calculation => {
+        calculation.payouts.fee = calculation.totalRevenue * 0.1;
+        calculation.totalRevenue -= calculation.payouts.fee;
+      }
+    };
+    const withholding = {
+      name: 'withholding',
+      ruleTypes: {
+        // Pays a rule's share to the first buyer only
+        firstBuyer: (share, { sales, distribute }) => distribute(sales.slice(0, 1), share),
+        tax: (share, { key, payouts }) => {
+          payouts.taxes = { ...payouts.taxes, [key]: share };
+        }
+      },
+      postAllocate: ({ payouts }) => {
+        payouts.withheld = payouts.author * 0.2;
+        payouts.author -= payouts.withheld;
+      }
+    };
+    const pipeline = new PayoutCalculator().use(platformFee).use(withholding);
+
+    const payouts = pipeline.calculate({
+      sales: [
+        { buyer: 'buyer1', timestamp: 1000 },
+        { buyer: 'buyer2', timestamp: 2000 }
+      ],
+      scheme: {
+        author: { percentage: 50 },
+        bonus: { type: 'firstBuyer', percentage: 20 },
+        vat: { type: 'tax', percentage: 10 },
+        charity: { type: 'tax', remainder: true }
+      },
+      unitPrice: 50,
+      totalRevenue: 100
+    });
+
+    expect(payouts.fee).toBe(10);
+    expect(payouts.buyers).toEqual({ buyer1: 18, buyer2: 0 });
+    expect(payouts.taxes.vat).toBe(9);
+    expect(payouts.taxes.charity).toBeCloseTo(18, 10);
+    expect(payouts.withheld).toBe(9);
+    expect(payouts.author).toBe(36);
+  });
+
+  test('Rounding middleware wraps the default rounding', () => {
+    const calls = [];
+    const pipeline = new PayoutCalculator({
+      plugins: [
+        { name: 'outer', rounding: (payouts, next) => { calls.push('outer'); return { ...next(payouts), outer: true }; } },
+        { name: 'inner', rounding: (payouts, next) => { calls.push('inner'); return next({ ...payouts, author: payouts.author + 1 }); } }
+      ]
+    });
+
+    const rounded = pipeline.applyRounding({ author: 1.234 }, payouts => ({ ...payouts, author: Math.round(payouts.author) }));
+
+    expect(calls).toEqual(['outer', 'inner']);
+    expect(rounded).toEqual({ author: 2, outer: true });
+    expect(calculator.applyRounding({ author: 1.6 }, payouts => ({ author: Math.round(payouts.author) }))).toEqual({ author: 2 });
+  });
+
+  test('Invalid plugins and unknown rule types are rejected', () => {
+    expect(() => calculator.use(null)).toThrow('Plugin must be an object with a name');
+    expect(() => calculator.use({ preSort: () => {} })).toThrow('Plugin must be an object with a name');
+    expect(() => calculator.use({ name: 'bad', postAllocate: 'nope' }))
+      .toThrow("Stage 'postAllocate' of plugin 'bad' must be a function");
+    expect(() => calculator.use({ name: 'bad', ruleTypes: { custom: 1 } }))
+      .toThrow("Handler for rule type 'custom' of plugin 'bad' must be a function");
+
+    calculator.use({ name: 'custom', ruleTypes: { custom: () => {} } });
+    expect(() => calculator.use({ name: 'custom' })).toThrow("Plugin 'custom' is already registered");
+    expect(() => calculator.use({ name: 'other', ruleTypes: { custom: () => {} } }))
+      .toThrow("Rule type 'custom' is already registered");
+
+    expect(() => calculator.calculate({
+      sales: [],
+      scheme: { author: { percentage: 90 }, extra: { type: 'missing', percentage: 10 } },
+      unitPrice: 10,
+      totalRevenue: 0
+    })).toThrow("Unknown rule type 'missing' for 'extra'");
+  });
+
+  test('Sales with equal or missing timestamps follow the ordering policy', () => {
+    const sales = [
+      { buyer: 'buyer3', saleId: 's3', sequence: 3 },
+      { buyer: 'buyer2', saleId: 's2', sequence: 2, timestamp: 1000 },
+      { buyer: 'buyer1', saleId: 's1', sequence: 1, timestamp: 1000 }
+    ];
+    const data = {
+      sales,
+      scheme: { author: { percentage: 70 }, earlyBuyers: { count: 2, percentage: 30 } },
+      unitPrice: 100,
+      totalRevenue: 300
+    };
+
+    const payouts = calculator.calculate(data);
+    expect(payouts.buyers).toEqual({ buyer1: 45, buyer2: 45, buyer3: 0 });
+
+    // The input order no longer matters
+    expect(calculator.calculate({ ...data, sales: [...sales].reverse() }).buyers).toEqual(payouts.buyers);
+
+    const bySaleId = new PayoutCalculator({ ordering: ['saleId'] });
+    expect(bySaleId.calculate(data).buyers).toEqual({ buyer1: 45, buyer2: 45, buyer3: 0 });
+
+    expect(() => new PayoutCalculator({ ordering: ['buyer'] }))
+      .toThrow("Unknown sale ordering key 'buyer', expected one of: timestamp, sequence, saleId");
+  });
+
+  test('Group members are listed in sale order', () => {
+    const scheme = {
+      author: { percentage: 40 },
+      earlyBuyers: { count: 2, percentage: 20 },
+      lateBuyers: { count: 2, percentage: 20, fromEnd: true },
+      allBuyers: { remainder: true },
+      platform: { percentage: 20 }
+    };
+    const sales = [
+      { buyer: 'carol', saleId: 's3', timestamp: 3000 },
+      { buyer: 'alice', saleId: 's1', timestamp: 1000 },
+      { buyer: 'bob', saleId: 's2', timestamp: 2000 },
+      { buyer: 'alice', saleId: 's4', timestamp: 4000 }
+    ];
+
+    const groups = calculator.getGroupMembers(scheme, sales);
+
+    expect(Object.keys(groups)).toEqual(['earlyBuyers', 'lateBuyers', 'allBuyers']);
+    expect(groups.earlyBuyers).toEqual({
+      buyers: ['alice', 'bob'],
+      sales: [
+        { position: 1, buyer: 'alice', saleId: 's1' },
+        { position: 2, buyer: 'bob', saleId: 's2' }
+      ]
+    });
+    expect(groups.lateBuyers.sales.map(sale => sale.position)).toEqual([3, 4]);
+    expect(groups.lateBuyers.buyers).toEqual(['carol', 'alice']);
+    expect(groups.allBuyers.buyers).toEqual(['alice', 'bob', 'carol']);
+    expect(groups.allBuyers.sales).toHaveLength(4);
+
+    expect(calculator.getGroupMembers(scheme, [{ buyer: 'alice' }]).lateBuyers).toEqual({
+      buyers: ['alice'],
+      sales: [{ position: 1, buyer: 'alice' }]
+    });
+  });
+
+  test('Payout explanation lists every rule for a buyer', () => {
+    const data = {
+      sales: [
+        { buyer: 'carol', timestamp: 3000 },
+        { buyer: 'alice', timestamp: 1000 },
+        { buyer: 'bob', timestamp: 2000 },
+        { buyer: 'alice', timestamp: 4000 }
+      ],
+      scheme: {
+        author: { percentage: 40 },
+        earlyBuyers: { count: 2, percentage: 20 },
+        lateBuyers: { count: 1, percentage: 10, fromEnd: true },
+        buyersPool: { remainder: true },
+        platform: { percentage: 10 }
+      },
+      unitPrice: 100,
+      totalRevenue: 400
+    };
+
+    const alice = calculator.explainPayout(data, 'alice');
+    expect(alice.positions).toEqual([1, 4]);
+    expect(alice.total).toBe(120);
+    expect(alice.rules.earlyBuyers).toEqual({
+      target: 'group',
+      fromRemainder: false,
+      qualified: true,
+      positions: [1],
+      range: { from: 1, to: 2 },
+      share: 40,
+      pool: 80
+    });
+    expect(alice.rules.lateBuyers).toMatchObject({ qualified: true, positions: [4], range: { from: 4, to: 4 }, share: 40 });
+    expect(alice.rules.buyersPool).toMatchObject({ target: 'allBuyers', fromRemainder: true, positions: [1, 4], share: 40 });
+    expect(alice.rules.buyersPool.pool).toBeCloseTo(80, 10);
+
+    const carol = calculator.explainPayout(data, 'carol');
+    expect(carol.positions).toEqual([3]);
+    expect(carol.total).toBeCloseTo(20, 10);
+    expect(carol.rules.earlyBuyers).toMatchObject({ qualified: false, positions: [], range: { from: 1, to: 2 }, share: 0, pool: 80 });
+    expect(carol.rules.author).toEqual({
+      target: 'author',
+      fromRemainder: false,
+      qualified: false,
+      positions: [],
+      range: null,
+      share: 0,
+      pool: 160
+    });
+
+    // Typed rules qualify the buyers that received part of them
+    calculator.use({
+      name: 'first-buyer',
+      ruleTypes: { firstBuyer: (share, { sales, distribute }) => distribute(sales.slice(0, 1), share) }
+    });
+    const typed = { ...data, scheme: { author: { percentage: 90 }, bonus: { type: 'firstBuyer', percentage: 10 } } };
+    expect(calculator.explainPayout(typed, 'alice').rules.bonus).toMatchObject({ target: 'typed', qualified: true, share: 40 });
+    expect(calculator.explainPayout(typed, 'bob').rules.bonus).toMatchObject({ qualified: false, share: 0, pool: 40 });
+  });
+
+  test('Allocation trace records every rule and splits every sale', () => {
+    const payouts = calculator.calculate({
+      sales: [
+        { buyer: 'bob', saleId: 's2', timestamp: 2000, amount: 300 },
+        { buyer: 'alice', saleId: 's1', timestamp: 1000 }
+      ],
+      scheme: {
+        author: { percentage: 50 },
+        earlyBuyers: { count: 1, percentage: 20 },
+        allBuyers: { remainder: true }
+      },
+      unitPrice: 100,
+      totalRevenue: 400,
+      trace: true
+    });
+
+    const { trace } = payouts;
+    expect(trace.revenue).toBe(400);
+    expect(trace.allocatedRevenue).toBe(400);
+    expect(trace.rules.map(rule => rule.key)).toEqual(['author', 'earlyBuyers', 'allBuyers']);
+    expect(trace.rules[0]).toEqual({
+      key: 'author',
+      target: 'author',
+      fromRemainder: false,
+      pool: 200,
+      payees: { author: 200 },
+      buyers: {}
+    });
+    expect(trace.rules[1]).toMatchObject({ target: 'group', pool: 80, payees: {}, buyers: { alice: 80 } });
+    expect(trace.rules[2].fromRemainder).toBe(true);
+    expect(trace.rules[2].buyers.alice).toBeCloseTo(60, 10);
+    expect(trace.rules[2].buyers.bob).toBeCloseTo(60, 10);
+
+    expect(trace.sales).toEqual([
+      { position: 1, buyer: 'alice', saleId: 's1', revenue: 100, payees: { author: 50, platform: 0, buyers: 50 } },
+      { position: 2, buyer: 'bob', saleId: 's2', revenue: 300, payees: { author: 150, platform: 0, buyers: 150 } }
+    ]);
+
+    // Without the option the payouts have no trace
+    expect(calculator.calculate({ sales: [], scheme: { author: { percentage: 100 } }, unitPrice: 1, totalRevenue: 0 }).trace)
+      .toBeUndefined();
+  });
+
+  test('Allocation trace reports the unclaimed remainder and adds up in minor units', () => {
+    const { trace, author } = calculator.calculate({
+      sales: [{ buyer: 'alice' }, { buyer: 'bob' }, { buyer: 'carol' }],
+      scheme: { author: { percentage: 10 }, platform: { percentage: 33 } },
+      unitPrice: 333,
+      totalRevenue: 999,
+      minorUnits: true,
+      trace: true
+    });
+
+    expect(trace.rules[2]).toEqual({
+      key: null,
+      target: 'author',
+      fromRemainder: true,
+      pool: 569,
+      payees: { author: 569 },
+      buyers: {}
+    });
+
+    const authorSplit = trace.sales.map(sale => sale.payees.author);
+    expect(authorSplit.every(Number.isInteger)).toBe(true);
+    expect(authorSplit.reduce((total, amount) => total + amount, 0)).toBe(author);
+  });
+
+  test('Group ranges select positions from the start or the end', () => {
+    const payouts = calculator.calculate({
+      sales: [1, 2, 3, 4, 5].map(n => ({ buyer: `buyer${n}`, timestamp: n })),
+      scheme: {
+        author: { percentage: 70 },
+        buyersSecondAndThird: { from: 2, to: 3, percentage: 20 },
+        nearlyLast: { from: 2, count: 2, fromEnd: true, percentage: 10 }
+      },
+      unitPrice: 100,
+      totalRevenue: 500
+    });
+
+    expect(payouts.buyers).toEqual({ buyer1: 0, buyer2: 50, buyer3: 75, buyer4: 25, buyer5: 0 });
+
+    const members = calculator.getGroupMembers({ tier: { from: 4, percentage: 10 } }, [{ buyer: 'a' }, { buyer: 'b' }]);
+    expect(members.tier).toEqual({ buyers: [], sales: [] });
+  });
+
+  test('Group shares can be weighted by position', () => {
+    const sales = [1, 2, 3].map(n => ({ buyer: `buyer${n}`, timestamp: n }));
+    const calculate = (rule, extra = {}) => calculator.calculate({
+      sales,
+      scheme: { author: { percentage: 40 }, early: { percentage: 60, ...rule } },
+      unitPrice: 100,
+      totalRevenue: 300,
+      ...extra
+    }).buyers;
+
+    expect(calculate({ count: 3, weighting: 'linear' })).toEqual({ buyer1: 90, buyer2: 60, buyer3: 30 });
+    // Weights follow the full range even before it is filled
+    expect(calculate({ count: 4, weighting: 'linear' })).toEqual({ buyer1: 80, buyer2: 60, buyer3: 40 });
+    expect(calculate({ count: 3, fromEnd: true, weighting: 'linear' })).toEqual({ buyer1: 30, buyer2: 60, buyer3: 90 });
+
+    const exponential = calculate({ count: 3, weighting: 'exponential', decay: 0.5 });
+    expect(exponential.buyer1 / exponential.buyer2).toBeCloseTo(2, 10);
+    expect(exponential.buyer2 / exponential.buyer3).toBeCloseTo(2, 10);
+
+    expect(calculate({ count: 3, weighting: 'linear' }, { minorUnits: true, totalRevenue: 167, unitPrice: 1 }))
+      .toEqual({ buyer1: 50, buyer2: 33, buyer3: 17 });
+
+    expect(() => calculate({ count: 3, weighting: 'exponential' }))
+      .toThrow("Decay for 'early' must be a number between 0 and 1");
+  });
+
+  test('Rules can weight buyers by the amount paid', () => {
+    const data = {
+      sales: [{ buyer: 'small', amount: 100 }, { buyer: 'large', amount: 300 }],
+      scheme: {
+        author: { percentage: 40 },
+        allBuyers: { percentage: 40, allocationBasis: 'amount' },
+        first2: { count: 2, percentage: 20, weighting: 'linear' }
+      },
+      unitPrice: 100,
+      totalRevenue: 400
+    };
+
+    expect(calculator.calculate(data).buyers).toEqual({ small: 40 + 160 / 3, large: 120 + 80 / 3 });
+  });
+
+  test('Buyer groups can count distinct buyers instead of sales', () => {
+    const sales = ['whale', 'whale', 'whale', 'a', 'b'].map((buyer, index) => ({ buyer, timestamp: index + 1 }));
+    const data = {
+      sales,
+      scheme: { author: { percentage: 70 }, early: { count: 3, percentage: 30 } },
+      unitPrice: 100,
+      totalRevenue: 500
+    };
+
+    expect(calculator.calculate(data).buyers).toEqual({ whale: 150, a: 0, b: 0 });
+    expect(calculator.calculate({ ...data, groupCounting: 'buyer' }).buyers).toEqual({ whale: 50, a: 50, b: 50 });
+    expect(calculator.calculate({
+      ...data,
+      scheme: { author: { percentage: 70 }, early: { count: 3, percentage: 30, groupCounting: 'buyer' } }
+    }).buyers).toEqual({ whale: 50, a: 50, b: 50 });
+
+    const members = calculator.getGroupMembers({
+      early: { count: 3, percentage: 30 },
+      late: { count: 2, fromEnd: true, percentage: 10 }
+    }, sales, { groupCounting: 'buyer' });
+    expect(members.early).toEqual({
+      buyers: ['whale', 'a', 'b'],
+      sales: [{ position: 1, buyer: 'whale' }, { position: 2, buyer: 'a' }, { position: 3, buyer: 'b' }]
+    });
+    expect(members.late.sales).toEqual([{ position: 2, buyer: 'a' }, { position: 3, buyer: 'b' }]);
+
+    expect(() => calculator.calculate({ ...data, groupCounting: 'wallet' }))
+      .toThrow("Unknown group counting 'wallet', expected one of: sale, buyer");
+  });
+
+  test('Units beyond the per-buyer cap do not qualify for a group', () => {
+    const sales = [
+      { buyer: 'whale', quantity: 5, timestamp: 1 },
+      { buyer: 'a', timestamp: 2 },
+      { buyer: 'whale', quantity: 2, timestamp: 3 },
+      { buyer: 'b', timestamp: 4 }
+    ];
+    const calculate = rule => calculator.calculate({
+      sales,
+      scheme: { author: { remainder: true }, early: { count: 3, percentage: 35, allocationBasis: 'unit', ...rule } },
+      unitPrice: 100,
+      totalRevenue: 900
+    }).buyers;
+
+    // Without a cap the whale's second sale takes the last position
+    expect(calculate({})).toEqual({ whale: 315 * 7 / 8, a: 315 / 8, b: 0 });
+    // With a cap it qualifies no units, so the next buyer moves up
+    expect(calculate({ maxUnitsPerBuyer: 5 })).toEqual({ whale: 225, a: 45, b: 45 });
+    expect(calculate({ maxUnitsPerBuyer: 2, groupCounting: 'buyer', allocationBasis: 'amount' }))
+      .toEqual({ whale: 157.5, a: 78.75, b: 78.75 });
+
+    const members = calculator.getGroupMembers({ early: { count: 3, percentage: 35, maxUnitsPerBuyer: 5 } }, sales);
+    expect(members.early.sales).toEqual([
+      { position: 1, buyer: 'whale', units: 5 },
+      { position: 2, buyer: 'a', units: 1 },
+      { position: 3, buyer: 'b', units: 1 }
+    ]);
+  });
+
+  test('Breakdown reports the buyers earnings per sale and per buyer', () => {
+    const payouts = calculator.calculate({
+      sales: [
+        { buyer: 'whale', saleId: 's1', timestamp: 1 },
+        { buyer: 'whale', saleId: 's2', quantity: 2, timestamp: 2 },
+        { buyer: 'a', saleId: 's3', timestamp: 3 }
+      ],
+      scheme: {
+        author: { percentage: 70 },
+        early: { count: 2, percentage: 20, groupCounting: 'buyer' },
+        allBuyers: { percentage: 10 }
+      },
+      unitPrice: 100,
+      totalRevenue: 300,
+      breakdown: true
+    });
+
+    expect(payouts.buyers).toEqual({ whale: 50, a: 40 });
+    expect(payouts.breakdown).toEqual({
+      sales: [
+        { position: 1, buyer: 'whale', saleId: 's1', quantity: 1, earned: 40 },
+        { position: 2, buyer: 'whale', saleId: 's2', quantity: 2, earned: 10 },
+        { position: 3, buyer: 'a', saleId: 's3', quantity: 1, earned: 40 }
+      ],
+      buyers: {
+        whale: { sales: 2, units: 3, earned: 50 },
+        a: { sales: 1, units: 1, earned: 40 }
+      }
+    });
+  });
+
+  test('Named parties are paid by their scheme key', () => {
+    const data = {
+      sales: [{ buyer: 'bob', timestamp: 1 }, { buyer: 'carol', timestamp: 2 }],
+      scheme: {
+        author: { percentage: 40 },
+        coAuthor: { type: 'party', percentage: 30 },
+        illustrator: { type: 'party', remainder: true },
+        allBuyers: { percentage: 10 }
+      },
+      unitPrice: 100,
+      totalRevenue: 200
+    };
+
+    const payouts = calculator.calculate(data);
+    expect(payouts).toMatchObject({ author: 80, platform: 0, buyers: { bob: 10, carol: 10 } });
+    expect(Object.keys(payouts.parties)).toEqual(['coAuthor', 'illustrator']);
+    expect(payouts.parties.coAuthor).toBeCloseTo(60, 10);
+    expect(payouts.parties.illustrator).toBeCloseTo(40, 10);
+
+    const { trace } = calculator.calculate({ ...data, trace: true });
+    expect(trace.rules.find(rule => rule.key === 'coAuthor')).toMatchObject({ target: 'party', payees: { coAuthor: 60 } });
+    expect(trace.sales[0].payees).toMatchObject({ author: 40, coAuthor: 30, buyers: 10 });
+    expect(trace.sales[0].payees.illustrator).toBeCloseTo(20, 10);
+
+    const cents = calculator.calculate({ ...data, totalRevenue: 199, unitPrice: 1, minorUnits: true });
+    expect(cents.parties).toEqual({ coAuthor: 60, illustrator: 40 });
+    expect(cents.author + cents.parties.coAuthor + cents.parties.illustrator + cents.buyers.bob + cents.buyers.carol).toBe(199);
+    expect(() => calculator.calculate({ ...data, scheme: { platform: { type: 'party', percentage: 10 } } }))
+      .toThrow("Party 'platform' must not use a reserved payee name");
+    expect(() => new PayoutCalculator().use({ name: 'bonus', ruleTypes: { party: () => {} } }))
+      .toThrow("Rule type 'party' is already registered");
+  });
+
+  test('Rules can split their payee share among sub-payees', () => {
+    const data = {
+      sales: [{ buyer: 'bob', timestamp: 1 }],
+      scheme: {
+        author: { percentage: 50, split: { writer: 70, editor: 30 } },
+        publisher: {
+          type: 'party',
+          percentage: 30,
+          split: { imprint: { percentage: 50, split: { ann: 50, ben: 50 } }, marketing: 50 }
+        },
+        platform: { percentage: 10 }
+      },
+      unitPrice: 100,
+      totalRevenue: 100
+    };
+
+    const payouts = calculator.calculate(data);
+    // The author's split covers the remainder the author receives as well
+    expect(payouts.author).toBe(60);
+    expect(payouts.parties.publisher).toBe(30);
+    expect(payouts.splits.flat).toEqual({
+      'author.writer': 42,
+      'author.editor': 18,
+      'publisher.imprint.ann': 7.5,
+      'publisher.imprint.ben': 7.5,
+      'publisher.marketing': 15
+    });
+    expect(payouts.splits.tree.publisher.payees.imprint).toEqual({ amount: 15, payees: { ann: { amount: 7.5 }, ben: { amount: 7.5 } } });
+
+    const cents = calculator.calculate({ ...data, totalRevenue: 999, unitPrice: 999, minorUnits: true });
+    expect(cents.splits.flat['publisher.imprint.ann'] + cents.splits.flat['publisher.imprint.ben']).toBe(cents.splits.tree.publisher.payees.imprint.amount);
+    expect(Object.values(cents.splits.flat).every(Number.isInteger)).toBe(true);
+
+    expect(() => calculator.calculate({ ...data, scheme: { author: { percentage: 100, split: { writer: 50 } } } }))
+      .toThrow("Split of 'author' must add up to 100%, found 50%");
+  });
+
+  test('Weighted remainder rules split the remainder by weight', () => {
+    const payouts = calculator.calculate({
+      sales: [
+        { buyer: 'buyer1', timestamp: 1000 },
+        { buyer: 'buyer2', timestamp: 2000 }
+      ],
+      scheme: {
+        author: { remainder: { weight: 3 } },
+        platform: { percentage: 20 },
+        allBuyers: { remainder: true }
+      },
+      unitPrice: 100,
+      totalRevenue: 200
+    });
+
+    expect(payouts.author).toBeCloseTo(120, 10);
+    expect(payouts.platform).toBe(40);
+    expect(payouts.buyers.buyer1).toBeCloseTo(20, 10);
+    expect(payouts.buyers.buyer2).toBeCloseTo(20, 10);
+  });
+
+  test('Percentages above 100% are scaled, truncated or rejected', () => {
+    const data = {
+      sales: [{ buyer: 'buyer1', timestamp: 1000 }],
+      scheme: {
+        author: { percentage: 60 },
+        platform: { percentage: 60 },
+        allBuyers: { remainder: true }
+      },
+      unitPrice: 100,
+      totalRevenue: 100
+    };
+
+    expect(() => calculator.calculate(data))
+      .toThrow('Total percentage allocation (120%) exceeds 100%');
+
+    const scaled = calculator.calculate({ ...data, percentageOverflow: 'scale' });
+    expect(scaled.author).toBeCloseTo(50, 10);
+    expect(scaled.platform).toBeCloseTo(50, 10);
+    expect(scaled.buyers.buyer1 || 0).toBe(0);
+
+    const truncated = calculator.calculate({ ...data, percentageOverflow: 'truncate' });
+    expect(truncated.author).toBe(60);
+    expect(truncated.platform).toBe(40);
+
+    expect(() => calculator.calculate({ ...data, percentageOverflow: 'reject' }))
+      .toThrow('Total percentage allocation (120%) exceeds 100%');
+  });
+
+  test('Scaled percentages and weighted remainders add up exactly in minor units', () => {
+    const payouts = calculator.calculate({
+      sales: [{ buyer: 'buyer1', timestamp: 1000 }],
+      scheme: {
+        author: { remainder: { weight: 2 } },
+        platform: { percentage: 70 },
+        promotion: { percentage: 70 },
+        allBuyers: { remainder: true }
+      },
+      unitPrice: 1001,
+      totalRevenue: 1001,
+      minorUnits: true,
+      percentageOverflow: 'scale'
+    });
+
+    expect(payouts.platform + payouts.promotion).toBe(1001);
+    expect(Number.isInteger(payouts.platform)).toBe(true);
+    expect(payouts.author).toBe(0);
+  });
+
+  test('Minimum and maximum amounts are applied after every rule', () => {
+    const data = {
+      sales: [
+        { buyer: 'buyer1', timestamp: 1000 },
+        { buyer: 'buyer2', timestamp: 2000 }
+      ],
+      scheme: {
+        author: { percentage: 50 },
+        platform: { percentage: 30, maxAmount: 20 },
+        allBuyers: { remainder: true }
+      },
+      unitPrice: 50,
+      totalRevenue: 100,
+      breakdown: true
+    };
+
+    const payouts = calculator.calculate(data);
+
+    // Излишек платформы уходит тем, кто получил остаток
+    expect(payouts.platform).toBe(20);
+    expect(payouts.buyers).toEqual({ buyer1: 15, buyer2: 15 });
+    expect(payouts.breakdown.buyers.buyer1.earned).toBe(15);
+    expect(payouts.limits.triggered).toEqual([{ payee: 'platform', limit: 'maxAmount', value: 20, amount: 30 }]);
+
+    const capped = calculator.calculate({ ...data, maxAmountPerBuyer: 12, breakdown: false });
+    expect(capped.buyers).toEqual({ buyer1: 12, buyer2: 12 });
+    expect(capped.author).toBe(56);
+    expect(capped.limits.triggered.map(entry => entry.limit)).toEqual(['maxAmount', 'maxAmountPerBuyer', 'maxAmountPerBuyer']);
+
+    expect(calculator.calculate({ ...data, scheme: { author: { percentage: 100 } } }).limits).toBeUndefined();
+  });
+
+  test('Invalid minimum and maximum amounts are rejected', () => {
+    const data = {
+      sales: [{ buyer: 'buyer1', timestamp: 1000 }],
+      scheme: { author: { percentage: 70 }, allBuyers: { percentage: 30, maxAmount: 10 } },
+      unitPrice: 100,
+      totalRevenue: 100
+    };
+
+    expect(() => calculator.calculate(data))
+      .toThrow("Rule for 'allBuyers' can only limit the payout of a single payee (author, platform, promotion or a party)");
+    expect(() => calculator.calculate({ ...data, scheme: { author: { percentage: 100 } }, maxAmountPerBuyer: -1 }))
+      .toThrow('Maximum amount per buyer must be a non-negative number');
+    expect(() => calculator.calculate({
+      ...data,
+      scheme: { author: { percentage: 100, minAmount: 10.5 } },
+      minorUnits: true
+    })).toThrow('Minimum and maximum amounts must be integer numbers of minor units');
+  });
+
+  test('Scheduled rules apply the percentage of each volume bracket', () => {
+    const data = {
+      sales: [6, 6, 40, 10].map((quantity, index) => ({ buyer: `buyer${index}`, timestamp: 1000 + index, quantity })),
+      scheme: {
+        platform: {
+          schedule: [
+            { from: 0, to: 10, percentage: 30 },
+            { from: 10, to: 50, percentage: 20 },
+            { from: 50, percentage: 15 }
+          ]
+        },
+        author: { remainder: true }
+      },
+      unitPrice: 10,
+      totalRevenue: 620
+    };
+
+    const payouts = calculator.calculate(data);
+
+    // 30% от 100 + 20% от 400 + 15% от 120
+    expect(payouts.platform).toBeCloseTo(128, 10);
+    expect(payouts.author).toBeCloseTo(492, 10);
+    expect(payouts.schedules.platform.map(bracket => bracket.volume)).toEqual([10, 40, 12]);
+    expect(payouts.schedules.platform[1].amount).toBeCloseTo(80, 10);
+
+    const minor = calculator.calculate({ ...data, unitPrice: 1000, totalRevenue: 62000, minorUnits: true });
+    expect(minor.platform).toBe(12800);
+    expect(minor.schedules.platform.map(bracket => bracket.amount)).toEqual([3000, 8000, 1800]);
+
+    expect(() => calculator.calculate({ ...data, scheme: { platform: { schedule: [{ from: 0, to: 10, percentage: 30 }] } } }))
+      .toThrow("The last bracket of 'platform' must be open-ended");
+  });
+
+  test('Trace splits scheduled rules by the brackets of every sale', () => {
+    const data = {
+      sales: [{ buyer: 'buyer1', timestamp: 1000 }, { buyer: 'buyer2', timestamp: 2000 }],
+      scheme: {
+        platform: { schedule: [{ from: 0, to: 1, percentage: 50 }, { from: 1, percentage: 10 }] },
+        author: { remainder: true }
+      },
+      unitPrice: 100,
+      totalRevenue: 200,
+      trace: true
+    };
+
+    const { trace } = calculator.calculate(data);
+    expect(trace.sales.map(sale => sale.payees.platform)).toEqual([50, 10]);
+    expect(trace.sales.map(sale => sale.payees.author)).toEqual([50, 90]);
+
+    const minor = calculator.calculate({
+      ...data,
+      sales: [...data.sales, { buyer: 'buyer3', timestamp: 3000, quantity: 2 }],
+      scheme: {
+        platform: { schedule: [{ from: 0, to: 1, percentage: 30 }, { from: 1, percentage: 15 }] },
+        promotion: { percentage: 5 },
+        author: { remainder: true }
+      },
+      unitPrice: 1000,
+      totalRevenue: 4000,
+      minorUnits: true
+    });
+    expect(minor.platform).toBe(750);
+    expect(minor.trace.sales.map(sale => sale.payees.platform)).toEqual([300, 150, 300]);
+    expect(minor.trace.sales.map(sale => sale.payees.promotion)).toEqual([50, 50, 100]);
+    expect(minor.trace.sales.map(sale => sale.payees.author)).toEqual([650, 800, 1600]);
+  });
 });
+
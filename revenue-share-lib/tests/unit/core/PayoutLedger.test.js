@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Tests for the PayoutLedger class
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import PayoutLedger from '../../../src/core/PayoutLedger';
+
+describe('PayoutLedger', () => {
+  test('Records payouts with sequential entry numbers', () => {
+    const ledger = new PayoutLedger();
+
+    const entry = ledger.record({ payee: 'author', amount: 50, reference: 'wire-1', timestamp: 1000 });
+    expect(entry).toEqual({
+      entryNumber: 1,
+      payee: 'author',
+      amount: 50,
+      period: null,
+      reference: 'wire-1',
+      timestamp: 1000
+    });
+
+    const buyerEntry = ledger.record({ payee: 'buyers', buyer: 'bob', amount: 5, period: { from: 0, to: 10 } });
+    expect(buyerEntry.entryNumber).toBe(2);
+    expect(buyerEntry.buyer).toBe('bob');
+    expect(buyerEntry.period).toEqual({ from: 0, to: 10 });
+  });
+
+  test('Rejects malformed payouts', () => {
+    const ledger = new PayoutLedger();
+
+    expect(() => ledger.record({ amount: 5 })).toThrow('Payout payee must be a non-empty string');
+    expect(() => ledger.record({ payee: 'buyers', amount: 5 })).toThrow('Buyer payouts must name the buyer');
+    expect(() => ledger.record({ payee: 'author', amount: NaN })).toThrow('Payout amount must be a finite number');
+    expect(() => new PayoutLedger({})).toThrow('Ledger entries must be an array');
+    expect(ledger.getEntries()).toEqual([]);
+  });
+
+  test('Filters entries and sums paid amounts per payee', () => {
+    const ledger = new PayoutLedger();
+    ledger.record({ payee: 'author', amount: 50 });
+    ledger.record({ payee: 'author', amount: 20, reference: 'march' });
+    ledger.record({ payee: 'buyers', buyer: 'bob', amount: 5, reference: 'march' });
+    // Money recovered after a refund
+    ledger.record({ payee: 'buyers', buyer: 'bob', amount: -2 });
+
+    expect(ledger.getEntries({ reference: 'march' })).toHaveLength(2);
+    expect(ledger.getEntries({ payee: 'buyers', buyer: 'bob' }).map(entry => entry.amount)).toEqual([5, -2]);
+    expect(ledger.getPaidAmounts()).toEqual({ author: 70, buyers: { bob: 3 } });
+  });
+
+  test('Reports earned, paid and owed balances', () => {
+    const ledger = new PayoutLedger();
+    ledger.record({ payee: 'author', amount: 70 });
+    ledger.record({ payee: 'buyers', buyer: 'carol', amount: 4 });
+
+    const balances = ledger.getBalances({ author: 100, platform: 25, buyers: { bob: 3, carol: 2 } });
+
+    expect(balances.author).toEqual({ earned: 100, paid: 70, owed: 30 });
+    expect(balances.platform).toEqual({ earned: 25, paid: 0, owed: 25 });
+    expect(balances.buyers.bob).toEqual({ earned: 3, paid: 0, owed: 3 });
+    expect(balances.buyers.carol).toEqual({ earned: 2, paid: 4, owed: -2 });
+  });
+
+  test('Restores exported entries', () => {
+    const ledger = new PayoutLedger();
+    ledger.record({ payee: 'author', amount: 10, timestamp: 1 });
+    ledger.record({ payee: 'buyers', buyer: 'bob', amount: 1, timestamp: 2 });
+
+    const restored = new PayoutLedger(ledger.getEntries());
+    expect(restored.getEntries()).toEqual(ledger.getEntries());
+    expect(restored.record({ payee: 'platform', amount: 3 }).entryNumber).toBe(3);
+  });
+});
@@ -8,6 +8,7 @@
 // Note: In a real project, you'd import from the built files or use path aliases
 // For now, we'll use a relative path for testing
 import RevenueSharing from '../../../src/core/RevenueSharing';
+import * as AdvancedSchemes from '../../../src/schemes/AdvancedSchemes';
 
 describe('RevenueSharing Core', () => {
   // Тест 1: Простая схема (автор получает 100%)
@@ -335,8 +336,9 @@ describe('RevenueSharing Core', () => {
     const estimation = buyToEarn.estimateTokenPayback(50);
     
     expect(estimation.paybackSale).toBeGreaterThan(50);
-    expect(estimation.accumulatedEarnings).toBe(200); // paybackRatio * unitPrice
-    expect(parseFloat(estimation.roi)).toBe(100); // 2x payback = 100% ROI
+    expect(estimation.paybackGoal).toBe(200); // paybackRatio * unitPrice
+    expect(estimation.accumulatedEarnings).toBeGreaterThanOrEqual(200);
+    expect(parseFloat(estimation.roi)).toBeGreaterThanOrEqual(100); // 2x payback = 100% ROI
   });
 
   // Тест 15: Экспорт и импорт данных для Buy-to-Earn модели
@@ -1143,4 +1145,1581 @@ describe('RevenueSharing Core', () => {
     // погрешностей в вычислениях с плавающей точкой
     expect(Math.abs(roundedPayouts.author - noRoundPayouts.author)).toBeLessThan(0.01);
   });
+
+  test('Minor-unit mode returns integer cents that reconcile to revenue', () => {
+    const rs = new RevenueSharing({
+      productName: 'Minor Units Test',
+      unitPrice: 9.99,
+      scheme: {
+        author: { percentage: 33.33 },
+        platform: { percentage: 33.33 },
+        allBuyers: { remainder: true }
+      },
+      options: { useMinorUnits: true }
+    });
+
+    ['buyer1', 'buyer2', 'buyer3'].forEach(buyer => rs.addSale({ buyer }));
+
+    const payouts = rs.calculatePayouts();
+    const buyersTotal = Object.values(payouts.buyers).reduce((a, b) => a + b, 0);
+
+    expect(payouts.author + payouts.platform + buyersTotal).toBe(2997);
+    expect(Object.values(payouts.buyers).every(Number.isInteger)).toBe(true);
+  });
+
+  test('Buy-to-Earn minor-unit mode honours currency decimals', () => {
+    const buyToEarn = new RevenueSharing({
+      productName: 'Minor Units Buy-to-Earn',
+      unitPrice: 1.5,
+      useBuyToEarnModel: true,
+      initialInvestment: 15,
+      options: { useMinorUnits: true, currencyDecimals: 3 }
+    });
+
+    for (let i = 1; i <= 20; i++) {
+      buyToEarn.addSale({ buyer: `buyer${i}` });
+    }
+
+    const payouts = buyToEarn.calculatePayouts();
+
+    expect(payouts.prepayersCount).toBe(10);
+    expect(payouts.actualInitialInvestment).toBe(15000);
+    expect(payouts.creator).toBe(15000 + 10 * 150);
+    expect(Number.isInteger(payouts.buyer)).toBe(true);
+  });
+
+  // ----- Refunds and chargebacks -----
+
+  test('Refunded sales are excluded from standard payouts and group membership', () => {
+    const rs = new RevenueSharing({
+      productName: 'Refund Test',
+      unitPrice: 100,
+      scheme: {
+        author: { percentage: 50 },
+        platform: { percentage: 20 },
+        first2: { count: 2, percentage: 30 }
+      }
+    });
+
+    rs.addSale({ buyer: 'buyer1', timestamp: 1000, saleId: 'order-1' });
+    rs.addSale({ buyer: 'buyer2', timestamp: 2000 });
+    rs.addSale({ buyer: 'buyer3', timestamp: 3000 });
+
+    const before = rs.calculatePayouts();
+    expect(before.buyers.buyer1).toBe(45);
+    expect(before.buyers.buyer3).toBe(0);
+
+    const refunded = rs.refundSale('order-1', { reason: 'Duplicate purchase', timestamp: 5000 });
+    expect(refunded.reversal).toEqual({ type: 'refund', reason: 'Duplicate purchase', timestamp: 5000 });
+
+    const after = rs.calculatePayouts();
+    expect(after.author).toBe(100);
+    expect(after.buyers.buyer1).toBeUndefined();
+    // buyer3 moves into the first2 group once buyer1 is refunded
+    expect(after.buyers.buyer2).toBe(30);
+    expect(after.buyers.buyer3).toBe(30);
+
+    // The original record is kept
+    expect(rs.sales.length).toBe(3);
+    expect(rs.getActiveSales().length).toBe(2);
+  });
+
+  test('Chargebacks are tracked separately in sales statistics', () => {
+    const rs = new RevenueSharing({
+      productName: 'Chargeback Test',
+      unitPrice: 10,
+      scheme: { author: { percentage: 100 } }
+    });
+
+    rs.addSales([{ buyer: 'buyer1' }, { buyer: 'buyer2' }, { buyer: 'buyer3' }]);
+    rs.chargebackSale(0, { reason: 'Fraud' });
+    rs.refundSale(1);
+
+    const stats = rs.getSalesStats();
+    expect(stats.totalSales).toBe(1);
+    expect(stats.totalRevenue).toBe(10);
+    expect(stats.uniqueBuyers).toBe(1);
+    expect(stats.refundedSales).toBe(1);
+    expect(stats.chargedBackSales).toBe(1);
+    expect(rs.sales[0].reversal.type).toBe('chargeback');
+    expect(rs.sales[1].reversal.reason).toBe(null);
+  });
+
+  test('Reversing unknown or already reversed sales throws', () => {
+    const rs = new RevenueSharing({
+      productName: 'Reversal Errors',
+      unitPrice: 10,
+      scheme: { author: { percentage: 100 } }
+    });
+    rs.addSale({ buyer: 'buyer1', saleId: 'order-1' });
+
+    expect(() => rs.refundSale(5)).toThrow('Sale not found: 5');
+    expect(() => rs.refundSale('missing')).toThrow('Sale not found: missing');
+    rs.refundSale(0);
+    expect(() => rs.chargebackSale('order-1')).toThrow('Sale order-1 has already been reversed (refund)');
+  });
+
+  test('Clawback report compares with a previous calculation', () => {
+    const rs = new RevenueSharing({
+      productName: 'Clawback Test',
+      unitPrice: 100,
+      scheme: {
+        author: { percentage: 60 },
+        platform: { percentage: 20 },
+        allBuyers: { percentage: 20 }
+      }
+    });
+
+    rs.addSales([{ buyer: 'buyer1' }, { buyer: 'buyer2' }, { buyer: 'buyer3' }, { buyer: 'buyer4' }]);
+    const previous = rs.calculatePayouts();
+
+    rs.refundSale(3);
+    const clawbacks = rs.calculateClawbacks(previous);
+
+    expect(clawbacks.author).toBe(60);
+    expect(clawbacks.platform).toBe(20);
+    // buyer4 lost the whole share; the remaining buyers keep theirs (20 each in both cases)
+    expect(clawbacks.buyers).toEqual({ buyer4: 20 });
+    expect(clawbacks.total).toBe(100);
+  });
+
+  test('Buy-to-Earn payouts are recomputed after a refund', () => {
+    const buyToEarn = new RevenueSharing({
+      productName: 'Refund Buy-to-Earn',
+      unitPrice: 100,
+      useBuyToEarnModel: true,
+      initialInvestment: 1000
+    });
+
+    for (let i = 1; i <= 30; i++) {
+      buyToEarn.addSale({ buyer: `buyer${i}`, timestamp: i * 1000 });
+    }
+
+    const previous = buyToEarn.calculatePayouts();
+    buyToEarn.refundSale(29);
+    buyToEarn.refundSale(28);
+    const current = buyToEarn.calculatePayouts();
+
+    expect(current.creator).toBeCloseTo(previous.creator - 20, 2);
+    expect(current.buyer).toBeLessThan(previous.buyer);
+
+    const clawbacks = buyToEarn.calculateClawbacks(previous);
+    expect(clawbacks.creator).toBe(20);
+    expect(clawbacks.platform).toBe(20);
+    expect(clawbacks.promotion).toBe(20);
+    expect(clawbacks.buyer).toBeGreaterThan(0);
+  });
+
+  test('Reversals survive export and import', () => {
+    const rs = new RevenueSharing({
+      productName: 'Reversal Export',
+      unitPrice: 10,
+      scheme: { author: { percentage: 100 } }
+    });
+    rs.addSales([{ buyer: 'buyer1' }, { buyer: 'buyer2' }]);
+    rs.refundSale(0, { reason: 'Requested' });
+
+    const copy = new RevenueSharing({
+      productName: 'Copy',
+      unitPrice: 1,
+      scheme: { author: { percentage: 100 } }
+    });
+    copy.importData(rs.exportData());
+
+    expect(copy.getActiveSales().length).toBe(1);
+    expect(copy.calculatePayouts().author).toBe(10);
+  });
+
+  // ----- Per-sale price and quantity -----
+
+  test('Percentages are based on the revenue actually collected', () => {
+    const rs = new RevenueSharing({
+      productName: 'Launch Pricing',
+      unitPrice: 20,
+      scheme: {
+        author: { percentage: 70 },
+        platform: { percentage: 30 }
+      }
+    });
+
+    rs.addSale({ buyer: 'buyer1', amount: 10 }); // Launch price
+    rs.addSale({ buyer: 'buyer2', quantity: 3 }); // Bundle of three units
+    rs.addSale({ buyer: 'buyer3', discount: 5 }); // Discount code
+
+    const payouts = rs.calculatePayouts();
+    const stats = rs.getSalesStats();
+
+    expect(stats.totalRevenue).toBe(85);
+    expect(stats.totalUnits).toBe(5);
+    expect(payouts.author).toBe(59.5);
+    expect(payouts.platform).toBe(25.5);
+  });
+
+  test('Allocation basis option weights buyers by what they paid', () => {
+    const rs = new RevenueSharing({
+      productName: 'Weighted Buyers',
+      unitPrice: 10,
+      scheme: {
+        author: { percentage: 50 },
+        allBuyers: { percentage: 50 }
+      },
+      options: { allocationBasis: 'amount', useMinorUnits: true }
+    });
+
+    rs.addSale({ buyer: 'buyer1', amount: 29.99 });
+    rs.addSale({ buyer: 'buyer2' });
+
+    const payouts = rs.calculatePayouts();
+
+    // 3999 cents split 50/50: the author rule gets the odd cent
+    expect(payouts.author).toBe(2000);
+    expect(payouts.buyers.buyer1).toBe(1499);
+    expect(payouts.buyers.buyer2).toBe(500);
+  });
+
+  test('Invalid per-sale price fields are rejected', () => {
+    const rs = new RevenueSharing({
+      productName: 'Invalid Sale Fields',
+      unitPrice: 10,
+      scheme: { author: { percentage: 100 } }
+    });
+
+    expect(() => rs.addSale({ buyer: 'buyer1', quantity: 0 })).toThrow('Sale quantity must be a positive integer');
+    expect(() => rs.addSale({ buyer: 'buyer1', quantity: 1.5 })).toThrow('Sale quantity must be a positive integer');
+    expect(() => rs.addSale({ buyer: 'buyer1', amount: -1 })).toThrow('Sale amount must be a non-negative number');
+    expect(() => rs.addSale({ buyer: 'buyer1', discount: 'x' })).toThrow('Sale discount must be a non-negative number');
+    expect(() => rs.addSale({ buyer: 'buyer1', discount: 11 })).toThrow('Sale discount cannot exceed the sale amount');
+    expect(rs.sales.length).toBe(0);
+  });
+
+  // ----- Tests for the per-token ledger -----
+
+  test('Token ledger aggregates the tokens of each holder', () => {
+    const rs = new RevenueSharing({
+      productName: 'Token Ledger',
+      unitPrice: 10,
+      useBuyToEarnModel: true,
+      initialInvestment: 50,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 10,
+      paybackRatio: 1.5,
+      nonPaybackPoolSharePercent: 50
+    });
+
+    for (let i = 0; i < 40; i++) {
+      rs.addSale({ buyer: i < 12 ? 'wallet' : `buyer${i}`, timestamp: 1000 + i });
+    }
+
+    const payouts = rs.calculatePayouts({ roundResults: true, includeTokenLedger: true });
+
+    expect(payouts.tokens).toHaveLength(40);
+    expect(payouts.holders.wallet.tokens).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(payouts.holders.wallet.paidBackTokens)
+      .toBe(payouts.tokens.filter(token => token.buyer === 'wallet' && token.paidBack).length);
+    expect(payouts.tokens[0].paidBack).toBe(true);
+    expect(payouts.tokens[0].paybackTimestamp).toBe(1000 + payouts.tokens[0].paybackSale - 1);
+
+    // Earnings are rounded like the other amounts
+    payouts.tokens.forEach(token => {
+      expect(token.earnings).toBe(Math.round(token.earnings * 100) / 100);
+    });
+
+    const single = rs.calculatePayouts({ roundResults: true, specificTokenNumber: 7 });
+    expect(payouts.tokens[6].earnings).toBe(single.buyer);
+  });
+
+  test('Token ledger in minor units sums to the buyers share', () => {
+    const rs = new RevenueSharing({
+      productName: 'Token Ledger Cents',
+      unitPrice: 3.33,
+      useBuyToEarnModel: true,
+      initialInvestment: 10,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 10,
+      paybackRatio: 2,
+      nonPaybackPoolSharePercent: 50,
+      options: { useMinorUnits: true }
+    });
+
+    for (let i = 0; i < 25; i++) {
+      rs.addSale({ buyer: `buyer${i % 4}` });
+    }
+
+    const payouts = rs.calculatePayouts({ includeTokenLedger: true });
+    const tokensTotal = payouts.tokens.reduce((sum, token) => sum + token.earnings, 0);
+    const holdersTotal = Object.values(payouts.holders).reduce((sum, holder) => sum + holder.earnings, 0);
+
+    payouts.tokens.forEach(token => expect(Number.isInteger(token.earnings)).toBe(true));
+    expect(holdersTotal).toBe(tokensTotal);
+    expect(payouts.creator + payouts.platform + payouts.promotion + tokensTotal).toBe(1000 + 21 * 333);
+  });
+
+  // ----- Tests for the simulation-backed payback estimate -----
+
+  test('Payback estimate uses the product configuration and projects earnings', () => {
+    const buyToEarn = new RevenueSharing({
+      productName: 'Payback Estimate',
+      useBuyToEarnModel: true,
+      initialInvestment: 1000,
+      unitPrice: 100,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 10,
+      paybackRatio: 2,
+      nonPaybackPoolSharePercent: 60
+    });
+
+    const estimation = buyToEarn.estimateTokenPayback(15, { projectAt: [400] });
+
+    for (let i = 1; i <= 400; i++) {
+      buyToEarn.addSale({ buyer: `buyer${i}`, timestamp: i });
+    }
+    const payouts = buyToEarn.calculatePayouts({ roundResults: false, specificTokenNumber: 15 });
+
+    expect(estimation.numPrepayers).toBe(10);
+    expect(estimation.paybackGoal).toBe(200);
+    expect(estimation.paybackSale).toBe(payouts.paybackPoint);
+    expect(estimation.projections[0].earnings).toBeCloseTo(payouts.buyer, 9);
+  });
+
+  // ----- Tests for the payback curve -----
+
+  test('Payback curve projects the configured product', () => {
+    const buyToEarn = new RevenueSharing({
+      productName: 'Payback Curve',
+      useBuyToEarnModel: true,
+      initialInvestment: 500,
+      unitPrice: 9.99,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 10,
+      paybackRatio: 2,
+      nonPaybackPoolSharePercent: 60
+    });
+
+    for (let i = 1; i <= 120; i++) {
+      buyToEarn.addSale({ buyer: `buyer${i}`, timestamp: i });
+    }
+
+    const current = buyToEarn.getPaybackCurve({ sampleEvery: 50, tokenPositions: [3] });
+    const payouts = buyToEarn.calculatePayouts({ roundResults: true, specificTokenNumber: 3 });
+    const last = current.milestones[current.milestones.length - 1];
+
+    expect(current.milestones.map(milestone => milestone.sale)).toEqual([51, 100, 120]);
+    expect(last.creatorRevenue).toBe(payouts.creator);
+    expect(last.tokenEarnings[3]).toBe(payouts.buyer);
+    expect(last.paidBackCount).toBe(payouts.paidBackCount);
+
+    // Future sale counts can be projected as well
+    const projected = buyToEarn.getPaybackCurve({ totalSales: 10000, sampleEvery: 1000 });
+    expect(projected.milestones).toHaveLength(11);
+    expect(projected.milestones[10].paidBackCount).toBeGreaterThan(last.paidBackCount);
+  });
+
+  test('Error when requesting a payback curve for standard model', () => {
+    const rs = new RevenueSharing({
+      scheme: { author: { percentage: 100 } },
+      unitPrice: 10
+    });
+
+    expect(() => rs.getPaybackCurve()).toThrow('Payback curve is only available for Buy-to-Earn model');
+  });
+
+  // ----- Tests for lifecycle events -----
+
+  test('Sale, reversal, calculation and import events', () => {
+    const rs = new RevenueSharing({
+      productName: 'Events',
+      unitPrice: 10,
+      scheme: { author: { percentage: 100 } }
+    });
+    const events = [];
+    ['sale:added', 'sale:reversed', 'payouts:calculated', 'import'].forEach(event => {
+      rs.on(event, payload => events.push([event, payload]));
+    });
+
+    rs.addSale({ buyer: 'buyer1', timestamp: 1000, saleId: 'a' });
+    rs.addSales([{ buyer: 'buyer2', timestamp: 2000 }, { buyer: 'buyer3', timestamp: 3000 }]);
+    rs.refundSale('a', { reason: 'duplicate', timestamp: 4000 });
+    const payouts = rs.calculatePayouts();
+
+    expect(events.map(([event]) => event)).toEqual([
+      'sale:added', 'sale:added', 'sale:added', 'sale:reversed', 'payouts:calculated'
+    ]);
+    expect(events[0][1]).toEqual({
+      index: 0,
+      sale: { buyer: 'buyer1', timestamp: 1000, saleId: 'a', sequence: 1, metadata: {} }
+    });
+    expect(events[2][1].index).toBe(2);
+    expect(events[3][1].type).toBe('refund');
+    expect(events[3][1].sale.reversal.reason).toBe('duplicate');
+    expect(events[4][1].payouts).toBe(payouts);
+
+    // Payloads are copies
+    events[0][1].sale.buyer = 'changed';
+    expect(rs.sales[0].buyer).toBe('buyer1');
+
+    const other = new RevenueSharing({
+      productName: 'Import Target',
+      unitPrice: 1,
+      scheme: { author: { percentage: 100 } }
+    });
+    const onImport = jest.fn();
+    other.on('import', onImport);
+    other.importData(rs.exportData());
+
+    expect(onImport).toHaveBeenCalledWith({ productName: 'Events', salesCount: 3, useBuyToEarnModel: false });
+  });
+
+  test('Token payback events are emitted once per token', () => {
+    const config = {
+      productName: 'Payback Events',
+      useBuyToEarnModel: true,
+      initialInvestment: 50,
+      unitPrice: 10,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 10,
+      paybackRatio: 1,
+      nonPaybackPoolSharePercent: 60
+    };
+    const rs = new RevenueSharing(config);
+    const paidBack = [];
+    rs.on('token:paidBack', event => paidBack.push(event));
+
+    for (let i = 1; i <= 10; i++) {
+      rs.addSale({ buyer: `buyer${i}`, timestamp: i * 1000, saleId: `sale-${i}` });
+    }
+    expect(paidBack).toEqual([]);
+
+    for (let i = 11; i <= 60; i++) {
+      rs.addSale({ buyer: `buyer${i}`, timestamp: i * 1000 });
+    }
+
+    const { paidBackCount } = rs.calculatePayouts({ roundResults: true });
+    expect(paidBackCount).toBeGreaterThan(0);
+    expect(paidBack.map(event => event.tokenNumber))
+      .toEqual(Array.from({ length: paidBackCount }, (_, i) => i + 1));
+
+    const first = paidBack[0];
+    expect(first.buyer).toBe('buyer1');
+    expect(first.saleId).toBe('sale-1');
+    expect(first.paybackGoal).toBe(10);
+    expect(first.earnings).toBeGreaterThanOrEqual(10);
+    expect(first.timestamp).toBe(first.saleNumber * 1000);
+
+    // A batch announces the new paybacks after all its sales were added
+    const countBefore = paidBack.length;
+    rs.addSales(Array(40).fill().map((_, i) => ({ buyer: `late${i}`, timestamp: 61000 + i })));
+    expect(paidBack.length).toBeGreaterThan(countBefore);
+    expect(new Set(paidBack.map(event => event.tokenNumber)).size).toBe(paidBack.length);
+
+    // Imported history is not announced again
+    const copy = new RevenueSharing(config);
+    const copyEvents = jest.fn();
+    copy.on('token:paidBack', copyEvents);
+    copy.importData(rs.exportData());
+    copy.calculatePayouts();
+    expect(copyEvents).not.toHaveBeenCalled();
+  });
+
+  test('Token payback events follow sales renumbered by a refund', () => {
+    const rs = new RevenueSharing({
+      productName: 'Payback Refunds',
+      useBuyToEarnModel: true,
+      initialInvestment: 10,
+      unitPrice: 10,
+      creatorShare: 10,
+      platformShare: 10,
+      promotionShare: 10,
+      paybackRatio: 1,
+      nonPaybackPoolSharePercent: 60
+    });
+    const paidBack = [];
+    rs.on('token:paidBack', event => paidBack.push(event));
+
+    for (let i = 0; i < 4; i++) {
+      rs.addSale({ buyer: `b${i}`, timestamp: (i + 1) * 1000, saleId: `s${i}` });
+    }
+    expect(paidBack.map(event => event.saleId)).toEqual(['s0']);
+
+    // s1 becomes token 1, which has already paid back without being announced
+    rs.refundSale('s0');
+    for (let i = 4; i < 30; i++) {
+      rs.addSale({ buyer: `b${i}`, timestamp: (i + 1) * 1000, saleId: `s${i}` });
+    }
+
+    const { paidBackCount } = rs.calculatePayouts();
+    const announced = paidBack.slice(1).map(event => event.saleId);
+    expect(announced).toEqual(Array.from({ length: paidBackCount }, (_, i) => `s${i + 1}`));
+    expect(announced).toContain('s1');
+  });
+
+  test('Token payback events are announced without recalculating every sale', () => {
+    [false, true].forEach(useMinorUnits => {
+      const config = {
+        productName: 'Incremental Paybacks',
+        useBuyToEarnModel: true,
+        initialInvestment: 30,
+        unitPrice: 10,
+        creatorShare: 10,
+        platformShare: 10,
+        promotionShare: 10,
+        paybackRatio: 1.2,
+        nonPaybackPoolSharePercent: 60,
+        options: { useMinorUnits }
+      };
+      const sales = Array.from({ length: 300 }, (_, i) => ({ buyer: `b${i % 7}`, timestamp: (i + 1) * 1000, saleId: `s${i}` }));
+      const announceAll = salesToAdd => {
+        const reference = new RevenueSharing(config);
+        const events = [];
+        reference.addSales(salesToAdd);
+        reference.on('token:paidBack', event => events.push(event));
+        reference.calculatePayouts();
+        return events;
+      };
+
+      const rs = new RevenueSharing(config);
+      const announced = [];
+      rs.on('token:paidBack', event => announced.push(event));
+      const fullCalculation = jest.spyOn(rs.calculator, 'calculateBuyToEarnPayouts');
+      sales.slice(0, 150).forEach(sale => rs.addSale(sale));
+      rs.addSales(sales.slice(150, 200));
+
+      expect(fullCalculation).not.toHaveBeenCalled();
+      expect(announced.length).toBeGreaterThan(0);
+      expect(announced).toEqual(announceAll(sales.slice(0, 200)));
+
+      // A late sale sorts before the tracked ones, renumbers the tokens and restarts the simulation
+      const late = { buyer: 'late', timestamp: 500, saleId: 'late' };
+      rs.addSale(late);
+      sales.slice(200).forEach(sale => rs.addSale(sale));
+
+      const expected = announceAll([...sales, late]);
+      expect(announced.map(event => event.saleId).sort()).toEqual(expected.map(event => event.saleId).sort());
+    });
+  });
+
+  // ----- Tests for calculation plugins -----
+
+  test('Plugins passed to the constructor take part in the calculation', () => {
+    const rs = new RevenueSharing({
+      productName: 'Plugins',
+      unitPrice: 10,
+      scheme: {
+        author: { percentage: 70 },
+        platform: { percentage: 30 }
+      },
+      plugins: [{
+        name: 'processorFee',
+        preAllocate: calculation => {
+          calculation.payouts.fee = calculation.totalRevenue * 0.029;
+          calculation.totalRevenue -= calculation.payouts.fee;
+        },
+        rounding: (payouts, next) => {
+          const rounded = next(payouts);
+          return { ...rounded, fee: Math.round(rounded.fee * 100) / 100 };
+        }
+      }]
+    });
+
+    rs.addSale({ buyer: 'buyer1' });
+    rs.addSale({ buyer: 'buyer2' });
+
+    const payouts = rs.calculatePayouts();
+
+    expect(payouts.fee).toBe(0.58);
+    expect(payouts.author).toBe(13.59);
+    expect(payouts.platform).toBe(5.83);
+    expect(rs.exportData().plugins).toBeUndefined();
+  });
+
+  // ----- Tests for fee deduction -----
+
+  test('Processor fees and VAT are deducted before the scheme is applied', () => {
+    const rs = new RevenueSharing({
+      productName: 'Fees',
+      unitPrice: 12,
+      scheme: {
+        author: { percentage: 80 },
+        platform: { percentage: 20 }
+      },
+      fees: [
+        { name: 'vat', inclusiveRate: 20 },
+        { name: 'processor', percentage: 2.9, fixed: 0.3, metadataKey: 'processorFee' }
+      ]
+    });
+
+    rs.addSale({ buyer: 'buyer1' });
+    rs.addSale({ buyer: 'buyer2', metadata: { processorFee: 0.5 } });
+
+    const payouts = rs.calculatePayouts();
+
+    // VAT 2 + 2, processor 0.648 + 0.5
+    expect(payouts.fees).toEqual({ vat: 4, processor: 1.15, total: 5.15 });
+    // 24 - 5.148 = 18.852 left for the scheme
+    expect(payouts.author).toBe(15.08);
+    expect(payouts.platform).toBe(3.77);
+  });
+
+  test('Fees in minor units keep every cent accounted for', () => {
+    const rs = new RevenueSharing({
+      productName: 'Fees in Cents',
+      unitPrice: 9.99,
+      scheme: {
+        author: { percentage: 70 },
+        platform: { percentage: 30 }
+      },
+      fees: [{ name: 'processor', tiers: [{ upTo: 5, fixed: 0.1 }, { percentage: 2.9, fixed: 0.3 }] }],
+      options: { useMinorUnits: true }
+    });
+
+    rs.addSale({ buyer: 'buyer1' });
+    rs.addSale({ buyer: 'buyer2', amount: 4.99 });
+
+    const payouts = rs.calculatePayouts();
+
+    expect(payouts.fees).toEqual({ processor: 59 + 10, total: 69 });
+    expect(payouts.author + payouts.platform + payouts.fees.total).toBe(999 + 499);
+  });
+
+  test('Fees survive export and import and are validated', () => {
+    const config = {
+      productName: 'Fee Export',
+      unitPrice: 10,
+      scheme: { author: { percentage: 100 } },
+      fees: [{ name: 'processor', fixed: 1 }]
+    };
+    const rs = new RevenueSharing(config);
+    rs.addSale({ buyer: 'buyer1' });
+
+    const copy = new RevenueSharing({ ...config, fees: [] });
+    copy.importData(rs.exportData());
+    expect(copy.calculatePayouts().author).toBe(9);
+
+    expect(() => copy.importData({ ...rs.exportData(), fees: [{ name: 'bad' }] }))
+      .toThrow('Invalid fees in imported data');
+    expect(() => new RevenueSharing({ ...config, fees: [{ name: 'bad' }] }))
+      .toThrow("Invalid fees: Fee 'bad' must define exactly one of percentage/fixed, tiers or inclusiveRate");
+    expect(() => new RevenueSharing({
+      productName: 'Buy-to-Earn Fees',
+      unitPrice: 10,
+      useBuyToEarnModel: true,
+      initialInvestment: 100,
+      fees: config.fees
+    })).toThrow('Fees are only supported for the standard revenue sharing model');
+  });
+
+  describe('Payout periods', () => {
+    const day = (month, date) => Date.UTC(2024, month, date);
+
+    const createStore = () => {
+      const rs = new RevenueSharing({
+        productName: 'Periodic',
+        unitPrice: 10,
+        scheme: {
+          author: { percentage: 60 },
+          platform: { percentage: 20 },
+          allBuyers: { remainder: true }
+        }
+      });
+
+      rs.addSale({ buyer: 'bob', timestamp: day(0, 5) });
+      rs.addSale({ buyer: 'carol', timestamp: day(0, 20), saleId: 'carol-1' });
+      rs.addSale({ buyer: 'dave', timestamp: day(1, 10) });
+      rs.refundSale('carol-1', { timestamp: day(1, 15) });
+      return rs;
+    };
+
+    test('Earnings of a window are the change of lifetime payouts', () => {
+      const rs = createStore();
+
+      const january = rs.calculatePeriodEarnings({ period: 'month', date: day(0, 15) });
+      expect(january).toEqual({
+        from: day(0, 1),
+        to: day(1, 1),
+        total: 20,
+        author: 12,
+        platform: 4,
+        promotion: 0,
+        buyers: { bob: 2, carol: 2 }
+      });
+
+      // The refund of carol's January sale is charged to February
+      const february = rs.calculatePeriodEarnings({ from: day(1, 1), to: new Date(day(2, 1)) });
+      expect(february.author).toBe(0);
+      expect(february.buyers).toEqual({ carol: -2, dave: 2 });
+      expect(february.total).toBe(0);
+
+      const lifetime = rs.calculatePeriodEarnings({ to: day(2, 1) });
+      expect(lifetime.from).toBeNull();
+      expect(lifetime.author).toBe(rs.calculatePayouts().author);
+    });
+
+    test('Payout runs carry forward balances below the minimum', () => {
+      const rs = createStore();
+
+      const first = rs.runPayouts({ period: 'month', date: day(0, 1), minimumPayout: 3, reference: 'batch-1' });
+      expect(first.runNumber).toBe(1);
+      expect(first.reference).toBe('batch-1');
+      expect(first.payees.author).toEqual({ earned: 12, carriedIn: 0, due: 12, paid: 12, carriedOut: 0 });
+      expect(first.payees.buyers.bob).toEqual({ earned: 2, carriedIn: 0, due: 2, paid: 0, carriedOut: 2 });
+      expect(first.totals).toEqual({ earned: 20, paid: 16, carriedOut: 4 });
+
+      const second = rs.runPayouts({ period: 'month', date: day(1, 1), minimumPayout: 3 });
+      expect(second.payees.author).toBeUndefined();
+      expect(second.payees.buyers.bob).toEqual({ earned: 0, carriedIn: 2, due: 2, paid: 0, carriedOut: 2 });
+      // The refund cancels the balance carol was still owed
+      expect(second.payees.buyers.carol).toEqual({ earned: -2, carriedIn: 2, due: 0, paid: 0, carriedOut: 0 });
+      expect(second.payees.buyers.dave.carriedOut).toBe(2);
+
+      rs.addSale({ buyer: 'erin', timestamp: day(2, 3) });
+
+      // Without from, a run starts where the previous one ended
+      const third = rs.runPayouts({ to: day(3, 1), minimumPayout: 1 });
+      expect(third.from).toBe(day(2, 1));
+      expect(third.payees.author.paid).toBe(6);
+      expect(third.payees.buyers.bob.paid).toBe(2);
+      expect(third.payees.buyers.carol).toBeUndefined();
+      expect(third.totals.carriedOut).toBe(0);
+
+      const runs = rs.getPayoutRuns();
+      expect(runs.map(run => run.runNumber)).toEqual([1, 2, 3]);
+      const paidTotal = runs.reduce((sum, run) => sum + run.totals.paid, 0);
+      expect(paidTotal).toBe(30);
+    });
+
+    test('Payout runs must be contiguous and well formed', () => {
+      const rs = createStore();
+      rs.runPayouts({ period: 'month', date: day(0, 1) });
+
+      expect(() => rs.runPayouts({ period: 'month', date: day(2, 1) }))
+        .toThrow(`Payout run must start where the previous run ended (${day(1, 1)})`);
+      expect(() => rs.runPayouts({ from: day(1, 1) })).toThrow('Payout window requires an end date (to) or a period');
+      expect(() => rs.runPayouts({ to: day(0, 15) })).toThrow('Payout window must end after it starts');
+      expect(() => rs.runPayouts({ to: day(2, 1), minimumPayout: -1 })).toThrow('Minimum payout must be a non-negative number');
+      expect(rs.getPayoutRuns()).toHaveLength(1);
+
+      const untimed = new RevenueSharing({
+        productName: 'Untimed',
+        unitPrice: 10,
+        scheme: { author: { percentage: 100 } },
+        options: { trackSaleTimestamp: false }
+      });
+      expect(() => untimed.calculatePeriodEarnings({ period: 'month' }))
+        .toThrow('Payout periods require sale timestamps (trackSaleTimestamp option)');
+    });
+
+    test('Minimum payout option and export of payout runs', () => {
+      const rs = new RevenueSharing({
+        productName: 'Threshold',
+        unitPrice: 10,
+        scheme: { author: { percentage: 90 }, allBuyers: { percentage: 10 } },
+        options: { minimumPayout: 5 }
+      });
+      rs.addSale({ buyer: 'bob', timestamp: day(0, 5) });
+
+      const run = rs.runPayouts({ to: day(1, 1) });
+      expect(run.minimumPayout).toBe(5);
+      expect(run.payees.author.paid).toBe(9);
+      expect(run.payees.buyers.bob.carriedOut).toBe(1);
+
+      const copy = new RevenueSharing({ productName: 'Copy', unitPrice: 1, scheme: { author: { percentage: 100 } } });
+      copy.importData(rs.exportData());
+      expect(copy.getPayoutRuns()).toEqual([run]);
+      expect(copy.runPayouts({ to: day(2, 1) }).payees.buyers.bob.carriedIn).toBe(1);
+
+      expect(() => copy.importData({ ...rs.exportData(), payoutRuns: {} }))
+        .toThrow('Invalid payout runs in imported data');
+    });
+
+    test('Buy-to-Earn periods credit token holders', () => {
+      const rs = new RevenueSharing({
+        productName: 'Periodic Buy-to-Earn',
+        unitPrice: 10,
+        useBuyToEarnModel: true,
+        initialInvestment: 20,
+        paybackRatio: 1
+      });
+      ['bob', 'carol', 'dave', 'bob', 'erin', 'frank'].forEach((buyer, index) => {
+        rs.addSale({ buyer, timestamp: day(0, index + 1) });
+      });
+
+      const firstHalf = rs.calculatePeriodEarnings({ to: day(0, 4) });
+      const secondHalf = rs.calculatePeriodEarnings({ from: day(0, 4), to: day(1, 1) });
+      const lifetime = rs.calculatePayouts({ roundResults: true, includeTokenLedger: true });
+
+      expect(firstHalf.creator + secondHalf.creator).toBeCloseTo(lifetime.creator, 2);
+      expect(firstHalf.buyers.bob + secondHalf.buyers.bob).toBeCloseTo(lifetime.holders.bob.earnings, 2);
+      // The last token has not earned anything yet, so frank is left out
+      expect(lifetime.holders.frank.earnings).toBe(0);
+      expect(secondHalf.buyers.frank).toBeUndefined();
+    });
+  });
+
+  describe('Payout ledger', () => {
+    const createProduct = () => {
+      const rs = new RevenueSharing({
+        productName: 'Ledger',
+        unitPrice: 10,
+        scheme: {
+          author: { percentage: 70 },
+          platform: { percentage: 20 },
+          allBuyers: { remainder: true }
+        }
+      });
+      rs.addSale({ buyer: 'bob', timestamp: Date.UTC(2024, 0, 5) });
+      rs.addSale({ buyer: 'carol', timestamp: Date.UTC(2024, 0, 6) });
+      return rs;
+    };
+
+    test('Balances compare earnings with recorded payouts', () => {
+      const rs = createProduct();
+      rs.recordPayout({ payee: 'author', amount: 10, reference: 'wire-1' });
+      rs.recordPayout({ payee: 'buyers', buyer: 'bob', amount: 1 });
+
+      const payouts = rs.calculatePayouts({ roundResults: true, includeBalances: true });
+
+      expect(payouts.author).toBe(14);
+      expect(payouts.balances.author).toEqual({ earned: 14, paid: 10, owed: 4 });
+      expect(payouts.balances.platform).toEqual({ earned: 4, paid: 0, owed: 4 });
+      expect(payouts.balances.promotion).toEqual({ earned: 0, paid: 0, owed: 0 });
+      expect(payouts.balances.buyers.bob).toEqual({ earned: 1, paid: 1, owed: 0 });
+      expect(payouts.balances.buyers.carol).toEqual({ earned: 1, paid: 0, owed: 1 });
+      expect(rs.calculatePayouts().balances).toBeUndefined();
+    });
+
+    test('Payout runs record what they paid', () => {
+      const rs = createProduct();
+      rs.runPayouts({ to: Date.UTC(2024, 1, 1), minimumPayout: 2, reference: 'january' });
+
+      const entries = rs.ledger.getEntries();
+      expect(entries.map(entry => [entry.payee, entry.amount])).toEqual([['author', 14], ['platform', 4]]);
+      expect(entries[0].reference).toBe('january');
+      expect(entries[0].period).toEqual({ from: null, to: Date.UTC(2024, 1, 1) });
+
+      const { balances } = rs.calculatePayouts({ roundResults: true, includeBalances: true });
+      expect(balances.author.owed).toBe(0);
+      expect(balances.buyers.bob.owed).toBe(1);
+    });
+
+    test('Ledger survives export and import', () => {
+      const rs = createProduct();
+      rs.recordPayout({ payee: 'platform', amount: 4 });
+
+      const copy = new RevenueSharing({ productName: 'Copy', unitPrice: 1, scheme: { author: { percentage: 100 } } });
+      copy.importData(rs.exportData());
+
+      expect(copy.ledger.getEntries()).toEqual(rs.ledger.getEntries());
+      expect(copy.calculatePayouts({ roundResults: true, includeBalances: true }).balances.platform.owed).toBe(0);
+      expect(() => copy.importData({ ...rs.exportData(), payoutLedger: 'broken' }))
+        .toThrow('Invalid payout ledger in imported data');
+    });
+
+    test('Buy-to-Earn balances are kept per token holder', () => {
+      const rs = new RevenueSharing({
+        productName: 'Ledger Buy-to-Earn',
+        unitPrice: 10,
+        useBuyToEarnModel: true,
+        initialInvestment: 20,
+        paybackRatio: 1
+      });
+      ['bob', 'carol', 'dave', 'bob', 'erin'].forEach(buyer => rs.addSale({ buyer }));
+      rs.recordPayout({ payee: 'creator', amount: 5 });
+
+      const payouts = rs.calculatePayouts({ roundResults: true, includeBalances: true });
+
+      expect(payouts.holders).toBeDefined();
+      expect(payouts.balances.creator.owed).toBeCloseTo(payouts.creator - 5, 2);
+      expect(payouts.balances.buyers.bob.earned).toBe(payouts.holders.bob.earnings);
+    });
+  });
+
+  describe('Incremental mode', () => {
+    const config = {
+      productName: 'Streaming',
+      unitPrice: 10,
+      scheme: {
+        author: { percentage: 50 },
+        platform: { percentage: 10 },
+        first2: { percentage: 10, count: 2 },
+        last2: { percentage: 10, count: 2, fromEnd: true },
+        allBuyers: { remainder: true }
+      }
+    };
+
+    test('Payouts match a full recalculation as sales stream in', () => {
+      const incremental = new RevenueSharing({ ...config, options: { incremental: true } });
+      const full = new RevenueSharing(config);
+
+      ['a', 'b', 'c', 'a', 'd', 'e'].forEach((buyer, index) => {
+        const sale = { buyer, timestamp: 1000 + index, saleId: `s${index}` };
+        incremental.addSale(sale);
+        full.addSale(sale);
+        expect(incremental.calculatePayouts()).toEqual(full.calculatePayouts());
+      });
+
+      incremental.refundSale('s0');
+      full.refundSale('s0');
+      expect(incremental.calculatePayouts()).toEqual(full.calculatePayouts());
+      expect(incremental.verify()).toEqual({ isValid: true, maxDifference: expect.any(Number), differences: [] });
+    });
+
+    test('Verification recalculates from the active sales', () => {
+      const rs = new RevenueSharing({ ...config, options: { incremental: true } });
+      ['a', 'b', 'c'].forEach((buyer, index) => rs.addSale({ buyer, timestamp: 1000 + index, saleId: `s${index}` }));
+      rs.chargebackSale('s1');
+      expect(rs.verify().isValid).toBe(true);
+
+      // A sale dropped from the history behind the incremental state's back
+      rs.sales.splice(0, 1);
+      const { isValid, differences } = rs.verify();
+      expect(isValid).toBe(false);
+      expect(differences).toContainEqual(expect.objectContaining({ payee: 'buyers', buyer: 'a', full: undefined }));
+    });
+
+    test('Period calculations still use the full calculation', () => {
+      const rs = new RevenueSharing({ ...config, options: { incremental: true } });
+      rs.addSale({ buyer: 'a', timestamp: 100 });
+      rs.addSale({ buyer: 'b', timestamp: 200 });
+
+      expect(rs.calculatePeriodEarnings({ from: 150, to: 300 }).total).toBe(10);
+    });
+
+    test('Incremental state is rebuilt on import', () => {
+      const source = new RevenueSharing(config);
+      ['a', 'b', 'c'].forEach((buyer, index) => source.addSale({ buyer, timestamp: 300 - index }));
+
+      const rs = new RevenueSharing({ ...config, options: { incremental: true } });
+      rs.importData(source.exportData());
+
+      expect(rs.calculatePayouts()).toEqual(source.calculatePayouts());
+      expect(rs.verify().isValid).toBe(true);
+    });
+
+    test('Unsupported configurations are rejected', () => {
+      expect(() => new RevenueSharing(config).verify()).toThrow('Incremental mode is not enabled');
+      expect(() => new RevenueSharing({ ...config, options: { incremental: true, useMinorUnits: true } }))
+        .toThrow('Incremental mode does not support the useMinorUnits option');
+      expect(() => new RevenueSharing({ ...config, fees: [{ name: 'card', percentage: 3 }], options: { incremental: true } }))
+        .toThrow('Incremental mode does not support fees or plugins');
+      expect(() => new RevenueSharing({
+        productName: 'Incremental Buy-to-Earn',
+        unitPrice: 10,
+        useBuyToEarnModel: true,
+        initialInvestment: 100,
+        options: { incremental: true }
+      })).toThrow('Incremental mode is only available for the standard revenue sharing model');
+    });
+  });
+
+  describe('Sale identifiers', () => {
+    const config = {
+      productName: 'Idempotent',
+      unitPrice: 10,
+      scheme: { author: { percentage: 100 } }
+    };
+
+    test('Every sale gets a unique saleId', () => {
+      const rs = new RevenueSharing(config);
+      rs.addSale({ buyer: 'buyer1', saleId: 'order-1' });
+      rs.addSale({ buyer: 'buyer2' });
+      rs.addSale({ buyer: 'buyer3' });
+
+      const [first, second, third] = rs.sales.map(sale => sale.saleId);
+      expect(first).toBe('order-1');
+      expect(second).toMatch(/^sale_/);
+      expect(third).not.toBe(second);
+
+      expect(rs.getSale(second)).toEqual(rs.sales[1]);
+      expect(rs.getSale(second)).not.toBe(rs.sales[1]);
+      expect(rs.getSale('missing')).toBeNull();
+      expect(() => rs.addSale({ buyer: 'buyer4', saleId: 42 })).toThrow('Sale id must be a non-empty string');
+    });
+
+    test('Duplicate sales are rejected by default', () => {
+      const rs = new RevenueSharing(config);
+      rs.addSale({ buyer: 'buyer1', saleId: 'order-1' });
+
+      expect(() => rs.addSale({ buyer: 'buyer1', saleId: 'order-1' })).toThrow('Duplicate sale: order-1');
+
+      // A batch containing a duplicate adds nothing
+      expect(() => rs.addSales([
+        { buyer: 'buyer2', saleId: 'order-2' },
+        { buyer: 'buyer3', saleId: 'order-2' }
+      ])).toThrow('Duplicate sale: order-2');
+      expect(rs.sales).toHaveLength(1);
+      expect(rs.calculatePayouts().author).toBe(10);
+    });
+
+    test('A batch with an invalid entry adds nothing', () => {
+      const rs = new RevenueSharing(config);
+
+      expect(() => rs.addSales([null])).toThrow('Buyer identifier is required for each sale');
+      expect(() => rs.addSale(null)).toThrow('Buyer identifier is required for each sale');
+      expect(() => rs.addSales([{ buyer: 'buyer1' }, { buyer: 'buyer2', quantity: 0 }]))
+        .toThrow('Sale quantity must be a positive integer');
+      expect(rs.sales).toHaveLength(0);
+    });
+
+    test('Duplicate sales can be ignored for at-least-once delivery', () => {
+      const rs = new RevenueSharing({ ...config, options: { duplicateSales: 'ignore' } });
+      const duplicates = [];
+      rs.on('sale:duplicate', event => duplicates.push(event));
+
+      expect(rs.addSale({ buyer: 'buyer1', saleId: 'order-1' })).toBe(0);
+      expect(rs.addSale({ buyer: 'buyer1', saleId: 'order-1', amount: 99 })).toBe(0);
+      expect(rs.addSales([
+        { buyer: 'buyer1', saleId: 'order-1' },
+        { buyer: 'buyer2', saleId: 'order-2' },
+        { buyer: 'buyer2', saleId: 'order-2' }
+      ])).toBe(1);
+
+      expect(rs.sales).toHaveLength(2);
+      expect(rs.calculatePayouts().author).toBe(20);
+      expect(duplicates).toEqual([
+        { index: 0, saleId: 'order-1' },
+        { index: 0, saleId: 'order-1' },
+        { index: 1, saleId: 'order-2' }
+      ]);
+
+      expect(() => new RevenueSharing({ ...config, options: { duplicateSales: 'merge' } }))
+        .toThrow("Unknown duplicateSales policy 'merge', expected one of: reject, ignore");
+    });
+
+    test('Sale ids stay idempotency keys across export and import', () => {
+      const rs = new RevenueSharing(config);
+      rs.addSale({ buyer: 'buyer1', saleId: 'order-1' });
+      rs.addSale({ buyer: 'buyer2' });
+      const generatedId = rs.sales[1].saleId;
+
+      const copy = new RevenueSharing(config);
+      copy.importData(rs.exportData());
+
+      expect(copy.getSale(generatedId).buyer).toBe('buyer2');
+      expect(() => copy.addSale({ buyer: 'buyer1', saleId: 'order-1' })).toThrow('Duplicate sale: order-1');
+      expect(copy.refundSale(generatedId).reversal.type).toBe('refund');
+
+      const data = rs.exportData();
+      expect(() => copy.importData({ ...data, sales: [...data.sales, data.sales[0]] }))
+        .toThrow('Duplicate sale ids in imported data');
+    });
+
+    test('Sales imported without ids receive one', () => {
+      const rs = new RevenueSharing(config);
+      rs.importData({
+        ...config,
+        sales: [{ buyer: 'buyer1', metadata: {} }, { buyer: 'buyer2', metadata: {}, saleId: 'order-2' }]
+      });
+
+      expect(rs.sales[0].saleId).toMatch(/^sale_/);
+      expect(rs.getSale(rs.sales[0].saleId).buyer).toBe('buyer1');
+      expect(rs.getSale('order-2').buyer).toBe('buyer2');
+    });
+  });
+
+  describe('Sale ordering', () => {
+    const config = {
+      productName: 'Ordering',
+      unitPrice: 100,
+      scheme: {
+        author: { percentage: 70 },
+        earlyBuyers: { count: 2, percentage: 30 }
+      }
+    };
+
+    test('Sales with the same timestamp are ordered by sequence number', () => {
+      const rs = new RevenueSharing(config);
+      rs.addSales([
+        { buyer: 'zoe', saleId: 'z', timestamp: 1000 },
+        { buyer: 'adam', saleId: 'a', timestamp: 1000 },
+        { buyer: 'early', saleId: 'e', timestamp: 500 }
+      ]);
+
+      expect(rs.sales.map(sale => sale.sequence)).toEqual([1, 2, 3]);
+      expect(rs.getGroupMembers('earlyBuyers').buyers).toEqual(['early', 'zoe']);
+      expect(rs.calculatePayouts().buyers).toEqual({ zoe: 45, adam: 0, early: 45 });
+      expect(Object.keys(rs.getGroupMembers())).toEqual(['earlyBuyers']);
+      expect(() => rs.getGroupMembers('author')).toThrow("Rule 'author' does not target a group of buyers");
+    });
+
+    test('The ordering policy is configurable per instance', () => {
+      const rs = new RevenueSharing({ ...config, options: { saleOrdering: ['saleId'] } });
+      rs.addSales([
+        { buyer: 'zoe', saleId: 'z', timestamp: 1000 },
+        { buyer: 'adam', saleId: 'a', timestamp: 1000 },
+        { buyer: 'early', saleId: 'e', timestamp: 500 }
+      ]);
+
+      expect(rs.getGroupMembers('earlyBuyers').sales).toEqual([
+        { position: 1, buyer: 'adam', saleId: 'a' },
+        { position: 2, buyer: 'early', saleId: 'e' }
+      ]);
+      expect(rs.calculatePayouts().buyers).toEqual({ zoe: 0, adam: 45, early: 45 });
+
+      expect(() => new RevenueSharing({ ...config, options: { saleOrdering: ['buyer'] } }))
+        .toThrow("Unknown sale ordering key 'buyer', expected one of: timestamp, sequence, saleId");
+    });
+
+    test('Incremental mode uses the same ordering', () => {
+      const rs = new RevenueSharing({ ...config, options: { incremental: true, saleOrdering: ['sequence'] } });
+      rs.addSales([
+        { buyer: 'late', timestamp: 3000 },
+        { buyer: 'early', timestamp: 1000 },
+        { buyer: 'middle', timestamp: 2000 }
+      ]);
+
+      expect(rs.calculatePayouts().buyers).toEqual({ late: 45, early: 45, middle: 0 });
+      expect(rs.verify().isValid).toBe(true);
+    });
+
+    test('Buy-to-Earn tokens follow the ordering policy', () => {
+      const rs = new RevenueSharing({
+        productName: 'Ordered Tokens',
+        unitPrice: 10,
+        useBuyToEarnModel: true,
+        initialInvestment: 20
+      });
+      rs.addSales([
+        { buyer: 'second', timestamp: 1000 },
+        { buyer: 'third', timestamp: 1000 },
+        { buyer: 'first', timestamp: 500 }
+      ]);
+
+      const payouts = rs.calculatePayouts({ roundResults: true, includeTokenLedger: true });
+      expect(payouts.tokens.map(token => token.buyer)).toEqual(['first', 'second', 'third']);
+
+      const untimed = new RevenueSharing({
+        productName: 'Untimed Tokens',
+        unitPrice: 10,
+        useBuyToEarnModel: true,
+        initialInvestment: 20,
+        options: { trackSaleTimestamp: false }
+      });
+      untimed.addSales([{ buyer: 'first' }, { buyer: 'second' }]);
+      expect(untimed.calculatePayouts({ includeTokenLedger: true }).tokens.map(token => token.buyer))
+        .toEqual(['first', 'second']);
+    });
+
+    test('Imported sales without a sequence number get one', () => {
+      const rs = new RevenueSharing(config);
+      rs.addSale({ buyer: 'buyer1', saleId: 'a' });
+      const data = rs.exportData();
+      data.sales.push({ buyer: 'buyer2', saleId: 'b', metadata: {} });
+
+      rs.importData(data);
+      rs.addSale({ buyer: 'buyer3', saleId: 'c' });
+
+      expect(rs.sales.map(sale => sale.sequence)).toEqual([1, 2, 3]);
+    });
+
+    test('Buyer groups are not available for Buy-to-Earn', () => {
+      const rs = new RevenueSharing({
+        productName: 'Tokens',
+        unitPrice: 10,
+        useBuyToEarnModel: true,
+        initialInvestment: 20
+      });
+
+      expect(() => rs.getGroupMembers()).toThrow('Buyer groups are only available for the standard revenue sharing model');
+    });
+  });
+
+  describe('Payout explanations', () => {
+    test('Explains why a buyer missed the early supporter bonus', () => {
+      const rs = new RevenueSharing({
+        productName: 'Explained',
+        unitPrice: 30,
+        scheme: {
+          author: { percentage: 70 },
+          earlySupporters: { count: 2, percentage: 20 },
+          buyersCommunity: { remainder: true }
+        }
+      });
+      rs.addSales([
+        { buyer: 'alice', timestamp: 1000 },
+        { buyer: 'bob', timestamp: 2000 },
+        { buyer: 'carol', timestamp: 3000 }
+      ]);
+
+      const explanation = rs.explainPayout('carol');
+
+      expect(explanation.positions).toEqual([3]);
+      expect(explanation.rules.earlySupporters).toMatchObject({
+        qualified: false,
+        range: { from: 1, to: 2 },
+        share: 0,
+        pool: 18
+      });
+      expect(explanation.rules.buyersCommunity).toMatchObject({ qualified: true, positions: [3], share: 3, pool: 9 });
+      expect(explanation.total).toBe(rs.calculatePayouts().buyers.carol);
+
+      // Amounts are rounded like calculatePayouts
+      expect(rs.explainPayout('alice').rules.buyersCommunity.share).toBe(3);
+      expect(rs.explainPayout('nobody')).toMatchObject({ positions: [], total: 0 });
+    });
+
+    test('Explanations use minor units and are not available for Buy-to-Earn', () => {
+      const rs = new RevenueSharing({
+        productName: 'Cents',
+        unitPrice: 10,
+        scheme: { author: { percentage: 50 }, allBuyers: { percentage: 50 } },
+        options: { useMinorUnits: true }
+      });
+      rs.addSales([{ buyer: 'alice' }, { buyer: 'bob' }, { buyer: 'carol' }]);
+
+      const rules = ['alice', 'bob', 'carol'].map(buyer => rs.explainPayout(buyer).rules.allBuyers);
+      expect(rules.map(rule => rule.pool)).toEqual([1500, 1500, 1500]);
+      expect(rules.reduce((total, rule) => total + rule.share, 0)).toBe(1500);
+
+      const b2e = new RevenueSharing({ productName: 'Tokens', unitPrice: 10, useBuyToEarnModel: true, initialInvestment: 20 });
+      expect(() => b2e.explainPayout('alice'))
+        .toThrow('Payout explanations are only available for the standard revenue sharing model');
+    });
+  });
+
+  describe('Allocation trace', () => {
+    test('Traces payouts with fees, also in incremental mode', () => {
+      const rs = new RevenueSharing({
+        productName: 'Audited',
+        unitPrice: 100,
+        scheme: { author: { percentage: 60 }, allBuyers: { percentage: 40 } },
+        fees: [{ name: 'processor', percentage: 10 }]
+      });
+      rs.addSales([{ buyer: 'alice', saleId: 'a' }, { buyer: 'bob', saleId: 'b' }]);
+
+      const payouts = rs.calculatePayouts({ roundResults: true, includeTrace: true });
+      expect(payouts.trace.revenue).toBe(200);
+      expect(payouts.trace.allocatedRevenue).toBe(180);
+      expect(payouts.trace.sales[0].payees).toEqual({ author: 54, platform: 0, fees: 10, buyers: 36 });
+      expect(rs.calculatePayouts().trace).toBeUndefined();
+
+      const incremental = new RevenueSharing({
+        productName: 'Audited',
+        unitPrice: 100,
+        scheme: { author: { percentage: 60 }, allBuyers: { percentage: 40 } },
+        options: { incremental: true }
+      });
+      incremental.addSale({ buyer: 'alice' });
+      expect(incremental.calculatePayouts({ includeTrace: true }).trace.rules).toHaveLength(2);
+    });
+  });
+
+  describe('Buyer group tiers', () => {
+    test('Early adopter tiers pay every early buyer from exactly one tier', () => {
+      const rs = new RevenueSharing({ productName: 'Tiers', unitPrice: 10, scheme: AdvancedSchemes.EARLY_ADOPTER_TIERS });
+      for (let i = 1; i <= 150; i++) {
+        rs.addSale({ buyer: `buyer${i}`, timestamp: i });
+      }
+
+      const buyer50 = rs.explainPayout('buyer50').rules;
+      expect(buyer50.first100.qualified).toBe(true);
+      expect(buyer50.from101to1000.qualified).toBe(false);
+      expect(buyer50.from1001to10000.qualified).toBe(false);
+
+      const buyer120 = rs.explainPayout('buyer120').rules;
+      expect(buyer120.first100.qualified).toBe(false);
+      expect(buyer120.from101to1000).toMatchObject({ qualified: true, positions: [120], range: { from: 101, to: 150 } });
+    });
+
+    test('Incremental mode rejects ranges and weighting', () => {
+      expect(() => new RevenueSharing({
+        productName: 'Tiers',
+        unitPrice: 10,
+        scheme: AdvancedSchemes.EARLY_ADOPTER_TIERS,
+        options: { incremental: true }
+      })).toThrow("Incremental calculation does not support ranges, weighting or allocation bases in rule 'from101to1000'");
+    });
+  });
+
+  describe('Per-buyer group counting', () => {
+    const createWhaleProduct = options => {
+      const rs = new RevenueSharing({
+        productName: 'Supporters',
+        unitPrice: 10,
+        scheme: { author: { remainder: true }, earlySupporters: { count: 2, percentage: 20, maxUnitsPerBuyer: 3 } },
+        options
+      });
+      rs.addSale({ buyer: 'whale', quantity: 3, timestamp: 1 });
+      rs.addSale({ buyer: 'whale', quantity: 10, timestamp: 2 });
+      rs.addSale({ buyer: 'fan', timestamp: 3 });
+      return rs;
+    };
+
+    test('A whale holds one position of the early group', () => {
+      const rs = createWhaleProduct({ groupCounting: 'buyer' });
+
+      expect(rs.getGroupMembers('earlySupporters').buyers).toEqual(['whale', 'fan']);
+
+      const payouts = rs.calculatePayouts({ roundResults: true, includeBreakdown: true });
+      expect(payouts.buyers).toEqual({ whale: 14, fan: 14 });
+      expect(payouts.breakdown.buyers.whale).toEqual({ sales: 2, units: 13, earned: 14 });
+      expect(payouts.breakdown.sales.map(sale => sale.earned)).toEqual([14, 0, 14]);
+      expect(rs.explainPayout('fan').rules.earlySupporters).toMatchObject({ qualified: true, positions: [2] });
+    });
+
+    test('Sales beyond the unit cap make room for other buyers', () => {
+      const rs = createWhaleProduct();
+
+      expect(rs.getGroupMembers('earlySupporters').sales.map(({ position, buyer, units }) => ({ position, buyer, units }))).toEqual([
+        { position: 1, buyer: 'whale', units: 3 },
+        { position: 2, buyer: 'fan', units: 1 }
+      ]);
+      expect(rs.calculatePayouts().buyers).toEqual({ whale: 14, fan: 14 });
+    });
+
+    test('Incremental mode rejects per-buyer counting and unit caps', () => {
+      expect(() => createWhaleProduct({ incremental: true }))
+        .toThrow("Incremental calculation does not support per-buyer counting or unit caps in rule 'earlySupporters'");
+      expect(() => new RevenueSharing({
+        productName: 'Supporters',
+        unitPrice: 10,
+        scheme: { author: { remainder: true }, early: { count: 2, percentage: 20 } },
+        options: { incremental: true, groupCounting: 'buyer' }
+      })).toThrow('Incremental mode does not support per-buyer group counting');
+    });
+  });
+
+  describe('Named parties', () => {
+    const createBook = () => {
+      const rs = new RevenueSharing({
+        productName: 'Co-authored Book',
+        unitPrice: 9.99,
+        scheme: {
+          author: { percentage: 45 },
+          coAuthor: { type: 'party', percentage: 35 },
+          platform: { percentage: 20 }
+        }
+      });
+      rs.addSale({ buyer: 'reader1', saleId: 's1', timestamp: 1 });
+      rs.addSale({ buyer: 'reader2', saleId: 's2', timestamp: 2 });
+      return rs;
+    };
+
+    test('Co-authors appear in payouts, balances and clawbacks', () => {
+      const rs = createBook();
+      const payouts = rs.calculatePayouts({ roundResults: true, includeBalances: true });
+
+      expect(payouts.parties).toEqual({ coAuthor: 6.99 });
+      expect(payouts.balances.coAuthor).toEqual({ earned: 6.99, paid: 0, owed: 6.99 });
+
+      rs.refundSale('s2');
+      expect(rs.calculateClawbacks(payouts)).toMatchObject({ parties: { coAuthor: 3.49 } });
+    });
+
+    test('A scheme paying an unknown key is rejected', () => {
+      expect(() => new RevenueSharing({
+        productName: 'Book',
+        unitPrice: 10,
+        scheme: { author: { percentage: 70 }, coAuthor: { percentage: 30 } }
+      })).toThrow("Rule for 'coAuthor' pays nobody");
+    });
+  });
+
+  describe('Nested splits', () => {
+    test('Split payees are rounded and paid directly', () => {
+      const rs = new RevenueSharing({
+        productName: 'Anthology',
+        unitPrice: 9.99,
+        scheme: {
+          author: { percentage: 70, split: { writer: 70, editor: 30 } },
+          platform: { percentage: 30 }
+        }
+      });
+      rs.addSale({ buyer: 'reader', timestamp: 1 });
+
+      const payouts = rs.calculatePayouts({ roundResults: true, includeBalances: true });
+      expect(payouts.author).toBe(6.99);
+      expect(payouts.splits.flat).toEqual({ 'author.writer': 4.9, 'author.editor': 2.1 });
+      expect(payouts.splits.tree.author.payees.editor.amount).toBe(2.1);
+      expect(payouts.balances['author.writer']).toEqual({ earned: 4.9, paid: 0, owed: 4.9 });
+      expect(payouts.balances.author).toBeUndefined();
+    });
+
+    test('Incremental mode splits the maintained payouts', () => {
+      const rs = new RevenueSharing({
+        productName: 'Anthology',
+        unitPrice: 10,
+        scheme: { author: { percentage: 80, split: { writer: 50, editor: 50 } }, platform: { percentage: 20 } },
+        options: { incremental: true }
+      });
+      rs.addSale({ buyer: 'reader', timestamp: 1 });
+
+      expect(rs.calculatePayouts().splits.flat).toEqual({ 'author.writer': 4, 'author.editor': 4 });
+    });
+  });
+
+  describe('Remainder and percentage overflow', () => {
+    const config = {
+      productName: 'Bundle',
+      unitPrice: 10,
+      scheme: {
+        author: { percentage: 60 },
+        platform: { percentage: 60 },
+        allBuyers: { remainder: true }
+      }
+    };
+
+    test('Validation and calculation use the same overflow policy', () => {
+      expect(() => new RevenueSharing(config))
+        .toThrow('Invalid scheme: Total percentage allocation (120%) exceeds 100%');
+
+      const scaled = new RevenueSharing({ ...config, options: { percentageOverflow: 'scale' } });
+      scaled.addSale({ buyer: 'a', timestamp: 1 });
+      expect(scaled.validateScheme().warnings)
+        .toContain('Total percentage allocation (120%) exceeds 100%, percentages are scaled down proportionally');
+      expect(scaled.calculatePayouts()).toMatchObject({ author: 5, platform: 5 });
+
+      const truncated = new RevenueSharing({ ...config, options: { percentageOverflow: 'truncate', incremental: true } });
+      truncated.addSale({ buyer: 'a', timestamp: 1 });
+      expect(truncated.calculatePayouts()).toMatchObject({ author: 6, platform: 4 });
+    });
+
+    test('Remainder override can be disabled', () => {
+      expect(() => new RevenueSharing({
+        ...config,
+        scheme: { author: { percentage: 50, remainder: true }, platform: { percentage: 20 } },
+        options: { allowRemainderOverride: false }
+      })).toThrow("Invalid scheme: Rule for 'author' cannot have both percentage and remainder");
+    });
+  });
+
+  describe('Minimum guarantees and caps', () => {
+    const config = {
+      productName: 'Licensed Book',
+      unitPrice: 9.99,
+      scheme: {
+        author: { percentage: 10, minAmount: 5 },
+        platform: { percentage: 40, maxAmount: 3 },
+        allBuyers: { remainder: true }
+      }
+    };
+
+    test('Limits are applied and reported with rounded amounts', () => {
+      const rs = new RevenueSharing(config);
+      rs.addSale({ buyer: 'a', timestamp: 1 });
+      rs.addSale({ buyer: 'b', timestamp: 2 });
+
+      const payouts = rs.calculatePayouts({ roundResults: true });
+      expect(payouts.author).toBe(5);
+      expect(payouts.platform).toBe(2.5);
+      expect(payouts.author + payouts.platform + payouts.buyers.a + payouts.buyers.b).toBeCloseTo(19.98, 10);
+      expect(payouts.limits.triggered).toEqual([
+        { payee: 'author', limit: 'minAmount', value: 5, amount: 2 },
+        { payee: 'platform', limit: 'maxAmount', value: 3, amount: 7.99 }
+      ]);
+    });
+
+    test('Limits and buyer caps are converted to minor units', () => {
+      const rs = new RevenueSharing({ ...config, options: { useMinorUnits: true, maxAmountPerBuyer: 6 } });
+      rs.addSale({ buyer: 'a', timestamp: 1 });
+      rs.addSale({ buyer: 'b', timestamp: 2 });
+
+      const payouts = rs.calculatePayouts();
+      expect(payouts.author).toBeGreaterThanOrEqual(500);
+      expect(payouts.platform).toBeLessThanOrEqual(300);
+      expect(payouts.buyers.a).toBeLessThanOrEqual(600);
+      expect(payouts.author + payouts.platform + payouts.buyers.a + payouts.buyers.b + payouts.limits.unallocated).toBe(1998);
+    });
+
+    test('Minimum amounts are guaranteed in every period', () => {
+      const day = (month, date) => Date.UTC(2024, month, date);
+
+      [false, true].forEach(useMinorUnits => {
+        const rs = new RevenueSharing({
+          productName: 'Guaranteed Royalties',
+          unitPrice: 10,
+          scheme: { author: { percentage: 10, minAmount: 5 }, platform: { remainder: true } },
+          options: { useMinorUnits }
+        });
+        const scale = useMinorUnits ? 100 : 1;
+
+        rs.addSale({ buyer: 'a', timestamp: day(0, 5) });
+        rs.addSale({ buyer: 'b', timestamp: day(0, 20) });
+        ['c', 'd', 'e'].forEach((buyer, index) => rs.addSale({ buyer, timestamp: day(1, 10 + index) }));
+
+        // 10% of 20 and of 30 are both raised to 5 within their month
+        const january = rs.calculatePeriodEarnings({ period: 'month', date: day(0, 1) });
+        const february = rs.calculatePeriodEarnings({ period: 'month', date: day(1, 1) });
+        expect([january.author, january.platform]).toEqual([5 * scale, 15 * scale]);
+        expect([february.author, february.platform]).toEqual([5 * scale, 25 * scale]);
+
+        const first = rs.runPayouts({ period: 'month', date: day(0, 1) });
+        const second = rs.runPayouts({ period: 'month', date: day(1, 1) });
+        expect(first.payees.author.paid).toBe(5 * scale);
+        expect(second.payees.author.paid).toBe(5 * scale);
+        expect(second.totals.paid).toBe(30 * scale);
+      });
+    });
+
+    test('Balances count the minimums guaranteed by payout runs', () => {
+      const day = (month, date) => Date.UTC(2024, month, date);
+      const rs = new RevenueSharing({
+        productName: 'Guaranteed Royalties',
+        unitPrice: 100,
+        scheme: { author: { percentage: 10, minAmount: 50 }, platform: { percentage: 20 }, allBuyers: { remainder: true } }
+      });
+
+      rs.addSale({ buyer: 'a', timestamp: day(0, 5) });
+      rs.addSale({ buyer: 'b', timestamp: day(1, 5) });
+      const runs = [
+        rs.runPayouts({ period: 'month', date: day(0, 1) }),
+        rs.runPayouts({ period: 'month', date: day(1, 1) })
+      ];
+
+      const { balances } = rs.calculatePayouts({ roundResults: true, includeBalances: true });
+      expect(runs.map(run => run.payees.author.paid)).toEqual([50, 50]);
+      expect(balances.author).toEqual({ earned: 100, paid: 100, owed: 0 });
+      expect(balances.platform).toEqual({ earned: 22.22, paid: 22.22, owed: 0 });
+      expect(balances.buyers).toEqual({
+        a: { earned: 38.89, paid: 38.89, owed: 0 },
+        b: { earned: 38.89, paid: 38.89, owed: 0 }
+      });
+      expect(runs[0].totals.paid + runs[1].totals.paid).toBeCloseTo(
+        [balances.author, balances.platform, balances.buyers.a, balances.buyers.b].reduce((sum, { earned }) => sum + earned, 0), 10
+      );
+
+      // A sale after the last run is owed with the minimum of its own period
+      rs.addSale({ buyer: 'c', timestamp: day(2, 5) });
+      expect(rs.calculatePayouts({ roundResults: true, includeBalances: true }).balances.author)
+        .toEqual({ earned: 150, paid: 100, owed: 50 });
+    });
+
+    test('Incremental mode rejects per-buyer caps', () => {
+      expect(() => new RevenueSharing({ ...config, scheme: { author: { percentage: 100 } }, options: { incremental: true, maxAmountPerBuyer: 10 } }))
+        .toThrow('Incremental mode does not support the maxAmountPerBuyer option');
+    });
+  });
+
+  describe('Volume schedules', () => {
+    test('Author share rises after recoup, with brackets in major units', () => {
+      const config = {
+        productName: 'Royalty Book',
+        unitPrice: 10,
+        scheme: {
+          author: {
+            volumeBasis: 'amount',
+            schedule: [{ from: 0, to: 25, percentage: 10 }, { from: 25, percentage: 50 }]
+          },
+          platform: { remainder: true }
+        }
+      };
+
+      [false, true].forEach(useMinorUnits => {
+        const rs = new RevenueSharing({ ...config, options: { useMinorUnits } });
+        rs.addSale({ buyer: 'a', timestamp: 1, quantity: 2 });
+        rs.addSale({ buyer: 'b', timestamp: 2, quantity: 2 });
+
+        // 10% от первых 25 + 50% от следующих 15
+        const payouts = rs.calculatePayouts({ roundResults: true });
+        const scale = useMinorUnits ? 100 : 1;
+        expect(payouts.author).toBe(10 * scale);
+        expect(payouts.schedules.author.map(bracket => bracket.amount)).toEqual([2.5 * scale, 7.5 * scale]);
+        expect(payouts.schedules.author[1].from).toBe(25 * scale);
+      });
+    });
+  });
 });
+
@@ -76,26 +76,42 @@ describe('SchemeValidator', () => {
     expect(result.errors).toContain('Percentage for \'author\' must be a number between 0 and 100');
   });
 
-  test('Invalid scheme - multiple remainder rules', () => {
+  test('Valid scheme - multiple remainder rules share the remainder', () => {
     const scheme = {
       author: { remainder: true },
       platform: { percentage: 50 },
-      allBuyers: { remainder: true }
+      allBuyers: { remainder: { weight: 2 } }
+    };
+
+    const result = validator.validate(scheme);
+    expect(result.isValid).toBe(true);
+    expect(result.errors.length).toBe(0);
+  });
+
+  test('Invalid scheme - remainder weight must be positive', () => {
+    const scheme = {
+      author: { remainder: { weight: 0 } },
+      platform: { percentage: 50 },
+      promotion: { remainder: 'yes' }
     };
 
     const result = validator.validate(scheme);
     expect(result.isValid).toBe(false);
-    expect(result.errors.length).toBe(1);
-    expect(result.errors[0]).toBe('Only one rule can have remainder flag, found 2: author, allBuyers');
+    expect(result.errors).toEqual([
+      'Remainder for \'author\' must be true, false or an object with a positive weight',
+      'Remainder for \'promotion\' must be true, false or an object with a positive weight'
+    ]);
   });
 
-  test('Invalid scheme - percentage and remainder together', () => {
+  test('Invalid scheme - percentage and remainder together without remainder override', () => {
     const scheme = {
       author: { percentage: 50, remainder: true },
       platform: { percentage: 50 }
     };
 
-    const result = validator.validate(scheme);
+    expect(validator.validate(scheme).isValid).toBe(true);
+
+    const result = validator.validate(scheme, { allowRemainderOverride: false });
     expect(result.isValid).toBe(false);
     expect(result.errors.length).toBe(1);
     expect(result.errors[0]).toBe('Rule for \'author\' cannot have both percentage and remainder');
@@ -282,4 +298,141 @@ describe('SchemeValidator', () => {
     expect(validationResult.isValid).toBe(false);
     expect(validationResult.errors[0]).toMatch(/must be.*object/i);
   });
+  
+  test('Group ranges, weighting and overlapping groups', () => {
+    const tiers = {
+      author: { percentage: 50 },
+      first100: { count: 100, percentage: 20, weighting: 'linear' },
+      from101to1000: { from: 101, to: 1000, percentage: 20, weighting: 'exponential', decay: 0.99 },
+      buyers: { from: 1001, percentage: 10, allocationBasis: 'amount' }
+    };
+    
+    const result = validator.validate(tiers);
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toEqual([]);
+    
+    const overlapping = validator.validate({ author: { percentage: 70 }, first100: { count: 100, percentage: 20 }, first1000: { count: 1000, percentage: 10 } });
+    expect(overlapping.isValid).toBe(true);
+    expect(overlapping.warnings).toEqual(["Buyer groups 'first100' and 'first1000' overlap, so their common buyers receive both shares"]);
+    
+    const invalid = validator.validate({
+      author: { percentage: 80 },
+      tier: { from: 10, to: 5, percentage: 10 },
+      range: { from: 5 },
+      decaying: { count: 5, percentage: 10, weighting: 'exponential' }
+    });
+    expect(invalid.errors).toEqual([
+      "Range of 'tier' must not end before it starts",
+      "Rule for 'range' with a range must specify either percentage or remainder",
+      "Decay for 'decaying' must be a number between 0 and 1"
+    ]);
+  });
+  
+  test('Named parties and rules that pay nobody', () => {
+    const coAuthored = validator.validate({
+      author: { percentage: 50 },
+      coAuthor: { type: 'party', percentage: 30 },
+      charity: { type: 'party', remainder: true },
+      notes: { description: 'Metadata only' }
+    });
+    expect(coAuthored.isValid).toBe(true);
+    
+    const invalid = validator.validate({
+      author: { percentage: 50 },
+      coAuthor: { percentage: 30 },
+      illustrator: { type: 'party' },
+      fees: { type: 'party', percentage: 10 },
+      editor: { type: 'party', count: 10, percentage: 10 }
+    });
+    expect(invalid.errors).toEqual([
+      "Rule for 'coAuthor' pays nobody: use a built-in key (author, platform, promotion, allBuyers, buyers*), a buyer group (count, from or to) or type 'party'",
+      "Party 'illustrator' must specify either percentage or remainder",
+      "Party 'fees' must not use a reserved payee name: author, platform, promotion, creator, buyers, fees",
+      "Party 'editor' cannot define a buyer group"
+    ]);
+  });
+  
+  test('Nested splits are validated at every level', () => {
+    expect(validator.validate({
+      author: { percentage: 60, split: { writer: 70, staff: { percentage: 30, split: { editor: 50, proofreader: 50 } } } },
+      platform: { percentage: 40 }
+    }).isValid).toBe(true);
+    
+    expect(validator.validate({
+      author: { percentage: 60, split: { writer: 70, staff: { percentage: 30, split: { editor: 50, proofreader: 40 } } } },
+      allBuyers: { percentage: 40, split: { a: 100 } }
+    }).errors).toEqual([
+      "Split of 'author.staff' must add up to 100%, found 90%",
+      "Rule for 'allBuyers' can only split a share paid to a single payee (author, platform, promotion or a party)"
+    ]);
+  });
+
+  test('Percentage overflow follows the percentageOverflow option', () => {
+    const scheme = {
+      author: { percentage: 80 },
+      platform: { percentage: 40 }
+    };
+
+    const rejectedByDefault = validator.validate(scheme);
+    expect(rejectedByDefault.isValid).toBe(false);
+    expect(rejectedByDefault.errors).toEqual(['Total percentage allocation (120%) exceeds 100%']);
+
+    const scaled = validator.validate(scheme, { percentageOverflow: 'scale' });
+    expect(scaled.isValid).toBe(true);
+    expect(scaled.warnings).toContain('Total percentage allocation (120%) exceeds 100%, percentages are scaled down proportionally');
+
+    const truncated = validator.validate(scheme, { percentageOverflow: 'truncate' });
+    expect(truncated.isValid).toBe(true);
+    expect(truncated.warnings).toContain('Total percentage allocation (120%) exceeds 100%, rules beyond 100% are truncated');
+
+    const rejected = validator.validate(scheme, { percentageOverflow: 'reject' });
+    expect(rejected.isValid).toBe(false);
+    expect(rejected.errors).toEqual(['Total percentage allocation (120%) exceeds 100%']);
+
+    expect(validator.validate(scheme, { percentageOverflow: 'ignore' }).errors).toEqual([
+      'Unknown percentage overflow policy \'ignore\', expected one of: reject, scale, truncate'
+    ]);
+  });
+
+  test('Invalid scheme - minimum and maximum amounts', () => {
+    const result = validator.validate({
+      author: { percentage: 60, minAmount: 500, maxAmount: 100 },
+      platform: { percentage: 40, maxAmount: -1 },
+      last10: { count: 10, remainder: true, minAmount: 5 }
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'Minimum amount for \'author\' cannot exceed its maximum amount',
+      'Maximum amount for \'platform\' must be a non-negative number',
+      'Rule for \'last10\' can only limit the payout of a single payee (author, platform, promotion or a party)'
+    ]);
+    expect(validator.validate({ author: { remainder: true, minAmount: 100 }, platform: { percentage: 30, maxAmount: 1000 } }).isValid)
+      .toBe(true);
+  });
+
+  test('Volume schedules must have contiguous brackets', () => {
+    const result = validator.validate({
+      platform: {
+        schedule: [
+          { from: 0, to: 10000, percentage: 30 },
+          { from: 20000, to: 50000, percentage: 20 },
+          { from: 50000, percentage: 15 }
+        ]
+      },
+      author: { remainder: true }
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(['Bracket 2 of \'platform\' must start where bracket 1 ends (10000)']);
+
+    const scheduled = validator.validate({
+      platform: { schedule: [{ from: 0, to: 100, percentage: 40 }, { from: 100, percentage: 20 }] },
+      first10: { count: 10, schedule: [{ from: 0, percentage: 10 }] },
+      author: { percentage: 60 }
+    });
+    expect(scheduled.isValid).toBe(true);
+    expect(scheduled.warnings).toContain('Total percentage allocation can reach 110% with the highest scheduled brackets, which exceeds 100%');
+  });
 });
+
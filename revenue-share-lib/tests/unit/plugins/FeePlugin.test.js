@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Tests for the fee deduction plugin
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { validateFeeModels, calculateSaleFees, createFeePlugin } from '../../../src/plugins/FeePlugin';
+import PayoutCalculator from '../../../src/core/PayoutCalculator';
+
+describe('FeePlugin', () => {
+  describe('validateFeeModels', () => {
+    test('accepts every fee model type', () => {
+      expect(validateFeeModels([
+        { name: 'processor', percentage: 2.9, fixed: 0.3 },
+        { name: 'flat', fixed: 1 },
+        { name: 'tiered', tiers: [{ upTo: 10, percentage: 5 }, { upTo: 100, percentage: 3 }, { percentage: 2, fixed: 0.1 }] },
+        { name: 'vat', inclusiveRate: 20 },
+        { name: 'override', percentage: 1, metadataKey: 'fee' }
+      ])).toEqual([]);
+    });
+
+    test('reports invalid fee models', () => {
+      expect(validateFeeModels('fees')).toEqual(['Fees must be an array of fee models']);
+      expect(validateFeeModels([
+        { percentage: 1 },
+        { name: 'total', fixed: 1 },
+        { name: 'dup', fixed: 1 },
+        { name: 'dup', fixed: 1 },
+        { name: 'mixed', percentage: 1, inclusiveRate: 20 },
+        { name: 'none' },
+        { name: 'bad', percentage: 150, metadataKey: 1 },
+        { name: 'negative', fixed: -1 },
+        { name: 'vat', inclusiveRate: -5 }
+      ])).toEqual([
+        'Fee model at index 0 must be an object with a name',
+        "Fee name 'total' is reserved",
+        "Fee 'dup' is defined more than once",
+        "Fee 'mixed' must define exactly one of percentage/fixed, tiers or inclusiveRate",
+        "Fee 'none' must define exactly one of percentage/fixed, tiers or inclusiveRate",
+        "Percentage of fee 'bad' must be a number between 0 and 100",
+        "Metadata key of fee 'bad' must be a string",
+        "Fixed amount of fee 'negative' must be a non-negative number",
+        "Inclusive rate of fee 'vat' must be a non-negative number"
+      ]);
+    });
+
+    test('reports invalid tiers', () => {
+      expect(validateFeeModels([{ name: 'empty', tiers: [] }]))
+        .toEqual(["Tiers of fee 'empty' must be a non-empty array"]);
+      expect(validateFeeModels([{
+        name: 'tiered',
+        tiers: [{ percentage: 1 }, { upTo: 10, percentage: 200 }, { upTo: 5, fixed: -1 }, 'tier']
+      }])).toEqual([
+        "Only the last tier of fee 'tiered' can omit upTo",
+        "Percentage of tier 1 of fee 'tiered' must be a number between 0 and 100",
+        "Tier limits of fee 'tiered' must be increasing non-negative numbers",
+        "Fixed amount of tier 2 of fee 'tiered' must be a non-negative number",
+        "Tier 3 of fee 'tiered' must be an object"
+      ]);
+    });
+  });
+
+  describe('calculateSaleFees', () => {
+    test('applies percentage, fixed and inclusive tax fees to the gross revenue', () => {
+      const fees = calculateSaleFees(
+        [{ name: 'vat', inclusiveRate: 20 }, { name: 'processor', percentage: 2.9, fixed: 0.3 }],
+        { buyer: 'buyer1', amount: 12 },
+        10
+      );
+
+      expect(fees.vat).toBeCloseTo(2, 10);
+      expect(fees.processor).toBeCloseTo(0.648, 10);
+    });
+
+    test('picks the tier matching the sale revenue', () => {
+      const models = [{ name: 'tiered', tiers: [{ upTo: 10, fixed: 0.5 }, { upTo: 50, percentage: 4 }] }];
+
+      expect(calculateSaleFees(models, { buyer: 'a', amount: 10 }, 0).tiered).toBe(0.5);
+      expect(calculateSaleFees(models, { buyer: 'a', amount: 25 }, 0).tiered).toBe(1);
+      // Above every limit the last tier applies
+      expect(calculateSaleFees(models, { buyer: 'a', amount: 100 }, 0).tiered).toBe(4);
+    });
+
+    test('uses metadata overrides and never exceeds the sale revenue', () => {
+      const models = [
+        { name: 'processor', percentage: 3, metadataKey: 'processorFee' },
+        { name: 'flat', fixed: 5 }
+      ];
+
+      expect(calculateSaleFees(models, { buyer: 'a', metadata: { processorFee: 0.42 } }, 10))
+        .toEqual({ processor: 0.42, flat: 5 });
+      expect(calculateSaleFees(models, { buyer: 'a', amount: 2 }, 10))
+        .toEqual({ processor: 0.06, flat: 1.94 });
+    });
+
+    test('rounds each fee to whole minor units', () => {
+      const fees = calculateSaleFees(
+        [{ name: 'processor', percentage: 2.9, fixed: 0.3 }],
+        { buyer: 'a' },
+        999,
+        { toAmount: amount => Math.round(amount * 100), minorUnits: true }
+      );
+
+      expect(fees.processor).toBe(59); // 28.971 + 30 cents
+    });
+  });
+
+  describe('createFeePlugin', () => {
+    test('deducts fees before allocation and reports them', () => {
+      const calculator = new PayoutCalculator({
+        plugins: [createFeePlugin([{ name: 'processor', percentage: 10, fixed: 1 }])]
+      });
+
+      const payouts = calculator.calculate({
+        sales: [{ buyer: 'buyer1' }, { buyer: 'buyer2' }],
+        scheme: { author: { percentage: 50 }, allBuyers: { percentage: 50 } },
+        unitPrice: 20,
+        totalRevenue: 40
+      });
+
+      expect(payouts.fees).toEqual({ processor: 6, total: 6 });
+      expect(payouts.author).toBe(17);
+      expect(payouts.buyers).toEqual({ buyer1: 8.5, buyer2: 8.5 });
+    });
+
+    test('rounds fees through the rounding stage', () => {
+      const plugin = createFeePlugin([{ name: 'processor', percentage: 2.9 }], {
+        roundAmount: amount => Math.round(amount * 100) / 100
+      });
+
+      const rounded = plugin.rounding({ author: 1, fees: { processor: 0.2871, total: 0.2871 } }, payouts => payouts);
+      expect(rounded.fees).toEqual({ processor: 0.29, total: 0.29 });
+      expect(plugin.rounding({ author: 1 }, payouts => payouts)).toEqual({ author: 1 });
+    });
+
+    test('reports the sum of the rounded fees as the rounded total', () => {
+      const plugin = createFeePlugin(['a', 'b', 'c'].map(name => ({ name, fixed: 0.005 })), {
+        roundAmount: amount => Math.round(amount * 100) / 100
+      });
+
+      const rounded = plugin.rounding({ fees: { total: 0.015, a: 0.005, b: 0.005, c: 0.005 } }, payouts => payouts);
+      expect(rounded.fees).toEqual({ total: 0.03, a: 0.01, b: 0.01, c: 0.01 });
+    });
+
+    test('rejects invalid fee models', () => {
+      expect(() => createFeePlugin([{ name: 'processor' }]))
+        .toThrow("Invalid fees: Fee 'processor' must define exactly one of percentage/fixed, tiers or inclusiveRate");
+    });
+  });
+});
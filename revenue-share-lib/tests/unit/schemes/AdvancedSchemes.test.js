@@ -47,13 +47,12 @@ describe('AdvancedSchemes', () => {
     expect(scheme.first100).toBeDefined();
     expect(scheme.first100.count).toBe(100);
     expect(scheme.first100.percentage).toBe(25);
-    expect(scheme.first1000).toBeDefined();
-    expect(scheme.first1000.count).toBe(1000);
-    expect(scheme.first1000.percentage).toBe(20);
-    expect(scheme.first10000).toBeDefined();
-    expect(scheme.first10000.count).toBe(10000);
-    expect(scheme.first10000.percentage).toBe(15);
+    expect(scheme.from101to1000).toEqual({ from: 101, to: 1000, percentage: 20 });
+    expect(scheme.from1001to10000).toEqual({ from: 1001, to: 10000, percentage: 15 });
     expect(scheme.allBuyers.percentage).toBe(5);
+    
+    // Tiers do not overlap
+    expect(validationResult.warnings).toEqual([]);
   });
 
   test('CreatorEconomy scheme emphasizes author rewards', () => {
@@ -101,13 +100,12 @@ describe('AdvancedSchemes', () => {
     expect(scheme.first100).toBeDefined();
     expect(scheme.first100.count).toBe(100);
     expect(scheme.first100.percentage).toBe(30);
-    expect(scheme.first1000).toBeDefined();
-    expect(scheme.first1000.count).toBe(1000);
-    expect(scheme.first1000.percentage).toBe(25);
-    expect(scheme.first10000).toBeDefined();
-    expect(scheme.first10000.count).toBe(10000);
-    expect(scheme.first10000.percentage).toBe(15);
+    expect(scheme.from101to1000).toEqual({ from: 101, to: 1000, percentage: 25 });
+    expect(scheme.from1001to10000).toEqual({ from: 1001, to: 10000, percentage: 15 });
     expect(scheme.allBuyers.percentage).toBe(5);
+    
+    // Tiers do not overlap
+    expect(validationResult.warnings).toEqual([]);
   });
 
   test('CrowdfundingModel scheme emphasizes author rewards', () => {
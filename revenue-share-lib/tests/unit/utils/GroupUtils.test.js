@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Tests for the GroupUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import {
+  GROUP_COUNTINGS,
+  getGroupRange,
+  getPositionWeight,
+  groupRangesOverlap,
+  isGroupRule,
+  validateGroupOptions
+} from '../../../src/utils/GroupUtils';
+
+describe('GroupUtils', () => {
+  describe('isGroupRule', () => {
+    test('detects rules with count or a range', () => {
+      expect(isGroupRule({ count: 10, percentage: 5 })).toBe(true);
+      expect(isGroupRule({ from: 11, percentage: 5 })).toBe(true);
+      expect(isGroupRule({ to: 10, percentage: 5 })).toBe(true);
+      expect(isGroupRule({ percentage: 5 })).toBe(false);
+    });
+  });
+
+  describe('getGroupRange', () => {
+    test('resolves count, from and to', () => {
+      expect(getGroupRange({ count: 100 })).toEqual({ from: 1, to: 100 });
+      expect(getGroupRange({ from: 101, to: 1000 })).toEqual({ from: 101, to: 1000 });
+      expect(getGroupRange({ from: 11, count: 10 })).toEqual({ from: 11, to: 20 });
+      expect(getGroupRange({ to: 50 })).toEqual({ from: 1, to: 50 });
+      expect(getGroupRange({ from: 1001 })).toEqual({ from: 1001, to: Infinity });
+    });
+  });
+
+  describe('getPositionWeight', () => {
+    test('weights positions equally, linearly or exponentially', () => {
+      expect(getPositionWeight({}, 5, 10)).toBe(1);
+      expect(getPositionWeight({ weighting: 'linear' }, 0, 10)).toBe(10);
+      expect(getPositionWeight({ weighting: 'linear' }, 9, 10)).toBe(1);
+      expect(getPositionWeight({ weighting: 'exponential', decay: 0.5 }, 3, 10)).toBe(0.125);
+    });
+  });
+
+  describe('validateGroupOptions', () => {
+    test('accepts valid options', () => {
+      expect(validateGroupOptions('tier', {
+        from: 101,
+        to: 1000,
+        weighting: 'exponential',
+        decay: 0.99,
+        allocationBasis: 'amount'
+      })).toEqual([]);
+    });
+
+    test('reports invalid options', () => {
+      expect(validateGroupOptions('tier', { from: 0, to: 1.5, weighting: 'random' })).toEqual([
+        "From for 'tier' must be a positive integer",
+        "To for 'tier' must be a positive integer",
+        "Weighting for 'tier' must be one of: equal, linear, exponential"
+      ]);
+      expect(validateGroupOptions('tier', { from: 10, to: 5, count: 3 })).toEqual([
+        "Range of 'tier' must not end before it starts",
+        "Rule for 'tier' cannot have both count and to"
+      ]);
+      expect(validateGroupOptions('tier', { weighting: 'exponential', decay: 1, allocationBasis: 'weight' })).toEqual([
+        "Decay for 'tier' must be a number between 0 and 1",
+        "Allocation basis for 'tier' must be one of: sale, unit, amount"
+      ]);
+    });
+  });
+
+  describe('groupRangesOverlap', () => {
+    test('compares ranges counted from the same end', () => {
+      expect(groupRangesOverlap({ count: 100 }, { from: 101, to: 1000 })).toBe(false);
+      expect(groupRangesOverlap({ count: 100 }, { count: 1000 })).toBe(true);
+      expect(groupRangesOverlap({ from: 1001 }, { from: 5000, to: 6000 })).toBe(true);
+      expect(groupRangesOverlap({ count: 10, fromEnd: true }, { from: 11, fromEnd: true })).toBe(false);
+      expect(groupRangesOverlap({ count: 10 }, { count: 10, fromEnd: true })).toBe(true);
+    });
+  });
+
+  describe('group counting options', () => {
+    test('validates per-buyer counting and unit caps', () => {
+      expect(GROUP_COUNTINGS).toEqual(['sale', 'buyer']);
+      expect(validateGroupOptions('early', { count: 10, groupCounting: 'buyer', maxUnitsPerBuyer: 5 })).toEqual([]);
+      expect(validateGroupOptions('early', { count: 10, groupCounting: 'wallet', maxUnitsPerBuyer: 0 })).toEqual([
+        "Group counting for 'early' must be one of: sale, buyer",
+        "Max units per buyer for 'early' must be a positive integer"
+      ]);
+    });
+  });
+});
+
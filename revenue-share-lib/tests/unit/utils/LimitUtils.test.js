@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Tests for the LimitUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import {
+  applyLimits,
+  applyPeriodMinimums,
+  isLimitedRule,
+  mapLimitAmounts,
+  validateBuyerLimit,
+  validateLimitRule
+} from '../../../src/utils/LimitUtils';
+
+describe('LimitUtils', () => {
+  describe('validation', () => {
+    test('accepts limits of single payees', () => {
+      expect(isLimitedRule({ percentage: 10, maxAmount: 100 })).toBe(true);
+      expect(isLimitedRule({ percentage: 10 })).toBe(false);
+      expect(validateLimitRule('author', { minAmount: 10, maxAmount: 100 })).toEqual([]);
+      expect(validateLimitRule('coAuthor', { type: 'party', percentage: 20, maxAmount: 0 })).toEqual([]);
+      expect(validateBuyerLimit(undefined)).toEqual([]);
+      expect(validateBuyerLimit(25)).toEqual([]);
+    });
+
+    test('reports invalid limits', () => {
+      expect(validateLimitRule('allBuyers', { remainder: true, maxAmount: 10 })).toEqual([
+        "Rule for 'allBuyers' can only limit the payout of a single payee (author, platform, promotion or a party)"
+      ]);
+      expect(validateLimitRule('author', { minAmount: -1, maxAmount: '10' })).toEqual([
+        "Minimum amount for 'author' must be a non-negative number",
+        "Maximum amount for 'author' must be a non-negative number"
+      ]);
+      expect(validateLimitRule('platform', { minAmount: 50, maxAmount: 20 })).toEqual([
+        "Minimum amount for 'platform' cannot exceed its maximum amount"
+      ]);
+      expect(validateBuyerLimit(-5)).toEqual(['Maximum amount per buyer must be a non-negative number']);
+    });
+  });
+
+  describe('applyLimits', () => {
+    test('redistributes capped excess to the remainder payees', () => {
+      const payouts = { author: 50, platform: 30, buyers: { a: 10, b: 10 } };
+      const report = applyLimits({ platform: { percentage: 30, maxAmount: 20 } }, payouts, {
+        remainderReceipts: { payees: {}, buyers: { a: 10, b: 10 } }
+      });
+
+      expect(payouts).toEqual({ author: 50, platform: 20, buyers: { a: 15, b: 15 } });
+      expect(report).toEqual({
+        triggered: [{ payee: 'platform', limit: 'maxAmount', value: 20, amount: 30 }],
+        adjustments: { payees: { platform: -10 }, buyers: { a: 5, b: 5 } },
+        unallocated: 0,
+        shortfall: 0
+      });
+    });
+
+    test('caps again until every payee is within its limit', () => {
+      const payouts = { author: 40, platform: 0, buyers: { a: 40, b: 10, c: 10 } };
+      const report = applyLimits({}, payouts, {
+        maxAmountPerBuyer: 12,
+        remainderReceipts: { payees: {}, buyers: { a: 10, b: 10, c: 10 } }
+      });
+
+      expect(payouts).toEqual({ author: 64, platform: 0, buyers: { a: 12, b: 12, c: 12 } });
+      expect(report.triggered.map(entry => entry.buyer)).toEqual(['a', 'b', 'c']);
+      expect(report.triggered[1]).toEqual({ buyer: 'b', limit: 'maxAmountPerBuyer', value: 12, amount: 10 });
+    });
+
+    test('reports excess nobody can take', () => {
+      const payouts = { author: 100, platform: 0, buyers: {} };
+      const report = applyLimits({ author: { percentage: 100, maxAmount: 60 } }, payouts);
+
+      expect(payouts.author).toBe(60);
+      expect(report.unallocated).toBe(40);
+    });
+
+    test('raises minimums from the other payees in minor units', () => {
+      const payouts = { author: 1000, platform: 4000, buyers: { a: 2500, b: 2500 } };
+      const report = applyLimits({ author: { percentage: 10, minAmount: 3000 } }, payouts, { minorUnits: true });
+
+      expect(payouts).toEqual({ author: 3000, platform: 3111, buyers: { a: 1944, b: 1945 } });
+      expect(report.triggered).toEqual([{ payee: 'author', limit: 'minAmount', value: 3000, amount: 1000 }]);
+      expect(report.shortfall).toBe(0);
+    });
+
+    test('reports minimums the other payees cannot cover', () => {
+      const payouts = { author: 10, platform: 90, buyers: {} };
+      const report = applyLimits({ author: { percentage: 10, minAmount: 200 } }, payouts);
+
+      expect(payouts).toEqual({ author: 100, platform: 0, buyers: {} });
+      expect(report.shortfall).toBe(100);
+    });
+
+    test('limits parties and roles no rule has paid', () => {
+      const payouts = { author: 70, platform: 0, buyers: {}, parties: { coAuthor: 30 } };
+      applyLimits({
+        coAuthor: { type: 'party', percentage: 30, maxAmount: 25 },
+        promotion: { remainder: true, minAmount: 5 }
+      }, payouts);
+
+      // The capped excess goes to the author, then both give to the promotion's minimum
+      expect(payouts.parties.coAuthor).toBeCloseTo(23.75, 10);
+      expect(payouts.author).toBeCloseTo(71.25, 10);
+      expect(payouts.promotion).toBe(5);
+    });
+  });
+
+  test('applyPeriodMinimums raises the earnings of a period to every minimum', () => {
+    const scheme = {
+      author: { percentage: 20, minAmount: 5 },
+      coAuthor: { type: 'party', percentage: 20, minAmount: 4, split: { alice: 50, bob: 50 } },
+      platform: { percentage: 40 },
+      allBuyers: { remainder: true }
+    };
+    const earnings = { author: 2, platform: 6, promotion: 0, 'coAuthor.alice': 1, 'coAuthor.bob': 1, buyers: { a: 2 } };
+
+    // The author needs 3 and the co-author's split payees 2, taken from the platform (6) and buyer a (2)
+    expect(applyPeriodMinimums(scheme, earnings)).toBe(0);
+    expect(earnings).toEqual({
+      author: 5,
+      platform: 2.25,
+      promotion: 0,
+      'coAuthor.alice': 2,
+      'coAuthor.bob': 2,
+      buyers: { a: 0.75 }
+    });
+
+    const short = { author: 1, platform: 1, buyers: {} };
+    expect(applyPeriodMinimums({ author: { percentage: 50, minAmount: 5 } }, short)).toBe(3);
+    expect(short).toEqual({ author: 2, platform: 0, buyers: {} });
+  });
+
+  test('mapLimitAmounts transforms every amount', () => {
+    const report = {
+      triggered: [{ payee: 'platform', limit: 'maxAmount', value: 20.004, amount: 30.006 }],
+      adjustments: { payees: { platform: -10.002 }, buyers: { a: 10.002 } },
+      unallocated: 0.001,
+      shortfall: 0
+    };
+
+    expect(mapLimitAmounts(report, amount => Math.round(amount * 100) / 100)).toEqual({
+      triggered: [{ payee: 'platform', limit: 'maxAmount', value: 20, amount: 30.01 }],
+      adjustments: { payees: { platform: -10 }, buyers: { a: 10 } },
+      unallocated: 0,
+      shortfall: 0
+    });
+  });
+});
@@ -4,7 +4,7 @@
  * @version 1.0.0
  */
 
-import { isNumeric, deepClone, roundToCents, sum, calculatePercentage, distributeEvenly, approximatelyEqual, clamp, formatCurrency } from '../../../src/utils/MathUtils';
+import { isNumeric, deepClone, roundToCents, sum, calculatePercentage, distributeEvenly, approximatelyEqual, clamp, formatCurrency, harmonicNumber } from '../../../src/utils/MathUtils';
 
 describe('MathUtils', () => {
   describe('calculatePercentage', () => {
@@ -96,4 +96,24 @@ describe('MathUtils', () => {
       expect(formatCurrency(-1000)).toBe('-$1,000.00');
     });
   });
+
+  describe('harmonicNumber', () => {
+    test('returns 0 for non-positive values', () => {
+      expect(harmonicNumber(0)).toBe(0);
+      expect(harmonicNumber(-3)).toBe(0);
+    });
+
+    test('matches the direct sum', () => {
+      [1, 2, 10, 31, 32, 100, 5000].forEach(n => {
+        let expected = 0;
+        for (let k = 1; k <= n; k++) expected += 1 / k;
+        expect(harmonicNumber(n)).toBeCloseTo(expected, 12);
+      });
+    });
+
+    test('handles very large values', () => {
+      expect((harmonicNumber(1e9) - harmonicNumber(1e9 - 1)) * 1e9).toBeCloseTo(1, 4);
+      expect(harmonicNumber(1e9)).toBeCloseTo(Math.log(1e9) + 0.5772156649 + 0.5e-9, 9);
+    });
+  });
 });
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Tests for the MoneyUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { toMinorUnits, fromMinorUnits, isMinorUnitAmount, allocateLargestRemainder } from '../../../src/utils/MoneyUtils';
+
+describe('MoneyUtils', () => {
+  describe('toMinorUnits / fromMinorUnits', () => {
+    test('converts between major and minor units', () => {
+      expect(toMinorUnits(19.99)).toBe(1999);
+      expect(toMinorUnits(0.1 + 0.2)).toBe(30);
+      expect(toMinorUnits(12.345, 3)).toBe(12345);
+      expect(fromMinorUnits(1999)).toBe(19.99);
+      expect(fromMinorUnits(500, 0)).toBe(500);
+    });
+  });
+
+  describe('isMinorUnitAmount', () => {
+    test('accepts only safe integers', () => {
+      expect(isMinorUnitAmount(100)).toBe(true);
+      expect(isMinorUnitAmount(-5)).toBe(true);
+      expect(isMinorUnitAmount(1.5)).toBe(false);
+      expect(isMinorUnitAmount('100')).toBe(false);
+      expect(isMinorUnitAmount(Number.MAX_SAFE_INTEGER + 1)).toBe(false);
+    });
+  });
+
+  describe('allocateLargestRemainder', () => {
+    test('parts always sum to the total', () => {
+      const parts = allocateLargestRemainder(1000, [1, 1, 1]);
+      expect(parts).toEqual([334, 333, 333]);
+      expect(parts.reduce((a, b) => a + b, 0)).toBe(1000);
+    });
+
+    test('hands leftover units to the largest fractional remainders', () => {
+      // Quotas: 33.33, 33.33, 33.34 of 100 units -> fractions favour the last part
+      expect(allocateLargestRemainder(100, [33.33, 33.33, 33.34])).toEqual([33, 33, 34]);
+      // Quotas: 1.5, 1.5, 1 of 4 units -> tie broken by lower index
+      expect(allocateLargestRemainder(4, [3, 3, 2])).toEqual([2, 1, 1]);
+    });
+
+    test('is deterministic for equal weights', () => {
+      expect(allocateLargestRemainder(5, [1, 1, 1, 1])).toEqual([2, 1, 1, 1]);
+      expect(allocateLargestRemainder(5, [1, 1, 1, 1])).toEqual(allocateLargestRemainder(5, [1, 1, 1, 1]));
+    });
+
+    test('gives nothing to zero weights', () => {
+      expect(allocateLargestRemainder(7, [0, 1, 0, 1])).toEqual([0, 4, 0, 3]);
+    });
+
+    test('handles negative totals symmetrically', () => {
+      expect(allocateLargestRemainder(-1000, [1, 1, 1])).toEqual([-334, -333, -333]);
+      expect(allocateLargestRemainder(-1, [1, 1])).toEqual([-1, 0]);
+    });
+
+    test('returns zeros when there is nothing to allocate', () => {
+      expect(allocateLargestRemainder(0, [1, 2])).toEqual([0, 0]);
+      expect(allocateLargestRemainder(0, [0, 0])).toEqual([0, 0]);
+      expect(allocateLargestRemainder(0, [])).toEqual([]);
+    });
+
+    test('rejects a non-zero total over weights that sum to 0', () => {
+      expect(() => allocateLargestRemainder(10, [0, 0])).toThrow('weights that sum to 0');
+      expect(() => allocateLargestRemainder(-10, [0])).toThrow('weights that sum to 0');
+      expect(() => allocateLargestRemainder(10, [])).toThrow('weights that sum to 0');
+    });
+
+    test('rejects non-integer totals', () => {
+      expect(() => allocateLargestRemainder(10.5, [1, 1])).toThrow('integer number of minor units');
+    });
+  });
+});
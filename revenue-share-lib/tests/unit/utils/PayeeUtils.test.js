@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests for the PayeeUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { PARTY_RULE_TYPE, combinePayeeAmounts, getPayeeAmounts, isPartyRule, validatePartyRule } from '../../../src/utils/PayeeUtils';
+
+describe('PayeeUtils', () => {
+  describe('getPayeeAmounts', () => {
+    test('extracts roles and buyers of standard payouts', () => {
+      const payouts = { author: 7, platform: 3, buyers: { bob: 1 }, fees: { total: 1 } };
+
+      expect(getPayeeAmounts(payouts)).toEqual({ author: 7, platform: 3, promotion: 0, buyers: { bob: 1 } });
+    });
+
+    test('uses the token ledger of Buy-to-Earn payouts', () => {
+      const payouts = {
+        creator: 5,
+        platform: 1,
+        promotion: 1,
+        buyer: 2,
+        holders: { bob: { tokens: [1, 2], earnings: 3, paidBackTokens: 0 } }
+      };
+
+      expect(getPayeeAmounts(payouts, true)).toEqual({ creator: 5, platform: 1, promotion: 1, buyers: { bob: 3 } });
+      expect(() => getPayeeAmounts({ creator: 5 }, true)).toThrow('Buy-to-Earn payouts must include the token ledger');
+    });
+  });
+
+  describe('combinePayeeAmounts', () => {
+    test('combines every payee of every source', () => {
+      const result = combinePayeeAmounts(
+        [{ author: 5, buyers: { bob: 2 } }, { author: 3, platform: 1, buyers: { carol: 1 } }],
+        ([a = 0, b = 0]) => a - b
+      );
+
+      expect(result).toEqual({ author: 2, platform: -1, buyers: { bob: 2, carol: -1 } });
+    });
+
+    test('leaves out payees combined to undefined', () => {
+      const result = combinePayeeAmounts([{ author: 0, buyers: { bob: 2 } }], ([value]) => (value ? value : undefined));
+
+      expect(result).toEqual({ buyers: { bob: 2 } });
+    });
+  });
+
+  describe('parties', () => {
+    test('flattens named parties into payee roles', () => {
+      const payouts = { author: 5, platform: 1, parties: { coAuthor: 3, charity: 1 }, buyers: {} };
+
+      expect(getPayeeAmounts(payouts)).toEqual({ author: 5, platform: 1, promotion: 0, coAuthor: 3, charity: 1, buyers: {} });
+    });
+
+    test('validates party rules', () => {
+      expect(isPartyRule({ type: PARTY_RULE_TYPE, percentage: 10 })).toBe(true);
+      expect(isPartyRule({ type: 'bonus' })).toBe(false);
+      expect(validatePartyRule('coAuthor', { type: 'party', percentage: 10 })).toEqual([]);
+      expect(validatePartyRule('buyers', { type: 'party', count: 10, percentage: 10 })).toEqual([
+        "Party 'buyers' must not use a reserved payee name: author, platform, promotion, creator, buyers, fees",
+        "Party 'buyers' cannot define a buyer group"
+      ]);
+    });
+  });
+
+  describe('splits', () => {
+    test('replaces a split payee with its final payees', () => {
+      const payouts = {
+        author: 6,
+        platform: 4,
+        buyers: {},
+        splits: { tree: { author: { amount: 6 } }, flat: { 'author.writer': 4, 'author.editor': 2 } }
+      };
+
+      expect(getPayeeAmounts(payouts)).toEqual({ platform: 4, promotion: 0, 'author.writer': 4, 'author.editor': 2, buyers: {} });
+    });
+  });
+});
+
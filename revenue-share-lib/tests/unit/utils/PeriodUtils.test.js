@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Tests for the PeriodUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { getPeriodBounds, toTimestamp } from '../../../src/utils/PeriodUtils';
+
+describe('PeriodUtils', () => {
+  describe('toTimestamp', () => {
+    test('accepts dates and timestamps', () => {
+      expect(toTimestamp(new Date(Date.UTC(2024, 0, 1)))).toBe(Date.UTC(2024, 0, 1));
+      expect(toTimestamp(1000)).toBe(1000);
+    });
+
+    test('rejects invalid dates', () => {
+      expect(() => toTimestamp('2024-01-01')).toThrow('Invalid date');
+      expect(() => toTimestamp(new Date('invalid'))).toThrow('Invalid date');
+    });
+  });
+
+  describe('getPeriodBounds', () => {
+    // Thursday, 15 February 2024
+    const date = Date.UTC(2024, 1, 15, 13, 30);
+
+    test('returns the UTC day', () => {
+      expect(getPeriodBounds('day', date)).toEqual({ from: Date.UTC(2024, 1, 15), to: Date.UTC(2024, 1, 16) });
+    });
+
+    test('returns the week starting on Monday', () => {
+      expect(getPeriodBounds('week', date)).toEqual({ from: Date.UTC(2024, 1, 12), to: Date.UTC(2024, 1, 19) });
+      // Sunday belongs to the week that started on the previous Monday
+      expect(getPeriodBounds('week', Date.UTC(2024, 1, 18)).from).toBe(Date.UTC(2024, 1, 12));
+    });
+
+    test('returns the calendar month', () => {
+      expect(getPeriodBounds('month', date)).toEqual({ from: Date.UTC(2024, 1, 1), to: Date.UTC(2024, 2, 1) });
+      expect(getPeriodBounds('month', Date.UTC(2024, 11, 31)).to).toBe(Date.UTC(2025, 0, 1));
+    });
+
+    test('rejects unknown periods', () => {
+      expect(() => getPeriodBounds('fortnight', date)).toThrow('Unknown payout period: fortnight');
+    });
+  });
+});
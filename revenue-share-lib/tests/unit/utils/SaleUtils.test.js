@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Tests for the SaleUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { createSaleComparator, getSaleQuantity, getSaleRevenue, getSaleWeight, isSaleActiveAt } from '../../../src/utils/SaleUtils';
+
+describe('SaleUtils', () => {
+  describe('getSaleQuantity', () => {
+    test('defaults to a single unit', () => {
+      expect(getSaleQuantity({ buyer: 'buyer1' })).toBe(1);
+      expect(getSaleQuantity({ buyer: 'buyer1', quantity: 3 })).toBe(3);
+    });
+  });
+
+  describe('getSaleRevenue', () => {
+    test('uses the unit price times quantity when no amount is given', () => {
+      expect(getSaleRevenue({ buyer: 'buyer1' }, 10)).toBe(10);
+      expect(getSaleRevenue({ buyer: 'buyer1', quantity: 3 }, 10)).toBe(30);
+    });
+
+    test('prefers the explicit amount and subtracts discounts', () => {
+      expect(getSaleRevenue({ buyer: 'buyer1', amount: 25 }, 10)).toBe(25);
+      expect(getSaleRevenue({ buyer: 'buyer1', quantity: 2, discount: 5 }, 10)).toBe(15);
+      expect(getSaleRevenue({ buyer: 'buyer1', amount: 25, discount: 5 }, 10)).toBe(20);
+    });
+  });
+
+  describe('getSaleWeight', () => {
+    const sale = { buyer: 'buyer1', quantity: 4, discount: 10 };
+
+    test('weights by basis', () => {
+      expect(getSaleWeight(sale, 'sale', 10)).toBe(1);
+      expect(getSaleWeight(sale, 'unit', 10)).toBe(4);
+      expect(getSaleWeight(sale, 'amount', 10)).toBe(30);
+    });
+  });
+
+  describe('isSaleActiveAt', () => {
+    test('counts sales made before the moment and not yet reversed', () => {
+      const sale = { buyer: 'buyer1', timestamp: 100 };
+      const refunded = { ...sale, reversal: { type: 'refund', timestamp: 200 } };
+
+      expect(isSaleActiveAt(sale, 100)).toBe(false);
+      expect(isSaleActiveAt(sale, 101)).toBe(true);
+      expect(isSaleActiveAt(refunded, 150)).toBe(true);
+      expect(isSaleActiveAt(refunded, 250)).toBe(false);
+      expect(isSaleActiveAt({ buyer: 'buyer1' }, 100)).toBe(false);
+    });
+  });
+
+  describe('createSaleComparator', () => {
+    test('orders by timestamp, then sequence, then saleId by default', () => {
+      const sales = [
+        { saleId: 'd', sequence: 4 },
+        { saleId: 'c', sequence: 3, timestamp: 200 },
+        { saleId: 'b', sequence: 2, timestamp: 100 },
+        { saleId: 'a', sequence: 2, timestamp: 100 },
+        { saleId: 'e', timestamp: 100 }
+      ];
+
+      expect([...sales].sort(createSaleComparator()).map(sale => sale.saleId))
+        .toEqual(['a', 'b', 'e', 'c', 'd']);
+    });
+
+    test('follows a custom ordering policy', () => {
+      const sales = [
+        { saleId: 'b', sequence: 1, timestamp: 200 },
+        { saleId: 'a', sequence: 2, timestamp: 100 }
+      ];
+
+      expect([...sales].sort(createSaleComparator(['sequence'])).map(sale => sale.saleId)).toEqual(['b', 'a']);
+      expect([...sales].sort(createSaleComparator(['saleId'])).map(sale => sale.saleId)).toEqual(['a', 'b']);
+    });
+
+    test('rejects invalid policies', () => {
+      expect(() => createSaleComparator([])).toThrow('Sale ordering must be a non-empty array of sale fields');
+      expect(() => createSaleComparator('timestamp')).toThrow('Sale ordering must be a non-empty array of sale fields');
+      expect(() => createSaleComparator(['buyer']))
+        .toThrow("Unknown sale ordering key 'buyer', expected one of: timestamp, sequence, saleId");
+      expect(() => createSaleComparator(['sequence', 'sequence'])).toThrow('Sale ordering keys must not repeat');
+    });
+  });
+});
+
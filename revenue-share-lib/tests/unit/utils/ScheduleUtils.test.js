@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Tests for the ScheduleUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import {
+  allocateScheduleShares,
+  isScheduledRule,
+  mapScheduleAmounts,
+  measureSchedule,
+  resolveSchedules,
+  validateScheduleRule,
+  weighScheduleSales
+} from '../../../src/utils/ScheduleUtils';
+
+describe('ScheduleUtils', () => {
+  const platform = {
+    schedule: [
+      { from: 0, to: 10, percentage: 30 },
+      { from: 10, to: 50, percentage: 20 },
+      { from: 50, percentage: 15 }
+    ]
+  };
+  const sales = [6, 6, 40, 10].map((quantity, index) => ({ buyer: `b${index}`, quantity }));
+
+  describe('validateScheduleRule', () => {
+    test('accepts contiguous brackets', () => {
+      expect(isScheduledRule(platform)).toBe(true);
+      expect(isScheduledRule({ percentage: 10 })).toBe(false);
+      expect(validateScheduleRule('platform', platform)).toEqual([]);
+      expect(validateScheduleRule('author', { schedule: [{ from: 0, percentage: 10 }], volumeBasis: 'amount' })).toEqual([]);
+    });
+
+    test('reports gaps, overlaps and open ends', () => {
+      expect(validateScheduleRule('platform', {
+        percentage: 10,
+        volumeBasis: 'sale',
+        schedule: [
+          { from: 5, to: 10, percentage: 30 },
+          { from: 12, percentage: 20 },
+          { from: 20, to: 20, percentage: 120 }
+        ]
+      })).toEqual([
+        "Rule for 'platform' cannot have both percentage and schedule",
+        "Volume basis for 'platform' must be one of: unit, amount",
+        "Schedule of 'platform' must start at 0",
+        "Bracket 2 of 'platform' must start where bracket 1 ends (10)",
+        "Only the last bracket of 'platform' can be open-ended",
+        "Bracket 3 of 'platform' must have a percentage between 0 and 100",
+        "The last bracket of 'platform' must be open-ended"
+      ]);
+      expect(validateScheduleRule('platform', { schedule: [] })).toEqual([
+        "Schedule of 'platform' must be a non-empty array of brackets"
+      ]);
+      expect(validateScheduleRule('platform', { schedule: [{ from: 0, to: 0, percentage: 5 }, { from: 0, percentage: 5 }] }))
+        .toEqual(["Bracket 1 of 'platform' must end after it starts"]);
+    });
+  });
+
+  describe('measureSchedule', () => {
+    test('splits sales crossing a bracket boundary', () => {
+      expect(measureSchedule(platform, sales, 10)).toEqual([
+        { from: 0, to: 10, percentage: 30, volume: 10, revenue: 100 },
+        { from: 10, to: 50, percentage: 20, volume: 40, revenue: 400 },
+        { from: 50, to: null, percentage: 15, volume: 12, revenue: 120 }
+      ]);
+    });
+
+    test('measures cumulative revenue with the amount basis', () => {
+      const author = { volumeBasis: 'amount', schedule: [{ from: 0, to: 100, percentage: 10 }, { from: 100, percentage: 25 }] };
+      const brackets = measureSchedule(author, [{ buyer: 'a', amount: 80 }, { buyer: 'b', amount: 80 }], 80);
+
+      expect(brackets.map(bracket => bracket.revenue)).toEqual([100, 60]);
+    });
+  });
+
+  describe('weighScheduleSales', () => {
+    test('weighs every sale by its revenue in each bracket times the bracket percentage', () => {
+      // 60 × 30; 40 × 30 + 20 × 20; 380 × 20 + 20 × 15; 100 × 15
+      expect(weighScheduleSales(platform, sales, 10)).toEqual([1800, 1600, 7900, 1500]);
+      expect(weighScheduleSales(platform, [{ buyer: 'a', quantity: 0 }], 10)).toEqual([0]);
+    });
+  });
+
+  describe('resolveSchedules', () => {
+    test('replaces schedules with their effective percentage', () => {
+      const { scheme, schedules } = resolveSchedules({ platform, author: { remainder: true } }, sales, 10);
+
+      expect(scheme.platform.percentage).toBeCloseTo((12800 / 620), 10);
+      expect(scheme.author).toEqual({ remainder: true });
+      expect(schedules.platform).toHaveLength(3);
+      expect(resolveSchedules({ platform }, [], 10).scheme.platform.percentage).toBe(30);
+    });
+
+    test('splits the share of a rule across its brackets', () => {
+      const { schedules } = resolveSchedules({ platform }, sales, 10);
+
+      expect(allocateScheduleShares(schedules, { platform: 128 }).platform.map(bracket => bracket.amount))
+        .toEqual([30, 80, 18]);
+      expect(allocateScheduleShares(schedules, { platform: 12801 }, true).platform.map(bracket => bracket.amount))
+        .toEqual([3000, 8001, 1800]);
+    });
+  });
+
+  test('mapScheduleAmounts transforms revenue and amounts', () => {
+    const schedules = { platform: [{ from: 0, to: null, percentage: 10, volume: 3, revenue: 29.997, amount: 2.9997 }] };
+
+    expect(mapScheduleAmounts(schedules, amount => Math.round(amount * 100) / 100)).toEqual({
+      platform: [{ from: 0, to: null, percentage: 10, volume: 3, revenue: 30, amount: 3 }]
+    });
+  });
+});
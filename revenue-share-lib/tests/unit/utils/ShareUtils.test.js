@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Tests for the ShareUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import {
+  allocateShares,
+  getRemainderWeight,
+  isRemainderRule,
+  planShares
+} from '../../../src/utils/ShareUtils';
+
+describe('ShareUtils', () => {
+  describe('remainder rules', () => {
+    test('recognizes plain and weighted remainder rules', () => {
+      expect(isRemainderRule({ remainder: true })).toBe(true);
+      expect(isRemainderRule({ remainder: { weight: 2 } })).toBe(true);
+      expect(isRemainderRule({ remainder: false })).toBe(false);
+      expect(isRemainderRule({ percentage: 10 })).toBe(false);
+
+      expect(getRemainderWeight({ remainder: true })).toBe(1);
+      expect(getRemainderWeight({ remainder: { weight: 3 } })).toBe(3);
+      expect(getRemainderWeight({ percentage: 10 })).toBe(0);
+    });
+  });
+
+  describe('planShares', () => {
+    test('keeps percentages and lists remainder rules with their weights', () => {
+      const plan = planShares({
+        author: { remainder: { weight: 3 } },
+        platform: { percentage: 20 },
+        allBuyers: { remainder: true }
+      });
+
+      expect(plan).toEqual({
+        percentages: { platform: 20 },
+        remainder: 80,
+        remainderRules: [['author', 3], ['allBuyers', 1]],
+        errors: []
+      });
+    });
+
+    test('resolves percentages above 100% by policy', () => {
+      const scheme = {
+        author: { percentage: 60 },
+        platform: { percentage: 60 },
+        promotion: { percentage: 30 }
+      };
+
+      expect(planShares(scheme).percentages).toEqual({ author: 40, platform: 40, promotion: 20 });
+      expect(planShares(scheme, { percentageOverflow: 'truncate' }).percentages)
+        .toEqual({ author: 60, platform: 40, promotion: 0 });
+      expect(planShares(scheme, { percentageOverflow: 'reject' }).errors)
+        .toEqual(['Total percentage allocation (150%) exceeds 100%']);
+      expect(planShares(scheme).remainder).toBe(0);
+    });
+
+    test('reports invalid remainders, overrides and policies', () => {
+      expect(planShares({ author: { remainder: { weight: -1 } } }).errors).toEqual([
+        "Remainder for 'author' must be true, false or an object with a positive weight"
+      ]);
+      expect(planShares({ author: { percentage: 10, remainder: true } }, { allowRemainderOverride: false }).errors)
+        .toEqual(["Rule for 'author' cannot have both percentage and remainder"]);
+      expect(planShares({}, { percentageOverflow: 'drop' }).errors).toEqual([
+        "Unknown percentage overflow policy 'drop', expected one of: reject, scale, truncate"
+      ]);
+    });
+  });
+
+  describe('allocateShares', () => {
+    const plan = planShares({
+      platform: { percentage: 33.3 },
+      author: { remainder: { weight: 2 } },
+      allBuyers: { remainder: true }
+    });
+
+    test('splits the remainder by weight', () => {
+      const { shares, remainder, remainderShares } = allocateShares(plan, 300);
+
+      expect(shares.platform).toBeCloseTo(99.9, 10);
+      expect(remainder).toBeCloseTo(200.1, 10);
+      expect(remainderShares[0]).toBeCloseTo(133.4, 10);
+      expect(remainderShares[1]).toBeCloseTo(66.7, 10);
+    });
+
+    test('keeps every share an integer in minor units', () => {
+      const { shares, remainder, remainderShares } = allocateShares(plan, 1001, true);
+
+      expect(shares.platform).toBe(333);
+      expect(remainder).toBe(668);
+      expect(remainderShares).toEqual([445, 223]);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Tests for the SplitUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import {
+  applySplits,
+  buildSplitTree,
+  flattenSplitTree,
+  isSinglePayeeRule,
+  mapSplitAmounts,
+  validateSplitRule
+} from '../../../src/utils/SplitUtils';
+
+describe('SplitUtils', () => {
+  const publisherSplit = {
+    imprintA: { percentage: 60, split: { alice: 50, bob: 50 } },
+    imprintB: 40
+  };
+
+  describe('validateSplitRule', () => {
+    test('accepts nested splits of single payees', () => {
+      expect(isSinglePayeeRule('author', {})).toBe(true);
+      expect(isSinglePayeeRule('publisher', { type: 'party' })).toBe(true);
+      expect(isSinglePayeeRule('allBuyers', {})).toBe(false);
+      expect(validateSplitRule('publisher', { type: 'party', percentage: 20, split: publisherSplit })).toEqual([]);
+    });
+
+    test('reports the level of every error', () => {
+      expect(validateSplitRule('allBuyers', { percentage: 10, split: { a: 100 } })).toEqual([
+        "Rule for 'allBuyers' can only split a share paid to a single payee (author, platform, promotion or a party)"
+      ]);
+      expect(validateSplitRule('author', { split: [] })).toEqual([
+        "Split of 'author' must be a non-empty object of payee percentages"
+      ]);
+      expect(validateSplitRule('author', { split: { writer: 70, editor: 20 } })).toEqual([
+        "Split of 'author' must add up to 100%, found 90%"
+      ]);
+      expect(validateSplitRule('author', {
+        split: { 'a.b': 50, staff: { percentage: 50, split: { x: 120, y: {} } } }
+      })).toEqual([
+        "Split payee 'author.a.b' must not contain '.' in its name",
+        "Split payee 'author.staff.x' must have a percentage between 0 and 100",
+        "Split payee 'author.staff.y' must have a percentage between 0 and 100"
+      ]);
+    });
+  });
+
+  describe('buildSplitTree', () => {
+    test('splits every level and flattens the final payees', () => {
+      const tree = buildSplitTree(100, publisherSplit);
+
+      expect(tree).toEqual({
+        amount: 100,
+        payees: {
+          imprintA: { amount: 60, payees: { alice: { amount: 30 }, bob: { amount: 30 } } },
+          imprintB: { amount: 40 }
+        }
+      });
+      expect(flattenSplitTree(tree, 'publisher')).toEqual({
+        'publisher.imprintA.alice': 30,
+        'publisher.imprintA.bob': 30,
+        'publisher.imprintB': 40
+      });
+    });
+
+    test('keeps minor units exact at every level', () => {
+      const flat = flattenSplitTree(buildSplitTree(101, publisherSplit, true), 'publisher');
+
+      expect(Object.values(flat).every(Number.isInteger)).toBe(true);
+      expect(Object.values(flat).reduce((total, amount) => total + amount, 0)).toBe(101);
+    });
+  });
+
+  describe('applySplits', () => {
+    test('adds the tree and the flattened payees', () => {
+      const payouts = applySplits(
+        { author: { percentage: 60, split: { writer: 70, editor: 30 } }, platform: { percentage: 40 } },
+        { author: 60, platform: 40, buyers: {} }
+      );
+
+      expect(payouts.splits.flat).toEqual({ 'author.writer': 42, 'author.editor': 18 });
+      expect(payouts.splits.tree.author.amount).toBe(60);
+      expect(applySplits({ author: { percentage: 100 } }, { author: 10, buyers: {} }).splits).toBeUndefined();
+    });
+
+    test('transforms every amount', () => {
+      const { splits } = applySplits({ author: { remainder: true, split: publisherSplit } }, { author: 10.005, buyers: {} });
+      const rounded = mapSplitAmounts(splits, amount => Math.round(amount));
+
+      expect(rounded.tree.author).toEqual({
+        amount: 10,
+        payees: { imprintA: { amount: 6, payees: { alice: { amount: 3 }, bob: { amount: 3 } } }, imprintB: { amount: 4 } }
+      });
+      expect(rounded.flat).toEqual({ 'author.imprintA.alice': 3, 'author.imprintA.bob': 3, 'author.imprintB': 4 });
+    });
+  });
+});
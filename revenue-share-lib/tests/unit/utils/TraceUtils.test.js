@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Tests for the TraceUtils utility functions
+ * @author RevShare Library
+ * @version 2.0.0
+ */
+
+import { TRACE_CSV_COLUMNS, formatAllocationTrace } from '../../../src/utils/TraceUtils';
+
+describe('TraceUtils', () => {
+  const trace = {
+    revenue: 200,
+    allocatedRevenue: 200,
+    rules: [
+      { key: 'author', target: 'author', fromRemainder: false, pool: 120, payees: { author: 120 }, buyers: {} },
+      { key: 'allBuyers', target: 'allBuyers', fromRemainder: false, pool: 80, payees: {}, buyers: { 'Smith, J': 80 } }
+    ],
+    sales: [
+      { position: 1, buyer: 'Smith, J', saleId: 'order "1"', revenue: 200, payees: { author: 120, buyers: 80 } }
+    ]
+  };
+
+  describe('formatAllocationTrace', () => {
+    test('renders JSON by default', () => {
+      expect(JSON.parse(formatAllocationTrace(trace))).toEqual(trace);
+    });
+
+    test('renders CSV records with escaped fields', () => {
+      const lines = formatAllocationTrace(trace, 'csv').split('\n');
+
+      expect(lines[0]).toBe(TRACE_CSV_COLUMNS.join(','));
+      expect(lines.slice(1)).toEqual([
+        'pool,author,author,,,,,,120',
+        'allocation,author,author,,,,author,,120',
+        'pool,allBuyers,allBuyers,,,,,,80',
+        'allocation,allBuyers,allBuyers,,,,buyers,"Smith, J",80',
+        'revenue,,,1,"order ""1""","Smith, J",,,200',
+        'split,,,1,"order ""1""","Smith, J",author,,120',
+        'split,,,1,"order ""1""","Smith, J",buyers,,80'
+      ]);
+    });
+
+    test('rejects unknown formats and invalid traces', () => {
+      expect(() => formatAllocationTrace(trace, 'xml')).toThrow("Unknown trace format 'xml', expected one of: json, csv");
+      expect(() => formatAllocationTrace({ author: 1 }))
+        .toThrow('Allocation trace must come from a calculation with the trace option');
+    });
+  });
+});
@@ -124,7 +124,9 @@ describe('ValidationUtils', () => {
       const validRules = [
         { percentage: 50 },
         { count: 100, percentage: 30 },
-        { remainder: true }
+        { remainder: true },
+        { remainder: { weight: 2 } },
+        { schedule: [{ from: 0, to: 100, percentage: 30 }, { from: 100, percentage: 20 }] }
       ];
 
       validRules.forEach(rule => {
@@ -141,6 +143,8 @@ describe('ValidationUtils', () => {
         { count: -1, percentage: 30 },
         { count: 0, percentage: 30 },
         { percentage: 30, remainder: true },
+        { remainder: { weight: 0 } },
+        { schedule: [{ from: 0, to: 100, percentage: 30 }] },
         { count: 100 }
       ];
 